@@ -0,0 +1,149 @@
+/**
+ * Re-derive Stored Back Angles
+ *
+ * backAngle used to be measured at the shoulder and offset by 90 degrees, so
+ * an upright torso read ~90. It is now the lean of the hip -> shoulder line
+ * from vertical: 0 = upright, positive = forward lean (towards the nose),
+ * negative = backward lean. That is the scale the exercise formRules
+ * (e.g. backAngle { min: -10, max: 10 }) are written in.
+ *
+ * This script recalculates backAngle from the stored keypoints of every
+ * embedded session frame and every PoseData document, so old sessions read
+ * on the same scale as new ones. Frames without shoulders and hips are left
+ * untouched.
+ *
+ * Usage:
+ * node scripts/migrateBackAngle.js            # update the database
+ * node scripts/migrateBackAngle.js --dry-run  # only report what would change
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, "../config.env") });
+
+// Models read the environment when they load, so import them after it
+const { default: ExerciseSession } = await import("../src/models/ExerciseSession.js");
+const { default: PoseData } = await import("../src/models/PoseData.js");
+const { calculateBackAngle } = await import("../src/services/poseService.js");
+
+const DB =
+  process.env.DATABASE?.replace("<PASSWORD>", process.env.DATABASE_PASSWORD || "") ||
+  process.env.MONGODB_URI ||
+  "mongodb://localhost:27017/fitness-form-helper";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const BATCH_SIZE = 500;
+
+/**
+ * Recalculated back angle of a frame, or undefined if it doesn't change
+ * @param {Object} frame - Stored frame with keypoints and angles
+ * @returns {number|undefined} New back angle
+ */
+const migratedBackAngle = (frame) => {
+  const backAngle = calculateBackAngle(frame);
+  if (backAngle === null || backAngle === frame.angles?.backAngle) {
+    return undefined;
+  }
+  return backAngle;
+};
+
+/**
+ * Write a batch of updates
+ * @param {mongoose.Model} Model - Model to update
+ * @param {Array<Object>} operations - bulkWrite operations
+ */
+const flush = async (Model, operations) => {
+  if (!DRY_RUN && operations.length > 0) {
+    await Model.bulkWrite(operations, { ordered: false });
+  }
+  operations.length = 0;
+};
+
+/**
+ * Migrate the frames embedded in sessions
+ * @returns {Promise<Object>} { documents, frames } that changed
+ */
+const migrateSessions = async () => {
+  const counts = { documents: 0, frames: 0 };
+  const operations = [];
+  const cursor = ExerciseSession.find({ "poseData.keypoints.0": { $exists: true } })
+    .select("poseData.keypoints")
+    .lean()
+    .cursor();
+
+  for await (const session of cursor) {
+    const $set = {};
+    session.poseData.keypoints.forEach((frame, index) => {
+      const backAngle = migratedBackAngle(frame);
+      if (backAngle !== undefined) {
+        $set[`poseData.keypoints.${index}.angles.backAngle`] = backAngle;
+      }
+    });
+
+    const changed = Object.keys($set).length;
+    if (changed > 0) {
+      counts.documents++;
+      counts.frames += changed;
+      operations.push({ updateOne: { filter: { _id: session._id }, update: { $set } } });
+    }
+    if (operations.length >= BATCH_SIZE) {
+      await flush(ExerciseSession, operations);
+    }
+  }
+  await flush(ExerciseSession, operations);
+  return counts;
+};
+
+/**
+ * Migrate the frames stored as PoseData documents
+ * @returns {Promise<Object>} { documents, frames } that changed
+ */
+const migratePoseData = async () => {
+  const counts = { documents: 0, frames: 0 };
+  const operations = [];
+  const cursor = PoseData.find().select("keypoints angles").lean().cursor();
+
+  for await (const frame of cursor) {
+    const backAngle = migratedBackAngle(frame);
+    if (backAngle !== undefined) {
+      counts.documents++;
+      counts.frames++;
+      operations.push({
+        updateOne: { filter: { _id: frame._id }, update: { $set: { "angles.backAngle": backAngle } } },
+      });
+    }
+    if (operations.length >= BATCH_SIZE) {
+      await flush(PoseData, operations);
+    }
+  }
+  await flush(PoseData, operations);
+  return counts;
+};
+
+// Run script
+const run = async () => {
+  try {
+    await mongoose.connect(DB, { serverSelectionTimeoutMS: 10000 });
+    console.log(`Connected${DRY_RUN ? " (dry run, nothing is written)" : ""}`);
+
+    const sessions = await migrateSessions();
+    console.log(`✅ Sessions: ${sessions.frames} frames in ${sessions.documents} sessions`);
+
+    const poseData = await migratePoseData();
+    console.log(`✅ PoseData: ${poseData.frames} frames`);
+  } catch (error) {
+    console.error("Error migrating back angles:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
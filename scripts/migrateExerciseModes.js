@@ -0,0 +1,76 @@
+/**
+ * Apply the Catalog Exercise Modes
+ *
+ * Exercises default to the dynamic mode (reps), so catalog exercises imported
+ * before dev-data/exercises.json listed a mode are analyzed for reps even when
+ * they are holds (plank, wall sit, hollow hold, ...) or jumps (broad jump,
+ * tuck jump, depth jump, ...).
+ *
+ * This script sets the mode of every catalog exercise that has one in
+ * dev-data/exercises.json, matched by name. Only exercises still on the
+ * dynamic default are changed, so modes set by an admin are kept. Past
+ * sessions keep their analysis until they are re-scored.
+ *
+ * Usage:
+ * node scripts/migrateExerciseModes.js            # update the database
+ * node scripts/migrateExerciseModes.js --dry-run  # only report what would change
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dirname } from "path";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: path.join(__dirname, "../config.env") });
+
+// Models read the environment when they load, so import them after it
+const { default: Exercise } = await import("../src/models/Exercise.js");
+const { EXERCISE_MODES } = await import("../src/config/constants.js");
+
+const DB =
+  process.env.DATABASE?.replace("<PASSWORD>", process.env.DATABASE_PASSWORD || "") ||
+  process.env.MONGODB_URI ||
+  "mongodb://localhost:27017/fitness-form-helper";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const EXERCISES_FILE = path.join(__dirname, "../dev-data/exercises.json");
+
+// Run script
+const run = async () => {
+  try {
+    const catalog = JSON.parse(fs.readFileSync(EXERCISES_FILE, "utf-8")).filter(
+      (exercise) => exercise.mode && exercise.mode !== EXERCISE_MODES.DYNAMIC
+    );
+
+    await mongoose.connect(DB, { serverSelectionTimeoutMS: 10000 });
+    console.log(`Connected${DRY_RUN ? " (dry run, nothing is written)" : ""}`);
+
+    let updated = 0;
+    for (const { name, mode } of catalog) {
+      const filter = { name, mode: { $in: [EXERCISE_MODES.DYNAMIC, null] } };
+      const matches = await Exercise.countDocuments(filter);
+      if (matches === 0) {
+        continue;
+      }
+      if (!DRY_RUN) {
+        await Exercise.updateMany(filter, { $set: { mode } });
+      }
+      console.log(`- ${name}: ${mode}`);
+      updated += matches;
+    }
+
+    console.log(`✅ Exercises: ${updated} updated (${catalog.length} catalog exercises have a mode)`);
+  } catch (error) {
+    console.error("Error migrating exercise modes:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
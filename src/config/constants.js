@@ -118,6 +118,20 @@ export const EXERCISE_EQUIPMENT = {
  */
 export const EXERCISE_EQUIPMENT_ARRAY = Object.values(EXERCISE_EQUIPMENT);
 
+/**
+ * Exercise Modes
+ */
+export const EXERCISE_MODES = {
+  DYNAMIC: 'dynamic', // Repetitions (squats, curls, ...)
+  HOLD: 'hold', // Isometric holds (plank, wall-sit, ...)
+  PLYOMETRIC: 'plyometric', // Jumps (broad-jump, tuck-jump, ...), reps plus jump metrics
+};
+
+/**
+ * Exercise Modes Array
+ */
+export const EXERCISE_MODES_ARRAY = Object.values(EXERCISE_MODES);
+
 /**
  * Exercise Name Constraints
  */
@@ -142,6 +156,69 @@ export const ANGLES = {
   SHOULDER: { MIN: 0, MAX: 180 },
 };
 
+/**
+ * Form Rule Phases (part of each rep a rule is checked in)
+ */
+export const FORM_RULE_PHASES = {
+  ANY: 'any', // Every frame
+  START: 'start', // Leaving the resting position
+  BOTTOM: 'bottom', // Turning point of the rep (deepest point of a squat, top of a curl)
+  TOP: 'top', // Back at the resting position (lockout)
+};
+
+/**
+ * Form Rule Phases Array
+ */
+export const FORM_RULE_PHASES_ARRAY = Object.values(FORM_RULE_PHASES);
+
+/**
+ * Form Rule Sides (which side of the body a sided metric is measured on)
+ */
+export const FORM_RULE_SIDES = {
+  AVERAGE: 'average', // Mean of the visible sides
+  LEFT: 'left',
+  RIGHT: 'right',
+  BOTH: 'both', // Left and right checked as separate rules
+};
+
+/**
+ * Form Rule Sides Array
+ */
+export const FORM_RULE_SIDES_ARRAY = Object.values(FORM_RULE_SIDES);
+
+/**
+ * Form Rule Condition Operators
+ */
+export const FORM_RULE_OPERATORS = {
+  LESS_THAN: '<',
+  AT_MOST: '<=',
+  GREATER_THAN: '>',
+  AT_LEAST: '>=',
+  BETWEEN: 'between', // Inclusive min and max
+};
+
+/**
+ * Form Rule Condition Operators Array
+ */
+export const FORM_RULE_OPERATORS_ARRAY = Object.values(FORM_RULE_OPERATORS);
+
+/**
+ * Declarative Form Rules (Exercise.formRules.rules)
+ */
+export const FORM_RULES = {
+  MAX_RULES: 30, // Rules per exercise (left/right variants count once)
+  ID_PATTERN: /^[a-z][a-z0-9_]{0,49}$/, // Rule ids end up in feedback metadata
+  MAX_TEMPLATE_LENGTH: 300, // Characters in a message or suggestion template
+  PHASE_WINDOW: 0.15, // Seconds around a rep's start, turning point or end that count as that phase
+  DEFAULT_TOLERANCE: {
+    angle: 15, // Degrees past the threshold before a frame scores zero
+    distance: 0.1, // Torso lengths
+    ratio: 0.25,
+  },
+  MAX_DISTANCE: 3, // Torso lengths; upper bound for distance thresholds
+  MAX_RATIO: 10,
+};
+
 // ============================================
 // FEEDBACK CONSTANTS
 // ============================================
@@ -196,6 +273,15 @@ export const FEEDBACK_SUGGESTION = {
  */
 export const FEEDBACK_KEYPOINTS_LIMIT = 20;
 
+/**
+ * Rule-based Feedback Generation
+ */
+export const FEEDBACK_ENGINE = {
+  MIN_VIOLATION_FRAMES: 2, // Consecutive failing frames before a rule fires (filters single-frame noise)
+  MAX_ITEMS_PER_RULE: 5, // Keep only the worst occurrences of each rule
+  ERROR_DEVIATION: 15, // Degrees outside the range at which a warning becomes an error
+};
+
 /**
  * Feedback Priority Weights (for sorting)
  */
@@ -222,7 +308,7 @@ export const FEEDBACK_PRIORITY = {
  */
 export const SESSION_DURATION = {
   MIN: 1, // Minimum 1 second
-  MAX: 36000, // Maximum 10 hours (36000 seconds)
+  MAX: 1800, // Maximum half an hour (1800 seconds)
 };
 
 /**
@@ -245,6 +331,291 @@ export const SESSION_NOTES = {
  */
 export const SESSION_TAGS_LIMIT = 10;
 
+/**
+ * Session Statuses
+ */
+export const SESSION_STATUSES = {
+  DRAFT: 'draft', // Created for chunked frame upload, not analyzed yet
+  COMPLETED: 'completed',
+};
+
+/**
+ * Session Statuses Array
+ */
+export const SESSION_STATUSES_ARRAY = Object.values(SESSION_STATUSES);
+
+/**
+ * Server-side Scoring
+ */
+export const SCORING = {
+  ANGLE_TOLERANCE: 15, // Degrees outside a rule range before a frame scores zero for that rule
+  CLIENT_DIVERGENCE_THRESHOLD: 15, // Points between client and server score before the session is flagged
+};
+
+/**
+ * Scoring Methods (how a session's overallScore was produced)
+ */
+export const SCORING_METHODS = {
+  SERVER: 'server', // Computed from pose data against the exercise formRules
+  UNSCORED: 'unscored', // Not enough pose data or rules to compute a score
+};
+
+/**
+ * Scoring Methods Array
+ */
+export const SCORING_METHODS_ARRAY = Object.values(SCORING_METHODS);
+
+/**
+ * Repetition Detection
+ */
+export const REP_DETECTION = {
+  CANDIDATE_METRICS: ['kneeAngle', 'hipAngle', 'shoulderAngle'], // Angles that can drive rep cycles
+  SMOOTHING_WINDOW: 5, // Frames in the moving average applied before detection
+  MIN_RANGE_OF_MOTION: 25, // Degrees of travel needed before a metric is considered cyclic
+  BOTTOM_RATIO: 0.65, // Fraction of the range that must be travelled to count a rep
+  RETURN_RATIO: 0.35, // Fraction of the range below which the rep has returned to rest
+  REST_TOLERANCE_RATIO: 0.1, // Fraction of the range treated as "at rest" when trimming rep boundaries
+  PAUSE_ZONE_RATIO: 0.05, // Fraction of the range around the deepest point counted as the bottom pause
+  MIN_REP_DURATION: 0.4, // Seconds - shorter cycles are treated as noise
+};
+
+/**
+ * Left/Right Symmetry Analysis
+ */
+export const SYMMETRY = {
+  METRICS: ['kneeAngle', 'hipAngle', 'shoulderAngle', 'ankleAngle'], // Joints measured on both sides
+  IMBALANCE_THRESHOLD: 15, // Default symmetry index (%) above which a joint is flagged
+  MIN_FRAMES: 10, // Frames with both sides visible needed before a joint is analyzed
+};
+
+/**
+ * Tempo Phases (which phase a rep starts with)
+ */
+export const TEMPO_PHASES = {
+  ECCENTRIC: 'eccentric', // Lowering / lengthening under load (e.g. squat descent)
+  CONCENTRIC: 'concentric', // Lifting / shortening under load (e.g. curl up)
+};
+
+/**
+ * Tempo Phases Array
+ */
+export const TEMPO_PHASES_ARRAY = Object.values(TEMPO_PHASES);
+
+/**
+ * Tempo Analysis
+ */
+export const TEMPO = {
+  MAX_PHASE_SECONDS: 30, // Upper bound for a prescribed phase duration
+  TOLERANCE_SECONDS: 0.5, // Absolute slack per phase before a rep is off tempo
+  TOLERANCE_RATIO: 0.25, // Relative slack per phase (the larger of the two applies)
+  EXPLOSIVE: 'X', // Concentric written as X ("3-1-X"): as fast as possible, stored as explosive and not timed
+};
+
+/**
+ * Fatigue and Form Degradation Across a Set
+ */
+export const FATIGUE = {
+  MIN_REPS: 4, // Fewer reps can't show a trend
+  BASELINE_REPS: 2, // First reps the rest of the set is compared against
+  SUSTAINED_REPS: 2, // Consecutive degraded reps needed before form counts as broken down
+  METRICS: ['kneeAngle', 'hipAngle', 'backAngle', 'shoulderAngle'], // Angles watched for drift
+  ROM_LOSS_THRESHOLD: 15, // % range of motion lost vs. baseline
+  TEMPO_SLOWDOWN_THRESHOLD: 40, // % slower than baseline
+  SCORE_DROP_THRESHOLD: 15, // Score points lost vs. baseline
+  ANGLE_DRIFT_THRESHOLD: 10, // Degrees a joint's peak angle moved vs. baseline
+  // Degradation at which each indicator contributes 100 to the fatigue index
+  MAX_ROM_LOSS: 40,
+  MAX_TEMPO_SLOWDOWN: 100,
+  MAX_SCORE_DROP: 40,
+  MAX_ANGLE_DRIFT: 25,
+};
+
+/**
+ * Isometric Hold Analysis
+ */
+export const HOLD_ANALYSIS = {
+  MAX_FRAME_GAP: 0.5, // Seconds - longer gaps between frames don't count as hold time
+  GRACE_PERIOD: 0.5, // Seconds outside tolerance that don't interrupt a hold
+  BREAKDOWN_MIN_DURATION: 2, // Seconds form must stay broken to count as a breakdown
+  MAX_SWAY: 0.05, // Hip sway (RMS, torso lengths) above which the hold is unsteady
+};
+
+/**
+ * Jump Detection (plyometric exercises)
+ */
+export const JUMP_DETECTION = {
+  MIN_ANKLE_RISE: 0.15, // Torso lengths the ankles must leave the ground by to be airborne
+  MIN_HIP_RISE: 0.1, // Torso lengths the hips must rise - rules out lifting a single foot
+  GROUND_WINDOW: 1.5, // Seconds of history the ground level is taken from
+  MIN_FLIGHT_TIME: 0.1, // Seconds
+  MAX_FLIGHT_TIME: 1.2, // Seconds - longer "flights" are tracking errors
+  LANDING_WINDOW: 0.4, // Seconds after touchdown searched for the deepest knee bend
+  STIFF_LANDING_FLEXION: 30, // Knee flexion (degrees from straight) below which a landing is stiff
+  VALGUS_RATIO: 0.75, // Knee width / ankle width below which the knees cave in
+  MIN_ANKLE_WIDTH: 0.3, // Torso lengths - narrower stances are side views, valgus can't be judged
+  GRAVITY: 9.81, // m/s^2, for the flight time jump height estimate
+};
+
+/**
+ * Bar Path / Wrist Trajectory Tracking (loaded lifts)
+ */
+export const BAR_PATH = {
+  // Exercises tracked by default (slugs of the exercise name); others opt in through exercise.barPath
+  EXERCISES: ['deadlift', 'overhead-press', 'hang-clean', 'power-clean', 'front-squat'],
+  KEYPOINTS: ['left_wrist', 'right_wrist'], // Default keypoints, averaged into one point per frame
+  MIN_FRAMES: 10, // Frames with the keypoints visible needed for a path
+  MAX_DRIFT: 0.15, // Torso lengths the path may move forward of vertical before it's flagged
+  SIMPLIFY_TOLERANCE: 0.005, // Normalized image units - Douglas-Peucker tolerance of the stored path
+  MAX_POINTS: 150, // Upper bound on stored path points (tolerance is raised until it fits)
+  MIN_FACING_OFFSET: 0.05, // Torso lengths between nose and shoulders needed to tell forward from back
+};
+
+/**
+ * Reference Recording Sources
+ */
+export const REFERENCE_SOURCES = {
+  SESSION: 'session', // An existing session marked as the reference by an admin
+  UPLOAD: 'upload', // Pose data uploaded directly by an admin
+};
+
+/**
+ * Reference Recording Sources Array
+ */
+export const REFERENCE_SOURCES_ARRAY = Object.values(REFERENCE_SOURCES);
+
+/**
+ * Reference Comparison (dynamic time warping)
+ */
+export const REFERENCE_COMPARISON = {
+  METRICS: ['kneeAngle', 'hipAngle', 'backAngle', 'shoulderAngle'], // Angles aligned and compared
+  MIN_FRAMES: 10, // Frames with angles needed in a reference recording
+  MAX_SERIES_LENGTH: 400, // Longer series are resampled before alignment (DTW is O(n*m))
+  WINDOW_RATIO: 0.25, // Warping window as a share of the longer series
+  ZERO_SIMILARITY_DEVIATION: 45, // Mean deviation (degrees) at which similarity drops to 0
+};
+
+/**
+ * Key Frame Types (why a frame was marked as a key frame)
+ */
+export const KEY_FRAME_TYPES = {
+  REP_BOTTOM: 'rep_bottom', // Deepest point of a rep
+  ERROR_PEAK: 'error_peak', // Frame where a form error was at its worst
+  CHECKPOINT: 'checkpoint', // Best match of a demonstration form checkpoint
+};
+
+/**
+ * Key Frame Types Array
+ */
+export const KEY_FRAME_TYPES_ARRAY = Object.values(KEY_FRAME_TYPES);
+
+/**
+ * Key Frame Selection
+ */
+export const KEY_FRAMES = {
+  MAX_REP_BOTTOMS: 50, // Reps whose deepest point is marked
+  MAX_ERROR_PEAKS: 20, // Worst form errors marked (worst first)
+  MAX_CHECKPOINT_DEVIATION: 30, // Mean degrees from a checkpoint's keyAngles beyond which it isn't matched
+  MAX_LINK_DISTANCE: 2, // Seconds between feedback without a peak frame and the key frame it links to
+};
+
+/**
+ * Skeleton Image Formats
+ */
+export const SKELETON_FORMATS = {
+  SVG: 'svg',
+  PNG: 'png',
+};
+
+/**
+ * Skeleton Image Formats Array
+ */
+export const SKELETON_FORMATS_ARRAY = Object.values(SKELETON_FORMATS);
+
+/**
+ * Skeleton Rendering (stick figures drawn from stored keypoints)
+ */
+export const SKELETON_RENDER = {
+  DEFAULT_SIZE: 400, // Pixels (width and height) of standalone images
+  MIN_SIZE: 100,
+  MAX_SIZE: 1200,
+  PADDING_RATIO: 0.1, // Share of the box kept free around the figure
+  MIN_EXTENT: 0.2, // Smallest body extent (normalized units) scaled to the box, so partial bodies aren't blown up
+  PDF_ERROR_FRAMES: 3, // Error peak frames drawn in the session report
+  COLORS: {
+    BACKGROUND: '#ffffff',
+    BONE: '#1f6feb',
+    JOINT: '#0a3069',
+    VIOLATION: '#d1242f', // Joints and bones of rules the frame broke, and their angles
+  },
+};
+
+/**
+ * PDF Charts (line charts in session and progress exports)
+ */
+export const PDF_CHARTS = {
+  HEIGHT: 120, // Points per chart, axes included
+  SERIES_POINTS: 150, // Points per angle series after downsampling
+  MAX_TREND_EXERCISES: 5, // Exercises with their own line in the progress trends chart
+  MIN_TREND_SESSIONS: 2, // Scored sessions an exercise needs for a trend line
+  PALETTE: ['#1f6feb', '#d4731f', '#2da44e', '#8250df', '#bf3989'],
+  BAND_COLOR: '#2da44e', // Target range of a form rule / target score
+  MARKER_COLORS: {
+    error: '#d1242f',
+    warning: '#d4a72c',
+    info: '#1f6feb',
+  },
+};
+
+/**
+ * Re-scoring of Past Sessions (after a formRules change)
+ */
+export const RESCORE = {
+  DEFAULT_LIMIT: 100, // Sessions re-scored per request
+  MAX_LIMIT: 500,
+  UNCHANGED_SCORE_DELTA: 0.1, // Score change below which a session counts as unchanged
+  MAX_REPORT_SESSIONS: 100, // Sessions listed individually in the diff report (largest changes first)
+};
+
+/**
+ * Live Coaching (frames streamed during a set, cues pushed back as events)
+ */
+export const LIVE_COACHING = {
+  MAX_FRAMES_PER_MESSAGE: 90, // Frames per POST (3 seconds at 30fps)
+  MAX_FRAMES: 9000, // 5 minutes at 30fps - longer recordings use the chunked upload
+  MAX_EMBEDDED_FRAMES: 1800, // 1 minute at 30fps - longer sets are saved with their frames in PoseData
+  SETUP_FRAMES: 30, // Frames collected to detect the camera view before cues start
+  CUE_COOLDOWN: 3, // Seconds before the same rule is cued again
+  REP_DETECTION_INTERVAL: 0.5, // Seconds of frames between live rep detection runs
+  IDLE_TIMEOUT_MS: 2 * 60 * 1000, // A live session without frames for this long is ended and saved
+  RECONNECT_GRACE_MS: 30 * 1000, // Time to reopen the event stream before the session is ended and saved
+  HEARTBEAT_MS: 15 * 1000, // Keeps proxies from closing an idle event stream
+  SHUTDOWN_SAVE_TIMEOUT_MS: 8 * 1000, // Time live sessions get to save on shutdown before the database is closed
+  FRAME_REQUESTS_PER_MINUTE: 600, // Rate limit of frame posts per IP (they skip the general limit)
+};
+
+/**
+ * Live Coaching Events (server-sent event names)
+ */
+export const LIVE_EVENTS = {
+  READY: 'ready', // Stream opened, with the live session state
+  VIEWPOINT: 'viewpoint', // Camera view detected and rules adjusted to it
+  FEEDBACK: 'feedback', // A rule was violated
+  REP: 'rep', // A rep was completed
+  PHASE: 'phase', // The movement phase changed
+  COMPLETE: 'complete', // The session was saved (or discarded without frames)
+  ERROR: 'error',
+};
+
+/**
+ * Live Movement Phases (position along the driving angle's range of motion)
+ */
+export const LIVE_PHASES = {
+  REST: 'rest', // At the starting position
+  AWAY: 'away', // Moving away from rest (e.g. squat descent)
+  BOTTOM: 'bottom', // At the turning point
+  RETURN: 'return', // Moving back to rest
+};
+
 // ============================================
 // POSE DATA CONSTANTS
 // ============================================
@@ -275,6 +646,180 @@ export const POSE_QUALITY = {
   POOR: 0.3,
 };
 
+/**
+ * Session Pose Quality Report and Gating
+ */
+export const SESSION_QUALITY = {
+  MIN_USABLE_PERCENT: 60, // Sessions with fewer usable frames are flagged (POSE_QUALITY_MIN_USABLE_PERCENT overrides)
+  MIN_FRAME_CONFIDENCE: 0.5, // Average keypoint confidence of a usable frame
+  CORE_KEYPOINTS: [
+    ['left_shoulder', 'right_shoulder'],
+    ['left_hip', 'right_hip'],
+  ], // One keypoint of each pair must be visible in a usable frame
+  OCCLUSION_REPORT_RATE: 0.2, // Share of frames a keypoint must be hidden in to be reported
+  MAX_OCCLUDED_KEYPOINTS: 5, // Keypoints listed in the report
+  UNSEEN_RATE: 0.5, // Share of frames a body part must be hidden in for the "we couldn't see" message
+  LOW_LIGHT_CONFIDENCE: 0.35, // Average confidence below which a frame with the body in view is too dark
+  EDGE_MARGIN: 0.02, // Normalized image units - keypoints this close to the border are at the edge
+  OUT_OF_FRAME_MIN_KEYPOINTS: 2, // Hidden keypoints at the edge that mark a frame as out of frame
+  MIN_SEGMENT_DURATION: 0.5, // Seconds - shorter low-light / out-of-frame stretches aren't reported
+};
+
+/**
+ * Pose Quality Segment Types
+ */
+export const QUALITY_SEGMENT_TYPES = {
+  LOW_LIGHT: 'low_light',
+  OUT_OF_FRAME: 'out_of_frame',
+};
+
+/**
+ * Pose Quality Segment Types Array
+ */
+export const QUALITY_SEGMENT_TYPES_ARRAY = Object.values(QUALITY_SEGMENT_TYPES);
+
+/**
+ * Pose Estimation Models (skeleton formats accepted on ingest)
+ */
+export const POSE_MODELS = {
+  MOVENET: 'movenet', // 17 COCO keypoints, snake_case names
+  BLAZEPOSE: 'blazepose', // 33 keypoints with optional z
+  POSENET: 'posenet', // 17 COCO keypoints, camelCase names
+  MEDIAPIPE: 'mediapipe', // Same 33 keypoints as BlazePose, UPPER_CASE names and visibility
+  COCO: 'coco', // 17 COCO keypoints
+  OTHER: 'other',
+};
+
+/**
+ * Pose Estimation Models Array
+ */
+export const POSE_MODELS_ARRAY = Object.values(POSE_MODELS);
+
+/**
+ * Coordinate Frames for Normalized Poses
+ */
+export const POSE_COORDINATE_FRAMES = {
+  IMAGE: 'image', // Centered on the hips and scaled by torso length, image axes (y down)
+  BODY: 'body', // Additionally rotated so +y runs from the hips to the shoulders
+};
+
+/**
+ * Coordinate Frames Array
+ */
+export const POSE_COORDINATE_FRAMES_ARRAY = Object.values(POSE_COORDINATE_FRAMES);
+
+/**
+ * Pose Normalization
+ */
+export const POSE_NORMALIZATION = {
+  MIN_TORSO_LENGTH: 0.02, // Normalized image units - smaller torsos can't be measured reliably
+  MIN_CONFIDENCE: KEYPOINT_CONFIDENCE_THRESHOLD, // Shoulders/hips below this are not used as reference
+};
+
+/**
+ * Camera Views (direction the camera sees the user from)
+ */
+export const CAMERA_VIEWS = {
+  FRONT: 'front', // Facing the camera (or facing away)
+  SIDE: 'side', // Profile
+  OBLIQUE: 'oblique', // In between
+};
+
+/**
+ * Camera Views Array
+ */
+export const CAMERA_VIEWS_ARRAY = Object.values(CAMERA_VIEWS);
+
+/**
+ * Camera Viewpoint Detection and Angle Reliability
+ */
+export const VIEWPOINT = {
+  FRONT_MIN_WIDTH_RATIO: 0.45, // Shoulder/hip width in torso lengths at or above which the view is frontal
+  SIDE_MAX_WIDTH_RATIO: 0.2, // Width at or below which the view is a profile
+  VISIBILITY_ASYMMETRY: 0.25, // Left/right confidence gap that marks the far side as occluded (side view)
+  MIN_FRAMES: 5, // Frames needed to infer the view of a session
+  // Which angles can be measured from each view - flexion angles are projected
+  // onto the image plane, so they collapse when that plane doesn't contain them
+  ANGLE_RELIABILITY: {
+    front: { kneeAngle: false, hipAngle: false, backAngle: false, shoulderAngle: true, ankleAngle: false },
+    side: { kneeAngle: true, hipAngle: true, backAngle: true, shoulderAngle: true, ankleAngle: true },
+    oblique: { kneeAngle: true, hipAngle: true, backAngle: false, shoulderAngle: true, ankleAngle: false },
+  },
+  // What happens to rules on unreliable angles: skipped entirely, or kept at
+  // reduced weight with their feedback one severity level lower
+  UNRELIABLE_ACTIONS: {
+    front: 'skip',
+    side: 'skip',
+    oblique: 'downgrade',
+  },
+  DOWNGRADED_WEIGHT: 0.5, // Weight of a downgraded rule in the overall score
+};
+
+/**
+ * Keypoint Smoothing Filters
+ */
+export const POSE_FILTERS = {
+  ONE_EURO: 'one_euro', // Adaptive low-pass filter: smooth when still, responsive when moving
+  MOVING_AVERAGE: 'moving_average',
+  MEDIAN: 'median', // Robust against single-frame spikes
+  NONE: 'none', // Only outlier rejection and interpolation
+};
+
+/**
+ * Keypoint Smoothing Filters Array
+ */
+export const POSE_FILTERS_ARRAY = Object.values(POSE_FILTERS);
+
+/**
+ * Keypoint Filtering Defaults
+ */
+export const POSE_FILTER_DEFAULTS = {
+  METHOD: POSE_FILTERS.ONE_EURO,
+  MIN_CUTOFF: 1.0, // One-Euro minimum cutoff frequency (Hz)
+  BETA: 0.5, // One-Euro speed coefficient
+  D_CUTOFF: 1.0, // One-Euro cutoff frequency for the derivative (Hz)
+  WINDOW: 5, // Frames for moving average / median
+  MAX_SPEED: 5, // Normalized units per second - faster jumps are rejected as outliers
+  MIN_CONFIDENCE: KEYPOINT_CONFIDENCE_THRESHOLD, // Keypoints below this are interpolated
+  MAX_GAP: 10, // Longest run of missing frames that is interpolated
+  DEFAULT_FPS: 30, // Used when frame timestamps don't advance
+};
+
+/**
+ * Pose Data Storage Layouts (where a session's frames are kept)
+ */
+export const POSE_STORAGE = {
+  EMBEDDED: 'embedded', // In ExerciseSession.poseData.keypoints
+  CHUNKED: 'chunked', // One PoseData document per frame, uploaded in chunks
+};
+
+/**
+ * Pose Data Storage Layouts Array
+ */
+export const POSE_STORAGE_ARRAY = Object.values(POSE_STORAGE);
+
+/**
+ * Chunked Frame Ingestion
+ */
+export const FRAME_CHUNKS = {
+  MAX_FRAMES_PER_CHUNK: 600, // 20 seconds at 30fps
+  MAX_FRAMES_PER_SESSION: 108000, // Half an hour (the longest session) at 60fps
+  WRITE_BATCH_SIZE: 1000, // Frames per bulk write when storing filtered frames
+  FINALIZE_TIMEOUT: 5 * 60 * 1000, // ms a finalize claim holds before another request may take over a stalled one
+};
+
+/**
+ * Frame Queries (frames and angle series read back from a session)
+ */
+export const FRAME_QUERY = {
+  DEFAULT_LIMIT: 100, // Frames per page
+  MAX_LIMIT: 1000,
+  DEFAULT_SERIES_POINTS: 300, // Points per angle series after downsampling
+  MAX_SERIES_POINTS: 2000,
+  SERIES_ANGLES: ['kneeAngle', 'hipAngle', 'backAngle', 'shoulderAngle', 'ankleAngle'],
+  SIDE_SERIES_ANGLES: ['kneeAngle', 'hipAngle', 'shoulderAngle', 'ankleAngle'], // Requested as left.<angle> / right.<angle>
+};
+
 // ============================================
 // FILE UPLOAD CONSTANTS
 // ============================================
@@ -475,9 +1020,18 @@ export default {
   EXERCISE_DIFFICULTY_ARRAY,
   EXERCISE_EQUIPMENT,
   EXERCISE_EQUIPMENT_ARRAY,
+  EXERCISE_MODES,
+  EXERCISE_MODES_ARRAY,
   EXERCISE_NAME,
   EXERCISE_DESCRIPTION,
   ANGLES,
+  FORM_RULE_PHASES,
+  FORM_RULE_PHASES_ARRAY,
+  FORM_RULE_SIDES,
+  FORM_RULE_SIDES_ARRAY,
+  FORM_RULE_OPERATORS,
+  FORM_RULE_OPERATORS_ARRAY,
+  FORM_RULES,
   
   // Feedback
   FEEDBACK_TYPES,
@@ -487,6 +1041,7 @@ export default {
   FEEDBACK_MESSAGE,
   FEEDBACK_SUGGESTION,
   FEEDBACK_KEYPOINTS_LIMIT,
+  FEEDBACK_ENGINE,
   FEEDBACK_PRIORITY,
   
   // Session
@@ -494,11 +1049,57 @@ export default {
   SESSION_SCORE,
   SESSION_NOTES,
   SESSION_TAGS_LIMIT,
+  SESSION_STATUSES,
+  SESSION_STATUSES_ARRAY,
+  SCORING,
+  SCORING_METHODS,
+  SCORING_METHODS_ARRAY,
+  REP_DETECTION,
+  SYMMETRY,
+  TEMPO_PHASES,
+  TEMPO_PHASES_ARRAY,
+  TEMPO,
+  FATIGUE,
+  HOLD_ANALYSIS,
+  JUMP_DETECTION,
+  BAR_PATH,
+  REFERENCE_SOURCES,
+  REFERENCE_SOURCES_ARRAY,
+  REFERENCE_COMPARISON,
+  RESCORE,
+  LIVE_COACHING,
+  LIVE_EVENTS,
+  LIVE_PHASES,
   
   // Pose Data
   KEYPOINT_CONFIDENCE_THRESHOLD,
   KEYPOINT_COORDINATES,
   POSE_QUALITY,
+  SESSION_QUALITY,
+  QUALITY_SEGMENT_TYPES,
+  QUALITY_SEGMENT_TYPES_ARRAY,
+  POSE_MODELS,
+  POSE_MODELS_ARRAY,
+  POSE_COORDINATE_FRAMES,
+  POSE_COORDINATE_FRAMES_ARRAY,
+  POSE_NORMALIZATION,
+  CAMERA_VIEWS,
+  CAMERA_VIEWS_ARRAY,
+  VIEWPOINT,
+  POSE_FILTERS,
+  POSE_FILTERS_ARRAY,
+  POSE_FILTER_DEFAULTS,
+  POSE_STORAGE,
+  POSE_STORAGE_ARRAY,
+  FRAME_CHUNKS,
+  FRAME_QUERY,
+  KEY_FRAME_TYPES,
+  KEY_FRAME_TYPES_ARRAY,
+  KEY_FRAMES,
+  SKELETON_FORMATS,
+  SKELETON_FORMATS_ARRAY,
+  SKELETON_RENDER,
+  PDF_CHARTS,
   
   // File Upload
   FILE_SIZE,
@@ -6,9 +6,13 @@
  * - Getting exercises by ID, category, or difficulty
  * - Searching exercises
  * - Creating, updating, and deleting exercises (Admin only)
+ * - Setting the reference recording sessions are compared against (Admin only)
+ * - Form rules version history and re-scoring of past sessions (Admin only)
+ * - Trying out draft form rules on recorded sessions (Admin only)
  */
 
 import Exercise from '../models/Exercise.js';
+import ExerciseSession from '../models/ExerciseSession.js';
 import catchAsync from '../utils/catchAsync.js';
 import AppError from '../utils/appError.js';
 import {
@@ -16,9 +20,18 @@ import {
   API_STATUS,
   EXERCISE_CATEGORIES_ARRAY,
   EXERCISE_DIFFICULTY_ARRAY,
+  REFERENCE_SOURCES,
+  SESSION_STATUSES,
 } from '../config/constants.js';
 import { logInfo, logError } from '../utils/logger.js';
 import { validateObjectId, validateEnum } from '../utils/validators.js';
+import { parseTempo } from '../services/tempoService.js';
+import { processPoseData, getSessionPoseData } from '../services/poseService.js';
+import { resolvePoseDataFilter } from '../utils/poseFilters.js';
+import { buildReference } from '../services/referenceService.js';
+import { rescoreSessions } from '../services/rescoreService.js';
+import { previewFormRules } from '../services/sessionAnalysisService.js';
+import { validateFormRules, buildRulesVersionUpdate } from '../services/exerciseService.js';
 
 // ============================================
 // HELPER FUNCTIONS
@@ -438,6 +451,22 @@ export const createExercise = catchAsync(async (req, res, next) => {
     return next(new AppError('Exercise with this name already exists', HTTP_STATUS.CONFLICT));
   }
 
+  // Normalize tempo prescription ("3-1-1" or object)
+  if (req.body.tempo !== undefined) {
+    req.body.tempo = parseTempo(req.body.tempo) || undefined;
+  }
+
+  // Check angle ranges and declarative rules (metric, phase, condition, templates)
+  if (req.body.formRules) {
+    validateFormRules(req.body.formRules);
+  }
+
+  // The reference recording is set through its own endpoint, and rules
+  // versions are only ever created from formRules changes
+  delete req.body.reference;
+  delete req.body.rulesVersion;
+  delete req.body.ruleVersions;
+
   // Create new exercise
   const exercise = await Exercise.create(req.body);
 
@@ -476,7 +505,7 @@ export const updateExercise = catchAsync(async (req, res, next) => {
   }
 
   // Check if exercise exists
-  const exercise = await Exercise.findById(id);
+  const exercise = await Exercise.findById(id).select('+ruleVersions');
   if (!exercise) {
     return next(new AppError('Exercise not found', HTTP_STATUS.NOT_FOUND));
   }
@@ -493,8 +522,28 @@ export const updateExercise = catchAsync(async (req, res, next) => {
     }
   }
 
+  // Normalize tempo prescription (null clears it)
+  if (req.body.tempo !== undefined) {
+    req.body.tempo = parseTempo(req.body.tempo);
+  }
+
+  if (req.body.formRules) {
+    validateFormRules(req.body.formRules);
+  }
+
+  // The reference recording is set through its own endpoint
+  delete req.body.reference;
+  delete req.body.rulesVersion;
+  delete req.body.ruleVersions;
+
+  // A formRules change is stored as a new rules version; sessions scored
+  // under older versions can then be re-scored with POST /:id/rescore
+  const versionUpdate = req.body.formRules
+    ? buildRulesVersionUpdate(exercise, req.body.formRules, req.user?._id)
+    : null;
+
   // Update exercise
-  const updatedExercise = await Exercise.findByIdAndUpdate(id, req.body, {
+  const updatedExercise = await Exercise.findByIdAndUpdate(id, { ...req.body, ...versionUpdate }, {
     new: true, // Return updated document
     runValidators: true, // Run schema validators
   });
@@ -504,6 +553,7 @@ export const updateExercise = catchAsync(async (req, res, next) => {
     name: updatedExercise.name,
     updatedBy: req.user?._id?.toString(),
     updatedFields: Object.keys(req.body),
+    rulesVersion: updatedExercise.rulesVersion,
   });
 
   res.status(HTTP_STATUS.OK).json({
@@ -555,3 +605,325 @@ export const deleteExercise = catchAsync(async (req, res, next) => {
     message: 'Exercise deleted successfully',
   });
 });
+
+// ============================================
+// REFERENCE RECORDING (ADMIN ONLY)
+// ============================================
+
+/**
+ * @route   PUT /api/v1/exercises/:id/reference
+ * @desc    Set the reference recording from an existing session or uploaded pose data
+ * @access  Private (Admin only)
+ * @params  id - Exercise ID
+ * @body    sessionId or poseData ({ keypoints, fps, poseModel, imageWidth, imageHeight, filter })
+ */
+export const setExerciseReference = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { sessionId, poseData } = req.body;
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  if (!sessionId && !poseData) {
+    return next(new AppError('Either sessionId or poseData is required', HTTP_STATUS.BAD_REQUEST));
+  }
+  if (sessionId && poseData) {
+    return next(new AppError('Provide either sessionId or poseData, not both', HTTP_STATUS.BAD_REQUEST));
+  }
+
+  // Check if exercise exists
+  const exercise = await Exercise.findById(id);
+  if (!exercise) {
+    return next(new AppError('Exercise not found', HTTP_STATUS.NOT_FOUND));
+  }
+
+  let frames;
+  if (sessionId) {
+    const sessionIdValidation = validateObjectId(sessionId);
+    if (!sessionIdValidation.valid) {
+      return next(new AppError(sessionIdValidation.error, HTTP_STATUS.BAD_REQUEST));
+    }
+
+    const session = await ExerciseSession.findById(sessionId).select('exerciseId status poseData').lean();
+    if (!session) {
+      return next(new AppError('Session not found', HTTP_STATUS.NOT_FOUND));
+    }
+    if (session.exerciseId.toString() !== id) {
+      return next(new AppError('Session was recorded for a different exercise', HTTP_STATUS.BAD_REQUEST));
+    }
+    if (session.status === SESSION_STATUSES.DRAFT) {
+      return next(new AppError('Session has not been finalized yet', HTTP_STATUS.BAD_REQUEST));
+    }
+    // Stored keypoints are already filtered and have server-calculated angles
+    frames = (await getSessionPoseData(session))?.keypoints;
+  } else {
+    if (!Array.isArray(poseData.keypoints) || poseData.keypoints.length === 0) {
+      return next(new AppError('poseData.keypoints must be a non-empty array', HTTP_STATUS.BAD_REQUEST));
+    }
+    const { filter, ...rawPoseData } = poseData;
+    frames = processPoseData(rawPoseData, {
+      filter: resolvePoseDataFilter(filter),
+      recalculateAngles: true,
+      calculateDistances: false,
+      assessQuality: false,
+    }).keypoints;
+  }
+
+  const reference = {
+    ...buildReference(frames, exercise),
+    source: sessionId ? REFERENCE_SOURCES.SESSION : REFERENCE_SOURCES.UPLOAD,
+    sessionId: sessionId || undefined,
+    setBy: req.user?._id,
+    setAt: new Date(),
+  };
+
+  exercise.reference = reference;
+  await exercise.save();
+
+  logInfo('Exercise reference set', {
+    exerciseId: id,
+    source: reference.source,
+    sessionId,
+    frames: reference.frames.length,
+    repCount: reference.repCount,
+    setBy: req.user?._id?.toString(),
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: {
+      reference: {
+        source: reference.source,
+        sessionId: reference.sessionId,
+        metrics: reference.metrics,
+        frameCount: reference.frames.length,
+        duration: reference.duration,
+        repCount: reference.repCount,
+        setAt: reference.setAt,
+      },
+    },
+  });
+});
+
+/**
+ * @route   DELETE /api/v1/exercises/:id/reference
+ * @desc    Remove the reference recording
+ * @access  Private (Admin only)
+ * @params  id - Exercise ID
+ */
+export const deleteExerciseReference = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  const exercise = await Exercise.findByIdAndUpdate(id, { $unset: { reference: 1 } });
+  if (!exercise) {
+    return next(new AppError('Exercise not found', HTTP_STATUS.NOT_FOUND));
+  }
+
+  logInfo('Exercise reference removed', {
+    exerciseId: id,
+    removedBy: req.user?._id?.toString(),
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    message: 'Exercise reference removed successfully',
+  });
+});
+
+// ============================================
+// FORM RULES VERSIONS (ADMIN ONLY)
+// ============================================
+
+/**
+ * @route   GET /api/v1/exercises/:id/rule-versions
+ * @desc    Get the formRules version history of an exercise
+ * @access  Private (Admin only)
+ * @params  id - Exercise ID
+ */
+export const getExerciseRuleVersions = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  const exercise = await Exercise.findById(id).select('name formRules rulesVersion +ruleVersions').lean();
+  if (!exercise) {
+    return next(new AppError('Exercise not found', HTTP_STATUS.NOT_FOUND));
+  }
+
+  // Sessions scored per version show how much of the history is comparable
+  const sessionCounts = await ExerciseSession.aggregate([
+    { $match: { exerciseId: exercise._id, status: { $ne: SESSION_STATUSES.DRAFT } } },
+    { $group: { _id: '$scoring.rulesVersion', count: { $sum: 1 } } },
+  ]);
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: {
+      exerciseId: id,
+      name: exercise.name,
+      rulesVersion: exercise.rulesVersion || 1,
+      versions: [...(exercise.ruleVersions || [])].sort((a, b) => b.version - a.version),
+      sessionsByVersion: sessionCounts
+        .map((entry) => ({ rulesVersion: entry._id ?? null, count: entry.count }))
+        .sort((a, b) => (b.rulesVersion || 0) - (a.rulesVersion || 0)),
+    },
+  });
+});
+
+/**
+ * @route   POST /api/v1/exercises/:id/rescore
+ * @desc    Re-score past sessions under the current formRules version and
+ *          regenerate their feedback; returns a diff report
+ * @access  Private (Admin only)
+ * @params  id - Exercise ID
+ * @body    dryRun (report without saving), force (include sessions already on the
+ *          current version and retry sessions that failed under it - skipped
+ *          otherwise), limit (sessions per batch; call again while remaining > 0)
+ */
+export const rescoreExerciseSessions = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  // The reference recording is needed to re-run the reference comparison
+  const exercise = await Exercise.findById(id).select('+reference');
+  if (!exercise) {
+    return next(new AppError('Exercise not found', HTTP_STATUS.NOT_FOUND));
+  }
+
+  const { dryRun, force, limit } = req.body || {};
+  const report = await rescoreSessions(exercise, {
+    dryRun: dryRun === true || dryRun === 'true',
+    force: force === true || force === 'true',
+    limit,
+    requestedBy: req.user?._id?.toString(),
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    message: report.dryRun
+      ? `Dry run: ${report.changed} of ${report.rescored} sessions would change`
+      : `Re-scored ${report.rescored} sessions (${report.changed} changed, ${report.failed} failed, ${report.remaining} remaining)`,
+    data: {
+      report,
+    },
+  });
+});
+
+/**
+ * @route   POST /api/v1/exercises/:id/rules/sandbox
+ * @desc    Preview draft formRules on a stored session or inline pose data -
+ *          returns the score, feedback and per-frame rule evaluations the draft
+ *          would produce next to the current rules' result; nothing is saved
+ * @access  Private (Admin only)
+ * @params  id - Exercise ID
+ * @body    formRules (draft), and sessionId or poseData ({ keypoints, fps, poseModel, imageWidth,
+ *          imageHeight, filter })
+ */
+export const sandboxFormRules = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const { formRules, sessionId, poseData } = req.body;
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  if (!formRules || typeof formRules !== 'object' || Array.isArray(formRules)) {
+    return next(new AppError('formRules (the draft rule set) is required', HTTP_STATUS.BAD_REQUEST));
+  }
+  if (!sessionId && !poseData) {
+    return next(new AppError('Either sessionId or poseData is required', HTTP_STATUS.BAD_REQUEST));
+  }
+  if (sessionId && poseData) {
+    return next(new AppError('Provide either sessionId or poseData, not both', HTTP_STATUS.BAD_REQUEST));
+  }
+
+  // Same checks as saving the rules would run
+  validateFormRules(formRules);
+
+  // The reference recording is needed for the reference comparison
+  const exercise = await Exercise.findById(id).select('+reference');
+  if (!exercise) {
+    return next(new AppError('Exercise not found', HTTP_STATUS.NOT_FOUND));
+  }
+
+  let processed;
+  if (sessionId) {
+    const sessionIdValidation = validateObjectId(sessionId);
+    if (!sessionIdValidation.valid) {
+      return next(new AppError(sessionIdValidation.error, HTTP_STATUS.BAD_REQUEST));
+    }
+
+    const session = await ExerciseSession.findById(sessionId).select('exerciseId status poseData').lean();
+    if (!session) {
+      return next(new AppError('Session not found', HTTP_STATUS.NOT_FOUND));
+    }
+    if (session.exerciseId.toString() !== id) {
+      return next(new AppError('Session was recorded for a different exercise', HTTP_STATUS.BAD_REQUEST));
+    }
+    if (session.status === SESSION_STATUSES.DRAFT) {
+      return next(new AppError('Session has not been finalized yet', HTTP_STATUS.BAD_REQUEST));
+    }
+    const sessionPoseData = await getSessionPoseData(session);
+    if (!sessionPoseData?.keypoints?.length) {
+      return next(new AppError('Session has no pose data', HTTP_STATUS.BAD_REQUEST));
+    }
+    // Stored keypoints are already canonical and filtered
+    processed = processPoseData(sessionPoseData, {
+      canonicalize: false,
+      filter: false,
+      recalculateAngles: true,
+      calculateDistances: false,
+      assessQuality: false,
+    });
+  } else {
+    if (!Array.isArray(poseData.keypoints) || poseData.keypoints.length === 0) {
+      return next(new AppError('poseData.keypoints must be a non-empty array', HTTP_STATUS.BAD_REQUEST));
+    }
+    // Processed exactly like the pose data of a new session
+    const { filter, ...rawPoseData } = poseData;
+    processed = processPoseData(rawPoseData, {
+      filter: resolvePoseDataFilter(filter),
+      recalculateAngles: true,
+      calculateDistances: false,
+      assessQuality: false,
+    });
+  }
+
+  const preview = previewFormRules(processed, exercise, formRules);
+
+  logInfo('Form rules sandbox run', {
+    exerciseId: id,
+    sessionId,
+    frames: processed.keypoints.length,
+    score: preview.overallScore,
+    scoreChange: preview.comparison.scoreChange,
+    runBy: req.user?._id?.toString(),
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: {
+      preview,
+    },
+  });
+});
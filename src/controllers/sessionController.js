@@ -3,9 +3,12 @@
  *
  * Handles all exercise session-related operations including:
  * - Creating, updating, and deleting sessions
+ * - Long sessions uploaded as a draft, frame chunks and a finalize call
+ * - Live coaching while frames are streamed during a set
  * - Getting user's sessions with filtering and pagination
  * - Getting sessions by exercise, top sessions, recent sessions
  * - Getting session statistics and progress data
+ * - Querying frames and downsampled angle series of a session
  */
 
 import ExerciseSession from "../models/ExerciseSession.js";
@@ -20,6 +23,20 @@ import {
   API_STATUS,
   SESSION_DURATION,
   SESSION_SCORE,
+  SCORING_METHODS,
+  SESSION_STATUSES,
+  POSE_STORAGE,
+  POSE_MODELS,
+  FRAME_CHUNKS,
+  LIVE_COACHING,
+  FRAME_QUERY,
+  POSE_COORDINATE_FRAMES_ARRAY,
+  SKELETON_FORMATS,
+  SKELETON_FORMATS_ARRAY,
+  SKELETON_RENDER,
+  KEY_FRAME_TYPES,
+  PDF_CHARTS,
+  FEEDBACK_SEVERITY,
 } from "../config/constants.js";
 import { logInfo, logError, logWarn } from "../utils/logger.js";
 import { validateObjectId } from "../utils/validators.js";
@@ -32,11 +49,64 @@ import {
   extractPublicId,
   isConfigured as isCloudinaryConfigured,
 } from "../config/cloudinary.js";
+import {
+  processPoseData,
+  calculateAverageAngles,
+  createPoseFramesBatch,
+  countPoseFrames,
+  loadPoseFrames,
+  storeProcessedPoseFrames,
+  markPoseKeyFrames,
+  getSessionPoseData,
+  loadSessionFramesByNumber,
+  deletePoseFrames,
+  querySessionFrames,
+  validateSeriesAngles,
+  getSessionAngleSeries,
+} from "../services/poseService.js";
+import { analyzeSession } from "../services/sessionAnalysisService.js";
+import { formatTempo } from "../services/tempoService.js";
+import { compareToReference } from "../services/referenceService.js";
+import {
+  startLiveSession,
+  getLiveSession,
+  subscribeLiveSession,
+  addLiveFrames,
+  endLiveSession,
+} from "../services/liveCoachingService.js";
+import {
+  getKeyFrameNumbers,
+  getKeyFrameSnapshots,
+  findWorstRep,
+  compareWorstRepToDemo,
+} from "../services/keyFrameService.js";
+import {
+  getSessionRules,
+  renderSessionFrame,
+  drawFrameSkeletonPdf,
+} from "../services/skeletonService.js";
+import { FORM_RULE_METRICS } from "../services/formRuleService.js";
+import { compareSessions } from "../services/sessionComparisonService.js";
+import { drawLineChart } from "../utils/pdfCharts.js";
+import { detectPoseModel, readImageSize } from "../utils/skeletonAdapters.js";
+import { resolvePoseDataFilter } from "../utils/poseFilters.js";
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
+/**
+ * Fields a user can change on an existing session
+ * @private
+ */
+const UPDATABLE_SESSION_FIELDS = [
+  "notes",
+  "tags",
+  "isPublic",
+  "videoUrl",
+  "thumbnailUrl",
+];
+
 /**
  * Verify that session exists and belongs to the user
  * @private
@@ -62,6 +132,30 @@ const verifySessionAccess = async (sessionId, userId) => {
   return session;
 };
 
+/**
+ * Load the two sessions of a comparison (?a=&b=), both owned by the user
+ * @private
+ * @param {Object} query - Request query
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} [a, b] session documents
+ */
+const loadComparedSessions = async (query, userId) => {
+  for (const key of ["a", "b"]) {
+    const validation = validateObjectId(query[key]);
+    if (!validation.valid) {
+      throw new AppError(
+        `Session ${key}: ${validation.error}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  }
+
+  return Promise.all([
+    verifySessionAccess(query.a, userId),
+    verifySessionAccess(query.b, userId),
+  ]);
+};
+
 /**
  * Build sort object from request query
  * @private
@@ -133,6 +227,142 @@ const buildDateRangeFilter = (query) => {
   return Object.keys(filter).length > 0 ? filter : null;
 };
 
+/**
+ * Build a frame time window from start and end query parameters
+ * @private
+ * @param {Object} query - Request query object
+ * @returns {Object} { startTime, endTime } in seconds (either may be undefined)
+ */
+const buildFrameWindow = (query) => {
+  const window = {};
+
+  [
+    ["start", "startTime"],
+    ["end", "endTime"],
+  ].forEach(([param, key]) => {
+    if (query[param] === undefined || query[param] === "") {
+      return;
+    }
+    const value = Number(query[param]);
+    if (isNaN(value) || value < 0) {
+      throw new AppError(
+        `${param} must be a non-negative number of seconds`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    window[key] = value;
+  });
+
+  if (
+    window.startTime !== undefined &&
+    window.endTime !== undefined &&
+    window.startTime > window.endTime
+  ) {
+    throw new AppError("start must not be after end", HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return window;
+};
+
+/**
+ * Whether a draft is claimed by a finalize request that hasn't stalled
+ * @private
+ * @param {Object} session - Draft session
+ * @returns {boolean} True while frames must not be added
+ */
+const isFinalizing = (session) =>
+  Boolean(session.finalizingAt) &&
+  Date.now() - session.finalizingAt.getTime() < FRAME_CHUNKS.FINALIZE_TIMEOUT;
+
+/**
+ * Update the user's stats and streak after a session was recorded
+ * Errors are logged but don't fail the request.
+ * @private
+ * @param {Object} session - Completed session
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const updateUserSessionStats = async (session, userId) => {
+  try {
+    const user = await User.findById(userId);
+    if (user) {
+      // Update streak and general stats (total sessions, duration, average score, etc.)
+      await user.recordSession(session);
+
+      logInfo("User stats and streak updated", {
+        userId,
+        newStreak: user.stats.streak,
+        totalSessions: user.stats.totalSessions,
+      });
+    }
+  } catch (statsError) {
+    // Log error but don't fail the session creation
+    logError("Failed to update user stats/streak", statsError);
+  }
+};
+
+/**
+ * Draw a bar path polyline into a box of the PDF, with the vertical line
+ * through the starting position as reference
+ * @private
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array<Object>} path - Path points { x, y } in normalized image coordinates
+ * @param {number} x - Box left
+ * @param {number} y - Box top
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ */
+const drawBarPath = (doc, path, x, y, width, height) => {
+  const padding = 10;
+  const xs = path.map((point) => point.x);
+  const ys = path.map((point) => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  // Floor the ranges so tracking noise on a short path isn't blown up
+  const rangeX = Math.max(Math.max(...xs) - minX, 0.05);
+  const rangeY = Math.max(Math.max(...ys) - minY, 0.05);
+  const scale = Math.min(
+    (width - padding * 2) / rangeX,
+    (height - padding * 2) / rangeY
+  );
+
+  // Center the path in the box, keeping x and y on the same scale
+  const offsetX = x + (width - rangeX * scale) / 2;
+  const offsetY = y + (height - rangeY * scale) / 2;
+  const toPage = (point) => [
+    offsetX + (point.x - minX) * scale,
+    offsetY + (point.y - minY) * scale,
+  ];
+
+  doc.save();
+  doc.lineWidth(0.5).strokeColor("#cccccc").rect(x, y, width, height).stroke();
+
+  const [startX] = toPage(path[0]);
+  doc
+    .dash(3, { space: 3 })
+    .strokeColor("#999999")
+    .moveTo(startX, y + 2)
+    .lineTo(startX, y + height - 2)
+    .stroke()
+    .undash();
+
+  doc.lineWidth(1.5).strokeColor("#1f6feb");
+  path.forEach((point, index) => {
+    const [px, py] = toPage(point);
+    if (index === 0) {
+      doc.moveTo(px, py);
+    } else {
+      doc.lineTo(px, py);
+    }
+  });
+  doc.stroke();
+
+  const [firstX, firstY] = toPage(path[0]);
+  doc.fillColor("#2da44e").circle(firstX, firstY, 3).fill();
+  doc.restore();
+  doc.fillColor("black").strokeColor("black");
+};
+
 // ============================================
 // CREATE SESSION
 // ============================================
@@ -141,7 +371,11 @@ const buildDateRangeFilter = (query) => {
  * @route   POST /api/v1/sessions
  * @desc    Create a new exercise session
  * @access  Private
- * @body    exerciseId, duration, poseData, overallScore, etc.
+ * @body    exerciseId, duration, poseData, overallScore (client hint only), etc.
+ *          poseData.filter - false to skip keypoint filtering, or filter
+ *          parameters (defaults when omitted)
+ *          poseData.imageWidth, imageHeight - required with pixel coordinates
+ *          (e.g. PoseNet); keypoints must otherwise be normalized to 0-1
  */
 export const createSession = catchAsync(async (req, res, next) => {
   const userId = req.user._id.toString();
@@ -159,8 +393,8 @@ export const createSession = catchAsync(async (req, res, next) => {
     return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
   }
 
-  // Verify exercise exists
-  const exercise = await Exercise.findById(exerciseId);
+  // Verify exercise exists (with its reference recording for the comparison)
+  const exercise = await Exercise.findById(exerciseId).select("+reference");
   if (!exercise) {
     return next(new AppError("Exercise not found", HTTP_STATUS.NOT_FOUND));
   }
@@ -177,7 +411,7 @@ export const createSession = catchAsync(async (req, res, next) => {
     }
   }
 
-  // Validate overallScore
+  // Validate overallScore (client score is only kept as a hint)
   if (req.body.overallScore !== undefined) {
     if (
       req.body.overallScore < SESSION_SCORE.MIN ||
@@ -192,24 +426,61 @@ export const createSession = catchAsync(async (req, res, next) => {
     }
   }
 
-  // Debug: Log raw req.body to see what we're receiving
-  console.log("🔍 DEBUG - Raw req.body.feedback:", {
-    exists: !!req.body.feedback,
-    type: typeof req.body.feedback,
-    isArray: Array.isArray(req.body.feedback),
-    constructor: req.body.feedback?.constructor?.name,
-    keys: req.body.feedback && typeof req.body.feedback === 'object' ? Object.keys(req.body.feedback) : null,
-    length: req.body.feedback?.length,
-    stringified: JSON.stringify(req.body.feedback).substring(0, 200),
-  });
-  
-  // Extract feedback from req.body BEFORE creating session
-  // This prevents it from being lost or modified during session creation
-  const { feedback: feedbackFromBody, ...sessionData } = req.body;
-  
+  // Strip client-reported feedback and scores from the body before creating
+  // the session - both are generated on the server from the pose data
+  const {
+    feedback: _clientFeedback,
+    overallScore: clientScore,
+    scoring: _clientScoring,
+    repAnalysis: _clientRepAnalysis,
+    symmetry: _clientSymmetry,
+    viewpoint: _clientViewpoint,
+    poseQuality: _clientPoseQuality,
+    fatigue: _clientFatigue,
+    holdAnalysis: _clientHoldAnalysis,
+    jumpAnalysis: _clientJumpAnalysis,
+    barPath: _clientBarPath,
+    referenceComparison: _clientReferenceComparison,
+    status: _clientStatus,
+    ...sessionData
+  } = req.body;
+
+  // Filter the raw keypoints, recalculate angles and score them against formRules
+  const { filter: requestedFilter, ...rawPoseData } = sessionData.poseData || {};
+  const poseData = sessionData.poseData
+    ? processPoseData(rawPoseData, {
+        filter: resolvePoseDataFilter(requestedFilter),
+        recalculateAngles: true,
+        calculateDistances: false,
+        assessQuality: false,
+      })
+    : sessionData.poseData;
+
+  // Score the pose data and run every analysis the exercise calls for
+  const { fields: analysis, feedback: feedbackData } = analyzeSession(
+    poseData,
+    exercise,
+    {
+      clientScore: clientScore !== undefined ? Number(clientScore) : undefined,
+    }
+  );
+  const { overallScore, scoring } = analysis;
+
+  if (scoring.flagged) {
+    logWarn("Client score diverges from server score", {
+      userId,
+      exerciseId,
+      clientScore: scoring.clientScore,
+      serverScore: overallScore,
+      divergence: scoring.divergence,
+    });
+  }
+
   // Create session (without feedback field, as it's not part of the schema)
   const session = await ExerciseSession.create({
     ...sessionData,
+    poseData: poseData && { ...poseData, storage: POSE_STORAGE.EMBEDDED },
+    ...analysis,
     userId,
     exerciseId,
   });
@@ -218,29 +489,7 @@ export const createSession = catchAsync(async (req, res, next) => {
   await session.populate("exerciseId", "name category difficulty");
 
   // Update user stats and streak
-  try {
-    const user = await User.findById(userId);
-    if (user) {
-      // Update streak first (based on last activity date)
-      await user.updateStreak();
-
-      // Update general stats (total sessions, duration, average score, etc.)
-      await user.updateStats({
-        duration: session.duration || 0,
-        overallScore: session.overallScore,
-        exerciseId: exerciseId,
-      });
-
-      logInfo("User stats and streak updated", {
-        userId,
-        newStreak: user.stats.streak,
-        totalSessions: user.stats.totalSessions,
-      });
-    }
-  } catch (statsError) {
-    // Log error but don't fail the session creation
-    logError("Failed to update user stats/streak", statsError);
-  }
+  await updateUserSessionStats(session, userId);
 
   logInfo("Session created", {
     sessionId: session._id.toString(),
@@ -248,76 +497,15 @@ export const createSession = catchAsync(async (req, res, next) => {
     exerciseId,
     duration: session.duration,
     score: session.overallScore,
+    scoringMethod: session.scoring?.method,
+    repCount: session.repAnalysis?.count || 0,
   });
 
-  // Process feedback data (we already extracted it above as feedbackFromBody)
-  // Ensure feedback is always an array
-  // Sometimes arrays get converted to objects during JSON parsing or middleware processing
-  let feedbackData = [];
-  
-  // Debug: Log raw feedback from body
-  console.log("🔍 DEBUG - Raw feedbackFromBody:", {
-    type: typeof feedbackFromBody,
-    isArray: Array.isArray(feedbackFromBody),
-    value: feedbackFromBody,
-  });
-  
-  if (feedbackFromBody) {
-    if (Array.isArray(feedbackFromBody)) {
-      // Already an array - perfect!
-      feedbackData = feedbackFromBody;
-      console.log("🔍 DEBUG - Feedback is already an array, length:", feedbackData.length);
-    } else if (typeof feedbackFromBody === 'object' && feedbackFromBody !== null) {
-      // It's an object - could be:
-      // 1. A single feedback object: {type: 'error', ...}
-      // 2. An array converted to object with numeric keys: {0: {...}, 1: {...}, length: 2}
-      // 3. An array converted to object: {'0': {...}, '1': {...}}
-      
-      const keys = Object.keys(feedbackFromBody);
-      console.log("🔍 DEBUG - Feedback is object, keys:", keys);
-      
-      // Check if it looks like an array that was converted to an object
-      // Arrays converted to objects typically have numeric string keys
-      const numericKeys = keys.filter(key => {
-        const num = parseInt(key);
-        return !isNaN(num) && num.toString() === key && num >= 0;
-      });
-      
-      console.log("🔍 DEBUG - Numeric keys found:", numericKeys);
-      
-      if (numericKeys.length > 0 && numericKeys.length === keys.length) {
-        // It's an object with all numeric keys - convert back to array
-        // Sort keys numerically to maintain order
-        const sortedKeys = numericKeys.sort((a, b) => parseInt(a) - parseInt(b));
-        feedbackData = sortedKeys.map(key => feedbackFromBody[key]);
-        console.log("🔍 DEBUG - Converted object with numeric keys to array, length:", feedbackData.length);
-      } else if (numericKeys.length > 0) {
-        // Mixed keys - extract numeric ones and convert to array
-        const sortedKeys = numericKeys.sort((a, b) => parseInt(a) - parseInt(b));
-        feedbackData = sortedKeys.map(key => feedbackFromBody[key]);
-        console.log("🔍 DEBUG - Extracted numeric keys from mixed object, length:", feedbackData.length);
-      } else {
-        // It's a single feedback object - wrap it in an array
-        feedbackData = [feedbackFromBody];
-        console.log("🔍 DEBUG - Wrapped single object in array");
-      }
-    }
-  }
-  
-  // Debug: Log what we received and what we converted it to
-  console.log("🔍 DEBUG - Feedback conversion result:", {
-    originalType: typeof feedbackFromBody,
-    originalIsArray: Array.isArray(feedbackFromBody),
-    originalKeys: feedbackFromBody && typeof feedbackFromBody === 'object' ? Object.keys(feedbackFromBody) : null,
-    convertedType: Array.isArray(feedbackData) ? "array" : typeof feedbackData,
-    convertedLength: feedbackData.length,
-  });
-  
   let createdFeedback = [];
   let enhancedFeedback = [];
   let aiEnhancementSucceeded = false;
 
-  logInfo("Session creation - feedback data received", {
+  logInfo("Session creation - rule feedback generated", {
     sessionId: session._id.toString(),
     feedbackCount: feedbackData.length,
     hasFeedback: feedbackData.length > 0,
@@ -333,36 +521,12 @@ export const createSession = catchAsync(async (req, res, next) => {
     nodeEnv: process.env.NODE_ENV,
   });
 
-  // Create feedback entries if provided
+  // Create feedback entries if any rule fired
   if (feedbackData.length > 0) {
     try {
-      // Create feedback entries
-      // Map frontend feedback types to backend enum values
-      // Frontend sends: 'error', 'warning', etc.
-      // Backend expects: 'form_error', 'improvement', 'encouragement', 'warning', 'info'
-      const mapFeedbackType = (type) => {
-        const typeMap = {
-          error: "form_error",
-          form_error: "form_error",
-          warning: "warning",
-          improvement: "improvement",
-          encouragement: "encouragement",
-          info: "info",
-        };
-        return typeMap[type] || "form_error";
-      };
-
       const feedbackToCreate = feedbackData.map((fb) => ({
+        ...fb,
         sessionId: session._id,
-        type: mapFeedbackType(fb.type),
-        severity: fb.severity || "error",
-        message: fb.message || "No message provided",
-        suggestion: fb.suggestion || null,
-        timestamp: fb.timestamp || 0,
-        keypoints: fb.keypoints || [],
-        aiGenerated: false,
-        confidence: fb.confidence || 0.8,
-        metadata: fb.metadata || {},
       }));
 
       logInfo("Feedback data prepared for insertion", {
@@ -867,96 +1031,86 @@ export const createSession = catchAsync(async (req, res, next) => {
 });
 
 // ============================================
-// GET USER SESSIONS
+// CHUNKED SESSIONS
 // ============================================
 
 /**
- * @route   GET /api/v1/sessions
- * @desc    Get user's sessions with optional filtering and pagination
+ * @route   POST /api/v1/sessions/draft
+ * @desc    Create a draft session whose frames are uploaded in chunks
  * @access  Private
- * @query   exerciseId, limit, page, sort, startDate, endDate
+ * @body    exerciseId, fps, poseModel, imageWidth and imageHeight (required
+ *          with pixel coordinates), notes, tags, isPublic, recordedAt
  */
-export const getUserSessions = catchAsync(async (req, res, next) => {
+export const createSessionDraft = catchAsync(async (req, res, next) => {
   const userId = req.user._id.toString();
+  const { exerciseId, fps, poseModel, notes, tags, isPublic, recordedAt } =
+    req.body;
+  const imageSize = readImageSize(req.body);
 
-  // Build filter
-  const filter = { userId };
-
-  // Filter by exerciseId
-  if (req.query.exerciseId) {
-    const idValidation = validateObjectId(req.query.exerciseId);
-    if (!idValidation.valid) {
-      return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
-    }
-    filter.exerciseId = req.query.exerciseId;
+  const idValidation = validateObjectId(exerciseId);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
   }
 
-  // Filter by date range
-  const dateFilter = buildDateRangeFilter(req.query);
-  if (dateFilter) {
-    filter.recordedAt = dateFilter;
+  const exercise = await Exercise.findById(exerciseId).select("name");
+  if (!exercise) {
+    return next(new AppError("Exercise not found", HTTP_STATUS.NOT_FOUND));
   }
 
-  // Build sort
-  const sort = buildSortObject(req.query.sort);
-
-  // Build pagination
-  const { limit, skip, page } = buildPaginationOptions(req.query);
-
-  // Execute query
-  const sessions = await ExerciseSession.find(filter)
-    .populate("exerciseId", "name category difficulty")
-    .sort(sort)
-    .skip(skip)
-    .limit(limit)
-    .lean();
-
-  // Get total count
-  const total = await ExerciseSession.countDocuments(filter);
-
-  // Calculate pagination metadata
-  const totalPages = Math.ceil(total / limit);
-  const hasNextPage = page < totalPages;
-  const hasPrevPage = page > 1;
+  // The session only keeps aggregates - frames go to the PoseData collection
+  const session = await ExerciseSession.create({
+    userId,
+    exerciseId,
+    duration: 0, // Set when the session is finalized
+    status: SESSION_STATUSES.DRAFT,
+    poseData: {
+      storage: POSE_STORAGE.CHUNKED,
+      keypoints: [],
+      totalFrames: 0,
+      ...(fps !== undefined && { fps: Number(fps) }),
+      ...(poseModel && { poseModel }),
+      ...(imageSize && {
+        imageWidth: imageSize.width,
+        imageHeight: imageSize.height,
+      }),
+    },
+    ...(notes !== undefined && { notes }),
+    ...(tags !== undefined && { tags }),
+    ...(isPublic !== undefined && { isPublic }),
+    ...(recordedAt && { recordedAt }),
+  });
 
-  logInfo("User sessions fetched", {
+  logInfo("Draft session created", {
+    sessionId: session._id.toString(),
     userId,
-    count: sessions.length,
-    total,
-    page,
-    filters: Object.keys(filter),
+    exerciseId,
   });
 
-  res.status(HTTP_STATUS.OK).json({
+  res.status(HTTP_STATUS.CREATED).json({
     status: API_STATUS.SUCCESS,
-    results: sessions.length,
-    pagination: {
-      page,
-      limit,
-      total,
-      totalPages,
-      hasNextPage,
-      hasPrevPage,
-    },
+    message: "Draft session created - upload frames, then finalize it",
     data: {
-      sessions,
+      session: session.toObject(),
+      limits: {
+        maxFramesPerChunk: FRAME_CHUNKS.MAX_FRAMES_PER_CHUNK,
+        maxFramesPerSession: FRAME_CHUNKS.MAX_FRAMES_PER_SESSION,
+      },
     },
   });
 });
 
-// ============================================
-// GET SESSION BY ID
-// ============================================
-
 /**
- * @route   GET /api/v1/sessions/:id
- * @desc    Get session by ID with full details
+ * @route   POST /api/v1/sessions/:id/frames
+ * @desc    Append a chunk of frames to a draft session
  * @access  Private
  * @params  id - Session ID
+ * @body    frames - Pose frames ({ frame, timestamp, keypoints }); frames are
+ *          stored by frame number, so a chunk can be re-sent after a failure
  */
-export const getSessionById = catchAsync(async (req, res, next) => {
+export const appendSessionFrames = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   const userId = req.user._id.toString();
+  const { frames } = req.body;
 
   // Validate ObjectId format
   const idValidation = validateObjectId(id);
@@ -965,49 +1119,89 @@ export const getSessionById = catchAsync(async (req, res, next) => {
   }
 
   // Verify session access
-  await verifySessionAccess(id, userId);
+  const session = await verifySessionAccess(id, userId);
+  if (session.status !== SESSION_STATUSES.DRAFT) {
+    return next(
+      new AppError(
+        "Frames can only be added to a draft session",
+        HTTP_STATUS.CONFLICT
+      )
+    );
+  }
+  if (isFinalizing(session)) {
+    return next(
+      new AppError(
+        "Session is being finalized - frames can no longer be added",
+        HTTP_STATUS.CONFLICT
+      )
+    );
+  }
 
-  // Find session with populated exercise
-  const session = await ExerciseSession.findById(id)
-    .populate(
-      "exerciseId",
-      "name category difficulty description targetMuscles formRules"
-    )
-    .populate("userId", "username email profile")
-    .lean();
+  if (
+    (session.poseData?.totalFrames || 0) + frames.length >
+    FRAME_CHUNKS.MAX_FRAMES_PER_SESSION
+  ) {
+    return next(
+      new AppError(
+        `A session cannot have more than ${FRAME_CHUNKS.MAX_FRAMES_PER_SESSION} frames`,
+        HTTP_STATUS.PAYLOAD_TOO_LARGE
+      )
+    );
+  }
 
-  if (!session) {
-    return next(new AppError("Session not found", HTTP_STATUS.NOT_FOUND));
+  // Detect the model once so every chunk is mapped onto the skeleton the same way
+  let poseModel = session.poseData?.poseModel;
+  if (!poseModel || poseModel === POSE_MODELS.OTHER) {
+    const firstWithKeypoints = frames.find(
+      (frame) => Array.isArray(frame?.keypoints) && frame.keypoints.length > 0
+    );
+    poseModel = detectPoseModel(firstWithKeypoints?.keypoints);
   }
 
-  logInfo("Session fetched by ID", {
+  const result = await createPoseFramesBatch(id, frames, {
+    poseModel,
+    imageSize: readImageSize(session.poseData),
+  });
+  const totalFrames = await countPoseFrames(id);
+
+  await ExerciseSession.updateOne(
+    { _id: id },
+    { $set: { "poseData.totalFrames": totalFrames, "poseData.poseModel": poseModel } }
+  );
+
+  logInfo("Session frames appended", {
     sessionId: id,
     userId,
-    exerciseId: session.exerciseId?._id?.toString(),
+    received: result.received,
+    totalFrames,
   });
 
   res.status(HTTP_STATUS.OK).json({
     status: API_STATUS.SUCCESS,
     data: {
-      session,
+      sessionId: id,
+      ...result,
+      totalFrames,
+      poseModel,
     },
   });
 });
 
-// ============================================
-// UPDATE SESSION
-// ============================================
-
 /**
- * @route   PUT /api/v1/sessions/:id
- * @desc    Update a session
+ * @route   POST /api/v1/sessions/:id/finalize
+ * @desc    Analyze the uploaded frames of a draft session and complete it
+ *          (409 while another request is finalizing it)
  * @access  Private
  * @params  id - Session ID
- * @body    notes, tags, isPublic, etc.
+ * @body    duration (seconds, from the frame timestamps when omitted),
+ *          overallScore (client hint only), filter (false to skip keypoint
+ *          filtering, or filter parameters - defaults when omitted)
  */
-export const updateSession = catchAsync(async (req, res, next) => {
+export const finalizeSession = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   const userId = req.user._id.toString();
+  const { duration, overallScore: clientScore } = req.body;
+  const filter = resolvePoseDataFilter(req.body.filter);
 
   // Validate ObjectId format
   const idValidation = validateObjectId(id);
@@ -1016,34 +1210,460 @@ export const updateSession = catchAsync(async (req, res, next) => {
   }
 
   // Verify session access
-  await verifySessionAccess(id, userId);
+  const draft = await verifySessionAccess(id, userId);
+  if (draft.status !== SESSION_STATUSES.DRAFT) {
+    return next(
+      new AppError("Session has already been finalized", HTTP_STATUS.CONFLICT)
+    );
+  }
 
-  // Prevent updating certain fields
-  const updateData = { ...req.body };
-  delete updateData.userId; // Cannot change user
-  delete updateData._id; // Cannot change ID
+  const exercise = await Exercise.findById(draft.exerciseId).select(
+    "+reference"
+  );
+  if (!exercise) {
+    return next(new AppError("Exercise not found", HTTP_STATUS.NOT_FOUND));
+  }
 
-  // Validate overallScore if provided
-  if (updateData.overallScore !== undefined) {
-    if (
-      updateData.overallScore < SESSION_SCORE.MIN ||
-      updateData.overallScore > SESSION_SCORE.MAX
-    ) {
-      return next(
-        new AppError(
-          `Score must be between ${SESSION_SCORE.MIN} and ${SESSION_SCORE.MAX}`,
-          HTTP_STATUS.BAD_REQUEST
-        )
+  // Claim the draft atomically - of concurrent finalize requests only one
+  // analyzes it, updates the user stats and saves the feedback
+  const claimedAt = new Date();
+  const session = await ExerciseSession.findOneAndUpdate(
+    {
+      _id: id,
+      status: SESSION_STATUSES.DRAFT,
+      $or: [
+        { finalizingAt: null },
+        {
+          finalizingAt: {
+            $lt: new Date(claimedAt.getTime() - FRAME_CHUNKS.FINALIZE_TIMEOUT),
+          },
+        },
+      ],
+    },
+    { $set: { finalizingAt: claimedAt } },
+    { new: true }
+  );
+  if (!session) {
+    return next(
+      new AppError("Session is already being finalized", HTTP_STATUS.CONFLICT)
+    );
+  }
+
+  let frames;
+  let poseData;
+  let analysis;
+  let feedbackData;
+  try {
+    frames = await loadPoseFrames(id);
+    if (frames.length === 0) {
+      throw new AppError(
+        "Upload at least one chunk of frames before finalizing the session",
+        HTTP_STATUS.BAD_REQUEST
       );
     }
-  }
 
-  // Update session
-  const updatedSession = await ExerciseSession.findByIdAndUpdate(
-    id,
-    updateData,
-    {
-      new: true, // Return updated document
+    // Filter the whole recording at once and recalculate angles, exactly like
+    // the embedded pose data of a new session (stored keypoints are canonical)
+    poseData = processPoseData(
+      {
+        keypoints: frames,
+        fps: session.poseData.fps,
+        poseModel: session.poseData.poseModel,
+      },
+      {
+        canonicalize: false,
+        filter,
+        recalculateAngles: true,
+        calculateDistances: false,
+        assessQuality: false,
+      }
+    );
+
+    // Score the pose data and run every analysis the exercise calls for
+    ({ fields: analysis, feedback: feedbackData } = analyzeSession(
+      poseData,
+      exercise,
+      {
+        clientScore: clientScore !== undefined ? Number(clientScore) : undefined,
+      }
+    ));
+
+    if (analysis.scoring.flagged) {
+      logWarn("Client score diverges from server score", {
+        userId,
+        exerciseId: exercise._id.toString(),
+        clientScore: analysis.scoring.clientScore,
+        serverScore: analysis.overallScore,
+        divergence: analysis.scoring.divergence,
+      });
+    }
+
+    const recordedSeconds =
+      frames[frames.length - 1].timestamp - frames[0].timestamp;
+
+    session.set(analysis);
+    session.status = SESSION_STATUSES.COMPLETED;
+    session.finalizingAt = undefined;
+    session.duration =
+      duration !== undefined
+        ? Number(duration)
+        : Math.max(SESSION_DURATION.MIN, Math.round(recordedSeconds));
+    session.poseData.totalFrames = frames.length;
+    session.poseData.poseModel = poseData.poseModel;
+    session.poseData.filter = poseData.filter;
+    session.poseData.averageAngles = calculateAverageAngles(poseData.keypoints);
+    await session.save();
+  } catch (error) {
+    // Release the claim so the draft can be finalized again
+    await ExerciseSession.updateOne(
+      { _id: id, finalizingAt: claimedAt },
+      { $unset: { finalizingAt: 1 } }
+    );
+    throw error;
+  }
+
+  // Keep the filtered keypoints and server angles, like embedded sessions do
+  await storeProcessedPoseFrames(id, poseData.keypoints);
+  await markPoseKeyFrames(id, getKeyFrameNumbers(session.keyFrames));
+
+  // Update user stats and streak
+  await updateUserSessionStats(session, userId);
+
+  // Rule feedback is saved as generated (no AI enhancement for chunked sessions)
+  let createdFeedback = [];
+  if (feedbackData.length > 0) {
+    try {
+      createdFeedback = await Feedback.insertMany(
+        feedbackData.map((fb) => ({ ...fb, sessionId: session._id })),
+        { ordered: false }
+      );
+    } catch (feedbackError) {
+      logError("Failed to create feedback for session", {
+        sessionId: id,
+        error: feedbackError.message,
+        failedCount: feedbackError.writeErrors?.length,
+      });
+      createdFeedback = await Feedback.find({ sessionId: session._id });
+    }
+  }
+
+  await session.populate("exerciseId", "name category difficulty");
+
+  logInfo("Session finalized", {
+    sessionId: id,
+    userId,
+    exerciseId: exercise._id.toString(),
+    totalFrames: frames.length,
+    duration: session.duration,
+    score: session.overallScore,
+    scoringMethod: session.scoring?.method,
+    feedbackCount: createdFeedback.length,
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    message: `Session finalized with ${createdFeedback.length} feedback item${
+      createdFeedback.length === 1 ? "" : "s"
+    }`,
+    data: {
+      session: session.toObject(),
+      feedback: createdFeedback.map((fb) => (fb.toObject ? fb.toObject() : fb)),
+    },
+  });
+});
+
+// ============================================
+// LIVE COACHING
+// ============================================
+
+/**
+ * @route   POST /api/v1/sessions/live
+ * @desc    Start a live coaching session (a live session the user still has
+ *          open is ended and saved first)
+ * @access  Private
+ * @body    exerciseId, fps, poseModel, imageWidth and imageHeight (required
+ *          with pixel coordinates), filter (applied when the recording is
+ *          saved - false to skip, or filter parameters), notes, tags, isPublic
+ */
+export const createLiveSession = catchAsync(async (req, res, next) => {
+  const userId = req.user._id.toString();
+  const { exerciseId, fps, poseModel, notes, tags, isPublic } = req.body;
+  const filter = resolvePoseDataFilter(req.body.filter);
+  const imageSize = readImageSize(req.body);
+
+  const idValidation = validateObjectId(exerciseId);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  const exercise = await Exercise.findById(exerciseId).select("+reference");
+  if (!exercise) {
+    return next(new AppError("Exercise not found", HTTP_STATUS.NOT_FOUND));
+  }
+
+  const liveSession = await startLiveSession(userId, exercise, {
+    fps: fps !== undefined ? Number(fps) : undefined,
+    poseModel,
+    imageSize,
+    filter,
+    details: {
+      ...(notes !== undefined && { notes }),
+      ...(tags !== undefined && { tags }),
+      ...(isPublic !== undefined && { isPublic }),
+    },
+  });
+
+  res.status(HTTP_STATUS.CREATED).json({
+    status: API_STATUS.SUCCESS,
+    message:
+      "Live session started - open its event stream, then post frames as they are captured",
+    data: {
+      liveSession,
+      limits: {
+        maxFramesPerMessage: LIVE_COACHING.MAX_FRAMES_PER_MESSAGE,
+        maxFrames: LIVE_COACHING.MAX_FRAMES,
+        setupFrames: LIVE_COACHING.SETUP_FRAMES,
+      },
+    },
+  });
+});
+
+/**
+ * @route   GET /api/v1/sessions/live/:liveId/events
+ * @desc    Server-sent event stream of a live session (ready, viewpoint,
+ *          feedback, rep, phase, complete, error)
+ * @access  Private
+ * @params  liveId - Live session ID
+ */
+export const streamLiveSession = catchAsync(async (req, res, next) => {
+  const liveSession = getLiveSession(req.params.liveId, req.user._id);
+  subscribeLiveSession(liveSession, req, res);
+});
+
+/**
+ * @route   POST /api/v1/sessions/live/:liveId/frames
+ * @desc    Stream frames to a live session; the events they trigger are
+ *          returned and also sent to the event stream
+ * @access  Private
+ * @params  liveId - Live session ID
+ * @body    frames - Pose frames ({ frame, timestamp, keypoints }); frames at or
+ *          before the last received timestamp are ignored
+ */
+export const pushLiveFrames = catchAsync(async (req, res, next) => {
+  const liveSession = getLiveSession(req.params.liveId, req.user._id);
+  const result = addLiveFrames(liveSession, req.body.frames);
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: result,
+  });
+});
+
+/**
+ * @route   POST /api/v1/sessions/live/:liveId/end
+ * @desc    End a live session and save it as a regular session with its feedback
+ * @access  Private
+ * @params  liveId - Live session ID
+ */
+export const completeLiveSession = catchAsync(async (req, res, next) => {
+  const liveSession = getLiveSession(req.params.liveId, req.user._id);
+  const saved = await endLiveSession(liveSession);
+
+  if (!saved) {
+    return res.status(HTTP_STATUS.OK).json({
+      status: API_STATUS.SUCCESS,
+      message: "Live session ended without frames - nothing was saved",
+      data: { session: null, feedback: [] },
+    });
+  }
+
+  await saved.session.populate("exerciseId", "name category difficulty");
+
+  res.status(HTTP_STATUS.CREATED).json({
+    status: API_STATUS.SUCCESS,
+    message: `Live session saved with ${saved.feedback.length} feedback item${
+      saved.feedback.length === 1 ? "" : "s"
+    }`,
+    data: {
+      session: saved.session.toObject(),
+      feedback: saved.feedback.map((fb) => (fb.toObject ? fb.toObject() : fb)),
+    },
+  });
+});
+
+// ============================================
+// GET USER SESSIONS
+// ============================================
+
+/**
+ * @route   GET /api/v1/sessions
+ * @desc    Get user's sessions with optional filtering and pagination
+ * @access  Private
+ * @query   exerciseId, limit, page, sort, startDate, endDate, status (draft to list unfinished drafts)
+ */
+export const getUserSessions = catchAsync(async (req, res, next) => {
+  const userId = req.user._id.toString();
+
+  // Build filter - drafts still waiting for frames are only listed on request
+  const filter = {
+    userId,
+    status:
+      req.query.status === SESSION_STATUSES.DRAFT
+        ? SESSION_STATUSES.DRAFT
+        : { $ne: SESSION_STATUSES.DRAFT },
+  };
+
+  // Filter by exerciseId
+  if (req.query.exerciseId) {
+    const idValidation = validateObjectId(req.query.exerciseId);
+    if (!idValidation.valid) {
+      return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+    }
+    filter.exerciseId = req.query.exerciseId;
+  }
+
+  // Filter by date range
+  const dateFilter = buildDateRangeFilter(req.query);
+  if (dateFilter) {
+    filter.recordedAt = dateFilter;
+  }
+
+  // Build sort
+  const sort = buildSortObject(req.query.sort);
+
+  // Build pagination
+  const { limit, skip, page } = buildPaginationOptions(req.query);
+
+  // Execute query
+  const sessions = await ExerciseSession.find(filter)
+    .populate("exerciseId", "name category difficulty")
+    .sort(sort)
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  // Get total count
+  const total = await ExerciseSession.countDocuments(filter);
+
+  // Calculate pagination metadata
+  const totalPages = Math.ceil(total / limit);
+  const hasNextPage = page < totalPages;
+  const hasPrevPage = page > 1;
+
+  logInfo("User sessions fetched", {
+    userId,
+    count: sessions.length,
+    total,
+    page,
+    filters: Object.keys(filter),
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    results: sessions.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage,
+      hasPrevPage,
+    },
+    data: {
+      sessions,
+    },
+  });
+});
+
+// ============================================
+// GET SESSION BY ID
+// ============================================
+
+/**
+ * @route   GET /api/v1/sessions/:id
+ * @desc    Get session by ID with full details
+ * @access  Private
+ * @params  id - Session ID
+ */
+export const getSessionById = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id.toString();
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  // Verify session access
+  await verifySessionAccess(id, userId);
+
+  // Find session with populated exercise
+  const session = await ExerciseSession.findById(id)
+    .populate(
+      "exerciseId",
+      "name category difficulty description targetMuscles formRules"
+    )
+    .populate("userId", "username email profile")
+    .lean();
+
+  if (!session) {
+    return next(new AppError("Session not found", HTTP_STATUS.NOT_FOUND));
+  }
+
+  logInfo("Session fetched by ID", {
+    sessionId: id,
+    userId,
+    exerciseId: session.exerciseId?._id?.toString(),
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: {
+      session,
+    },
+  });
+});
+
+// ============================================
+// UPDATE SESSION
+// ============================================
+
+/**
+ * @route   PUT /api/v1/sessions/:id
+ * @desc    Update a session
+ * @access  Private
+ * @params  id - Session ID
+ * @body    notes, tags, isPublic, videoUrl, thumbnailUrl
+ */
+export const updateSession = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id.toString();
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  // Verify session access
+  await verifySessionAccess(id, userId);
+
+  // Only the user's own annotations can be changed - everything else is
+  // recorded, derived from the pose data or managed by the server
+  const updateData = {};
+  UPDATABLE_SESSION_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      updateData[field] = req.body[field];
+    }
+  });
+
+  // Update session
+  const updatedSession = await ExerciseSession.findByIdAndUpdate(
+    id,
+    updateData,
+    {
+      new: true, // Return updated document
       runValidators: true, // Run schema validators
     }
   )
@@ -1139,6 +1759,11 @@ export const deleteSession = catchAsync(async (req, res, next) => {
   // Delete associated feedback first (optional, but good practice)
   await Feedback.deleteMany({ sessionId: id });
 
+  // Chunked sessions keep their frames in the PoseData collection
+  if (session.poseData?.storage === POSE_STORAGE.CHUNKED) {
+    await deletePoseFrames(id);
+  }
+
   // Delete session
   await ExerciseSession.findByIdAndDelete(id);
 
@@ -1181,9 +1806,10 @@ export const getSessionStats = catchAsync(async (req, res, next) => {
   // Get stats using instance method
   const stats = await session.getStats();
 
-  // Get average angles if pose data exists
+  // Get average angles if pose data exists (embedded frames, or the
+  // averages stored when a chunked session was finalized)
   const averageAngles = {};
-  if (session.poseData?.keypoints?.length > 0) {
+  if (session.poseData?.totalFrames > 0 || session.poseData?.keypoints?.length > 0) {
     const angleTypes = [
       "kneeAngle",
       "hipAngle",
@@ -1199,20 +1825,348 @@ export const getSessionStats = catchAsync(async (req, res, next) => {
     });
   }
 
-  logInfo("Session stats fetched", {
-    sessionId: id,
-    userId,
-  });
+  logInfo("Session stats fetched", {
+    sessionId: id,
+    userId,
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: {
+      stats: {
+        ...stats,
+        averageAngles,
+      },
+    },
+  });
+});
+
+// ============================================
+// GET REFERENCE COMPARISON
+// ============================================
+
+/**
+ * @route   GET /api/v1/sessions/:id/reference-comparison
+ * @desc    Compare a session against the exercise reference recording (DTW)
+ * @access  Private
+ * @params  id - Session ID
+ */
+export const getReferenceComparison = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id.toString();
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  // Verify session access
+  const session = await verifySessionAccess(id, userId);
+
+  const exercise = await Exercise.findById(session.exerciseId).select(
+    "name +reference"
+  );
+  if (!exercise) {
+    return next(new AppError("Exercise not found", HTTP_STATUS.NOT_FOUND));
+  }
+  if (!exercise.reference?.frames?.length) {
+    return next(
+      new AppError(
+        "This exercise has no reference recording",
+        HTTP_STATUS.NOT_FOUND
+      )
+    );
+  }
+
+  const poseData = await getSessionPoseData(session);
+  const comparison = compareToReference(
+    poseData?.keypoints,
+    exercise.reference,
+    { reps: session.repAnalysis?.reps || [] }
+  );
+  if (!comparison) {
+    return next(
+      new AppError(
+        "Session has no joint angles to compare with the reference",
+        HTTP_STATUS.BAD_REQUEST
+      )
+    );
+  }
+
+  logInfo("Reference comparison computed", {
+    sessionId: id,
+    userId,
+    similarity: comparison.similarity,
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: {
+      comparison: {
+        ...comparison,
+        exercise: exercise.name,
+        reference: {
+          source: exercise.reference.source,
+          duration: exercise.reference.duration,
+          setAt: exercise.reference.setAt,
+        },
+      },
+    },
+  });
+});
+
+// ============================================
+// GET SESSION FRAMES
+// ============================================
+
+/**
+ * @route   GET /api/v1/sessions/:id/frames
+ * @desc    Get a page of a session's frames, optionally in a time window or only
+ *          its key frames (works for embedded and chunked sessions)
+ * @access  Private
+ * @params  id - Session ID
+ * @query   start, end (seconds), keyFrames (true), normalize (true, image or
+ *          body - adds body-relative normalizedKeypoints), limit, page
+ */
+export const getSessionFrames = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id.toString();
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  const window = buildFrameWindow(req.query);
+
+  let normalize = false;
+  if (req.query.normalize === "true") {
+    normalize = true;
+  } else if (POSE_COORDINATE_FRAMES_ARRAY.includes(req.query.normalize)) {
+    normalize = { coordinateFrame: req.query.normalize };
+  } else if (req.query.normalize !== undefined && req.query.normalize !== "false") {
+    return next(
+      new AppError(
+        `normalize must be true, false or one of: ${POSE_COORDINATE_FRAMES_ARRAY.join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST
+      )
+    );
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    FRAME_QUERY.MAX_LIMIT,
+    Math.max(1, parseInt(req.query.limit, 10) || FRAME_QUERY.DEFAULT_LIMIT)
+  );
+
+  // Verify session access
+  const session = await verifySessionAccess(id, userId);
+
+  const { storage, total, frames, normalization } = await querySessionFrames(
+    session,
+    {
+      ...window,
+      keyFramesOnly: req.query.keyFrames === "true",
+      limit,
+      skip: (page - 1) * limit,
+      normalize,
+    }
+  );
+
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    results: frames.length,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+    data: {
+      storage,
+      window,
+      frames,
+      ...(normalization && { normalization }),
+    },
+  });
+});
+
+/**
+ * @route   GET /api/v1/sessions/:id/series
+ * @desc    Get chart-ready joint angle series of a session, downsampled to a
+ *          number of points with LTTB (works for embedded and chunked sessions)
+ * @access  Private
+ * @params  id - Session ID
+ * @query   angles (comma separated, e.g. kneeAngle,left.kneeAngle - default all
+ *          joint angles), points, start, end (seconds)
+ */
+export const getSessionSeries = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id.toString();
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  const window = buildFrameWindow(req.query);
+  const angles = req.query.angles
+    ? validateSeriesAngles(
+        [...new Set(req.query.angles.split(",").map((angle) => angle.trim()))].filter(Boolean)
+      )
+    : undefined;
+
+  let points = FRAME_QUERY.DEFAULT_SERIES_POINTS;
+  if (req.query.points !== undefined) {
+    points = parseInt(req.query.points, 10);
+    if (isNaN(points) || points < 3 || points > FRAME_QUERY.MAX_SERIES_POINTS) {
+      return next(
+        new AppError(
+          `points must be between 3 and ${FRAME_QUERY.MAX_SERIES_POINTS}`,
+          HTTP_STATUS.BAD_REQUEST
+        )
+      );
+    }
+  }
+
+  // Verify session access
+  const session = await verifySessionAccess(id, userId);
+
+  const series = await getSessionAngleSeries(session, {
+    ...window,
+    angles,
+    points,
+  });
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: {
+      window,
+      ...series,
+    },
+  });
+});
+
+/**
+ * @route   GET /api/v1/sessions/:id/key-frames
+ * @desc    Get a session's key frames (rep bottoms, error peaks, demonstration
+ *          checkpoint matches) with their poses, and the worst rep compared
+ *          with the demonstration
+ * @access  Private
+ * @params  id - Session ID
+ */
+export const getSessionKeyFrames = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id.toString();
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  // Verify session access
+  const session = await verifySessionAccess(id, userId);
+
+  const exercise = await Exercise.findById(session.exerciseId).select(
+    "name demonstration"
+  );
+  const { keyFrames, worstRep } = await getKeyFrameSnapshots(
+    session,
+    exercise
+  );
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    results: keyFrames.length,
+    data: {
+      keyFrames,
+      worstRep,
+    },
+  });
+});
+
+/**
+ * @route   GET /api/v1/sessions/:id/frames/:frame/skeleton
+ * @desc    Render a session frame as a stick figure; joints of the form rules
+ *          the frame broke are drawn in red with the measured value
+ * @access  Private
+ * @params  id - Session ID, frame - Frame number
+ * @query   format (svg or png, default svg), width, height (pixels)
+ */
+export const getFrameSkeleton = catchAsync(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user._id.toString();
+
+  // Validate ObjectId format
+  const idValidation = validateObjectId(id);
+  if (!idValidation.valid) {
+    return next(new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST));
+  }
+
+  const frameNumber = Number(req.params.frame);
+  if (!Number.isInteger(frameNumber) || frameNumber < 0) {
+    return next(
+      new AppError("Frame must be a non-negative integer", HTTP_STATUS.BAD_REQUEST)
+    );
+  }
+
+  const format = req.query.format || SKELETON_FORMATS.SVG;
+  if (!SKELETON_FORMATS_ARRAY.includes(format)) {
+    return next(
+      new AppError(
+        `format must be one of: ${SKELETON_FORMATS_ARRAY.join(", ")}`,
+        HTTP_STATUS.BAD_REQUEST
+      )
+    );
+  }
+
+  const size = {};
+  for (const dimension of ["width", "height"]) {
+    if (req.query[dimension] === undefined) {
+      size[dimension] = SKELETON_RENDER.DEFAULT_SIZE;
+      continue;
+    }
+    const value = parseInt(req.query[dimension], 10);
+    if (
+      isNaN(value) ||
+      value < SKELETON_RENDER.MIN_SIZE ||
+      value > SKELETON_RENDER.MAX_SIZE
+    ) {
+      return next(
+        new AppError(
+          `${dimension} must be between ${SKELETON_RENDER.MIN_SIZE} and ${SKELETON_RENDER.MAX_SIZE}`,
+          HTTP_STATUS.BAD_REQUEST
+        )
+      );
+    }
+    size[dimension] = value;
+  }
+
+  // Verify session access
+  const session = await verifySessionAccess(id, userId);
 
-  res.status(HTTP_STATUS.OK).json({
-    status: API_STATUS.SUCCESS,
-    data: {
-      stats: {
-        ...stats,
-        averageAngles,
-      },
-    },
+  // Frames are checked against the rules version the session was scored with
+  const exercise = await Exercise.findById(session.exerciseId).select(
+    "formRules rulesVersion +ruleVersions"
+  );
+  const image = await renderSessionFrame(session, exercise, frameNumber, {
+    format,
+    ...size,
   });
+
+  res
+    .status(HTTP_STATUS.OK)
+    .type(image.contentType)
+    .set("Cache-Control", "private, max-age=300")
+    .send(image.body);
 });
 
 // ============================================
@@ -1221,7 +2175,7 @@ export const getSessionStats = catchAsync(async (req, res, next) => {
 
 /**
  * @route   GET /api/v1/sessions/:id/progress
- * @desc    Get progress data for a session
+ * @desc    Get progress data (score and left/right symmetry history) for a session
  * @access  Private
  * @params  id - Session ID
  */
@@ -1238,26 +2192,51 @@ export const getSessionProgress = catchAsync(async (req, res, next) => {
   // Verify session access
   const session = await verifySessionAccess(id, userId);
 
-  // Get all sessions for the same exercise by this user
+  // Get all sessions for the same exercise by this user (unscored sessions
+  // and those below the pose quality bar don't count towards trends)
   const allExerciseSessions = await ExerciseSession.find({
     userId,
     exerciseId: session.exerciseId,
     _id: { $ne: id }, // Exclude current session
+    status: { $ne: SESSION_STATUSES.DRAFT },
+    "scoring.method": SCORING_METHODS.SERVER,
+    "poseQuality.flagged": { $ne: true },
   })
     .sort({ createdAt: -1 })
     .limit(10)
-    .select("overallScore createdAt duration")
+    .select("overallScore createdAt duration symmetry.index scoring.rulesVersion")
     .lean();
 
+  // A low quality or unscored current session is reported but kept out of
+  // the trends
+  const qualityFlagged = !!session.poseQuality?.flagged;
+  const scored = session.scoring?.method === SCORING_METHODS.SERVER;
+  const trendSessions =
+    qualityFlagged || !scored
+      ? allExerciseSessions
+      : [session, ...allExerciseSessions];
+
   // Build score history (current session + previous sessions)
-  const scoreHistory = [
-    session.overallScore,
-    ...allExerciseSessions.map((s) => s.overallScore),
-  ].reverse(); // Oldest to newest
+  const scoreHistory = trendSessions
+    .map((s) => s.overallScore)
+    .reverse(); // Oldest to newest
+
+  // Rules version behind each score - scores from different versions aren't
+  // comparable until the older sessions are re-scored
+  const rulesVersionHistory = trendSessions
+    .map((s) => s.scoring?.rulesVersion || null)
+    .reverse();
+  const mixedRulesVersions = new Set(rulesVersionHistory).size > 1;
+
+  // Build symmetry history (lower index = more symmetric), oldest to newest
+  const symmetryHistory = trendSessions
+    .filter((s) => typeof s.symmetry?.index === "number")
+    .map((s) => ({ date: s.createdAt, index: s.symmetry.index }))
+    .reverse();
 
   // Calculate improvements
   const improvements = [];
-  if (allExerciseSessions.length > 0) {
+  if (!qualityFlagged && scored && allExerciseSessions.length > 0) {
     const previousScore = allExerciseSessions[0].overallScore;
     const currentScore = session.overallScore;
 
@@ -1282,8 +2261,18 @@ export const getSessionProgress = catchAsync(async (req, res, next) => {
   const trends = {
     score: "stable",
     consistency: "good",
+    symmetry: "stable",
   };
 
+  if (symmetryHistory.length >= 3) {
+    const recent = symmetryHistory.slice(-3);
+    if (recent[2].index < recent[0].index) {
+      trends.symmetry = "improving";
+    } else if (recent[2].index > recent[0].index) {
+      trends.symmetry = "declining";
+    }
+  }
+
   if (scoreHistory.length >= 3) {
     const recent = scoreHistory.slice(-3);
     const isImproving = recent[2] > recent[0];
@@ -1316,8 +2305,13 @@ export const getSessionProgress = catchAsync(async (req, res, next) => {
       progress: {
         sessionId: id,
         scoreHistory,
+        rulesVersionHistory,
+        mixedRulesVersions,
+        symmetryHistory,
         improvements,
         trends,
+        qualityFlagged,
+        scored,
         previousSessions: allExerciseSessions.length,
       },
     },
@@ -1330,7 +2324,7 @@ export const getSessionProgress = catchAsync(async (req, res, next) => {
 
 /**
  * @route   GET /api/v1/sessions/top
- * @desc    Get top sessions by score
+ * @desc    Get top sessions by score (sessions below the pose quality bar are left out)
  * @access  Private
  * @query   limit, exerciseId (optional)
  */
@@ -1351,7 +2345,14 @@ export const getTopSessions = catchAsync(async (req, res, next) => {
   }
 
   // Get top sessions - filter by user first, then by exercise if provided
-  let query = ExerciseSession.find({ userId, overallScore: { $gte: 0 } });
+  // Only server-scored sessions above the pose quality bar are ranked
+  let query = ExerciseSession.find({
+    userId,
+    overallScore: { $gte: 0 },
+    "scoring.method": { $ne: SCORING_METHODS.UNSCORED },
+    "poseQuality.flagged": { $ne: true },
+    status: { $ne: SESSION_STATUSES.DRAFT },
+  });
 
   if (filter.exerciseId) {
     query = query.where("exerciseId").equals(filter.exerciseId);
@@ -1452,6 +2453,7 @@ export const getSessionsByExercise = catchAsync(async (req, res, next) => {
   const filter = {
     userId,
     exerciseId,
+    status: { $ne: SESSION_STATUSES.DRAFT },
   };
 
   // Execute query
@@ -1508,7 +2510,7 @@ export const exportSessions = catchAsync(async (req, res, next) => {
   const userId = req.user._id.toString();
 
   // Build filter (same as getUserSessions)
-  const filter = { userId };
+  const filter = { userId, status: { $ne: SESSION_STATUSES.DRAFT } };
 
   // Filter by exerciseId
   if (req.query.exerciseId) {
@@ -1848,6 +2850,53 @@ export const exportSession = catchAsync(async (req, res, next) => {
     logInfo("Could not fetch feedback for PDF", { sessionId: id });
   }
 
+  // Compare the worst rep with the exercise demonstration, and load the
+  // frames drawn as stick figures (worst rep bottom, worst error peaks)
+  let worstRep = null;
+  let reportExercise = null;
+  let worstRepFrame = null;
+  let errorFrames = [];
+  try {
+    reportExercise = await Exercise.findById(session.exerciseId).select(
+      "demonstration formRules rulesVersion +ruleVersions"
+    );
+    const worst = findWorstRep(session);
+    const errorPeaks = (session.keyFrames || [])
+      .filter((keyFrame) => keyFrame.type === KEY_FRAME_TYPES.ERROR_PEAK)
+      .sort((a, b) => (b.deviation ?? 0) - (a.deviation ?? 0))
+      .slice(0, SKELETON_RENDER.PDF_ERROR_FRAMES);
+    const frames = await loadSessionFramesByNumber(session, [
+      ...(worst && worst.bottomFrame !== undefined ? [worst.bottomFrame] : []),
+      ...errorPeaks.map((keyFrame) => keyFrame.frame),
+    ]);
+    const byNumber = new Map(frames.map((frame) => [frame.frame, frame]));
+
+    if (worst && worst.bottomFrame !== undefined) {
+      worstRepFrame = byNumber.get(worst.bottomFrame) || null;
+      worstRep = compareWorstRepToDemo(session, worstRepFrame, reportExercise);
+    }
+    errorFrames = [
+      ...new Set(errorPeaks.map((keyFrame) => keyFrame.frame)),
+    ]
+      .map((frameNumber) => byNumber.get(frameNumber))
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp);
+  } catch (error) {
+    // The comparison and figures are optional
+    logInfo("Could not load key frames for PDF", { sessionId: id });
+  }
+
+  // Joint angle series for the charts, downsampled to what a page can show
+  let angleSeries = null;
+  try {
+    ({ series: angleSeries } = await getSessionAngleSeries(session, {
+      points: PDF_CHARTS.SERIES_POINTS,
+    }));
+  } catch (error) {
+    // The charts are optional
+    logInfo("Could not load angle series for PDF", { sessionId: id });
+  }
+
   // Extract exercise name before PDF generation (needed for filename and content)
   const exerciseName = populatedSession.exerciseId?.name || "Exercise";
   const sessionDate = new Date(
@@ -2007,6 +3056,24 @@ export const exportSession = catchAsync(async (req, res, next) => {
     ],
     ["Quality Rating", (populatedSession.qualityRating || "N/A").toUpperCase()],
   ];
+  if (populatedSession.poseQuality) {
+    const { usableFramePercent, flagged } = populatedSession.poseQuality;
+    overviewData.push([
+      "Usable Frames",
+      `${Math.round(usableFramePercent || 0)}%${
+        flagged ? " (below quality bar)" : ""
+      }`,
+    ]);
+  }
+  if (populatedSession.viewpoint?.view) {
+    const { view, confidence } = populatedSession.viewpoint;
+    overviewData.push([
+      "Camera View",
+      `${view.charAt(0).toUpperCase()}${view.slice(1)} (${Math.round(
+        (confidence || 0) * 100
+      )}% of frames)`,
+    ]);
+  }
 
   doc.fontSize(10).font("Helvetica");
   overviewData.forEach(([label, value]) => {
@@ -2065,83 +3132,521 @@ export const exportSession = catchAsync(async (req, res, next) => {
       doc.text(`Difficulty: ${String(exercise.difficulty)}`, margin, currentY);
       currentY += 15;
     }
-    if (
-      exercise.targetMuscles &&
-      Array.isArray(exercise.targetMuscles) &&
-      exercise.targetMuscles.length > 0
-    ) {
+    if (
+      exercise.targetMuscles &&
+      Array.isArray(exercise.targetMuscles) &&
+      exercise.targetMuscles.length > 0
+    ) {
+      doc.text(
+        `Target Muscles: ${exercise.targetMuscles.join(", ")}`,
+        margin,
+        currentY
+      );
+      currentY += 15;
+    }
+    if (exercise.description) {
+      doc.text(exercise.description || "", margin, currentY, {
+        width: pageWidth - 2 * margin,
+      });
+      // Estimate height for description (roughly 12px per line)
+      const estimatedLines = Math.ceil(
+        (exercise.description || "").length / 80
+      );
+      currentY += estimatedLines * 12 + 5;
+    }
+    currentY += 10;
+  }
+
+  // Statistics Section
+  if (stats) {
+    // Ensure currentY is a valid number
+    currentY = ensureValidY(currentY);
+
+    if (currentY + 40 > maxY) {
+      doc.addPage();
+      currentY = margin;
+    }
+    doc
+      .fontSize(14)
+      .font("Helvetica-Bold")
+      .text("Statistics", margin, currentY);
+    currentY += 20;
+
+    doc.fontSize(10).font("Helvetica");
+    if (stats.totalFrames !== undefined && stats.totalFrames != null) {
+      const totalFrames =
+        typeof stats.totalFrames === "number"
+          ? stats.totalFrames
+          : parseInt(stats.totalFrames) || 0;
+      doc.text(`Total Frames: ${totalFrames}`, margin, currentY);
+      currentY += 15;
+    }
+    if (stats.repCount > 0) {
+      doc.text(`Repetitions: ${stats.repCount}`, margin, currentY);
+      currentY += 15;
+
+      const formatRep = (rep) => {
+        const score =
+          typeof rep.score === "number" ? `${Math.round(rep.score)}/100` : "N/A";
+        const window =
+          typeof rep.startTime === "number" && typeof rep.endTime === "number"
+            ? ` (${rep.startTime.toFixed(1)}s - ${rep.endTime.toFixed(1)}s)`
+            : "";
+        return `#${rep.number} - ${score}${window}`;
+      };
+
+      if (stats.bestRep) {
+        doc.text(`  Best Rep: ${formatRep(stats.bestRep)}`, margin + 10, currentY);
+        currentY += 15;
+      }
+      if (stats.worstRep) {
+        doc.text(
+          `  Worst Rep: ${formatRep(stats.worstRep)}`,
+          margin + 10,
+          currentY
+        );
+        currentY += 15;
+      }
+    }
+    if (stats.tempo?.average) {
+      const prescribed = stats.tempo.prescribed
+        ? ` (prescribed ${formatTempo(stats.tempo.prescribed)})`
+        : "";
+      doc.text(
+        `Average Tempo: ${formatTempo(stats.tempo.average)}${prescribed}`,
+        margin,
+        currentY
+      );
+      currentY += 15;
+      doc.text(
+        `Time Under Tension: ${stats.tempo.timeUnderTension}s`,
+        margin,
+        currentY
+      );
+      currentY += 15;
+      if (typeof stats.tempo.onTempoReps === "number") {
+        doc.text(
+          `  Reps on Tempo: ${stats.tempo.onTempoReps}/${stats.repCount}`,
+          margin + 10,
+          currentY
+        );
+        currentY += 15;
+      }
+    }
+    if (typeof stats.fatigueIndex === "number") {
+      doc.text(
+        `Fatigue Index: ${Math.round(stats.fatigueIndex)}/100`,
+        margin,
+        currentY
+      );
+      currentY += 15;
+      if (stats.formBreakdown?.message) {
+        doc.text(`  ${stats.formBreakdown.message}`, margin + 10, currentY, {
+          width: pageWidth - margin * 2 - 10,
+        });
+        currentY = doc.y + 5;
+      }
+    }
+    if (typeof stats.effectiveHoldTime === "number") {
+      doc.text(
+        `Effective Hold Time: ${stats.effectiveHoldTime}s of ${stats.holdDuration}s`,
+        margin,
+        currentY
+      );
+      currentY += 15;
+      if (stats.holdBreakdown) {
+        doc.text(
+          `  Form Broke Down: after ${stats.holdBreakdown.heldFor}s (at ${Number(
+            stats.holdBreakdown.timestamp || 0
+          ).toFixed(1)}s)${stats.holdBreakdown.recovered ? ", recovered" : ""}`,
+          margin + 10,
+          currentY
+        );
+        currentY += 15;
+      }
+    }
+    if (stats.jumpCount > 0) {
+      doc.text(
+        `Jumps: ${stats.jumpCount} (best ${stats.bestJumpHeight} cm, average ${stats.averageJumpHeight} cm)`,
+        margin,
+        currentY
+      );
+      currentY += 15;
+      doc.text(
+        `  Average Flight Time: ${stats.averageFlightTime}s`,
+        margin + 10,
+        currentY
+      );
+      currentY += 15;
+      doc.text(
+        `  Stiff Landings: ${stats.stiffLandings}/${stats.jumpCount}`,
+        margin + 10,
+        currentY
+      );
+      currentY += 15;
+      doc.text(
+        `  Knees Caving In on Landing: ${stats.valgusLandings}/${stats.jumpCount}`,
+        margin + 10,
+        currentY
+      );
+      currentY += 15;
+    }
+    if (typeof stats.referenceSimilarity === "number") {
+      doc.text(
+        `Similarity to Reference: ${Math.round(stats.referenceSimilarity)}/100`,
+        margin,
+        currentY
+      );
+      currentY += 15;
+    }
+    if (stats.averageAngles && Object.keys(stats.averageAngles).length > 0) {
+      doc.text("Average Angles:", margin, currentY);
+      currentY += 15;
+      Object.entries(stats.averageAngles).forEach(([angle, value]) => {
+        currentY = ensureValidY(currentY);
+
+        if (currentY + 15 > maxY) {
+          doc.addPage();
+          currentY = margin;
+        }
+        const angleName = angle.replace(/([A-Z])/g, " $1").trim();
+        const angleValue =
+          typeof value === "number" && !isNaN(value) ? value.toFixed(1) : "N/A";
+        const unreliable =
+          stats.angleReliability?.[angle] === false
+            ? " (unreliable from this camera view)"
+            : "";
+        try {
+          doc.text(
+            `  ${angleName}: ${angleValue}°${unreliable}`,
+            margin + 10,
+            currentY
+          );
+          currentY += 15;
+        } catch (textError) {
+          logError("Error writing angle to PDF", {
+            error: textError.message,
+            angle,
+            value,
+            currentY,
+          });
+          currentY += 15;
+        }
+      });
+    }
+    currentY += 10;
+  }
+
+  // Bar Path Section (loaded lifts)
+  const barPath = populatedSession.barPath;
+  if (barPath?.path?.length > 1) {
+    currentY = ensureValidY(currentY);
+
+    const boxSize = 180;
+    if (currentY + boxSize + 30 > maxY) {
+      doc.addPage();
+      currentY = margin;
+    }
+    doc
+      .fontSize(14)
+      .font("Helvetica-Bold")
+      .text("Bar Path", margin, currentY);
+    currentY += 20;
+
+    drawBarPath(doc, barPath.path, margin, currentY, boxSize, boxSize);
+
+    const textX = margin + boxSize + 20;
+    const textWidth = pageWidth - textX - margin;
+    let textY = currentY;
+    const drift = barPath.facing ? barPath.forwardDrift : barPath.maxDrift;
+    doc.fontSize(10).font("Helvetica");
+    doc.text(
+      `${barPath.facing ? "Forward Drift" : "Horizontal Drift"}: ${Math.round(
+        (drift || 0) * 100
+      )}% of torso length (limit ${Math.round(
+        (barPath.threshold || 0) * 100
+      )}%)`,
+      textX,
+      textY,
+      { width: textWidth }
+    );
+    textY = doc.y + 5;
+    if (barPath.worstRep) {
+      doc.text(`Worst Rep: ${barPath.worstRep}`, textX, textY, {
+        width: textWidth,
+      });
+      textY = doc.y + 5;
+    }
+    doc.text(
+      `Path Length: ${barPath.pathLength} torso lengths`,
+      textX,
+      textY,
+      { width: textWidth }
+    );
+    textY = doc.y + 5;
+    doc.text(
+      `Vertical Travel: ${barPath.verticalTravel} torso lengths`,
+      textX,
+      textY,
+      { width: textWidth }
+    );
+    textY = doc.y + 10;
+    doc
+      .fontSize(8)
+      .fillColor("gray")
+      .text(
+        "Dashed line: vertical through the starting position. Green dot: start.",
+        textX,
+        textY,
+        { width: textWidth }
+      );
+    doc.fillColor("black");
+
+    currentY += boxSize + 20;
+  }
+
+  // Joint Angles Section (angle over time against the form rule ranges)
+  const chartedAngles = Object.entries(angleSeries || {}).filter(
+    ([, series]) => series.measuredFrames > 1
+  );
+  if (chartedAngles.length > 0) {
+    currentY = ensureValidY(currentY);
+
+    const chartHeight = PDF_CHARTS.HEIGHT;
+    if (currentY + 20 + chartHeight + 20 > maxY) {
+      doc.addPage();
+      currentY = margin;
+    }
+    doc
+      .fontSize(14)
+      .font("Helvetica-Bold")
+      .text("Joint Angles Over Time", margin, currentY);
+    currentY += 20;
+
+    // Rules checked throughout the rep give the target bands, and the
+    // feedback they produced is marked where it was given
+    const rules = getSessionRules(session, reportExercise).filter(
+      (rule) => !rule.phase && (rule.kind || "angle") === "angle"
+    );
+    const ruleMetrics = new Map(rules.map((rule) => [rule.id, rule.metric]));
+
+    chartedAngles.forEach(([angle, series]) => {
+      if (currentY + chartHeight + 20 > maxY) {
+        doc.addPage();
+        currentY = margin;
+      }
+      const bands = rules
+        .filter((rule) => rule.metric === angle)
+        .map((rule) => ({
+          from: rule.min,
+          to: rule.max,
+          label: `${rule.label || "Target"}: ${
+            rule.min !== undefined ? `${rule.min}°` : "-"
+          } to ${rule.max !== undefined ? `${rule.max}°` : "-"}`,
+        }));
+      const markers = feedback
+        .filter(
+          (item) =>
+            typeof item.timestamp === "number" &&
+            item.severity !== FEEDBACK_SEVERITY.SUCCESS &&
+            ruleMetrics.get(item.metadata?.ruleId) === angle
+        )
+        .map((item) => ({
+          x: item.timestamp,
+          color: PDF_CHARTS.MARKER_COLORS[item.severity],
+        }));
+
+      currentY = drawLineChart(
+        doc,
+        margin,
+        currentY,
+        pageWidth - 2 * margin,
+        chartHeight,
+        {
+          title: `${FORM_RULE_METRICS[angle]?.label || angle} (min ${
+            series.min
+          }°, max ${series.max}°, avg ${series.average}°)`,
+          series: [
+            {
+              label: angle,
+              points: series.points.map((point) => ({
+                x: point.timestamp,
+                y: point.value,
+              })),
+            },
+          ],
+          bands,
+          markers,
+          formatX: (seconds) => `${seconds.toFixed(1)}s`,
+          formatY: (degrees) => `${degrees}°`,
+        }
+      );
+      currentY += 10;
+    });
+
+    doc
+      .fontSize(8)
+      .fillColor("gray")
+      .text(
+        "Shaded: target range of the exercise's form rules. Dotted lines: feedback given at that moment.",
+        margin,
+        currentY,
+        { width: pageWidth - 2 * margin }
+      );
+    doc.fillColor("black");
+    currentY = doc.y + 20;
+  }
+
+  // Worst Rep vs the Demo Section
+  if (worstRep?.angles.length > 0) {
+    currentY = ensureValidY(currentY);
+
+    const rowHeight = 16;
+    const figureSize = 120;
+    if (
+      currentY + 70 + Math.max(worstRep.angles.length * rowHeight, figureSize) >
+      maxY
+    ) {
+      doc.addPage();
+      currentY = margin;
+    }
+    doc
+      .fontSize(14)
+      .font("Helvetica-Bold")
+      .text("Your Worst Rep vs the Demo", margin, currentY);
+    currentY += 20;
+
+    doc
+      .fontSize(10)
+      .font("Helvetica")
+      .text(
+        `Rep ${worstRep.rep.number} (score ${Math.round(
+          worstRep.rep.score
+        )}/100) at its deepest point${
+          worstRep.rep.bottomTime !== undefined
+            ? `, ${worstRep.rep.bottomTime.toFixed(1)}s into the session`
+            : ""
+        }, compared with the demo's ${
+          worstRep.demo.position || "closest"
+        } position.`,
+        margin,
+        currentY,
+        { width: pageWidth - 2 * margin }
+      );
+    currentY = doc.y + 8;
+
+    // Stick figure of the rep's deepest point, right of the table
+    const figureTop = currentY;
+    if (worstRepFrame) {
+      drawFrameSkeletonPdf(
+        doc,
+        session,
+        reportExercise,
+        worstRepFrame,
+        pageWidth - margin - figureSize,
+        figureTop,
+        figureSize,
+        figureSize
+      );
+      doc.fontSize(10).font("Helvetica");
+    }
+
+    const columns = [margin + 10, margin + 170, margin + 250, margin + 330];
+    doc.font("Helvetica-Bold");
+    ["Joint", "Yours", "Demo", "Difference"].forEach((heading, index) => {
+      doc.text(heading, columns[index], currentY);
+    });
+    currentY += rowHeight;
+    doc.font("Helvetica");
+    worstRep.angles.forEach((row) => {
+      doc.text(row.label, columns[0], currentY);
+      doc.text(`${Math.round(row.yours)}°`, columns[1], currentY);
+      doc.text(`${Math.round(row.demo)}°`, columns[2], currentY);
       doc.text(
-        `Target Muscles: ${exercise.targetMuscles.join(", ")}`,
-        margin,
+        `${row.difference >= 0 ? "+" : ""}${Math.round(row.difference)}°`,
+        columns[3],
         currentY
       );
-      currentY += 15;
+      currentY += rowHeight;
+    });
+
+    if (worstRep.demo.description) {
+      doc
+        .fontSize(8)
+        .fillColor("gray")
+        .text(`Demo: ${worstRep.demo.description}`, margin + 10, currentY + 4, {
+          width:
+            pageWidth - 2 * margin - 10 - (worstRepFrame ? figureSize + 10 : 0),
+        });
+      doc.fillColor("black");
+      currentY = doc.y;
     }
-    if (exercise.description) {
-      doc.text(exercise.description || "", margin, currentY, {
-        width: pageWidth - 2 * margin,
-      });
-      // Estimate height for description (roughly 12px per line)
-      const estimatedLines = Math.ceil(
-        (exercise.description || "").length / 80
-      );
-      currentY += estimatedLines * 12 + 5;
+    if (worstRepFrame) {
+      currentY = Math.max(currentY, figureTop + figureSize);
     }
-    currentY += 10;
+
+    currentY += 20;
   }
 
-  // Statistics Section
-  if (stats) {
-    // Ensure currentY is a valid number
+  // Form Errors Section (stick figures of the worst moments)
+  if (errorFrames.length > 0) {
     currentY = ensureValidY(currentY);
 
-    if (currentY + 40 > maxY) {
+    const gap = 15;
+    const figureSize = Math.min(
+      150,
+      (pageWidth - 2 * margin - gap * (SKELETON_RENDER.PDF_ERROR_FRAMES - 1)) /
+        SKELETON_RENDER.PDF_ERROR_FRAMES
+    );
+    if (currentY + 20 + figureSize + 50 > maxY) {
       doc.addPage();
       currentY = margin;
     }
     doc
       .fontSize(14)
       .font("Helvetica-Bold")
-      .text("Statistics", margin, currentY);
+      .text("Where Your Form Broke Down", margin, currentY);
     currentY += 20;
 
-    doc.fontSize(10).font("Helvetica");
-    if (stats.totalFrames !== undefined && stats.totalFrames != null) {
-      const totalFrames =
-        typeof stats.totalFrames === "number"
-          ? stats.totalFrames
-          : parseInt(stats.totalFrames) || 0;
-      doc.text(`Total Frames: ${totalFrames}`, margin, currentY);
-      currentY += 15;
-    }
-    if (stats.averageAngles && Object.keys(stats.averageAngles).length > 0) {
-      doc.text("Average Angles:", margin, currentY);
-      currentY += 15;
-      Object.entries(stats.averageAngles).forEach(([angle, value]) => {
-        currentY = ensureValidY(currentY);
+    let captionBottom = currentY + figureSize;
+    errorFrames.forEach((frame, index) => {
+      const x = margin + index * (figureSize + gap);
+      const violations = drawFrameSkeletonPdf(
+        doc,
+        session,
+        reportExercise,
+        frame,
+        x,
+        currentY,
+        figureSize,
+        figureSize
+      );
+      const caption = [
+        `${(frame.timestamp || 0).toFixed(1)}s`,
+        ...(violations || []).map(
+          (violation) => `${violation.label}: ${violation.text}`
+        ),
+      ].join("\n");
+      doc
+        .fontSize(8)
+        .font("Helvetica")
+        .fillColor("black")
+        .text(caption, x, currentY + figureSize + 4, { width: figureSize });
+      captionBottom = Math.max(captionBottom, doc.y);
+    });
+    currentY = captionBottom;
 
-        if (currentY + 15 > maxY) {
-          doc.addPage();
-          currentY = margin;
-        }
-        const angleName = angle.replace(/([A-Z])/g, " $1").trim();
-        const angleValue =
-          typeof value === "number" && !isNaN(value) ? value.toFixed(1) : "N/A";
-        try {
-          doc.text(`  ${angleName}: ${angleValue}°`, margin + 10, currentY);
-          currentY += 15;
-        } catch (textError) {
-          logError("Error writing angle to PDF", {
-            error: textError.message,
-            angle,
-            value,
-            currentY,
-          });
-          currentY += 15;
-        }
-      });
-    }
-    currentY += 10;
+    doc
+      .fontSize(8)
+      .fillColor("gray")
+      .text(
+        "Red joints: form rules broken in that frame, with the measured value.",
+        margin,
+        currentY + 4,
+        { width: pageWidth - 2 * margin }
+      );
+    doc.fillColor("black");
+    currentY = doc.y + 20;
   }
 
   // Feedback Section
@@ -2279,7 +3784,7 @@ export const exportProgressAnalytics = catchAsync(async (req, res, next) => {
 
   // Build date range filter
   const dateFilter = buildDateRangeFilter(req.query);
-  const filter = { userId };
+  const filter = { userId, status: { $ne: SESSION_STATUSES.DRAFT } };
   if (dateFilter) {
     filter.recordedAt = dateFilter;
   }
@@ -2321,12 +3826,24 @@ export const exportProgressAnalytics = catchAsync(async (req, res, next) => {
   );
 
   // Calculate statistics
+  // Score figures (and the score goal) only use server-scored sessions above
+  // the pose quality bar
   const totalSessions = sessions.length;
   const totalDuration = sessions.reduce((sum, s) => sum + (s.duration || 0), 0);
+  const scoredSessions = sessions.filter(
+    (s) =>
+      s.scoring?.method !== SCORING_METHODS.UNSCORED && !s.poseQuality?.flagged
+  );
   const avgScore =
-    sessions.reduce((sum, s) => sum + (s.overallScore || 0), 0) / totalSessions;
-  const maxScore = Math.max(...sessions.map((s) => s.overallScore || 0));
-  const minScore = Math.min(...sessions.map((s) => s.overallScore || 0));
+    scoredSessions.length > 0
+      ? scoredSessions.reduce((sum, s) => sum + (s.overallScore || 0), 0) /
+        scoredSessions.length
+      : 0;
+  const maxScore = Math.max(0, ...scoredSessions.map((s) => s.overallScore || 0));
+  const minScore =
+    scoredSessions.length > 0
+      ? Math.min(...scoredSessions.map((s) => s.overallScore || 0))
+      : 0;
 
   // Weekly/Monthly progress
   const thisWeekSessions = sessions.filter((s) => {
@@ -2344,12 +3861,20 @@ export const exportProgressAnalytics = catchAsync(async (req, res, next) => {
     return date >= lastMonthStart && date <= lastMonthEnd;
   }).length;
 
-  // Score trends (last 10 sessions)
-  const recentSessions = sessions.slice(-10);
+  // Score trends (last 10 scored sessions)
+  const recentSessions = scoredSessions.slice(-10);
   const scoreTrend = recentSessions.map((s) => s.overallScore || 0);
   const isImproving =
     scoreTrend.length >= 2 && scoreTrend[scoreTrend.length - 1] > scoreTrend[0];
 
+  // Symmetry trend (last 10 sessions with a symmetry index, lower is better)
+  const symmetryTrend = sessions
+    .filter(
+      (s) => typeof s.symmetry?.index === "number" && !s.poseQuality?.flagged
+    )
+    .slice(-10)
+    .map((s) => s.symmetry.index);
+
   // Exercise distribution
   const exerciseCounts = {};
   sessions.forEach((session) => {
@@ -2359,14 +3884,14 @@ export const exportProgressAnalytics = catchAsync(async (req, res, next) => {
 
   // Score distribution
   const scoreRanges = {
-    excellent: sessions.filter((s) => (s.overallScore || 0) >= 80).length,
-    good: sessions.filter(
+    excellent: scoredSessions.filter((s) => (s.overallScore || 0) >= 80).length,
+    good: scoredSessions.filter(
       (s) => (s.overallScore || 0) >= 60 && (s.overallScore || 0) < 80
     ).length,
-    fair: sessions.filter(
+    fair: scoredSessions.filter(
       (s) => (s.overallScore || 0) >= 40 && (s.overallScore || 0) < 60
     ).length,
-    poor: sessions.filter((s) => (s.overallScore || 0) < 40).length,
+    poor: scoredSessions.filter((s) => (s.overallScore || 0) < 40).length,
   };
 
   // Goals vs Actual
@@ -2706,6 +4231,116 @@ export const exportProgressAnalytics = catchAsync(async (req, res, next) => {
     );
     currentY = ensureValidY(doc.y + 5);
   }
+  if (symmetryTrend.length > 0) {
+    const averageSymmetry =
+      symmetryTrend.reduce((sum, index) => sum + index, 0) /
+      symmetryTrend.length;
+    doc.text(
+      `Average Left/Right Imbalance (Last 10 Sessions): ${averageSymmetry.toFixed(
+        1
+      )}%`,
+      margin + 10,
+      currentY
+    );
+    currentY = ensureValidY(doc.y + 5);
+    if (symmetryTrend.length >= 2) {
+      const symmetryChange =
+        symmetryTrend[symmetryTrend.length - 1] - symmetryTrend[0];
+      doc.text(
+        `Imbalance Change: ${
+          symmetryChange >= 0 ? "+" : ""
+        }${symmetryChange.toFixed(1)}% (${
+          symmetryChange < 0 ? "more symmetric" : "less symmetric or unchanged"
+        })`,
+        margin + 10,
+        currentY
+      );
+      currentY = ensureValidY(doc.y + 5);
+    }
+  }
+
+  // Score and per-exercise trend charts (scored sessions by date)
+  const sessionTime = (s) => new Date(s.recordedAt || s.createdAt).getTime();
+  const formatChartDate = (time) =>
+    new Date(time).toLocaleDateString("en-US", {
+      month: "short",
+      day: "numeric",
+    });
+  const chartWidth = pageWidth - 2 * margin;
+
+  if (scoredSessions.length > 0) {
+    currentY += 10;
+    if (currentY + PDF_CHARTS.HEIGHT + 20 > maxY) {
+      doc.addPage();
+      currentY = margin;
+    }
+    currentY = drawLineChart(
+      doc,
+      margin,
+      currentY,
+      chartWidth,
+      PDF_CHARTS.HEIGHT,
+      {
+        title: "Score Over Time",
+        series: [
+          {
+            label: "Score",
+            points: scoredSessions.map((s) => ({
+              x: sessionTime(s),
+              y: s.overallScore || 0,
+            })),
+            dots: true,
+          },
+        ],
+        bands: goalsComparison?.score.goal
+          ? [
+              {
+                from: goalsComparison.score.goal,
+                label: `Target score (${goalsComparison.score.goal}%)`,
+              },
+            ]
+          : [],
+        yDomain: [0, 100],
+        formatX: formatChartDate,
+        formatY: (score) => `${score}%`,
+      }
+    );
+    currentY = ensureValidY(currentY + 10);
+  }
+
+  const exerciseTrends = Object.values(
+    scoredSessions.reduce((groups, s) => {
+      const name = s.exerciseId?.name || "Unknown";
+      groups[name] = groups[name] || { label: name, points: [], dots: true };
+      groups[name].points.push({ x: sessionTime(s), y: s.overallScore || 0 });
+      return groups;
+    }, {})
+  )
+    .filter((trend) => trend.points.length >= PDF_CHARTS.MIN_TREND_SESSIONS)
+    .sort((a, b) => b.points.length - a.points.length)
+    .slice(0, PDF_CHARTS.MAX_TREND_EXERCISES);
+
+  if (exerciseTrends.length > 0) {
+    if (currentY + PDF_CHARTS.HEIGHT + 30 > maxY) {
+      doc.addPage();
+      currentY = margin;
+    }
+    currentY = drawLineChart(
+      doc,
+      margin,
+      currentY,
+      chartWidth,
+      PDF_CHARTS.HEIGHT,
+      {
+        title: "Score Trend per Exercise",
+        series: exerciseTrends,
+        yDomain: [0, 100],
+        formatX: formatChartDate,
+        formatY: (score) => `${score}%`,
+      }
+    );
+    currentY = ensureValidY(currentY + 10);
+  }
 
   // Finalize PDF
   doc.end();
@@ -2716,3 +4351,359 @@ export const exportProgressAnalytics = catchAsync(async (req, res, next) => {
     dateRange: dateFilter ? "filtered" : "all",
   });
 });
+
+// ============================================
+// COMPARE TWO SESSIONS
+// ============================================
+
+/**
+ * @route   GET /api/v1/sessions/compare
+ * @desc    Compare two sessions of the same exercise (differences are b - a):
+ *          score and quality, per-joint angles, reps and tempo, and the
+ *          feedback issues that disappeared or newly appeared
+ *          (rulesVersionMismatch when the scores come from different
+ *          versions of the exercise's rules)
+ * @access  Private
+ * @query   a - Baseline session ID, b - Compared session ID
+ */
+export const getSessionComparison = catchAsync(async (req, res, next) => {
+  const userId = req.user._id.toString();
+
+  // Verify access to both sessions
+  const [sessionA, sessionB] = await loadComparedSessions(req.query, userId);
+
+  const comparison = await compareSessions(sessionA, sessionB);
+
+  res.status(HTTP_STATUS.OK).json({
+    status: API_STATUS.SUCCESS,
+    data: {
+      comparison,
+    },
+  });
+});
+
+// ============================================
+// EXPORT SESSION COMPARISON AS PDF
+// ============================================
+
+/**
+ * @route   GET /api/v1/sessions/compare/export
+ * @desc    Export the comparison of two sessions as PDF, with both sessions'
+ *          joint angles overlaid
+ * @access  Private
+ * @query   a - Baseline session ID, b - Compared session ID
+ */
+export const exportSessionComparison = catchAsync(async (req, res, next) => {
+  const userId = req.user._id.toString();
+
+  // Verify access to both sessions
+  const [sessionA, sessionB] = await loadComparedSessions(req.query, userId);
+
+  const comparison = await compareSessions(sessionA, sessionB);
+  const exercise = await Exercise.findById(sessionA.exerciseId).select("name");
+  const exerciseName = exercise?.name || "Exercise";
+
+  // Angle series of both sessions for the overlay charts
+  let seriesA = {};
+  let seriesB = {};
+  try {
+    [{ series: seriesA }, { series: seriesB }] = await Promise.all(
+      [sessionA, sessionB].map((session) =>
+        getSessionAngleSeries(session, { points: PDF_CHARTS.SERIES_POINTS })
+      )
+    );
+  } catch (error) {
+    // The charts are optional
+    logInfo("Could not load angle series for comparison PDF", {
+      sessionA: sessionA._id,
+      sessionB: sessionB._id,
+    });
+  }
+
+  const dateOf = (session) =>
+    new Date(session.recordedAt || session.createdAt);
+  const shortDate = (session) =>
+    dateOf(session).toLocaleDateString("en-US", {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+    });
+  const filename = `Comparison_${exerciseName.replace(/\s+/g, "_")}_${
+    dateOf(sessionA).toISOString().split("T")[0]
+  }_vs_${dateOf(sessionB).toISOString().split("T")[0]}.pdf`;
+
+  const PDFDocument = (await import("pdfkit")).default;
+  const doc = new PDFDocument({ margin: 50, size: "A4" });
+
+  // Set response headers
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  // Pipe PDF to response
+  doc.pipe(res);
+
+  // Page dimensions
+  const pageWidth = doc.page.width;
+  const pageHeight = doc.page.height;
+  const margin = 50;
+  const maxY = pageHeight - margin;
+  let currentY = margin + 10;
+
+  // Helper function to ensure valid Y
+  const ensureValidY = (y) => {
+    if (typeof y !== "number" || isNaN(y) || y <= 0) {
+      return margin + 10;
+    }
+    return y;
+  };
+
+  // Helper functions
+  const formatValue = (value, unit = "") =>
+    value === null || value === undefined ? "-" : `${value}${unit}`;
+  const formatChange = (value, unit = "") =>
+    value === null || value === undefined
+      ? "-"
+      : `${value > 0 ? "+" : ""}${value}${unit}`;
+
+  const startSection = (title, height) => {
+    currentY = ensureValidY(currentY);
+    if (currentY + height > maxY) {
+      doc.addPage();
+      currentY = margin;
+    }
+    doc.fontSize(14).font("Helvetica-Bold").text(title, margin, currentY);
+    currentY += 20;
+  };
+
+  // Table rows: label, session A, session B, change
+  const columns = [margin + 10, margin + 200, margin + 300, margin + 400];
+  const rowHeight = 16;
+  const drawRow = (cells, bold = false) => {
+    if (currentY + rowHeight > maxY) {
+      doc.addPage();
+      currentY = margin;
+    }
+    doc.fontSize(10).font(bold ? "Helvetica-Bold" : "Helvetica");
+    cells.forEach((cell, index) => {
+      doc.text(cell, columns[index], currentY, { lineBreak: false });
+    });
+    currentY += rowHeight;
+  };
+  const drawComparedRow = (label, compared, unit = "") =>
+    drawRow([
+      label,
+      formatValue(compared.a, unit),
+      formatValue(compared.b, unit),
+      formatChange(compared.delta, unit),
+    ]);
+  const headerRow = () =>
+    drawRow(
+      ["", `A: ${shortDate(sessionA)}`, `B: ${shortDate(sessionB)}`, "Change"],
+      true
+    );
+
+  // Title
+  doc.y = currentY;
+  doc
+    .fontSize(20)
+    .font("Helvetica-Bold")
+    .text("Session Comparison", { align: "center" });
+  doc.moveDown(0.5);
+  doc.fontSize(16).font("Helvetica").text(exerciseName, { align: "center" });
+  doc.moveDown(0.5);
+  doc
+    .fontSize(10)
+    .text(
+      `${shortDate(sessionA)} (A) vs ${shortDate(sessionB)} (B), ${Math.abs(
+        comparison.daysApart
+      )} days apart. Changes are B minus A.`,
+      { align: "center" }
+    );
+  if (comparison.rulesVersionMismatch) {
+    const version = (session) =>
+      session.rulesVersion ? `v${session.rulesVersion}` : "an unknown version";
+    doc.moveDown(0.5);
+    doc
+      .fontSize(10)
+      .font("Helvetica-Bold")
+      .fillColor("#d1242f")
+      .text(
+        `Warning: A was scored under rules ${version(
+          comparison.sessions.a
+        )} and B under ${version(
+          comparison.sessions.b
+        )}, so the scores aren't directly comparable until both are re-scored under the current rules.`,
+        { align: "center" }
+      );
+    doc.fillColor("black").font("Helvetica");
+  }
+  doc.moveDown(1.5);
+  currentY = ensureValidY(doc.y);
+
+  // Score & Quality Section
+  startSection("Score & Pose Quality", 100);
+  headerRow();
+  drawComparedRow("Overall Score", comparison.score);
+  drawRow([
+    "Rating",
+    comparison.score.ratingA || "-",
+    comparison.score.ratingB || "-",
+    "",
+  ]);
+  drawComparedRow(
+    "Usable Frames",
+    comparison.quality.usableFramePercent,
+    "%"
+  );
+  drawComparedRow(
+    "Tracking Confidence",
+    comparison.quality.averageConfidence,
+    "%"
+  );
+  currentY += 15;
+
+  // Joint Angles Section
+  if (comparison.joints.length > 0) {
+    startSection("Joint Angles", 60);
+    comparison.joints.forEach((joint) => {
+      drawRow([joint.label, "", "", ""], true);
+      drawComparedRow("   Minimum", joint.min, "°");
+      drawComparedRow("   Maximum", joint.max, "°");
+      drawComparedRow("   Average", joint.average, "°");
+    });
+    currentY += 15;
+
+    // Both sessions' angles over time, each from its own start
+    const overlaid = comparison.joints.filter(
+      (joint) =>
+        seriesA[joint.angle]?.measuredFrames > 1 &&
+        seriesB[joint.angle]?.measuredFrames > 1
+    );
+    overlaid.forEach((joint, index) => {
+      if (currentY + PDF_CHARTS.HEIGHT + 20 > maxY) {
+        doc.addPage();
+        currentY = margin;
+      }
+      const toPoints = (series) => {
+        const start = series.points[0]?.timestamp || 0;
+        return series.points.map((point) => ({
+          x: point.timestamp - start,
+          y: point.value,
+        }));
+      };
+      currentY = drawLineChart(
+        doc,
+        margin,
+        currentY,
+        pageWidth - 2 * margin,
+        PDF_CHARTS.HEIGHT,
+        {
+          title: `${joint.label} over time`,
+          series: [
+            {
+              label: `A: ${shortDate(sessionA)}`,
+              points: toPoints(seriesA[joint.angle]),
+            },
+            {
+              label: `B: ${shortDate(sessionB)}`,
+              points: toPoints(seriesB[joint.angle]),
+            },
+          ],
+          formatX: (seconds) => `${seconds.toFixed(1)}s`,
+          formatY: (degrees) => `${degrees}°`,
+        }
+      );
+      currentY += index === overlaid.length - 1 ? 15 : 10;
+    });
+  }
+
+  // Reps & Tempo Section
+  const { reps } = comparison;
+  startSection("Reps & Tempo", 100);
+  headerRow();
+  drawComparedRow("Reps", reps.count);
+  drawComparedRow("Average Rep Score", reps.averageScore);
+  drawComparedRow("Average Rep Duration", reps.averageDuration, "s");
+  drawComparedRow("Average Range of Motion", reps.averageRangeOfMotion, "°");
+  const tempoA = sessionA.repAnalysis?.tempo?.average;
+  const tempoB = sessionB.repAnalysis?.tempo?.average;
+  if (tempoA || tempoB) {
+    drawRow([
+      "Average Tempo",
+      tempoA ? formatTempo(tempoA) : "-",
+      tempoB ? formatTempo(tempoB) : "-",
+      "",
+    ]);
+  }
+  drawComparedRow("Time Under Tension", reps.tempo.timeUnderTension, "s");
+  drawComparedRow("On-Tempo Reps", reps.tempo.onTempoReps);
+  currentY += 15;
+
+  // Feedback Changes Section
+  const issueGroups = [
+    {
+      title: "Resolved in B",
+      color: "#2da44e",
+      issues: comparison.feedback.resolved,
+      count: (issue) => `${issue.count}x in A`,
+    },
+    {
+      title: "New in B",
+      color: "#d1242f",
+      issues: comparison.feedback.new,
+      count: (issue) => `${issue.count}x in B`,
+    },
+    {
+      title: "Still Present",
+      color: "#d4a72c",
+      issues: comparison.feedback.persisting,
+      count: (issue) => `${issue.countA}x in A, ${issue.countB}x in B`,
+    },
+  ];
+  startSection("Feedback Changes", 60);
+  issueGroups.forEach((group) => {
+    if (currentY + 30 > maxY) {
+      doc.addPage();
+      currentY = margin;
+    }
+    doc
+      .fontSize(11)
+      .font("Helvetica-Bold")
+      .fillColor(group.color)
+      .text(`${group.title} (${group.issues.length})`, margin + 10, currentY);
+    doc.fillColor("black");
+    currentY = doc.y + 4;
+
+    if (group.issues.length === 0) {
+      doc.fontSize(9).font("Helvetica").text("None", margin + 20, currentY);
+      currentY = doc.y + 8;
+      return;
+    }
+    group.issues.forEach((issue) => {
+      if (currentY + 25 > maxY) {
+        doc.addPage();
+        currentY = margin;
+      }
+      doc
+        .fontSize(9)
+        .font("Helvetica")
+        .text(
+          `• ${issue.message} (${issue.severity}, ${group.count(issue)})`,
+          margin + 20,
+          currentY,
+          { width: pageWidth - 2 * margin - 20 }
+        );
+      currentY = doc.y + 4;
+    });
+    currentY += 6;
+  });
+
+  // Finalize PDF
+  doc.end();
+
+  logInfo("Session comparison exported as PDF", {
+    userId,
+    sessionA: sessionA._id,
+    sessionB: sessionB._id,
+  });
+});
@@ -15,9 +15,15 @@
  */
 
 import rateLimit from 'express-rate-limit';
-import { RATE_LIMIT, API_STATUS } from '../config/constants.js';
+import { RATE_LIMIT, API_STATUS, LIVE_COACHING } from '../config/constants.js';
 import { logInfo } from '../utils/logger.js';
 
+/**
+ * Path of the live coaching frame endpoint
+ * @private
+ */
+const LIVE_FRAMES_PATH = /^\/api\/v1\/sessions\/live\/[^/]+\/frames\/?(\?|$)/;
+
 /**
  * Standard rate limiter for general API routes
  * 
@@ -52,6 +58,8 @@ export const rateLimiter = rateLimit({
   skipSuccessfulRequests: false,
   // Skip rate limiting for failed requests (optional optimization)
   skipFailedRequests: false,
+  // Live coaching frames are posted several times a second (see liveRateLimiter)
+  skip: (req) => LIVE_FRAMES_PATH.test(req.originalUrl),
 });
 
 /**
@@ -199,6 +207,41 @@ export const uploadRateLimiter = rateLimit({
   skipFailedRequests: false,
 });
 
+/**
+ * Rate limiter for frames streamed to a live coaching session
+ * 
+ * Limits: 600 requests per minute per IP (a message every 100ms)
+ * 
+ * These requests are exempt from the standard rate limiter.
+ * 
+ * @type {import('express-rate-limit').RateLimitRequestHandler}
+ */
+export const liveRateLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: LIVE_COACHING.FRAME_REQUESTS_PER_MINUTE,
+  message: {
+    status: API_STATUS.FAIL,
+    message: 'Too many live frame messages. Send frames in larger batches.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logInfo('Live rate limit exceeded', {
+      ip: req.ip,
+      path: req.originalUrl,
+      method: req.method,
+    });
+
+    res.status(429).json({
+      status: API_STATUS.FAIL,
+      message: options.message.message || 'Too many live frame messages. Send frames in larger batches.',
+      retryAfter: Math.ceil(options.windowMs / 1000),
+    });
+  },
+  skipSuccessfulRequests: false,
+  skipFailedRequests: false,
+});
+
 /**
  * Create a custom rate limiter with specified options
  * 
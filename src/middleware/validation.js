@@ -28,6 +28,7 @@ import {
   EXERCISE_CATEGORIES_ARRAY,
   EXERCISE_DIFFICULTY_ARRAY,
   EXERCISE_EQUIPMENT_ARRAY,
+  EXERCISE_MODES_ARRAY,
   FEEDBACK_TYPES_ARRAY,
   FEEDBACK_SEVERITY_ARRAY,
   EXERCISE_NAME,
@@ -37,7 +38,11 @@ import {
   SESSION_DURATION,
   SESSION_SCORE,
   SESSION_NOTES,
+  POSE_MODELS_ARRAY,
+  FRAME_CHUNKS,
+  LIVE_COACHING,
 } from '../config/constants.js';
+import { KEYPOINT_NAMES } from '../utils/poseValidators.js';
 
 // ============================================
 // AUTH VALIDATION MIDDLEWARE
@@ -299,11 +304,41 @@ export const validatePassword = (req, res, next) => {
 // EXERCISE VALIDATION MIDDLEWARE
 // ============================================
 
+/**
+ * Validate bar path tracking settings ({ keypoints, maxDrift })
+ * @private
+ * @param {Object} barPath - Bar path settings
+ * @returns {Array<string>} Error messages
+ */
+const getBarPathErrors = (barPath) => {
+  if (barPath === null || typeof barPath !== 'object' || Array.isArray(barPath)) {
+    return ['barPath must be an object'];
+  }
+
+  const errors = [];
+  if (barPath.keypoints !== undefined) {
+    const keypointsValidation = validateArray(barPath.keypoints, {
+      minLength: 1,
+      itemValidator: (name) => validateEnum(name, KEYPOINT_NAMES.CANONICAL, { caseSensitive: true }),
+    });
+    if (!keypointsValidation.valid) {
+      errors.push(`Invalid barPath.keypoints: ${keypointsValidation.errors.join(', ')}`);
+    }
+  }
+  if (barPath.maxDrift !== undefined) {
+    const driftValidation = validateNumber(barPath.maxDrift, { min: 0, max: 2 });
+    if (!driftValidation.valid) {
+      errors.push(`Invalid barPath.maxDrift: ${driftValidation.error}`);
+    }
+  }
+  return errors;
+};
+
 /**
  * Validate exercise creation/update
  */
 export const validateExercise = (req, res, next) => {
-  const { name, category, difficulty, description, targetMuscles, formRules, equipment } = req.body;
+  const { name, category, difficulty, description, targetMuscles, formRules, equipment, mode, barPath } = req.body;
   const errors = [];
 
   // Validate name (required)
@@ -340,6 +375,19 @@ export const validateExercise = (req, res, next) => {
     }
   }
 
+  // Validate mode (optional, defaults to dynamic)
+  if (mode !== undefined) {
+    const modeValidation = validateEnum(mode, EXERCISE_MODES_ARRAY, 'mode');
+    if (!modeValidation.valid) {
+      errors.push(modeValidation.error);
+    }
+  }
+
+  // Validate bar path tracking (optional)
+  if (barPath !== undefined) {
+    errors.push(...getBarPathErrors(barPath));
+  }
+
   // Validate description (optional)
   if (description !== undefined) {
     const descValidation = validateStringLength(description, {
@@ -390,6 +438,10 @@ export const validateExercise = (req, res, next) => {
         }
       }
     }
+    // Declarative rules are checked in depth by exerciseService.validateFormRules
+    if (formRules.rules !== undefined && !Array.isArray(formRules.rules)) {
+      errors.push('formRules.rules must be an array');
+    }
   }
 
   if (errors.length > 0) {
@@ -403,7 +455,8 @@ export const validateExercise = (req, res, next) => {
  * Validate exercise update (all fields optional)
  */
 export const validateUpdateExercise = (req, res, next) => {
-  const { name, category, difficulty, description, targetMuscles, formRules, equipment, isActive } = req.body;
+  const { name, category, difficulty, description, targetMuscles, formRules, equipment, mode, barPath, isActive } =
+    req.body;
   const errors = [];
 
   // Validate name (if provided)
@@ -434,6 +487,19 @@ export const validateUpdateExercise = (req, res, next) => {
     }
   }
 
+  // Validate mode (if provided)
+  if (mode !== undefined) {
+    const modeValidation = validateEnum(mode, EXERCISE_MODES_ARRAY, 'mode');
+    if (!modeValidation.valid) {
+      errors.push(modeValidation.error);
+    }
+  }
+
+  // Validate bar path tracking (if provided)
+  if (barPath !== undefined && barPath !== null) {
+    errors.push(...getBarPathErrors(barPath));
+  }
+
   // Validate description (if provided)
   if (description !== undefined) {
     const descValidation = validateStringLength(description, {
@@ -491,6 +557,10 @@ export const validateUpdateExercise = (req, res, next) => {
         }
       }
     }
+    // Declarative rules are checked in depth by exerciseService.validateFormRules
+    if (formRules.rules !== undefined && !Array.isArray(formRules.rules)) {
+      errors.push('formRules.rules must be an array');
+    }
   }
 
   if (errors.length > 0) {
@@ -711,6 +781,12 @@ export const validateSession = (req, res, next) => {
           errors.push(`Invalid fps: ${fpsValidation.error}`);
         }
       }
+      if (poseData.poseModel !== undefined) {
+        const modelValidation = validateEnum(poseData.poseModel, POSE_MODELS_ARRAY, 'poseModel');
+        if (!modelValidation.valid) {
+          errors.push(modelValidation.error);
+        }
+      }
     }
   }
 
@@ -777,6 +853,139 @@ export const validateUpdateSession = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate draft session creation (frames are uploaded in chunks afterwards)
+ */
+export const validateSessionDraft = (req, res, next) => {
+  const { exerciseId, fps, poseModel, notes, tags } = req.body;
+  const errors = [];
+
+  // Validate exerciseId (required)
+  if (!exerciseId) {
+    errors.push('Exercise ID is required');
+  } else {
+    const idValidation = validateObjectId(exerciseId);
+    if (!idValidation.valid) {
+      errors.push(idValidation.error);
+    }
+  }
+
+  // Validate fps (optional)
+  if (fps !== undefined) {
+    const fpsValidation = validateNumber(fps, { min: 1, max: 120 });
+    if (!fpsValidation.valid) {
+      errors.push(`Invalid fps: ${fpsValidation.error}`);
+    }
+  }
+
+  // Validate poseModel (optional, detected from the first chunk otherwise)
+  if (poseModel !== undefined) {
+    const modelValidation = validateEnum(poseModel, POSE_MODELS_ARRAY, 'poseModel');
+    if (!modelValidation.valid) {
+      errors.push(modelValidation.error);
+    }
+  }
+
+  // Validate notes (optional)
+  if (notes !== undefined) {
+    const notesValidation = validateStringLength(notes, {
+      max: SESSION_NOTES.MAX_LENGTH,
+      fieldName: 'Notes',
+    });
+    if (!notesValidation.valid) {
+      errors.push(notesValidation.error);
+    }
+  }
+
+  // Validate tags (optional)
+  if (tags !== undefined) {
+    const tagsValidation = validateArray(tags, { maxLength: 10 });
+    if (!tagsValidation.valid) {
+      errors.push(`Invalid tags: ${tagsValidation.errors.join(', ')}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join('. '), HTTP_STATUS.BAD_REQUEST));
+  }
+
+  next();
+};
+
+/**
+ * Validate a chunk of frames appended to a draft session
+ */
+export const validateFrameChunk = (req, res, next) => {
+  const { frames } = req.body;
+
+  const framesValidation = validateArray(frames, {
+    minLength: 1,
+    maxLength: FRAME_CHUNKS.MAX_FRAMES_PER_CHUNK,
+  });
+  if (!framesValidation.valid) {
+    return next(
+      new AppError(`Invalid frames: ${framesValidation.errors.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+    );
+  }
+
+  next();
+};
+
+/**
+ * Validate finalizing a draft session
+ */
+export const validateSessionFinalize = (req, res, next) => {
+  const { duration, overallScore } = req.body;
+  const errors = [];
+
+  // Validate duration (optional, taken from the frame timestamps otherwise)
+  if (duration !== undefined) {
+    const durationValidation = validateNumber(duration, {
+      min: SESSION_DURATION.MIN,
+      max: SESSION_DURATION.MAX,
+    });
+    if (!durationValidation.valid) {
+      errors.push(`Invalid duration: ${durationValidation.error}`);
+    }
+  }
+
+  // Validate overallScore (optional client hint)
+  if (overallScore !== undefined) {
+    const scoreValidation = validateNumber(overallScore, {
+      min: SESSION_SCORE.MIN,
+      max: SESSION_SCORE.MAX,
+    });
+    if (!scoreValidation.valid) {
+      errors.push(`Invalid overall score: ${scoreValidation.error}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return next(new AppError(errors.join('. '), HTTP_STATUS.BAD_REQUEST));
+  }
+
+  next();
+};
+
+/**
+ * Validate frames streamed to a live session
+ */
+export const validateLiveFrames = (req, res, next) => {
+  const { frames } = req.body;
+
+  const framesValidation = validateArray(frames, {
+    minLength: 1,
+    maxLength: LIVE_COACHING.MAX_FRAMES_PER_MESSAGE,
+  });
+  if (!framesValidation.valid) {
+    return next(
+      new AppError(`Invalid frames: ${framesValidation.errors.join(', ')}`, HTTP_STATUS.BAD_REQUEST)
+    );
+  }
+
+  next();
+};
+
 // ============================================
 // VIDEO VALIDATION MIDDLEWARE
 // ============================================
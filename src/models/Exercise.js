@@ -6,9 +6,20 @@ import {
   EXERCISE_DIFFICULTY_ARRAY,
   EXERCISE_EQUIPMENT,
   EXERCISE_EQUIPMENT_ARRAY,
+  EXERCISE_MODES,
+  EXERCISE_MODES_ARRAY,
   EXERCISE_NAME,
   EXERCISE_DESCRIPTION,
   ANGLES,
+  FORM_RULES,
+  FORM_RULE_PHASES_ARRAY,
+  FORM_RULE_SIDES_ARRAY,
+  FORM_RULE_OPERATORS_ARRAY,
+  FEEDBACK_SEVERITY,
+  TEMPO,
+  TEMPO_PHASES,
+  TEMPO_PHASES_ARRAY,
+  REFERENCE_SOURCES_ARRAY,
 } from "../config/constants.js";
 
 // Nested schema for form checkpoints
@@ -34,6 +45,151 @@ const commonMistakeSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Nested schema for the condition of a declarative form rule
+const formRuleConditionSchema = new mongoose.Schema(
+  {
+    operator: {
+      type: String,
+      enum: {
+        values: FORM_RULE_OPERATORS_ARRAY,
+        message: `Form rule operator must be one of: ${FORM_RULE_OPERATORS_ARRAY.join(
+          ", "
+        )}`,
+      },
+      required: true,
+    },
+    value: Number, // Threshold for <, <=, > and >=
+    min: Number, // Range for between
+    max: Number,
+  },
+  { _id: false }
+);
+
+// Nested schema for a declarative form rule (see formRuleService)
+const formRuleSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+      match: [FORM_RULES.ID_PATTERN, "Form rule id must be lowercase snake_case"],
+    },
+    metric: {
+      type: mongoose.Schema.Types.Mixed, // Catalog name or { type: angle|distance|ratio, ... }
+      required: true,
+    },
+    side: { type: String, enum: FORM_RULE_SIDES_ARRAY },
+    phase: { type: String, enum: FORM_RULE_PHASES_ARRAY },
+    condition: { type: formRuleConditionSchema, required: true },
+    severity: {
+      type: String,
+      enum: [
+        FEEDBACK_SEVERITY.ERROR,
+        FEEDBACK_SEVERITY.WARNING,
+        FEEDBACK_SEVERITY.INFO,
+      ],
+    }, // Graded by deviation when not set
+    tolerance: { type: Number, min: 0 }, // Deviation at which a frame scores zero
+    message: {
+      type: String,
+      trim: true,
+      maxlength: FORM_RULES.MAX_TEMPLATE_LENGTH,
+    },
+    suggestion: {
+      type: String,
+      trim: true,
+      maxlength: FORM_RULES.MAX_TEMPLATE_LENGTH,
+    },
+  },
+  { _id: false }
+);
+
+// Nested schema for one version of an exercise's formRules
+const ruleVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, min: 1, required: true },
+    formRules: { type: mongoose.Schema.Types.Mixed }, // Snapshot as it was saved
+    createdAt: { type: Date, default: Date.now },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { _id: false }
+);
+
+// Nested schema for tempo prescription (seconds per phase, e.g. 3-1-1)
+const tempoSchema = new mongoose.Schema(
+  {
+    eccentric: { type: Number, min: 0, max: TEMPO.MAX_PHASE_SECONDS },
+    pause: { type: Number, min: 0, max: TEMPO.MAX_PHASE_SECONDS },
+    concentric: { type: Number, min: 0, max: TEMPO.MAX_PHASE_SECONDS },
+    explosive: Boolean, // Concentric written as X: as fast as possible, not timed
+    firstPhase: {
+      type: String,
+      enum: {
+        values: TEMPO_PHASES_ARRAY,
+        message: `Tempo first phase must be one of: ${TEMPO_PHASES_ARRAY.join(
+          ", "
+        )}`,
+      },
+      default: TEMPO_PHASES.ECCENTRIC, // Squats lower first, curls lift first
+    },
+  },
+  { _id: false }
+);
+
+// Nested schema for bar path tracking settings (loaded lifts)
+const barPathSchema = new mongoose.Schema(
+  {
+    keypoints: { type: [String], default: undefined }, // Defaults to both wrists
+    maxDrift: { type: Number, min: 0, max: 2 }, // Torso lengths of forward drift allowed
+  },
+  { _id: false }
+);
+
+// Nested schema for one frame of a reference recording (angles only)
+const referenceFrameSchema = new mongoose.Schema(
+  {
+    frame: { type: Number, min: 0 },
+    timestamp: { type: Number, min: 0 },
+    angles: {
+      kneeAngle: { type: Number },
+      hipAngle: { type: Number },
+      backAngle: { type: Number },
+      shoulderAngle: { type: Number },
+      ankleAngle: { type: Number },
+    },
+  },
+  { _id: false }
+);
+
+// Nested schema for the "gold standard" recording sessions are compared against
+const referenceSchema = new mongoose.Schema(
+  {
+    source: {
+      type: String,
+      enum: {
+        values: REFERENCE_SOURCES_ARRAY,
+        message: `Reference source must be one of: ${REFERENCE_SOURCES_ARRAY.join(
+          ", "
+        )}`,
+      },
+      required: true,
+    },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ExerciseSession",
+    },
+    metrics: { type: [String], default: [] },
+    frames: { type: [referenceFrameSchema], default: [] }, // One rep, or the whole recording without reps
+    duration: { type: Number, min: 0 },
+    repCount: { type: Number, min: 0 }, // Reps detected in the source recording
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    setAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 // Nested schema for demonstration
 const demonstrationSchema = new mongoose.Schema(
   {
@@ -139,9 +295,41 @@ const exerciseSchema = new mongoose.Schema(
             max: ANGLES.SHOULDER.MAX,
           },
         },
+        rules: {
+          type: [formRuleSchema],
+          default: undefined, // Declarative rules with phases, derived metrics and messages
+        },
       },
       default: {},
     },
+    rulesVersion: {
+      type: Number, // Bumped on every formRules change; sessions record the version that scored them
+      min: 1,
+      default: 1,
+    },
+    ruleVersions: {
+      type: [ruleVersionSchema],
+      default: [],
+      select: false, // History - load with .select("+ruleVersions")
+    },
+    tempo: {
+      type: tempoSchema,
+      default: undefined, // Optional tempo prescription
+    },
+    barPath: {
+      type: barPathSchema,
+      default: undefined, // Deadlifts, presses, cleans and front squats are tracked without it
+    },
+    symmetryThreshold: {
+      type: Number, // Overrides the default left/right imbalance threshold (%)
+      min: [0, "Symmetry threshold cannot be negative"],
+      max: [100, "Symmetry threshold cannot exceed 100"],
+    },
+    reference: {
+      type: referenceSchema,
+      default: undefined,
+      select: false, // Angle series can be large - load with .select("+reference")
+    },
     instructions: {
       type: [String],
       default: [],
@@ -166,6 +354,14 @@ const exerciseSchema = new mongoose.Schema(
         )}`,
       },
     },
+    mode: {
+      type: String,
+      enum: {
+        values: EXERCISE_MODES_ARRAY,
+        message: `Mode must be one of: ${EXERCISE_MODES_ARRAY.join(", ")}`,
+      },
+      default: EXERCISE_MODES.DYNAMIC, // Holds are analyzed for hold time instead of reps
+    },
     imageUrl: {
       type: String,
       trim: true,
@@ -239,6 +435,17 @@ exerciseSchema.statics.findByDifficulty = function (difficulty) {
   return this.find({ difficulty, isActive: true });
 };
 
+// Pre-save middleware to record the first formRules version
+exerciseSchema.pre("save", function (next) {
+  if (this.isNew && (!this.ruleVersions || this.ruleVersions.length === 0)) {
+    const { _id: _formRulesId, ...formRules } = this.formRules?.toObject
+      ? this.formRules.toObject({ virtuals: false })
+      : this.formRules || {};
+    this.ruleVersions = [{ version: this.rulesVersion || 1, formRules }];
+  }
+  next();
+});
+
 // Pre-save middleware to validate formRules
 exerciseSchema.pre("save", function (next) {
   // Validate that min <= max for all angle rules
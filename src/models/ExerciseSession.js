@@ -1,4 +1,29 @@
 import mongoose from 'mongoose';
+import {
+  SCORING_METHODS,
+  SCORING_METHODS_ARRAY,
+  POSE_FILTERS_ARRAY,
+  POSE_MODELS_ARRAY,
+  CAMERA_VIEWS_ARRAY,
+  QUALITY_SEGMENT_TYPES_ARRAY,
+  SESSION_DURATION,
+  SESSION_STATUSES,
+  SESSION_STATUSES_ARRAY,
+  POSE_STORAGE,
+  POSE_STORAGE_ARRAY,
+  KEY_FRAME_TYPES_ARRAY,
+} from '../config/constants.js';
+
+// Sub-schema for the joint angles of one body side
+const sideAngleSchema = new mongoose.Schema(
+  {
+    kneeAngle: Number,
+    hipAngle: Number,
+    shoulderAngle: Number, // Arm angle at the elbow, same as angles.shoulderAngle
+    ankleAngle: Number,
+  },
+  { _id: false }
+);
 
 // Sub-schema for keypoint data (nested in poseData)
 const keypointSchema = new mongoose.Schema(
@@ -19,7 +44,9 @@ const keypointSchema = new mongoose.Schema(
           name: String, // e.g., 'nose', 'left_shoulder', 'right_knee'
           x: { type: Number, required: true },
           y: { type: Number, required: true },
+          z: Number, // Optional depth (BlazePose / MediaPipe)
           confidence: { type: Number, min: 0, max: 1 },
+          interpolated: Boolean, // Bridged over a low-confidence gap by the keypoint filter
         },
       ],
       default: [],
@@ -34,10 +61,472 @@ const keypointSchema = new mongoose.Schema(
       },
       default: {},
     },
+    sideAngles: {
+      type: {
+        left: { type: sideAngleSchema, default: undefined },
+        right: { type: sideAngleSchema, default: undefined },
+      },
+      default: undefined, // Per-side angles, absent on older sessions
+    },
   },
   { _id: false } // Disable _id for subdocuments to save space
 );
 
+// Sub-schema recording how keypoints were filtered before analysis
+const poseFilterSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: {
+        values: POSE_FILTERS_ARRAY,
+        message: `Filter method must be one of: ${POSE_FILTERS_ARRAY.join(', ')}`,
+      },
+    },
+    minCutoff: Number, // One-Euro parameters
+    beta: Number,
+    dCutoff: Number,
+    window: Number, // Moving average / median window (frames)
+    maxSpeed: Number, // Outlier rejection threshold (normalized units per second)
+    minConfidence: Number, // Keypoints below this were interpolated
+    maxGap: Number, // Longest interpolated gap (frames)
+    rejectedKeypoints: { type: Number, min: 0, default: 0 },
+    interpolatedKeypoints: { type: Number, min: 0, default: 0 },
+  },
+  { _id: false }
+);
+
+// Sub-schema for per-rule scoring breakdown
+const ruleScoreSchema = new mongoose.Schema(
+  {
+    ruleId: { type: String, required: true },
+    metric: String, // e.g., 'kneeAngle'
+    evaluatedFrames: { type: Number, min: 0, default: 0 },
+    passRate: { type: Number, min: 0, max: 1 }, // Fraction of frames fully inside the range
+    score: { type: Number, min: 0, max: 100 },
+    downgraded: Boolean, // Angle only partly measurable from the camera view, counted at reduced weight
+  },
+  { _id: false }
+);
+
+// Sub-schema for a stretch of frames the camera couldn't analyze
+const qualitySegmentSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: QUALITY_SEGMENT_TYPES_ARRAY },
+    startFrame: Number,
+    endFrame: Number,
+    startTime: Number,
+    endTime: Number,
+    duration: Number, // Seconds
+  },
+  { _id: false }
+);
+
+// Sub-schema for how often a keypoint was hidden
+const occludedKeypointSchema = new mongoose.Schema(
+  {
+    name: String,
+    occludedPercent: Number,
+  },
+  { _id: false }
+);
+
+// Sub-schema for a body part the rules needed but the camera rarely saw
+const unseenBodyPartSchema = new mongoose.Schema(
+  {
+    part: String, // e.g. 'ankles'
+    occludedPercent: Number,
+    metrics: [String], // Angles that depend on it
+  },
+  { _id: false }
+);
+
+// Sub-schema for the pose quality report of a session
+const poseQualitySchema = new mongoose.Schema(
+  {
+    usableFrames: { type: Number, min: 0 },
+    totalFrames: { type: Number, min: 0 },
+    usableFramePercent: { type: Number, min: 0, max: 100 },
+    averageConfidence: { type: Number, min: 0, max: 1 },
+    rating: String, // good / fair / poor
+    threshold: Number, // Usable frame percentage the session was gated against
+    flagged: { type: Boolean, default: false }, // Below the bar - left out of trends and leaderboards
+    occludedKeypoints: { type: [occludedKeypointSchema], default: [] }, // Most occluded first
+    unseenBodyParts: { type: [unseenBodyPartSchema], default: [] },
+    segments: { type: [qualitySegmentSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Sub-schema for a rule affected by the camera view
+const viewpointRuleSchema = new mongoose.Schema(
+  {
+    ruleId: String,
+    metric: String,
+  },
+  { _id: false }
+);
+
+// Sub-schema for the inferred camera view and the angles it can measure
+const viewpointSchema = new mongoose.Schema(
+  {
+    view: { type: String, enum: CAMERA_VIEWS_ARRAY },
+    confidence: { type: Number, min: 0, max: 1 }, // Share of frames classified as this view
+    widthRatio: Number, // Median shoulder/hip width in torso lengths
+    analyzedFrames: { type: Number, min: 0 },
+    distribution: {
+      front: Number,
+      side: Number,
+      oblique: Number,
+    },
+    angleReliability: { type: mongoose.Schema.Types.Mixed }, // { kneeAngle: true, ... }
+    skippedRules: { type: [viewpointRuleSchema], default: [] },
+    downgradedRules: { type: [viewpointRuleSchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Sub-schema describing how overallScore was produced
+const scoringSchema = new mongoose.Schema(
+  {
+    method: {
+      type: String,
+      enum: {
+        values: SCORING_METHODS_ARRAY,
+        message: `Scoring method must be one of: ${SCORING_METHODS_ARRAY.join(', ')}`,
+      },
+      default: SCORING_METHODS.SERVER,
+    },
+    clientScore: { type: Number, min: 0, max: 100 }, // Score reported by the client (hint only)
+    divergence: { type: Number, min: 0 }, // |clientScore - overallScore|
+    flagged: { type: Boolean, default: false }, // True when divergence exceeds the threshold
+    scoredFrames: { type: Number, min: 0, default: 0 },
+    totalFrames: { type: Number, min: 0, default: 0 },
+    ruleBreakdown: { type: [ruleScoreSchema], default: [] },
+    rulesVersion: { type: Number, min: 1 }, // Exercise formRules version the score was computed with
+    rescoredAt: Date, // Set when the session was re-scored under a newer rules version
+    rescoreFailedVersion: { type: Number, min: 1 }, // Rules version a re-score failed under - skipped until forced
+    rescoreFailedAt: Date,
+  },
+  { _id: false }
+);
+
+// Sub-schema for phase durations in seconds (eccentric-pause-concentric)
+const tempoPhasesSchema = new mongoose.Schema(
+  {
+    eccentric: { type: Number, min: 0 },
+    pause: { type: Number, min: 0 },
+    concentric: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the measured tempo of a single rep
+const repTempoSchema = new mongoose.Schema(
+  {
+    eccentric: { type: Number, min: 0 },
+    pause: { type: Number, min: 0 },
+    concentric: { type: Number, min: 0 },
+    deviation: {
+      type: {
+        eccentric: Number, // Signed seconds off the prescription (0 = within tolerance)
+        pause: Number,
+        concentric: Number,
+      },
+      default: undefined,
+    },
+    onTempo: Boolean, // Only set when the exercise prescribes a tempo
+  },
+  { _id: false }
+);
+
+// Sub-schema for a single detected repetition
+const repSchema = new mongoose.Schema(
+  {
+    number: { type: Number, required: true, min: 1 },
+    startFrame: { type: Number, required: true, min: 0 },
+    bottomFrame: { type: Number, min: 0 }, // Frame furthest from the resting position
+    endFrame: { type: Number, required: true, min: 0 },
+    startTime: { type: Number, min: 0 },
+    bottomTime: { type: Number, min: 0 },
+    endTime: { type: Number, min: 0 },
+    pauseStartTime: { type: Number, min: 0 }, // Bottom pause window
+    pauseEndTime: { type: Number, min: 0 },
+    duration: { type: Number, min: 0 }, // Seconds
+    minAngle: Number,
+    maxAngle: Number,
+    rangeOfMotion: { type: Number, min: 0 }, // Degrees travelled by the driving angle
+    score: { type: Number, min: 0, max: 100 },
+    tempo: { type: repTempoSchema, default: undefined },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the session tempo summary
+const tempoSummarySchema = new mongoose.Schema(
+  {
+    prescribed: {
+      type: {
+        eccentric: Number,
+        pause: Number,
+        concentric: Number,
+        explosive: Boolean,
+        firstPhase: String,
+      },
+      default: undefined, // Absent when the exercise has no tempo prescription
+    },
+    average: { type: tempoPhasesSchema, default: undefined },
+    timeUnderTension: { type: Number, min: 0 }, // Seconds summed over all reps
+    onTempoReps: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the rep segmentation of a session
+const repAnalysisSchema = new mongoose.Schema(
+  {
+    metric: String, // Angle that drives the rep cycle, e.g. 'kneeAngle'
+    count: { type: Number, min: 0, default: 0 },
+    reps: { type: [repSchema], default: [] },
+    tempo: { type: tempoSummarySchema, default: undefined },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the left/right comparison of one joint
+const jointSymmetrySchema = new mongoose.Schema(
+  {
+    metric: { type: String, required: true }, // e.g. 'kneeAngle'
+    frames: { type: Number, min: 0 }, // Frames with both sides measured
+    leftAverage: Number,
+    rightAverage: Number,
+    meanDifference: { type: Number, min: 0 }, // Degrees
+    maxDifference: { type: Number, min: 0 },
+    maxDifferenceFrame: Number,
+    maxDifferenceTime: Number,
+    symmetryIndex: { type: Number, min: 0 }, // Mean difference as % of the mean angle
+    flagged: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the session symmetry summary
+const symmetrySchema = new mongoose.Schema(
+  {
+    index: { type: Number, min: 0 }, // Average symmetry index across joints (0 = symmetric)
+    threshold: { type: Number, min: 0 }, // Threshold the joints were flagged against
+    flagged: { type: Boolean, default: false },
+    joints: { type: [jointSymmetrySchema], default: [] },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the rep where form broke down over a set
+const fatigueBreakdownSchema = new mongoose.Schema(
+  {
+    afterRep: { type: Number, min: 1 }, // Last rep before form broke down
+    rep: { type: Number, min: 1 }, // First degraded rep
+    frame: Number,
+    timestamp: Number,
+    reason: {
+      type: String,
+      enum: ['rangeOfMotion', 'tempo', 'score', 'angle'],
+    },
+    metric: String, // Joint angle that drifted (reason 'angle')
+    change: Number, // % for rangeOfMotion/tempo, points for score, degrees for angle
+    threshold: Number,
+    message: String,
+  },
+  { _id: false }
+);
+
+// Sub-schema for the fatigue summary of a set
+const fatigueSchema = new mongoose.Schema(
+  {
+    index: { type: Number, min: 0, max: 100 }, // 0 = no degradation, 100 = severe
+    baselineReps: { type: Number, min: 1 },
+    indicators: {
+      rangeOfMotionLoss: Number, // % lost in the last reps vs. the first reps
+      tempoSlowdown: Number, // % slower
+      scoreDrop: Number, // Points
+      angleDrift: {
+        metric: String,
+        extreme: { type: String, enum: ['min', 'max'] },
+        change: Number, // Degrees
+      },
+    },
+    breakdown: { type: fatigueBreakdownSchema, default: undefined },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the point where an isometric hold broke down
+const holdBreakdownSchema = new mongoose.Schema(
+  {
+    frame: Number,
+    timestamp: Number,
+    heldFor: { type: Number, min: 0 }, // Seconds held in tolerance before the breakdown
+    duration: { type: Number, min: 0 }, // Seconds spent out of tolerance
+    recovered: { type: Boolean, default: false },
+    ruleId: String,
+    metric: String,
+    value: Number,
+    threshold: Number,
+  },
+  { _id: false }
+);
+
+// Sub-schema for the isometric hold summary (hold exercises only)
+const holdAnalysisSchema = new mongoose.Schema(
+  {
+    effectiveHoldTime: { type: Number, min: 0 }, // Seconds inside the formRules tolerance
+    holdDuration: { type: Number, min: 0 }, // Seconds from first to last frame in tolerance
+    inTolerancePercent: { type: Number, min: 0, max: 100 },
+    longestHold: { type: Number, min: 0 },
+    breakdown: { type: holdBreakdownSchema, default: undefined },
+    sway: {
+      hip: { type: Number, min: 0 }, // RMS hip movement in torso lengths
+      angles: { type: mongoose.Schema.Types.Mixed }, // Angle standard deviation per metric
+      unsteady: { type: Boolean, default: false },
+    },
+  },
+  { _id: false }
+);
+
+// Sub-schema for one detected jump (plyometric exercises)
+const jumpSchema = new mongoose.Schema(
+  {
+    number: { type: Number, min: 1 },
+    takeoffFrame: Number,
+    landingFrame: Number,
+    takeoffTime: Number,
+    landingTime: Number,
+    flightTime: { type: Number, min: 0 }, // Seconds
+    height: { type: Number, min: 0 }, // cm, estimated from the flight time
+    hipRise: Number, // Torso lengths
+    landingKneeAngle: Number, // Deepest knee angle right after touchdown
+    kneeFlexion: Number, // Degrees from straight
+    kneeToAnkleRatio: Number, // Knee width / ankle width on landing (front view only)
+    stiffLanding: { type: Boolean, default: false },
+    kneeValgus: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the jump summary (plyometric exercises only)
+const jumpAnalysisSchema = new mongoose.Schema(
+  {
+    count: { type: Number, min: 0, default: 0 },
+    jumps: { type: [jumpSchema], default: [] },
+    averageFlightTime: { type: Number, min: 0 },
+    averageHeight: { type: Number, min: 0 },
+    bestHeight: { type: Number, min: 0 },
+    stiffLandings: { type: Number, min: 0 },
+    valgusLandings: { type: Number, min: 0 },
+  },
+  { _id: false }
+);
+
+// Sub-schema for one point of the simplified bar path (normalized image coordinates)
+const barPathPointSchema = new mongoose.Schema(
+  {
+    x: Number,
+    y: Number,
+    timestamp: Number,
+  },
+  { _id: false }
+);
+
+// Sub-schema for the bar path drift of one rep
+const barPathRepSchema = new mongoose.Schema(
+  {
+    number: { type: Number, min: 1 },
+    maxDrift: Number, // Torso lengths from vertical, either direction
+    forwardDrift: Number, // Null when the lifter was filmed from the front
+    backwardDrift: Number,
+    pathLength: Number, // Torso lengths
+    verticalTravel: Number,
+  },
+  { _id: false }
+);
+
+// Sub-schema for the tracked bar path (loaded lifts)
+const barPathSchema = new mongoose.Schema(
+  {
+    keypoints: [String],
+    facing: { type: String, enum: ['left', 'right', null] }, // Direction faced in the image
+    torsoLength: Number, // Normalized image units, the unit of the measurements below
+    maxDrift: Number,
+    forwardDrift: Number,
+    backwardDrift: Number,
+    pathLength: Number,
+    verticalTravel: Number,
+    threshold: Number,
+    worstRep: Number,
+    worstFrame: Number,
+    worstTime: Number,
+    reps: { type: [barPathRepSchema], default: [] },
+    path: { type: [barPathPointSchema], default: [] }, // Simplified polyline
+  },
+  { _id: false }
+);
+
+// Sub-schema for the reference deviation of one joint
+const jointReferenceSchema = new mongoose.Schema(
+  {
+    metric: { type: String, required: true }, // e.g. 'kneeAngle'
+    meanDeviation: { type: Number, min: 0 }, // Degrees, after time warping
+    maxDeviation: { type: Number, min: 0 },
+    maxDeviationTime: Number,
+    similarity: { type: Number, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
+// Sub-schema for the comparison against the exercise reference recording
+// (the per-frame deviation curve is computed on request, not stored)
+const referenceComparisonSchema = new mongoose.Schema(
+  {
+    similarity: { type: Number, min: 0, max: 100 },
+    meanDeviation: { type: Number, min: 0 },
+    joints: { type: [jointReferenceSchema], default: [] },
+    reps: {
+      type: [
+        {
+          _id: false,
+          number: Number,
+          meanDeviation: { type: Number, min: 0 },
+          similarity: { type: Number, min: 0, max: 100 },
+        },
+      ],
+      default: [],
+    },
+    referenceSetAt: Date, // Identifies the reference version compared against
+  },
+  { _id: false }
+);
+
+// Sub-schema for a key frame (a frame worth showing, and why)
+const keyFrameSchema = new mongoose.Schema(
+  {
+    frame: { type: Number, min: 0, required: true },
+    timestamp: { type: Number, min: 0 },
+    type: {
+      type: String,
+      enum: {
+        values: KEY_FRAME_TYPES_ARRAY,
+        message: `Key frame type must be one of: ${KEY_FRAME_TYPES_ARRAY.join(', ')}`,
+      },
+      required: true,
+    },
+    repNumber: Number, // Rep bottoms
+    score: Number, // Rep bottoms - score of the rep
+    ruleId: String, // Error peaks
+    position: String, // Checkpoints - demonstration checkpoint position
+    deviation: { type: Number, min: 0 }, // Degrees outside the rule range, or from the checkpoint
+  },
+  { _id: false }
+);
+
 const exerciseSessionSchema = new mongoose.Schema(
   {
     userId: {
@@ -56,7 +545,7 @@ const exerciseSessionSchema = new mongoose.Schema(
       type: Number,
       required: [true, 'Duration is required'],
       min: [0, 'Duration cannot be negative'],
-      max: [1800, 'Duration cannot exceed 1800 seconds (half hour)'],
+      max: [SESSION_DURATION.MAX, `Duration cannot exceed ${SESSION_DURATION.MAX} seconds (half hour)`],
     },
     recordedAt: {
       type: Date,
@@ -69,8 +558,9 @@ const exerciseSessionSchema = new mongoose.Schema(
         default: [],
         validate: {
           validator: function (v) {
-            // Validate that keypoints array is not empty if poseData exists
-            return v.length > 0;
+            // Validate that keypoints array is not empty if poseData exists;
+            // chunked sessions keep their frames in the PoseData collection
+            return v.length > 0 || this.poseData?.storage === POSE_STORAGE.CHUNKED;
           },
           message: 'At least one keypoint frame is required',
         },
@@ -86,6 +576,56 @@ const exerciseSessionSchema = new mongoose.Schema(
         min: [1, 'FPS must be at least 1'],
         max: [120, 'FPS cannot exceed 120'],
       },
+      imageWidth: {
+        type: Number, // Pixel coordinates were divided by the image size
+        min: [1, 'Image width must be at least 1 pixel'],
+      },
+      imageHeight: {
+        type: Number,
+        min: [1, 'Image height must be at least 1 pixel'],
+      },
+      poseModel: {
+        type: String, // Model the keypoints came from; they are stored canonical
+        enum: {
+          values: POSE_MODELS_ARRAY,
+          message: `Pose model must be one of: ${POSE_MODELS_ARRAY.join(', ')}`,
+        },
+      },
+      filter: {
+        type: poseFilterSchema,
+        default: undefined, // Absent when keypoints were stored unfiltered
+      },
+      storage: {
+        type: String,
+        enum: {
+          values: POSE_STORAGE_ARRAY,
+          message: `Pose data storage must be one of: ${POSE_STORAGE_ARRAY.join(', ')}`,
+        },
+        default: POSE_STORAGE.EMBEDDED,
+      },
+      averageAngles: {
+        type: {
+          kneeAngle: Number,
+          hipAngle: Number,
+          backAngle: Number,
+          shoulderAngle: Number,
+          ankleAngle: Number,
+        },
+        default: undefined, // Only kept for chunked sessions, whose frames aren't embedded
+      },
+    },
+    status: {
+      type: String,
+      enum: {
+        values: SESSION_STATUSES_ARRAY,
+        message: `Status must be one of: ${SESSION_STATUSES_ARRAY.join(', ')}`,
+      },
+      default: SESSION_STATUSES.COMPLETED,
+      index: true, // Drafts are left out of listings and statistics
+    },
+    finalizingAt: {
+      type: Date, // Set while a draft is being finalized, so only one request analyzes it
+      default: undefined,
     },
     overallScore: {
       type: Number,
@@ -93,6 +633,50 @@ const exerciseSessionSchema = new mongoose.Schema(
       max: [100, 'Score cannot exceed 100'],
       default: 0,
     },
+    scoring: {
+      type: scoringSchema,
+      default: undefined, // Absent on sessions created before server-side scoring
+    },
+    repAnalysis: {
+      type: repAnalysisSchema,
+      default: undefined, // Absent on sessions created before rep detection
+    },
+    symmetry: {
+      type: symmetrySchema,
+      default: undefined, // Absent when no joint was visible on both sides
+    },
+    poseQuality: {
+      type: poseQualitySchema,
+      default: undefined, // Absent on sessions without pose data
+    },
+    viewpoint: {
+      type: viewpointSchema,
+      default: undefined, // Absent when too few frames showed the torso
+    },
+    fatigue: {
+      type: fatigueSchema,
+      default: undefined, // Absent with too few reps to show a trend
+    },
+    holdAnalysis: {
+      type: holdAnalysisSchema,
+      default: undefined, // Only set for hold exercises
+    },
+    jumpAnalysis: {
+      type: jumpAnalysisSchema,
+      default: undefined, // Only set for plyometric exercises
+    },
+    barPath: {
+      type: barPathSchema,
+      default: undefined, // Only set for tracked loaded lifts
+    },
+    referenceComparison: {
+      type: referenceComparisonSchema,
+      default: undefined, // Absent when the exercise has no reference recording
+    },
+    keyFrames: {
+      type: [keyFrameSchema],
+      default: undefined, // Absent on sessions analyzed before key frame selection
+    },
     videoUrl: {
       type: String,
       trim: true,
@@ -168,6 +752,10 @@ exerciseSessionSchema.virtual('qualityRating').get(function () {
 
 // Instance method to calculate average angle for a specific joint
 exerciseSessionSchema.methods.getAverageAngle = function (angleType) {
+  // Chunked sessions store the averages computed when they were finalized
+  if (this.poseData?.storage === POSE_STORAGE.CHUNKED) {
+    return this.poseData.averageAngles?.[angleType] ?? null;
+  }
   if (!this.poseData?.keypoints?.length) return null;
 
   const angles = this.poseData.keypoints
@@ -185,13 +773,58 @@ exerciseSessionSchema.methods.getStats = async function () {
   // Get feedback stats from Feedback collection if needed
   const Feedback = mongoose.model('Feedback');
   const feedbackStats = await Feedback.getSessionStats(this._id);
-  
+
+  // Best and worst reps by score
+  const scoredReps = (this.repAnalysis?.reps || []).filter((rep) => typeof rep.score === 'number');
+  const byScore = [...scoredReps].sort((a, b) => b.score - a.score);
+  const summarizeRep = (rep) =>
+    rep
+      ? {
+          number: rep.number,
+          score: rep.score,
+          startTime: rep.startTime,
+          endTime: rep.endTime,
+          rangeOfMotion: rep.rangeOfMotion,
+        }
+      : null;
+
   return {
     duration: this.duration,
     durationMinutes: this.durationMinutes,
     totalFrames: this.poseData?.totalFrames || 0,
+    poseStorage: this.poseData?.storage || POSE_STORAGE.EMBEDDED,
     overallScore: this.overallScore,
+    scoringMethod: this.scoring?.method || null,
+    scoreFlagged: this.scoring?.flagged || false,
     qualityRating: this.qualityRating,
+    repCount: this.repAnalysis?.count || 0,
+    repMetric: this.repAnalysis?.metric || null,
+    bestRep: summarizeRep(byScore[0]),
+    worstRep: byScore.length > 1 ? summarizeRep(byScore[byScore.length - 1]) : null,
+    tempo: this.repAnalysis?.tempo || null,
+    symmetryIndex: this.symmetry?.index ?? null,
+    symmetryFlagged: this.symmetry?.flagged || false,
+    symmetry: this.symmetry?.joints || [],
+    usableFramePercent: this.poseQuality?.usableFramePercent ?? null,
+    qualityFlagged: this.poseQuality?.flagged || false,
+    unseenBodyParts: (this.poseQuality?.unseenBodyParts || []).map((entry) => entry.part),
+    cameraView: this.viewpoint?.view || null,
+    angleReliability: this.viewpoint?.angleReliability || null,
+    fatigueIndex: this.fatigue?.index ?? null,
+    formBreakdown: this.fatigue?.breakdown || null,
+    effectiveHoldTime: this.holdAnalysis?.effectiveHoldTime ?? null,
+    holdDuration: this.holdAnalysis?.holdDuration ?? null,
+    holdBreakdown: this.holdAnalysis?.breakdown || null,
+    holdSway: this.holdAnalysis?.sway?.hip ?? null,
+    jumpCount: this.jumpAnalysis?.count ?? null,
+    averageJumpHeight: this.jumpAnalysis?.averageHeight ?? null,
+    bestJumpHeight: this.jumpAnalysis?.bestHeight ?? null,
+    averageFlightTime: this.jumpAnalysis?.averageFlightTime ?? null,
+    stiffLandings: this.jumpAnalysis?.stiffLandings ?? null,
+    valgusLandings: this.jumpAnalysis?.valgusLandings ?? null,
+    barDrift: this.barPath ? this.barPath.forwardDrift ?? this.barPath.maxDrift : null,
+    barPathLength: this.barPath?.pathLength ?? null,
+    referenceSimilarity: this.referenceComparison?.similarity ?? null,
     feedbackCount: feedbackStats.total || 0,
     hasVideo: !!this.videoUrl,
   };
@@ -199,7 +832,7 @@ exerciseSessionSchema.methods.getStats = async function () {
 
 // Static method to find user's sessions
 exerciseSessionSchema.statics.findByUser = function (userId, options = {}) {
-  const query = this.find({ userId });
+  const query = this.find({ userId, status: { $ne: SESSION_STATUSES.DRAFT } });
   
   if (options.exerciseId) {
     query.where('exerciseId').equals(options.exerciseId);
@@ -221,7 +854,13 @@ exerciseSessionSchema.statics.findByUser = function (userId, options = {}) {
 
 // Static method to find top sessions by score
 exerciseSessionSchema.statics.findTopSessions = function (limit = 10, exerciseId = null) {
-  const query = this.find({ overallScore: { $gte: 0 } });
+  // Only server-scored sessions with trustworthy tracking are ranked
+  const query = this.find({
+    overallScore: { $gte: 0 },
+    'scoring.method': { $ne: SCORING_METHODS.UNSCORED },
+    'poseQuality.flagged': { $ne: true },
+    status: { $ne: SESSION_STATUSES.DRAFT },
+  });
   
   if (exerciseId) {
     query.where('exerciseId').equals(exerciseId);
@@ -62,6 +62,10 @@ const feedbackSchema = new mongoose.Schema(
         message: `Cannot reference more than ${FEEDBACK_KEYPOINTS_LIMIT} keypoints`,
       },
     },
+    keyFrame: {
+      type: Number, // Frame number of the session key frame that shows the issue
+      min: [0, 'Key frame cannot be negative'],
+    },
     aiGenerated: {
       type: Boolean,
       default: false,
@@ -1,17 +1,18 @@
 import mongoose from 'mongoose';
+import { POSE_MODELS, POSE_MODELS_ARRAY } from '../config/constants.js';
 
 /**
- * PoseData Model - OPTIONAL / FOR FUTURE USE
- * 
- * This model is for storing individual pose frames as separate documents.
- * Currently, pose data is embedded in ExerciseSession (simpler approach).
- * 
+ * PoseData Model
+ *
+ * Stores individual pose frames as separate documents. Short sessions keep
+ * their frames embedded in ExerciseSession.poseData; long ones are uploaded
+ * in chunks into this collection (poseData.storage 'chunked') so the session
+ * document stays small and only holds the aggregates.
+ *
  * Use this model if you need:
  * - Query individual frames across sessions
  * - Very large datasets (1000+ frames per session)
  * - Advanced frame-level analytics
- * 
- * For most use cases, the embedded poseData in ExerciseSession is sufficient.
  */
 
 // Sub-schema for individual keypoint
@@ -43,6 +44,9 @@ const keypointSchema = new mongoose.Schema(
       min: [0, 'Confidence cannot be negative'],
       max: [1, 'Confidence cannot exceed 1'],
     },
+    interpolated: {
+      type: Boolean, // Bridged over a low-confidence gap by the keypoint filter - counts as tracked
+    },
   },
   { _id: false }
 );
@@ -84,6 +88,17 @@ const anglesSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Sub-schema for the joint angles of one body side
+const sideAngleSchema = new mongoose.Schema(
+  {
+    kneeAngle: Number,
+    hipAngle: Number,
+    shoulderAngle: Number,
+    ankleAngle: Number,
+  },
+  { _id: false }
+);
+
 // Sub-schema for calculated distances
 const distancesSchema = new mongoose.Schema(
   {
@@ -130,6 +145,13 @@ const poseDataSchema = new mongoose.Schema(
       type: anglesSchema,
       default: {},
     },
+    sideAngles: {
+      type: {
+        left: { type: sideAngleSchema, default: undefined },
+        right: { type: sideAngleSchema, default: undefined },
+      },
+      default: undefined, // Per-side angles, set once the session is finalized
+    },
     distances: {
       type: distancesSchema,
       default: {},
@@ -146,10 +168,10 @@ const poseDataSchema = new mongoose.Schema(
     poseModel: {
       type: String,
       enum: {
-        values: ['movenet', 'blazepose', 'posenet', 'mediapipe', 'other'],
-        message: 'Pose model must be one of: movenet, blazepose, posenet, mediapipe, other',
+        values: POSE_MODELS_ARRAY,
+        message: `Pose model must be one of: ${POSE_MODELS_ARRAY.join(', ')}`,
       },
-      default: 'movenet',
+      default: POSE_MODELS.MOVENET, // Model the keypoints came from; they are stored canonical
     },
     quality: {
       type: Number,
@@ -160,7 +182,7 @@ const poseDataSchema = new mongoose.Schema(
     isKeyFrame: {
       type: Boolean,
       default: false,
-      index: true, // Index for key frame queries
+      index: true, // Index for key frame queries (marked when the session is analyzed)
     },
     metadata: {
       type: {
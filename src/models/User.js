@@ -9,6 +9,8 @@ import {
   PASSWORD,
   EMAIL,
   VALIDATION_PATTERNS,
+  SESSION_STATUSES,
+  SCORING_METHODS,
 } from '../config/constants.js';
 
 const userSchema = new mongoose.Schema(
@@ -439,6 +441,20 @@ userSchema.methods.updateStreak = function () {
   return this.save();
 };
 
+// Instance method to record a completed session (streak first, then stats)
+// Unscored and low quality sessions don't affect the user's average score
+userSchema.methods.recordSession = async function (session) {
+  await this.updateStreak();
+  return this.updateStats({
+    duration: session.duration || 0,
+    overallScore:
+      session.scoring?.method === SCORING_METHODS.SERVER && !session.poseQuality?.flagged
+        ? session.overallScore
+        : undefined,
+    exerciseId: (session.exerciseId?._id || session.exerciseId).toString(),
+  });
+};
+
 // Static method to find user by email or username
 userSchema.statics.findByEmailOrUsername = function (identifier) {
   const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(identifier);
@@ -524,19 +540,43 @@ userSchema.statics.getUserStats = async function (userId) {
   const ExerciseSession = mongoose.model('ExerciseSession');
   
   const stats = await ExerciseSession.aggregate([
-    { $match: { userId: typeof userId === 'string' ? new mongoose.Types.ObjectId(userId) : userId } },
+    {
+      $match: {
+        userId: typeof userId === 'string' ? new mongoose.Types.ObjectId(userId) : userId,
+        status: { $ne: SESSION_STATUSES.DRAFT },
+      },
+    },
     {
       $group: {
         _id: null,
         totalSessions: { $sum: 1 },
         totalDuration: { $sum: '$duration' },
-        averageScore: { $avg: '$overallScore' },
+        // Only server-scored sessions with usable pose data count towards the
+        // average, as in recordSession ($avg skips the nulls)
+        averageScore: {
+          $avg: {
+            $cond: [
+              {
+                $and: [
+                  { $eq: ['$scoring.method', SCORING_METHODS.SERVER] },
+                  { $ne: ['$poseQuality.flagged', true] },
+                ],
+              },
+              '$overallScore',
+              null,
+            ],
+          },
+        },
         lastActivity: { $max: '$createdAt' },
       },
     },
   ]);
-  
-  return stats[0] || {
+
+  if (stats[0]) {
+    return { ...stats[0], averageScore: stats[0].averageScore ?? 0 };
+  }
+
+  return {
     totalSessions: 0,
     totalDuration: 0,
     averageScore: 0,
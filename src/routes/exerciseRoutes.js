@@ -8,6 +8,11 @@ import {
   getExercisesByCategory,
   getExercisesByDifficulty,
   searchExercises,
+  setExerciseReference,
+  deleteExerciseReference,
+  getExerciseRuleVersions,
+  rescoreExerciseSessions,
+  sandboxFormRules,
 } from '../controllers/exerciseController.js';
 import { protect, restrictTo } from '../middleware/auth.js';
 import { validateExercise, validateUpdateExercise } from '../middleware/validation.js';
@@ -58,12 +63,13 @@ router.get('/:id', getExerciseById);
  * @route   POST /api/v1/exercises
  * @desc    Create a new exercise (Admin only)
  * @access  Private (Admin)
+ * @body    name, category, targetMuscles, formRules (angle ranges and declarative rules), mode (dynamic, hold or plyometric), tempo ("3-1-1", "3-1-X" with X = explosive concentric, "2-0-X-1" with the top pause ignored, or { eccentric, pause, concentric, firstPhase }), barPath ({ keypoints, maxDrift }), etc.
  */
 router.post('/', protect, restrictTo('admin'), validateExercise, createExercise);
 
 /**
  * @route   PUT /api/v1/exercises/:id
- * @desc    Update an exercise (Admin only)
+ * @desc    Update an exercise (Admin only); a formRules change creates a new rules version
  * @access  Private (Admin)
  * @params  id (exercise ID)
  */
@@ -77,4 +83,47 @@ router.put('/:id', protect, restrictTo('admin'), validateUpdateExercise, updateE
  */
 router.delete('/:id', protect, restrictTo('admin'), deleteExercise);
 
+/**
+ * @route   PUT /api/v1/exercises/:id/reference
+ * @desc    Set the reference ("gold standard") recording sessions are compared against (Admin only)
+ * @access  Private (Admin)
+ * @params  id (exercise ID)
+ * @body    sessionId (existing session of this exercise) or poseData ({ keypoints, fps, poseModel })
+ */
+router.put('/:id/reference', protect, restrictTo('admin'), setExerciseReference);
+
+/**
+ * @route   DELETE /api/v1/exercises/:id/reference
+ * @desc    Remove the reference recording (Admin only)
+ * @access  Private (Admin)
+ * @params  id (exercise ID)
+ */
+router.delete('/:id/reference', protect, restrictTo('admin'), deleteExerciseReference);
+
+/**
+ * @route   GET /api/v1/exercises/:id/rule-versions
+ * @desc    Get the formRules version history and sessions scored per version (Admin only)
+ * @access  Private (Admin)
+ * @params  id (exercise ID)
+ */
+router.get('/:id/rule-versions', protect, restrictTo('admin'), getExerciseRuleVersions);
+
+/**
+ * @route   POST /api/v1/exercises/:id/rescore
+ * @desc    Re-score past sessions under the current formRules version, with a diff report (Admin only)
+ * @access  Private (Admin)
+ * @params  id (exercise ID)
+ * @body    dryRun, force (also re-score current sessions and retry failed ones), limit
+ */
+router.post('/:id/rescore', protect, restrictTo('admin'), rescoreExerciseSessions);
+
+/**
+ * @route   POST /api/v1/exercises/:id/rules/sandbox
+ * @desc    Preview draft formRules on a stored session or inline pose data without saving anything (Admin only)
+ * @access  Private (Admin)
+ * @params  id (exercise ID)
+ * @body    formRules (draft), and sessionId or poseData ({ keypoints, fps, poseModel })
+ */
+router.post('/:id/rules/sandbox', protect, restrictTo('admin'), sandboxFormRules);
+
 export default router;
@@ -79,6 +79,11 @@ const getRouteInfo = () => [
       'POST / - Create exercise (Admin)',
       'PUT /:id - Update exercise (Admin)',
       'DELETE /:id - Delete exercise (Admin)',
+      'PUT /:id/reference - Set reference recording (Admin)',
+      'DELETE /:id/reference - Remove reference recording (Admin)',
+      'GET /:id/rule-versions - Get form rule versions (Admin)',
+      'POST /:id/rescore - Re-score sessions under the current rules (Admin)',
+      'POST /:id/rules/sandbox - Preview draft form rules without saving (Admin)',
     ],
   },
   {
@@ -102,11 +107,28 @@ const getRouteInfo = () => [
     description: 'Exercise session routes',
     routes: [
       'POST / - Create exercise session',
+      'POST /draft - Create a draft session for chunked frame upload',
+      'POST /live - Start a live coaching session',
+      'GET /live/:liveId/events - Stream live coaching feedback (SSE)',
+      'POST /live/:liveId/frames - Push frames to a live session',
+      'POST /live/:liveId/end - End and save a live session',
       'GET /top - Get top sessions by score',
       'GET /recent - Get recent sessions',
       'GET /exercise/:exerciseId - Get sessions by exercise',
+      'GET /export - Export sessions (PDF)',
+      'GET /progress/export - Export progress analytics (PDF)',
+      'GET /compare?a=&b= - Compare two sessions',
+      'GET /compare/export?a=&b= - Export a session comparison (PDF)',
       'GET / - Get user sessions',
+      'POST /:id/frames - Append a chunk of frames to a draft',
+      'POST /:id/finalize - Analyze and complete a draft',
+      'GET /:id/export - Export session (PDF)',
       'GET /:id/stats - Get session statistics',
+      'GET /:id/reference-comparison - Compare session with the exercise reference',
+      'GET /:id/frames - Get session frames',
+      'GET /:id/series - Get downsampled angle series',
+      'GET /:id/key-frames - Get key frames',
+      'GET /:id/frames/:frame/skeleton - Render a frame skeleton (PNG)',
       'GET /:id/progress - Get session progress',
       'GET /:id - Get session by ID',
       'PUT /:id - Update session',
@@ -1,12 +1,26 @@
 import express from 'express';
 import {
   createSession,
+  createSessionDraft,
+  appendSessionFrames,
+  finalizeSession,
+  createLiveSession,
+  streamLiveSession,
+  pushLiveFrames,
+  completeLiveSession,
   getUserSessions,
   getSessionById,
   updateSession,
   deleteSession,
   getSessionProgress,
   getSessionStats,
+  getReferenceComparison,
+  getSessionFrames,
+  getSessionSeries,
+  getSessionKeyFrames,
+  getFrameSkeleton,
+  getSessionComparison,
+  exportSessionComparison,
   getTopSessions,
   getSessionsByExercise,
   getRecentSessions,
@@ -15,7 +29,15 @@ import {
   exportProgressAnalytics,
 } from '../controllers/sessionController.js';
 import { protect } from '../middleware/auth.js';
-import { validateSession, validateUpdateSession } from '../middleware/validation.js';
+import { liveRateLimiter } from '../middleware/rateLimiter.js';
+import {
+  validateSession,
+  validateUpdateSession,
+  validateSessionDraft,
+  validateFrameChunk,
+  validateSessionFinalize,
+  validateLiveFrames,
+} from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -26,13 +48,57 @@ router.use(protect);
  * @route   POST /api/v1/sessions
  * @desc    Create a new exercise session
  * @access  Private
- * @body    exerciseId, duration, poseData, overallScore, etc.
+ * @body    exerciseId, duration, poseData, overallScore (client hint only), etc.
+ *          Feedback is generated on the server from the exercise formRules
  */
 router.post('/', validateSession, createSession);
 
+/**
+ * @route   POST /api/v1/sessions/draft
+ * @desc    Create a draft session for a long recording; its frames are uploaded
+ *          in chunks into the PoseData collection instead of the session document
+ * @access  Private
+ * @body    exerciseId, fps, poseModel, notes, tags, isPublic, recordedAt
+ */
+router.post('/draft', validateSessionDraft, createSessionDraft);
+
+/**
+ * @route   POST /api/v1/sessions/live
+ * @desc    Start a live coaching session; frames are posted while the set is
+ *          performed and cues come back on its event stream
+ * @access  Private
+ * @body    exerciseId, fps, poseModel, notes, tags, isPublic
+ */
+router.post('/live', validateSessionDraft, createLiveSession);
+
+/**
+ * @route   GET /api/v1/sessions/live/:liveId/events
+ * @desc    Server-sent event stream of a live session (use EventSource with credentials)
+ * @access  Private
+ * @params  liveId
+ */
+router.get('/live/:liveId/events', streamLiveSession);
+
+/**
+ * @route   POST /api/v1/sessions/live/:liveId/frames
+ * @desc    Stream frames to a live session (returns the events they triggered)
+ * @access  Private
+ * @params  liveId
+ * @body    frames
+ */
+router.post('/live/:liveId/frames', liveRateLimiter, validateLiveFrames, pushLiveFrames);
+
+/**
+ * @route   POST /api/v1/sessions/live/:liveId/end
+ * @desc    End a live session and save it as a regular session
+ * @access  Private
+ * @params  liveId
+ */
+router.post('/live/:liveId/end', completeLiveSession);
+
 /**
  * @route   GET /api/v1/sessions/top
- * @desc    Get top sessions by score
+ * @desc    Get top sessions by score (sessions below the pose quality bar are left out)
  * @access  Private
  * @query   limit, exerciseId (optional)
  */
@@ -71,14 +137,49 @@ router.get('/export', exportSessions);
  */
 router.get('/progress/export', exportProgressAnalytics);
 
+/**
+ * @route   GET /api/v1/sessions/compare
+ * @desc    Compare two sessions of the same exercise
+ * @access  Private
+ * @query   a, b (session IDs - differences are b - a)
+ */
+router.get('/compare', getSessionComparison);
+
+/**
+ * @route   GET /api/v1/sessions/compare/export
+ * @desc    Export the comparison of two sessions as PDF
+ * @access  Private
+ * @query   a, b (session IDs)
+ */
+router.get('/compare/export', exportSessionComparison);
+
 /**
  * @route   GET /api/v1/sessions
  * @desc    Get user's sessions with optional filtering and pagination
  * @access  Private
- * @query   exerciseId, limit, page, sort, startDate, endDate
+ * @query   exerciseId, limit, page, sort, startDate, endDate, status (draft to list unfinished drafts)
  */
 router.get('/', getUserSessions);
 
+/**
+ * @route   POST /api/v1/sessions/:id/frames
+ * @desc    Append a chunk of frames to a draft session (re-sending a chunk replaces its frames)
+ * @access  Private
+ * @params  id (session ID)
+ * @body    frames - [{ frame, timestamp, keypoints }]
+ */
+router.post('/:id/frames', validateFrameChunk, appendSessionFrames);
+
+/**
+ * @route   POST /api/v1/sessions/:id/finalize
+ * @desc    Filter and analyze the uploaded frames and complete the draft session.
+ *          Feedback is generated from the exercise formRules (without AI enhancement)
+ * @access  Private
+ * @params  id (session ID)
+ * @body    duration (optional, from the frame timestamps), overallScore (client hint only)
+ */
+router.post('/:id/finalize', validateSessionFinalize, finalizeSession);
+
 /**
  * @route   GET /api/v1/sessions/:id/export
  * @desc    Export a single session as PDF
@@ -95,9 +196,53 @@ router.get('/:id/export', exportSession);
  */
 router.get('/:id/stats', getSessionStats);
 
+/**
+ * @route   GET /api/v1/sessions/:id/reference-comparison
+ * @desc    Compare a session against the exercise reference recording (similarity and per-joint deviation curve)
+ * @access  Private
+ * @params  id (session ID)
+ */
+router.get('/:id/reference-comparison', getReferenceComparison);
+
+/**
+ * @route   GET /api/v1/sessions/:id/frames
+ * @desc    Get a page of a session's frames (time window, key frames only,
+ *          body-relative normalized keypoints)
+ * @access  Private
+ * @params  id
+ * @query   start, end (seconds), keyFrames, normalize (true, image, body), limit, page
+ */
+router.get('/:id/frames', getSessionFrames);
+
+/**
+ * @route   GET /api/v1/sessions/:id/series
+ * @desc    Get joint angle series downsampled for charts
+ * @access  Private
+ * @params  id
+ * @query   angles (e.g. kneeAngle,left.kneeAngle), points, start, end (seconds)
+ */
+router.get('/:id/series', getSessionSeries);
+
+/**
+ * @route   GET /api/v1/sessions/:id/key-frames
+ * @desc    Get key frames with their poses, and the worst rep vs the demonstration
+ * @access  Private
+ * @params  id
+ */
+router.get('/:id/key-frames', getSessionKeyFrames);
+
+/**
+ * @route   GET /api/v1/sessions/:id/frames/:frame/skeleton
+ * @desc    Render a frame as a stick figure with broken form rules highlighted
+ * @access  Private
+ * @params  id, frame (frame number)
+ * @query   format (svg|png), width, height
+ */
+router.get('/:id/frames/:frame/skeleton', getFrameSkeleton);
+
 /**
  * @route   GET /api/v1/sessions/:id/progress
- * @desc    Get progress data for a session
+ * @desc    Get progress data (score and left/right symmetry history) for a session
  * @access  Private
  * @params  id (session ID)
  */
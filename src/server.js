@@ -4,6 +4,8 @@ import "./config/loadEnv.js";
 import mongoose from "mongoose";
 import http from "http";
 import app from "./app.js";
+import { endAllLiveSessions } from "./services/liveCoachingService.js";
+import { LIVE_COACHING } from "./config/constants.js";
 
 // Handle uncaught exceptions (synchronous errors)
 process.on("uncaughtException", (err) => {
@@ -101,23 +103,31 @@ mongoose.connection.on("reconnected", () => {
 });
 
 // Handle process termination (SIGTERM and SIGINT)
-const gracefulShutdown = (signal) => {
-  // Stop accepting new connections
-  server.close(() => {
-    // Close MongoDB connection
-    if (mongoose.connection.readyState !== 0) {
-      mongoose.connection.close(false, () => {
-        process.exit(0);
-      });
-    } else {
-      process.exit(0);
-    }
-  });
-
+const gracefulShutdown = async (signal) => {
   // Force shutdown after 10 seconds
   setTimeout(() => {
     process.exit(1);
   }, 10000);
+
+  // Stop accepting new connections
+  const serverClosed = new Promise((resolve) => server.close(resolve));
+
+  // Save live coaching sessions and end their event streams, which would
+  // otherwise keep the server from closing. The saves need the database, so
+  // it is only closed once they are done (or have run out of time)
+  await Promise.race([
+    endAllLiveSessions(),
+    new Promise((resolve) =>
+      setTimeout(resolve, LIVE_COACHING.SHUTDOWN_SAVE_TIMEOUT_MS)
+    ),
+  ]);
+  await serverClosed;
+
+  // Close MongoDB connection
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.connection.close(false);
+  }
+  process.exit(0);
 };
 
 process.on("SIGTERM", () => gracefulShutdown("SIGTERM"));
@@ -0,0 +1,386 @@
+/**
+ * Bar Path Service
+ *
+ * Tracks the path of the bar in loaded lifts (deadlift, overhead-press,
+ * cleans, front-squat, ...) through the wrists holding it. For these lifts
+ * the bar path says more than the joint angles: a bar that swings away from
+ * the body wastes effort and loads the lower back.
+ *
+ * Features:
+ * - Trajectory of chosen keypoints (wrists by default), one point per frame
+ * - Horizontal drift from the vertical line through the starting position,
+ *   split into forward and backward when the camera sees the lifter from the side
+ * - Path length and vertical travel, overall and per rep
+ * - Douglas-Peucker simplified path, stored so it can be drawn as a polyline
+ * - Forward drift feedback
+ */
+
+import { estimateTorsoLength } from '../utils/poseNormalization.js';
+import { getKeypointByName } from './poseService.js';
+import {
+  BAR_PATH,
+  KEYPOINT_CONFIDENCE_THRESHOLD,
+  FEEDBACK_TYPES,
+  FEEDBACK_SEVERITY,
+} from '../config/constants.js';
+
+/**
+ * Round to a number of decimals
+ * @private
+ * @param {number} value - Value
+ * @param {number} [decimals=1] - Decimals
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+/**
+ * Slug of an exercise name, e.g. 'Overhead Press' -> 'overhead-press'
+ * @private
+ * @param {string} name - Exercise name
+ * @returns {string} Slug
+ */
+const slugify = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Bar path settings of an exercise
+ * @param {Object} exercise - Exercise document
+ * @returns {Object|null} { keypoints, maxDrift }, or null if the exercise isn't tracked
+ */
+export const getBarPathConfig = (exercise) => {
+  if (!exercise) {
+    return null;
+  }
+
+  const custom = exercise.barPath;
+  if (custom?.keypoints?.length > 0) {
+    return {
+      keypoints: custom.keypoints,
+      maxDrift: custom.maxDrift ?? BAR_PATH.MAX_DRIFT,
+    };
+  }
+
+  if (BAR_PATH.EXERCISES.includes(slugify(exercise.name))) {
+    return {
+      keypoints: BAR_PATH.KEYPOINTS,
+      maxDrift: custom?.maxDrift ?? BAR_PATH.MAX_DRIFT,
+    };
+  }
+
+  return null;
+};
+
+// ============================================
+// TRAJECTORY
+// ============================================
+
+/**
+ * A keypoint of a frame if it was tracked confidently
+ * @private
+ * @param {Object} frame - Pose frame
+ * @param {string} name - Keypoint name
+ * @returns {Object|null} Keypoint
+ */
+const trackedKeypoint = (frame, name) => {
+  const keypoint = getKeypointByName(frame, name);
+  return keypoint && (keypoint.confidence ?? 1) >= KEYPOINT_CONFIDENCE_THRESHOLD ? keypoint : null;
+};
+
+/**
+ * Extract the trajectory of a set of keypoints (mean of the visible ones per frame)
+ * @param {Array<Object>} frames - Pose frames
+ * @param {Array<string>} keypointNames - Keypoints to follow
+ * @returns {Array<Object>} Points { x, y, frame, timestamp } in normalized image units
+ */
+export const extractTrajectory = (frames, keypointNames) => {
+  if (!Array.isArray(frames) || !Array.isArray(keypointNames) || keypointNames.length === 0) {
+    return [];
+  }
+
+  const points = [];
+  for (const frame of frames) {
+    const visible = keypointNames.map((name) => trackedKeypoint(frame, name)).filter(Boolean);
+    if (visible.length === 0) {
+      continue;
+    }
+    points.push({
+      x: visible.reduce((sum, kp) => sum + kp.x, 0) / visible.length,
+      y: visible.reduce((sum, kp) => sum + kp.y, 0) / visible.length,
+      frame: frame.frame,
+      timestamp: frame.timestamp || 0,
+    });
+  }
+  return points;
+};
+
+/**
+ * Direction the lifter faces in the image, from the nose relative to the shoulders
+ * @private
+ * @param {Array<Object>} frames - Pose frames
+ * @param {number} torsoLength - Session torso length
+ * @returns {number} 1 when facing image right, -1 when facing left, 0 when unknown (front view)
+ */
+const facingDirection = (frames, torsoLength) => {
+  const offsets = [];
+  for (const frame of frames) {
+    const nose = trackedKeypoint(frame, 'nose');
+    const shoulders = [trackedKeypoint(frame, 'left_shoulder'), trackedKeypoint(frame, 'right_shoulder')].filter(
+      Boolean
+    );
+    if (!nose || shoulders.length === 0) {
+      continue;
+    }
+    const shoulderX = shoulders.reduce((sum, kp) => sum + kp.x, 0) / shoulders.length;
+    offsets.push((nose.x - shoulderX) / torsoLength);
+  }
+
+  if (offsets.length === 0) {
+    return 0;
+  }
+  offsets.sort((a, b) => a - b);
+  const median = offsets[Math.floor(offsets.length / 2)];
+  if (Math.abs(median) < BAR_PATH.MIN_FACING_OFFSET) {
+    return 0;
+  }
+  return Math.sign(median);
+};
+
+/**
+ * Drift and length of one stretch of the path
+ * @private
+ * @param {Array<Object>} points - Trajectory points
+ * @param {number} torsoLength - Session torso length
+ * @param {number} facing - Facing direction (see facingDirection)
+ * @returns {Object} Drift and length metrics in torso lengths
+ */
+const measureSegment = (points, torsoLength, facing) => {
+  const startX = points[0].x;
+  let forward = 0;
+  let backward = 0;
+  let maxDrift = 0;
+  let worst = points[0];
+  let length = 0;
+  let minY = points[0].y;
+  let maxY = points[0].y;
+
+  points.forEach((point, i) => {
+    const offset = (point.x - startX) / torsoLength;
+    const drift = Math.abs(offset);
+    const ahead = facing === 0 ? drift : offset * facing;
+
+    if (ahead > forward) {
+      forward = ahead;
+      worst = point;
+    }
+    backward = Math.max(backward, facing === 0 ? 0 : -offset * facing);
+    maxDrift = Math.max(maxDrift, drift);
+
+    if (i > 0) {
+      length += Math.hypot(point.x - points[i - 1].x, point.y - points[i - 1].y) / torsoLength;
+    }
+    minY = Math.min(minY, point.y);
+    maxY = Math.max(maxY, point.y);
+  });
+
+  return {
+    maxDrift: round(maxDrift, 3),
+    forwardDrift: facing === 0 ? null : round(forward, 3),
+    backwardDrift: facing === 0 ? null : round(backward, 3),
+    pathLength: round(length, 2),
+    verticalTravel: round((maxY - minY) / torsoLength, 2),
+    worst,
+    worstDrift: forward,
+  };
+};
+
+// ============================================
+// SIMPLIFICATION
+// ============================================
+
+/**
+ * Distance of a point to the segment a-b
+ * @private
+ * @param {Object} point - Point { x, y }
+ * @param {Object} a - Segment start
+ * @param {Object} b - Segment end
+ * @returns {number} Distance
+ */
+const distanceToSegment = (point, a, b) => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSquared = dx * dx + dy * dy;
+  if (lengthSquared === 0) {
+    return Math.hypot(point.x - a.x, point.y - a.y);
+  }
+  const t = Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+  return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+};
+
+/**
+ * Simplify a path with the Douglas-Peucker algorithm
+ * @param {Array<Object>} points - Points { x, y, ... }
+ * @param {number} [tolerance] - Maximum distance of a dropped point from the simplified path
+ * @returns {Array<Object>} Kept points, in order
+ */
+export const simplifyPath = (points, tolerance = BAR_PATH.SIMPLIFY_TOLERANCE) => {
+  if (!Array.isArray(points) || points.length <= 2) {
+    return points || [];
+  }
+
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+
+  // Iterative to stay clear of the recursion limit on long sessions
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Analyze the bar path of a session
+ * @param {Array<Object>} frames - Pose frames
+ * @param {Object} config - Settings from getBarPathConfig
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.reps] - Reps from detectReps, for per-rep drift
+ * @returns {Object|null} Bar path summary, or null if the keypoints weren't visible long enough
+ */
+export const analyzeBarPath = (frames, config, options = {}) => {
+  if (!config || !Array.isArray(frames)) {
+    return null;
+  }
+
+  const points = extractTrajectory(frames, config.keypoints);
+  const torsoLength = estimateTorsoLength(frames);
+  if (points.length < BAR_PATH.MIN_FRAMES || !torsoLength) {
+    return null;
+  }
+
+  const facing = facingDirection(frames, torsoLength);
+  const overall = measureSegment(points, torsoLength, facing);
+
+  // Each rep is measured from its own starting position, so walking the bar
+  // back between reps doesn't count as drift
+  const reps = (options.reps || [])
+    .map((rep) => {
+      const repPoints = points.filter((point) => point.frame >= rep.startFrame && point.frame <= rep.endFrame);
+      if (repPoints.length < 2) {
+        return null;
+      }
+      return { number: rep.number, ...measureSegment(repPoints, torsoLength, facing) };
+    })
+    .filter(Boolean);
+
+  const worstRep = reps.length > 0 ? reps.reduce((a, b) => (b.worstDrift > a.worstDrift ? b : a)) : null;
+  const worst = worstRep || overall;
+
+  // Raise the tolerance until the path fits the storage budget
+  let tolerance = BAR_PATH.SIMPLIFY_TOLERANCE;
+  let path = simplifyPath(points, tolerance);
+  while (path.length > BAR_PATH.MAX_POINTS) {
+    tolerance *= 1.5;
+    path = simplifyPath(points, tolerance);
+  }
+
+  return {
+    keypoints: config.keypoints,
+    facing: facing === 0 ? null : facing > 0 ? 'right' : 'left',
+    torsoLength: round(torsoLength, 4),
+    maxDrift: worstRep ? Math.max(...reps.map((rep) => rep.maxDrift)) : overall.maxDrift,
+    forwardDrift: worstRep ? worstRep.forwardDrift : overall.forwardDrift,
+    backwardDrift: worstRep ? Math.max(...reps.map((rep) => rep.backwardDrift ?? 0)) : overall.backwardDrift,
+    pathLength: overall.pathLength,
+    verticalTravel: overall.verticalTravel,
+    threshold: config.maxDrift,
+    worstRep: worstRep ? worstRep.number : null,
+    worstFrame: worst.worst.frame,
+    worstTime: worst.worst.timestamp,
+    reps: reps.map(({ worst: _worst, worstDrift: _worstDrift, ...rep }) => rep),
+    path: path.map((point) => ({ x: round(point.x, 4), y: round(point.y, 4), timestamp: round(point.timestamp, 2) })),
+  };
+};
+
+// ============================================
+// FEEDBACK
+// ============================================
+
+/**
+ * Generate feedback for excess bar drift
+ * @param {Object} barPath - Result of analyzeBarPath
+ * @returns {Array<Object>} Feedback entries
+ */
+export const generateBarPathFeedback = (barPath) => {
+  if (!barPath) {
+    return [];
+  }
+
+  // From the side only forward drift is a fault; from the front any sideways drift is
+  const drift = barPath.facing ? barPath.forwardDrift : barPath.maxDrift;
+  if (typeof drift !== 'number' || drift <= barPath.threshold) {
+    return [];
+  }
+
+  const where = barPath.worstRep ? ` on rep ${barPath.worstRep}` : '';
+  return [
+    {
+      type: FEEDBACK_TYPES.FORM_ERROR,
+      severity: FEEDBACK_SEVERITY.WARNING,
+      message: barPath.facing
+        ? `The bar drifted forward by ${Math.round(drift * 100)}% of your torso length${where}`
+        : `The bar drifted sideways by ${Math.round(drift * 100)}% of your torso length${where}`,
+      suggestion: barPath.facing
+        ? 'Keep the bar close to your body and move it in a straight vertical line over your mid-foot.'
+        : 'Keep both hands moving together so the bar stays level and travels straight up and down.',
+      timestamp: barPath.worstTime || 0,
+      keypoints: barPath.keypoints,
+      aiGenerated: false,
+      confidence: barPath.facing ? 0.75 : 0.6,
+      metadata: {
+        ruleId: 'bar_path_drift',
+        angleValue: drift,
+        threshold: barPath.threshold,
+        frameNumber: barPath.worstFrame,
+      },
+    },
+  ];
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  getBarPathConfig,
+  extractTrajectory,
+  simplifyPath,
+  analyzeBarPath,
+  generateBarPathFeedback,
+};
@@ -22,10 +22,21 @@ import {
   EXERCISE_EQUIPMENT_ARRAY,
   PAGINATION,
   ANGLES,
+  FORM_RULES,
+  FORM_RULE_PHASES_ARRAY,
+  FORM_RULE_SIDES,
+  FORM_RULE_SIDES_ARRAY,
+  FORM_RULE_OPERATORS,
+  FORM_RULE_OPERATORS_ARRAY,
+  FEEDBACK_SEVERITY,
 } from '../config/constants.js';
 import { logInfo, logError, logWarn } from '../utils/logger.js';
 import AppError from '../utils/appError.js';
 import { HTTP_STATUS } from '../config/constants.js';
+import { parseTempo } from './tempoService.js';
+import { resolveMetric, FORM_RULE_METRICS, TEMPLATE_PLACEHOLDERS } from './formRuleService.js';
+import { normalizeFormRules } from './ruleEngineService.js';
+import { KEYPOINT_NAMES } from '../utils/poseValidators.js';
 
 /**
  * Build query filter from options
@@ -484,6 +495,15 @@ export const createExercise = async (exerciseData, options = {}) => {
       validateFormRules(exerciseData.formRules);
     }
 
+    // Validate and normalize tempo prescription if provided ("3-1-1" or object)
+    if (exerciseData.tempo !== undefined) {
+      exerciseData.tempo = parseTempo(exerciseData.tempo) || undefined;
+    }
+
+    // Rules versions are only ever created from formRules changes
+    delete exerciseData.rulesVersion;
+    delete exerciseData.ruleVersions;
+
     // Create exercise
     const exercise = await Exercise.create(exerciseData);
 
@@ -515,7 +535,7 @@ export const createExercise = async (exerciseData, options = {}) => {
 export const updateExercise = async (exerciseId, updateData, options = {}) => {
   try {
     // Check if exercise exists
-    const exercise = await Exercise.findById(exerciseId);
+    const exercise = await Exercise.findById(exerciseId).select('+ruleVersions');
     if (!exercise) {
       throw new AppError('Exercise not found', HTTP_STATUS.NOT_FOUND);
     }
@@ -537,10 +557,22 @@ export const updateExercise = async (exerciseId, updateData, options = {}) => {
       validateFormRules(updateData.formRules);
     }
 
+    // Validate and normalize tempo prescription if provided (null clears it)
+    if (updateData.tempo !== undefined) {
+      updateData.tempo = parseTempo(updateData.tempo);
+    }
+
+    // Versions are only ever created from a formRules change
+    delete updateData.rulesVersion;
+    delete updateData.ruleVersions;
+    const versionUpdate = updateData.formRules
+      ? buildRulesVersionUpdate(exercise, updateData.formRules, options.updatedBy)
+      : null;
+
     // Update exercise
     const updatedExercise = await Exercise.findByIdAndUpdate(
       exerciseId,
-      updateData,
+      { ...updateData, ...versionUpdate },
       {
         new: true, // Return updated document
         runValidators: true, // Run schema validators
@@ -631,8 +663,194 @@ export const restoreExercise = async (exerciseId, options = {}) => {
   }
 };
 
+/**
+ * Build the update recording a formRules change as a new rules version
+ *
+ * Rules are compared after normalization, so a request that resends the
+ * current rules doesn't create a version. Exercises created before rules were
+ * versioned get a snapshot of their current rules first.
+ *
+ * @param {Object} exercise - Current exercise document (loaded with +ruleVersions)
+ * @param {Object} formRules - Incoming formRules
+ * @param {string} [updatedBy] - ID of the admin making the change
+ * @returns {Object|null} Update ({ rulesVersion, $push }), or null if the rules didn't change
+ */
+export const buildRulesVersionUpdate = (exercise, formRules, updatedBy) => {
+  const { _id: _formRulesId, ...currentRules } = exercise.formRules?.toObject
+    ? exercise.formRules.toObject({ virtuals: false })
+    : exercise.formRules || {};
+  if (JSON.stringify(normalizeFormRules(currentRules)) === JSON.stringify(normalizeFormRules(formRules))) {
+    return null;
+  }
+
+  const currentVersion = exercise.rulesVersion || 1;
+  const entries = [];
+  if (!(exercise.ruleVersions || []).some((entry) => entry.version === currentVersion)) {
+    entries.push({ version: currentVersion, formRules: currentRules, createdAt: exercise.updatedAt });
+  }
+  entries.push({ version: currentVersion + 1, formRules, createdAt: new Date(), createdBy: updatedBy });
+
+  return {
+    rulesVersion: currentVersion + 1,
+    $push: { ruleVersions: { $each: entries } },
+  };
+};
+
+/**
+ * Validate an inline metric definition of a declarative rule
+ * @private
+ * @param {Object} metric - { type: 'angle'|'distance'|'ratio', ... }
+ * @param {string} prefix - Error message prefix
+ * @throws {AppError} If the metric is invalid
+ */
+const validateRuleMetric = (metric, prefix) => {
+  if (metric?.type === 'ratio') {
+    [metric.numerator, metric.denominator].forEach((part) => {
+      if (part?.type === 'ratio') {
+        throw new AppError(`${prefix}: ratios cannot be nested`, HTTP_STATUS.BAD_REQUEST);
+      }
+      if (typeof part === 'object') {
+        validateRuleMetric(part, prefix);
+      }
+    });
+  } else if (metric?.type === 'angle' || metric?.type === 'distance') {
+    const count = metric.type === 'angle' ? 3 : 2;
+    if (!Array.isArray(metric.points) || metric.points.length !== count) {
+      throw new AppError(`${prefix}: a ${metric.type} needs ${count} keypoints`, HTTP_STATUS.BAD_REQUEST);
+    }
+    const knownKeypoints = new Set([...KEYPOINT_NAMES.MOVENET, ...KEYPOINT_NAMES.BLAZEPOSE]);
+    metric.points.forEach((name) => {
+      const sides = String(name).includes('{side}') ? ['left', 'right'] : [null];
+      if (sides.some((side) => !knownKeypoints.has(side ? name.replace('{side}', side) : name))) {
+        throw new AppError(`${prefix}: unknown keypoint "${name}"`, HTTP_STATUS.BAD_REQUEST);
+      }
+    });
+    if (metric.axis !== undefined && !['x', 'y', 'xy'].includes(metric.axis)) {
+      throw new AppError(`${prefix}: distance axis must be one of: x, y, xy`, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  if (!resolveMetric(metric)) {
+    throw new AppError(
+      `${prefix}: metric must be one of ${Object.keys(FORM_RULE_METRICS).join(
+        ', '
+      )}, or an angle, distance or ratio definition`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+};
+
+/**
+ * Validate a declarative rule (an entry of formRules.rules)
+ * @private
+ * @param {Object} rule - Rule definition
+ * @param {number} index - Position in the list (for error messages)
+ * @throws {AppError} If the rule is invalid
+ */
+const validateRuleDefinition = (rule, index) => {
+  if (!rule || typeof rule !== 'object') {
+    throw new AppError(`formRules.rules[${index}] must be an object`, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (typeof rule.id !== 'string' || !FORM_RULES.ID_PATTERN.test(rule.id)) {
+    throw new AppError(
+      `formRules.rules[${index}].id must be lowercase snake_case (up to 50 characters)`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  const prefix = `Form rule "${rule.id}"`;
+
+  validateRuleMetric(rule.metric, prefix);
+  const descriptor = resolveMetric(rule.metric);
+
+  if (rule.side !== undefined) {
+    if (!FORM_RULE_SIDES_ARRAY.includes(rule.side)) {
+      throw new AppError(
+        `${prefix}: side must be one of: ${FORM_RULE_SIDES_ARRAY.join(', ')}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    if (!descriptor.sided && rule.side !== FORM_RULE_SIDES.AVERAGE) {
+      throw new AppError(`${prefix}: ${descriptor.label.toLowerCase()} has no left or right side`, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  if (rule.phase !== undefined && !FORM_RULE_PHASES_ARRAY.includes(rule.phase)) {
+    throw new AppError(
+      `${prefix}: phase must be one of: ${FORM_RULE_PHASES_ARRAY.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  // Thresholds must be plausible for the kind of metric
+  const limits =
+    descriptor.kind === 'angle'
+      ? { MIN: ANGLES.BACK.MIN, MAX: ANGLES.KNEE.MAX }
+      : { MIN: 0, MAX: descriptor.kind === 'ratio' ? FORM_RULES.MAX_RATIO : FORM_RULES.MAX_DISTANCE };
+  const checkThreshold = (value, name) => {
+    if (typeof value !== 'number' || isNaN(value) || value < limits.MIN || value > limits.MAX) {
+      throw new AppError(
+        `${prefix}: condition ${name} must be a number between ${limits.MIN} and ${limits.MAX}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  };
+
+  const { condition } = rule;
+  if (!condition || !FORM_RULE_OPERATORS_ARRAY.includes(condition.operator)) {
+    throw new AppError(
+      `${prefix}: condition operator must be one of: ${FORM_RULE_OPERATORS_ARRAY.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  if (condition.operator === FORM_RULE_OPERATORS.BETWEEN) {
+    checkThreshold(condition.min, 'min');
+    checkThreshold(condition.max, 'max');
+    if (condition.min > condition.max) {
+      throw new AppError(`${prefix}: condition min cannot be greater than max`, HTTP_STATUS.BAD_REQUEST);
+    }
+  } else {
+    checkThreshold(condition.value, 'value');
+  }
+
+  const severities = [FEEDBACK_SEVERITY.ERROR, FEEDBACK_SEVERITY.WARNING, FEEDBACK_SEVERITY.INFO];
+  if (rule.severity !== undefined && !severities.includes(rule.severity)) {
+    throw new AppError(`${prefix}: severity must be one of: ${severities.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (rule.tolerance !== undefined && (typeof rule.tolerance !== 'number' || !(rule.tolerance > 0))) {
+    throw new AppError(`${prefix}: tolerance must be a positive number`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  ['message', 'suggestion'].forEach((field) => {
+    const template = rule[field];
+    if (template === undefined) {
+      return;
+    }
+    if (typeof template !== 'string' || template.length > FORM_RULES.MAX_TEMPLATE_LENGTH) {
+      throw new AppError(
+        `${prefix}: ${field} must be a string of at most ${FORM_RULES.MAX_TEMPLATE_LENGTH} characters`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    const unknown = [...template.matchAll(/\{(\w+)\}/g)]
+      .map((match) => match[1])
+      .filter((placeholder) => !TEMPLATE_PLACEHOLDERS.includes(placeholder));
+    if (unknown.length > 0) {
+      throw new AppError(
+        `${prefix}: unknown ${field} placeholder {${unknown[0]}} (available: ${TEMPLATE_PLACEHOLDERS.join(', ')})`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  });
+};
+
 /**
  * Validate form rules
+ *
+ * Checks the angle ranges (kneeAngle: { min, max }, ...) and the declarative
+ * rules in formRules.rules: metric, side, phase, condition, severity and
+ * message templates.
+ *
  * @param {Object} formRules - Form rules object
  * @throws {AppError} If form rules are invalid
  */
@@ -678,6 +896,23 @@ export const validateFormRules = (formRules) => {
       }
     }
   }
+
+  if (formRules.rules !== undefined && formRules.rules !== null) {
+    if (!Array.isArray(formRules.rules)) {
+      throw new AppError('formRules.rules must be an array', HTTP_STATUS.BAD_REQUEST);
+    }
+    if (formRules.rules.length > FORM_RULES.MAX_RULES) {
+      throw new AppError(`formRules.rules cannot have more than ${FORM_RULES.MAX_RULES} rules`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    formRules.rules.forEach(validateRuleDefinition);
+
+    const ids = formRules.rules.map((rule) => rule.id);
+    const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (duplicate) {
+      throw new AppError(`Form rule id "${duplicate}" is used more than once`, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
 };
 
 /**
@@ -778,6 +1013,7 @@ export default {
   updateExercise,
   deleteExercise,
   restoreExercise,
+  buildRulesVersionUpdate,
   validateFormRules,
   getExerciseStats,
   exerciseNameExists,
@@ -0,0 +1,332 @@
+/**
+ * Fatigue Service
+ *
+ * Tracks how a set degrades from the first reps to the last: range of motion
+ * shrinking, reps slowing down, scores dropping and joint angles drifting
+ * (e.g. the back angle growing as the user tires).
+ *
+ * Features:
+ * - Per-rep degradation against a baseline of the first reps
+ * - Fatigue index (0 = no degradation, 100 = severe) from the last reps
+ * - "Form broke down after rep N" insight with the indicator that gave way first
+ * - Fatigue feedback
+ */
+
+import { FATIGUE, FEEDBACK_TYPES, FEEDBACK_SEVERITY } from '../config/constants.js';
+
+/**
+ * Human readable joint names per metric
+ * @private
+ */
+const METRIC_LABELS = {
+  kneeAngle: 'knee angle',
+  hipAngle: 'hip angle',
+  backAngle: 'back angle',
+  shoulderAngle: 'elbow angle',
+};
+
+/**
+ * Round to one decimal
+ * @private
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Mean of the numbers in a list (ignoring missing values)
+ * @private
+ * @param {Array<number|undefined>} values - Values
+ * @returns {number|null} Mean, or null without values
+ */
+const mean = (values) => {
+  const numbers = values.filter((value) => typeof value === 'number' && !isNaN(value));
+  return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+};
+
+// ============================================
+// REP PROFILES
+// ============================================
+
+/**
+ * Measure what fatigue can change in one rep
+ * @private
+ * @param {Object} rep - Detected rep
+ * @param {Array<Object>} evaluations - Frame evaluations of the session
+ * @param {Array<string>} metrics - Angles watched for drift
+ * @returns {Object} { number, rangeOfMotion, duration, score, angles: { metric: { min, max } } }
+ */
+const profileRep = (rep, evaluations, metrics) => {
+  const angles = {};
+  evaluations
+    .filter((evaluation) => evaluation.frame >= rep.startFrame && evaluation.frame <= rep.endFrame)
+    .forEach((evaluation) => {
+      metrics.forEach((metric) => {
+        const value = evaluation.angles?.[metric];
+        if (typeof value !== 'number') {
+          return;
+        }
+        angles[metric] = angles[metric] || { min: value, max: value };
+        angles[metric].min = Math.min(angles[metric].min, value);
+        angles[metric].max = Math.max(angles[metric].max, value);
+      });
+    });
+
+  return {
+    number: rep.number,
+    rangeOfMotion: rep.rangeOfMotion,
+    // The lifting phase slows down first when tired; fall back to the whole rep
+    duration: rep.tempo?.concentric ?? rep.duration,
+    score: rep.score,
+    angles,
+  };
+};
+
+/**
+ * Average several rep profiles into one
+ * @private
+ * @param {Array<Object>} profiles - Rep profiles
+ * @param {Array<string>} metrics - Angles watched for drift
+ * @returns {Object} Averaged profile
+ */
+const averageProfiles = (profiles, metrics) => {
+  const angles = {};
+  metrics.forEach((metric) => {
+    const min = mean(profiles.map((profile) => profile.angles[metric]?.min));
+    const max = mean(profiles.map((profile) => profile.angles[metric]?.max));
+    if (min !== null && max !== null) {
+      angles[metric] = { min, max };
+    }
+  });
+
+  return {
+    rangeOfMotion: mean(profiles.map((profile) => profile.rangeOfMotion)),
+    duration: mean(profiles.map((profile) => profile.duration)),
+    score: mean(profiles.map((profile) => profile.score)),
+    angles,
+  };
+};
+
+/**
+ * Compare a profile against the baseline
+ * @private
+ * @param {Object} profile - Rep (or averaged) profile
+ * @param {Object} baseline - Averaged baseline profile
+ * @returns {Object} { rangeOfMotionLoss, tempoSlowdown, scoreDrop, angleDrift } - losses
+ *   in %, score drop in points, angle drift as { metric, extreme, change } in degrees
+ */
+const compareToBaseline = (profile, baseline) => {
+  const relative = (value, base) =>
+    typeof value === 'number' && typeof base === 'number' && base > 0 ? ((value - base) / base) * 100 : null;
+
+  let angleDrift = null;
+  Object.entries(baseline.angles).forEach(([metric, base]) => {
+    const current = profile.angles[metric];
+    if (!current) {
+      return;
+    }
+    ['min', 'max'].forEach((extreme) => {
+      const change = current[extreme] - base[extreme];
+      if (!angleDrift || Math.abs(change) > Math.abs(angleDrift.change)) {
+        angleDrift = { metric, extreme, change: round1(change) };
+      }
+    });
+  });
+
+  const rangeOfMotionChange = relative(profile.rangeOfMotion, baseline.rangeOfMotion);
+  const tempoChange = relative(profile.duration, baseline.duration);
+  return {
+    rangeOfMotionLoss: rangeOfMotionChange !== null ? round1(-rangeOfMotionChange) : null,
+    tempoSlowdown: tempoChange !== null ? round1(tempoChange) : null,
+    scoreDrop:
+      typeof profile.score === 'number' && typeof baseline.score === 'number'
+        ? round1(baseline.score - profile.score)
+        : null,
+    angleDrift,
+  };
+};
+
+/**
+ * Indicators past their threshold, most severe first
+ * @private
+ * @param {Object} comparison - Output of compareToBaseline
+ * @returns {Array<Object>} [{ reason, value, threshold, severity, metric? }] - severity
+ *   is the value as a share of the indicator's maximum
+ */
+const degradedIndicators = (comparison) => {
+  const indicators = [];
+  const { rangeOfMotionLoss, tempoSlowdown, scoreDrop, angleDrift } = comparison;
+
+  if (rangeOfMotionLoss !== null && rangeOfMotionLoss > FATIGUE.ROM_LOSS_THRESHOLD) {
+    indicators.push({
+      reason: 'rangeOfMotion',
+      value: rangeOfMotionLoss,
+      threshold: FATIGUE.ROM_LOSS_THRESHOLD,
+      severity: rangeOfMotionLoss / FATIGUE.MAX_ROM_LOSS,
+    });
+  }
+  if (tempoSlowdown !== null && tempoSlowdown > FATIGUE.TEMPO_SLOWDOWN_THRESHOLD) {
+    indicators.push({
+      reason: 'tempo',
+      value: tempoSlowdown,
+      threshold: FATIGUE.TEMPO_SLOWDOWN_THRESHOLD,
+      severity: tempoSlowdown / FATIGUE.MAX_TEMPO_SLOWDOWN,
+    });
+  }
+  if (scoreDrop !== null && scoreDrop > FATIGUE.SCORE_DROP_THRESHOLD) {
+    indicators.push({
+      reason: 'score',
+      value: scoreDrop,
+      threshold: FATIGUE.SCORE_DROP_THRESHOLD,
+      severity: scoreDrop / FATIGUE.MAX_SCORE_DROP,
+    });
+  }
+  if (angleDrift && Math.abs(angleDrift.change) > FATIGUE.ANGLE_DRIFT_THRESHOLD) {
+    indicators.push({
+      reason: 'angle',
+      metric: angleDrift.metric,
+      value: angleDrift.change,
+      threshold: FATIGUE.ANGLE_DRIFT_THRESHOLD,
+      severity: Math.abs(angleDrift.change) / FATIGUE.MAX_ANGLE_DRIFT,
+    });
+  }
+
+  return indicators.sort((a, b) => b.severity - a.severity);
+};
+
+/**
+ * Describe a degraded indicator
+ * @private
+ * @param {Object} indicator - Degraded indicator
+ * @returns {string} Description
+ */
+const describeIndicator = (indicator) => {
+  switch (indicator.reason) {
+    case 'rangeOfMotion':
+      return `range of motion dropped by ${Math.round(indicator.value)}%`;
+    case 'tempo':
+      return `reps slowed down by ${Math.round(indicator.value)}%`;
+    case 'score':
+      return `form score dropped by ${Math.round(indicator.value)} points`;
+    default:
+      return `${METRIC_LABELS[indicator.metric] || indicator.metric} ${
+        indicator.value > 0 ? 'increased' : 'decreased'
+      } by ${Math.round(Math.abs(indicator.value))}°`;
+  }
+};
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Analyze fatigue across the reps of a set
+ *
+ * The first BASELINE_REPS reps form the baseline. The fatigue index averages
+ * how far the last BASELINE_REPS reps have degraded on each indicator, each
+ * scaled to 0-100 by its maximum. Form is considered broken down at the
+ * first rep that starts SUSTAINED_REPS consecutive degraded reps.
+ *
+ * @param {Array<Object>} reps - Detected reps (with tempo when analyzed)
+ * @param {Array<Object>} evaluations - Frame evaluations from the rule engine
+ * @param {Object} options - Analysis options
+ * @param {string} [options.repMetric] - Angle driving the reps (covered by range of motion)
+ * @returns {Object|undefined} { index, baselineReps, indicators, breakdown? }, or
+ *   undefined with too few reps
+ */
+export const analyzeFatigue = (reps, evaluations, options = {}) => {
+  if (!Array.isArray(reps) || reps.length < FATIGUE.MIN_REPS) {
+    return undefined;
+  }
+
+  const metrics = FATIGUE.METRICS.filter((metric) => metric !== options.repMetric);
+  const profiles = reps.map((rep) => profileRep(rep, evaluations || [], metrics));
+  const baseline = averageProfiles(profiles.slice(0, FATIGUE.BASELINE_REPS), metrics);
+  const final = averageProfiles(profiles.slice(-FATIGUE.BASELINE_REPS), metrics);
+  const indicators = compareToBaseline(final, baseline);
+
+  // Fatigue index: mean of each indicator's degradation as a share of its maximum
+  const contributions = [
+    indicators.rangeOfMotionLoss !== null ? indicators.rangeOfMotionLoss / FATIGUE.MAX_ROM_LOSS : null,
+    indicators.tempoSlowdown !== null ? indicators.tempoSlowdown / FATIGUE.MAX_TEMPO_SLOWDOWN : null,
+    indicators.scoreDrop !== null ? indicators.scoreDrop / FATIGUE.MAX_SCORE_DROP : null,
+    indicators.angleDrift ? Math.abs(indicators.angleDrift.change) / FATIGUE.MAX_ANGLE_DRIFT : null,
+  ]
+    .filter((value) => value !== null)
+    .map((value) => Math.min(1, Math.max(0, value)));
+  const index = contributions.length > 0 ? round1((mean(contributions) || 0) * 100) : 0;
+
+  // First rep that starts a run of degraded reps
+  const degraded = profiles.map((profile) => degradedIndicators(compareToBaseline(profile, baseline)));
+  let breakdown;
+  for (let i = FATIGUE.BASELINE_REPS; i + FATIGUE.SUSTAINED_REPS <= profiles.length; i++) {
+    const sustained = degraded.slice(i, i + FATIGUE.SUSTAINED_REPS).every((list) => list.length > 0);
+    if (sustained) {
+      const [indicator] = degraded[i];
+      const rep = reps[i];
+      breakdown = {
+        afterRep: reps[i - 1].number,
+        rep: rep.number,
+        frame: rep.startFrame,
+        timestamp: rep.startTime,
+        reason: indicator.reason,
+        metric: indicator.metric,
+        change: indicator.value,
+        threshold: indicator.threshold,
+        message: `Form broke down after rep ${reps[i - 1].number}: ${describeIndicator(indicator)} compared to your first reps`,
+      };
+      break;
+    }
+  }
+
+  return {
+    index,
+    baselineReps: Math.min(FATIGUE.BASELINE_REPS, reps.length),
+    indicators,
+    breakdown,
+  };
+};
+
+// ============================================
+// FEEDBACK GENERATION
+// ============================================
+
+/**
+ * Generate the form breakdown insight as feedback
+ * @param {Object} fatigue - Output of analyzeFatigue
+ * @returns {Array<Object>} Feedback payloads (without sessionId)
+ */
+export const generateFatigueFeedback = (fatigue) => {
+  if (!fatigue?.breakdown) {
+    return [];
+  }
+  const { breakdown } = fatigue;
+
+  return [
+    {
+      type: FEEDBACK_TYPES.WARNING,
+      severity: FEEDBACK_SEVERITY.WARNING,
+      message: breakdown.message,
+      suggestion: `Your first ${breakdown.afterRep} reps were solid. Stop the set when form starts to slip, or reduce the load so every rep looks like the first ones.`,
+      timestamp: breakdown.timestamp || 0,
+      keypoints: [],
+      aiGenerated: false,
+      confidence: 0.75,
+      metadata: {
+        ruleId: 'fatigue_breakdown',
+        angleValue: breakdown.change,
+        threshold: breakdown.threshold,
+        frameNumber: breakdown.frame,
+      },
+    },
+  ];
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  analyzeFatigue,
+  generateFatigueFeedback,
+};
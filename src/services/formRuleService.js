@@ -0,0 +1,482 @@
+/**
+ * Form Rule Service
+ *
+ * Compiles the declarative rules of Exercise.formRules.rules into rules the
+ * rule engine can evaluate frame by frame. A rule names a metric (a joint
+ * angle, a distance between keypoints or a ratio of two metrics), the side of
+ * the body and the part of the rep it applies to, a condition, and the
+ * message shown when it fires:
+ *
+ *   {
+ *     id: 'knees_out',
+ *     metric: { type: 'ratio', numerator: 'kneeWidth', denominator: 'footWidth' },
+ *     phase: 'bottom',
+ *     condition: { operator: '>=', value: 1 },
+ *     severity: 'warning',
+ *     message: 'Your knees caved in to {value}x your stance width at the bottom',
+ *     suggestion: 'Push your knees out over your toes.'
+ *   }
+ *
+ * Features:
+ * - Metric catalog (knee/hip/arm/shin/back angles, knee/foot/hip/shoulder/grip widths)
+ * - Custom angles and distances between any keypoints, with {side} placeholders
+ * - Ratios of two metrics
+ * - Left, right, averaged or per-side (both) measurement of sided metrics
+ * - Phase scoping to the start, turning point or end of each rep
+ * - Message and suggestion templates
+ */
+
+import { calculateAngle, calculateAnkleAngle, calculateBackAngle, getKeypointByName } from './poseService.js';
+import {
+  FORM_RULES,
+  FORM_RULE_PHASES,
+  FORM_RULE_SIDES,
+  FORM_RULE_OPERATORS,
+  KEYPOINT_CONFIDENCE_THRESHOLD,
+} from '../config/constants.js';
+
+/**
+ * Named metrics rules can refer to. Keypoint names containing {side} make a
+ * metric sided; distances are measured in torso lengths
+ */
+export const FORM_RULE_METRICS = {
+  kneeAngle: {
+    kind: 'angle',
+    label: 'Knee angle',
+    points: ['{side}_hip', '{side}_knee', '{side}_ankle'],
+  },
+  hipAngle: {
+    kind: 'angle',
+    label: 'Hip angle',
+    points: ['{side}_shoulder', '{side}_hip', '{side}_knee'],
+  },
+  shoulderAngle: {
+    kind: 'angle',
+    label: 'Arm angle',
+    points: ['{side}_shoulder', '{side}_elbow', '{side}_wrist'],
+  },
+  ankleAngle: {
+    kind: 'angle',
+    label: 'Shin angle',
+    keypoints: ['{side}_knee', '{side}_ankle'],
+    measure: calculateAnkleAngle,
+  },
+  backAngle: {
+    kind: 'angle',
+    label: 'Back angle',
+    keypoints: ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'],
+    measure: calculateBackAngle,
+  },
+  kneeWidth: { kind: 'distance', label: 'Knee width', points: ['left_knee', 'right_knee'], axis: 'x' },
+  footWidth: { kind: 'distance', label: 'Foot width', points: ['left_ankle', 'right_ankle'], axis: 'x' },
+  hipWidth: { kind: 'distance', label: 'Hip width', points: ['left_hip', 'right_hip'], axis: 'x' },
+  shoulderWidth: {
+    kind: 'distance',
+    label: 'Shoulder width',
+    points: ['left_shoulder', 'right_shoulder'],
+    axis: 'x',
+  },
+  gripWidth: { kind: 'distance', label: 'Grip width', points: ['left_wrist', 'right_wrist'], axis: 'x' },
+};
+
+/**
+ * Placeholders available in message and suggestion templates
+ */
+export const TEMPLATE_PLACEHOLDERS = ['label', 'value', 'threshold', 'min', 'max', 'deviation', 'side', 'phase'];
+
+/**
+ * Units appended to values in generated messages
+ * @private
+ */
+const UNITS = {
+  angle: '°',
+  distance: ' torso lengths',
+  ratio: 'x',
+};
+
+/**
+ * How each phase is worded in generated messages
+ * @private
+ */
+const PHASE_LABELS = {
+  [FORM_RULE_PHASES.START]: 'at the start of the rep',
+  [FORM_RULE_PHASES.BOTTOM]: 'at the bottom of the rep',
+  [FORM_RULE_PHASES.TOP]: 'at the top of the rep',
+};
+
+/**
+ * Round to a number of decimals
+ * @private
+ * @param {number} value - Value
+ * @param {number} [decimals=2] - Decimals
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Capitalize the first letter of a string
+ * @private
+ * @param {string} text - Text
+ * @returns {string} Capitalized text
+ */
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// ============================================
+// METRICS
+// ============================================
+
+/**
+ * Whether a keypoint was tracked well enough to measure from
+ * @param {Object|null} keypoint - Keypoint
+ * @returns {boolean} True when confidently detected or bridged by the pose filter
+ */
+export const isKeypointTracked = (keypoint) =>
+  Boolean(keypoint) && (keypoint.interpolated || (keypoint.confidence ?? 1) >= KEYPOINT_CONFIDENCE_THRESHOLD);
+
+/**
+ * Resolve a rule metric (catalog name or inline definition) to a metric descriptor
+ * @param {string|Object} metric - Catalog name, or { type: 'angle'|'distance'|'ratio', ... }
+ * @returns {Object|null} { name, kind, label, sided, ... }, or null if the metric is unknown
+ */
+export const resolveMetric = (metric) => {
+  if (typeof metric === 'string') {
+    const entry = FORM_RULE_METRICS[metric];
+    if (!entry) {
+      return null;
+    }
+    const keypoints = entry.keypoints || entry.points;
+    return { name: metric, ...entry, sided: keypoints.some((name) => name.includes('{side}')) };
+  }
+
+  if (!metric || typeof metric !== 'object') {
+    return null;
+  }
+
+  if (metric.type === 'ratio') {
+    const parts = [resolveMetric(metric.numerator), resolveMetric(metric.denominator)];
+    if (parts.some((part) => !part || part.kind === 'ratio')) {
+      return null;
+    }
+    return {
+      name: 'ratio',
+      kind: 'ratio',
+      label: `${parts[0].label} to ${parts[1].label.toLowerCase()} ratio`,
+      parts,
+      sided: parts.some((part) => part.sided),
+    };
+  }
+
+  if ((metric.type === 'angle' && metric.points?.length === 3) || (metric.type === 'distance' && metric.points?.length === 2)) {
+    const names = metric.points.map((name) => name.replace('{side}_', '').replace(/_/g, ' '));
+    return {
+      name: metric.type,
+      kind: metric.type,
+      label:
+        metric.type === 'angle'
+          ? capitalize(`${names[1]} angle`)
+          : capitalize(`${names[0]} to ${names[1]} distance`),
+      points: metric.points,
+      axis: metric.axis || 'xy',
+      sided: metric.points.some((name) => name.includes('{side}')),
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Keypoint names a metric is measured from on one side
+ * @private
+ * @param {Object} descriptor - Metric descriptor
+ * @param {string|null} side - 'left', 'right', or null for unsided metrics
+ * @returns {Array<string>} Keypoint names
+ */
+const keypointNamesOf = (descriptor, side) =>
+  (descriptor.keypoints || descriptor.points).map((name) => (side ? name.replace('{side}', side) : name));
+
+/**
+ * Measure a metric on one side of the body
+ * @private
+ * @param {Object} frame - Pose frame
+ * @param {Object} descriptor - Angle or distance descriptor
+ * @param {string|null} side - 'left', 'right', or null for unsided metrics
+ * @param {number|null} torsoLength - Session torso length (distances are divided by it)
+ * @returns {number|null} Value, or null if the keypoints weren't tracked
+ */
+const measureOnSide = (frame, descriptor, side, torsoLength) => {
+  const names = keypointNamesOf(descriptor, side);
+  const keypoints = names.map((name) => getKeypointByName(frame, name));
+  if (!keypoints.every(isKeypointTracked)) {
+    return null;
+  }
+
+  if (descriptor.measure) {
+    return descriptor.measure(frame, side || undefined);
+  }
+  if (descriptor.kind === 'angle') {
+    return calculateAngle(...keypoints);
+  }
+
+  if (!torsoLength) {
+    return null;
+  }
+  const dx = keypoints[1].x - keypoints[0].x;
+  const dy = keypoints[1].y - keypoints[0].y;
+  const distance = descriptor.axis === 'x' ? Math.abs(dx) : descriptor.axis === 'y' ? Math.abs(dy) : Math.hypot(dx, dy);
+  return distance / torsoLength;
+};
+
+/**
+ * Measure a metric in one frame
+ * @param {Object} frame - Pose frame
+ * @param {Object} descriptor - Result of resolveMetric
+ * @param {string} [side] - FORM_RULE_SIDES value; sided metrics are averaged over the tracked sides by default
+ * @param {number|null} [torsoLength] - Session torso length, needed for distances
+ * @returns {number|null} Value, or null if it couldn't be measured
+ */
+export const measureMetric = (frame, descriptor, side, torsoLength = null) => {
+  if (descriptor.kind === 'ratio') {
+    const [numerator, denominator] = descriptor.parts.map((part) => measureMetric(frame, part, side, torsoLength));
+    if (numerator === null || denominator === null || Math.abs(denominator) < 1e-6) {
+      return null;
+    }
+    return numerator / denominator;
+  }
+
+  if (!descriptor.sided) {
+    return measureOnSide(frame, descriptor, null, torsoLength);
+  }
+  if (side === FORM_RULE_SIDES.LEFT || side === FORM_RULE_SIDES.RIGHT) {
+    return measureOnSide(frame, descriptor, side, torsoLength);
+  }
+
+  const values = ['left', 'right']
+    .map((bodySide) => measureOnSide(frame, descriptor, bodySide, torsoLength))
+    .filter((value) => value !== null);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+};
+
+/**
+ * Keypoint sets a metric needs - one complete set must be visible to measure it
+ * @private
+ * @param {Object} descriptor - Metric descriptor
+ * @param {string} [side] - FORM_RULE_SIDES value
+ * @returns {Array<Array<string>>} Keypoint sets
+ */
+const keypointSetsOf = (descriptor, side) => {
+  if (descriptor.kind === 'ratio') {
+    const [numeratorSets, denominatorSets] = descriptor.parts.map((part) => keypointSetsOf(part, side));
+    return numeratorSets.flatMap((a) => denominatorSets.map((b) => [...new Set([...a, ...b])]));
+  }
+  if (!descriptor.sided) {
+    return [keypointNamesOf(descriptor, null)];
+  }
+  const sides = side === FORM_RULE_SIDES.LEFT || side === FORM_RULE_SIDES.RIGHT ? [side] : ['left', 'right'];
+  return sides.map((bodySide) => keypointNamesOf(descriptor, bodySide));
+};
+
+// ============================================
+// COMPILATION
+// ============================================
+
+/**
+ * Convert a rule condition to the min/max range the engine scores against
+ * @private
+ * @param {Object} condition - { operator, value } or { operator: 'between', min, max }
+ * @returns {Object} { min, max }
+ */
+const conditionToRange = (condition) => {
+  switch (condition.operator) {
+    case FORM_RULE_OPERATORS.LESS_THAN:
+    case FORM_RULE_OPERATORS.AT_MOST:
+      return { min: undefined, max: condition.value };
+    case FORM_RULE_OPERATORS.GREATER_THAN:
+    case FORM_RULE_OPERATORS.AT_LEAST:
+      return { min: condition.value, max: undefined };
+    default:
+      return { min: condition.min, max: condition.max };
+  }
+};
+
+/**
+ * Compile declarative rules into engine rules
+ *
+ * Rules on both sides are split into a left and a right rule (ids suffixed
+ * with _left / _right) so each side is scored and reported on its own.
+ * Definitions are expected to have passed exerciseService.validateFormRules;
+ * rules with an unknown metric are dropped.
+ *
+ * @param {Array<Object>} definitions - Exercise.formRules.rules
+ * @returns {Array<Object>} Rules { id, metric, label, kind, side, phase, min, max, tolerance,
+ *   severity, message, suggestion, keypoints, keypointSets, definition }
+ */
+export const compileFormRules = (definitions) => {
+  if (!Array.isArray(definitions)) {
+    return [];
+  }
+
+  return definitions.flatMap((definition) => {
+    const descriptor = resolveMetric(definition.metric);
+    if (!descriptor || !definition.condition) {
+      return [];
+    }
+
+    const sides =
+      descriptor.sided && definition.side === FORM_RULE_SIDES.BOTH
+        ? [FORM_RULE_SIDES.LEFT, FORM_RULE_SIDES.RIGHT]
+        : [descriptor.sided ? definition.side : undefined];
+
+    return sides.map((side) => {
+      const specificSide = side === FORM_RULE_SIDES.LEFT || side === FORM_RULE_SIDES.RIGHT ? side : undefined;
+      const keypointSets = keypointSetsOf(descriptor, side);
+      return {
+        id: definition.side === FORM_RULE_SIDES.BOTH && specificSide ? `${definition.id}_${specificSide}` : definition.id,
+        metric: descriptor.name,
+        label: specificSide ? `${capitalize(specificSide)} ${descriptor.label.toLowerCase()}` : descriptor.label,
+        kind: descriptor.kind,
+        side: specificSide,
+        phase: definition.phase && definition.phase !== FORM_RULE_PHASES.ANY ? definition.phase : undefined,
+        ...conditionToRange(definition.condition),
+        tolerance: definition.tolerance ?? FORM_RULES.DEFAULT_TOLERANCE[descriptor.kind],
+        severity: definition.severity || undefined,
+        message: definition.message || undefined,
+        suggestion: definition.suggestion || undefined,
+        keypoints: [...new Set(keypointSets.flat())],
+        keypointSets,
+        definition: descriptor,
+      };
+    });
+  });
+};
+
+/**
+ * Measure a compiled rule's metric in one frame
+ * @param {Object} frame - Pose frame
+ * @param {Object} rule - Compiled rule
+ * @param {number|null} [torsoLength] - Session torso length, needed for distances
+ * @returns {number|null} Value, or null if it couldn't be measured
+ */
+export const measureRule = (frame, rule, torsoLength = null) =>
+  measureMetric(frame, rule.definition, rule.side, torsoLength);
+
+/**
+ * Whether any rule needs a torso length (distances, or ratios of them)
+ * @param {Array<Object>} rules - Compiled rules
+ * @returns {boolean} True when a rule measures a distance
+ */
+export const needsTorsoLength = (rules) =>
+  rules.some(
+    (rule) =>
+      rule.definition &&
+      (rule.definition.kind === 'distance' || rule.definition.parts?.some((part) => part.kind === 'distance'))
+  );
+
+// ============================================
+// PHASES
+// ============================================
+
+/**
+ * Label frame evaluations with the rep phases they fall in
+ *
+ * Start and top are the frames within PHASE_WINDOW of a rep's start and end;
+ * bottom spans the pause at the rep's turning point, widened by the same window.
+ *
+ * @param {Array<Object>} evaluations - Frame evaluations (with timestamps)
+ * @param {Array<Object>} reps - Reps from repDetectionService.detectReps
+ * @returns {Array<Array<string>>} Phases per evaluation, in evaluation order
+ */
+export const labelPhases = (evaluations, reps) => {
+  const window = FORM_RULES.PHASE_WINDOW;
+  const ranges = (reps || []).flatMap((rep) => [
+    { phase: FORM_RULE_PHASES.START, from: rep.startTime - window, to: rep.startTime + window },
+    {
+      phase: FORM_RULE_PHASES.BOTTOM,
+      from: (rep.pauseStartTime ?? rep.bottomTime) - window,
+      to: (rep.pauseEndTime ?? rep.bottomTime) + window,
+    },
+    { phase: FORM_RULE_PHASES.TOP, from: rep.endTime - window, to: rep.endTime + window },
+  ]);
+
+  return evaluations.map((evaluation) => {
+    const time = evaluation.timestamp || 0;
+    return [...new Set(ranges.filter((range) => time >= range.from && time <= range.to).map((range) => range.phase))];
+  });
+};
+
+// ============================================
+// MESSAGES
+// ============================================
+
+/**
+ * Format a measured value for a message
+ * @param {number} value - Value
+ * @param {string} kind - Metric kind ('angle', 'distance' or 'ratio')
+ * @returns {number} Whole degrees for angles, two decimals otherwise
+ */
+export const formatRuleValue = (value, kind) => (kind === 'angle' ? Math.round(value) : round(value));
+
+/**
+ * Fill a message template; unknown placeholders are left as written
+ * @param {string} template - Template, e.g. 'Knee angle {value}° at the bottom'
+ * @param {Object} values - Placeholder values
+ * @returns {string} Message
+ */
+export const renderTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  );
+
+/**
+ * Build the feedback message and suggestion of a compiled rule for one violation
+ * @param {Object} rule - Compiled rule
+ * @param {Object} result - Rule result at the worst frame { value, threshold, deviation }
+ * @returns {Object} { message, suggestion }
+ */
+export const buildRuleMessage = (rule, result) => {
+  const direction = result.threshold === rule.min ? 'below' : 'above';
+  const bound = direction === 'below' ? 'minimum' : 'maximum';
+  const unit = UNITS[rule.kind] || '';
+  const values = {
+    label: rule.label,
+    value: formatRuleValue(result.value, rule.kind),
+    threshold: result.threshold,
+    min: rule.min,
+    max: rule.max,
+    deviation: formatRuleValue(result.deviation, rule.kind),
+    side: rule.side,
+    phase: rule.phase,
+  };
+
+  const message = rule.message
+    ? renderTemplate(rule.message, values)
+    : [
+        `${rule.label} of ${values.value}${unit} is ${direction} the target ${bound} of ${result.threshold}${unit}`,
+        PHASE_LABELS[rule.phase],
+      ]
+        .filter(Boolean)
+        .join(' ');
+
+  return {
+    message,
+    suggestion: rule.suggestion ? renderTemplate(rule.suggestion, values) : undefined,
+  };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  FORM_RULE_METRICS,
+  TEMPLATE_PLACEHOLDERS,
+  isKeypointTracked,
+  resolveMetric,
+  measureMetric,
+  compileFormRules,
+  measureRule,
+  needsTorsoLength,
+  labelPhases,
+  formatRuleValue,
+  renderTemplate,
+  buildRuleMessage,
+};
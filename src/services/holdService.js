@@ -0,0 +1,363 @@
+/**
+ * Hold Service
+ *
+ * Analyzes isometric holds (plank, wall-sit, hollow-hold, ...) where there
+ * are no repetitions to count. A hold is measured by how long the position
+ * stays inside the formRules tolerance and how still the body is while
+ * holding it.
+ *
+ * Features:
+ * - Effective hold time (time inside tolerance) alongside the hold duration
+ * - Short slips out of tolerance forgiven by a grace period
+ * - Longest unbroken hold
+ * - Form breakdown detection (first sustained loss of form and the rule that broke)
+ * - Sway of the hips (in torso lengths) and of every ruled joint angle
+ * - Breakdown and sway feedback
+ */
+
+import { getBodyReference, estimateTorsoLength } from '../utils/poseNormalization.js';
+import { HOLD_ANALYSIS, FEEDBACK_TYPES, FEEDBACK_SEVERITY } from '../config/constants.js';
+
+/**
+ * Human readable joint names, involved keypoints and hold cues per metric
+ * @private
+ */
+const HOLD_DETAILS = {
+  kneeAngle: {
+    label: 'knee angle',
+    keypoints: ['left_hip', 'left_knee', 'left_ankle', 'right_hip', 'right_knee', 'right_ankle'],
+    cues: {
+      below: 'You sank too low - come back up to the target depth and hold it there.',
+      above: 'Your knees straightened - sink back down to the target depth.',
+    },
+  },
+  hipAngle: {
+    label: 'hip angle',
+    keypoints: ['left_shoulder', 'left_hip', 'left_knee', 'right_shoulder', 'right_hip', 'right_knee'],
+    cues: {
+      below: 'Your hips drifted out of line - squeeze your glutes and brace your core to keep them level.',
+      above: 'Your hips opened up - keep them at the target angle.',
+    },
+  },
+  backAngle: {
+    label: 'back angle',
+    keypoints: ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'],
+    cues: {
+      below: 'You leaned back - brace your core and keep your torso at the target angle.',
+      above: 'Your torso tipped forward - keep your chest up.',
+    },
+  },
+  shoulderAngle: {
+    label: 'arm angle',
+    keypoints: ['left_shoulder', 'left_elbow', 'left_wrist'],
+    cues: {
+      below: 'Your arms bent - push the floor away and keep your elbows locked.',
+      above: 'Your arms straightened - keep the bend in your elbows.',
+    },
+  },
+};
+
+/**
+ * Round to one decimal
+ * @private
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// ============================================
+// ANALYSIS HELPERS
+// ============================================
+
+/**
+ * Whether a frame is inside the formRules tolerance. Without rules any frame
+ * with a measurable angle counts as holding.
+ * @private
+ * @param {Object} evaluation - Frame evaluation
+ * @param {boolean} hasRules - Whether the exercise has formRules
+ * @returns {boolean} In tolerance
+ */
+const isInTolerance = (evaluation, hasRules) => {
+  if (!hasRules) {
+    return Object.values(evaluation.angles || {}).some((value) => typeof value === 'number');
+  }
+  return evaluation.results.length > 0 && evaluation.results.every((result) => result.passed);
+};
+
+/**
+ * Group consecutive frames with the same state into runs
+ * @private
+ * @param {Array<boolean>} states - Per-frame in-tolerance flags
+ * @param {Array<number>} durations - Per-frame durations (seconds)
+ * @returns {Array<Object>} [{ inTolerance, start, end, duration }] (frame indexes)
+ */
+const buildRuns = (states, durations) => {
+  const runs = [];
+  states.forEach((state, index) => {
+    const last = runs[runs.length - 1];
+    if (last && last.inTolerance === state) {
+      last.end = index;
+      last.duration += durations[index];
+    } else {
+      runs.push({ inTolerance: state, start: index, end: index, duration: durations[index] });
+    }
+  });
+  return runs;
+};
+
+/**
+ * The rule that failed on most frames of a run
+ * @private
+ * @param {Array<Object>} evaluations - Frame evaluations of the run
+ * @returns {Object|null} First failing result of that rule in the run
+ */
+const dominantViolation = (evaluations) => {
+  const counts = {};
+  const first = {};
+  evaluations.forEach((evaluation) => {
+    evaluation.results
+      .filter((result) => !result.passed)
+      .forEach((result) => {
+        counts[result.ruleId] = (counts[result.ruleId] || 0) + 1;
+        first[result.ruleId] = first[result.ruleId] || result;
+      });
+  });
+
+  const ruleId = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+  return ruleId ? first[ruleId] : null;
+};
+
+/**
+ * Standard deviation of a list of numbers
+ * @private
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation
+ */
+const standardDeviation = (values) => {
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+};
+
+/**
+ * Measure how much the body moves while holding
+ * @private
+ * @param {Array<Object>} frames - Pose frames held in tolerance
+ * @param {Array<Object>} evaluations - Matching frame evaluations
+ * @param {Array<Object>} rules - Normalized rules
+ * @returns {Object} { hip, angles, unsteady } - hip sway is the RMS distance of the
+ *   hip center from its mean position in torso lengths, angle sway the standard
+ *   deviation in degrees
+ */
+const measureSway = (frames, evaluations, rules) => {
+  const torsoLength = estimateTorsoLength(frames);
+  const hipCenters = frames
+    .map((frame) => getBodyReference(frame.keypoints)?.hipCenter)
+    .filter(Boolean);
+
+  let hip = null;
+  if (torsoLength && hipCenters.length > 1) {
+    const meanX = hipCenters.reduce((sum, point) => sum + point.x, 0) / hipCenters.length;
+    const meanY = hipCenters.reduce((sum, point) => sum + point.y, 0) / hipCenters.length;
+    const meanSquare =
+      hipCenters.reduce((sum, point) => sum + (point.x - meanX) ** 2 + (point.y - meanY) ** 2, 0) /
+      hipCenters.length;
+    hip = Math.round((Math.sqrt(meanSquare) / torsoLength) * 1000) / 1000;
+  }
+
+  const angles = {};
+  [...new Set(rules.map((rule) => rule.metric))].forEach((metric) => {
+    const values = evaluations
+      .map((evaluation) => evaluation.angles?.[metric])
+      .filter((value) => typeof value === 'number');
+    if (values.length > 1) {
+      angles[metric] = round1(standardDeviation(values));
+    }
+  });
+
+  return { hip, angles, unsteady: hip !== null && hip > HOLD_ANALYSIS.MAX_SWAY };
+};
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Analyze an isometric hold
+ *
+ * The hold runs from the first to the last frame inside tolerance (time spent
+ * getting into position doesn't count). Slips out of tolerance shorter than
+ * the grace period are counted as holding; the first slip lasting at least
+ * BREAKDOWN_MIN_DURATION is reported as the point where form broke down.
+ *
+ * @param {Array<Object>} evaluations - Frame evaluations from the rule engine
+ * @param {Array<Object>} frames - The evaluated pose frames (for hip sway)
+ * @param {Array<Object>} rules - Normalized rules
+ * @returns {Object|undefined} { effectiveHoldTime, holdDuration, inTolerancePercent,
+ *   longestHold, breakdown?, sway }, or undefined if the position was never held
+ */
+export const analyzeHold = (evaluations, frames, rules = []) => {
+  if (!Array.isArray(evaluations) || evaluations.length < 2) {
+    return undefined;
+  }
+
+  // Each frame lasts until the next one, capped so dropped frames don't count
+  const durations = evaluations.map((evaluation, index) => {
+    const next = evaluations[index + 1];
+    if (!next) {
+      return 0;
+    }
+    const gap = (next.timestamp || 0) - (evaluation.timestamp || 0);
+    return Math.max(0, Math.min(gap, HOLD_ANALYSIS.MAX_FRAME_GAP));
+  });
+
+  const hasRules = rules.length > 0;
+  const states = evaluations.map((evaluation) => isInTolerance(evaluation, hasRules));
+  const measuredStates = [...states];
+
+  // Forgive short slips between two held stretches
+  buildRuns(states, durations).forEach((run, index, runs) => {
+    const isInner = index > 0 && index < runs.length - 1;
+    if (!run.inTolerance && isInner && run.duration < HOLD_ANALYSIS.GRACE_PERIOD) {
+      for (let i = run.start; i <= run.end; i++) {
+        states[i] = true;
+      }
+    }
+  });
+
+  const firstHeld = states.indexOf(true);
+  if (firstHeld === -1) {
+    return undefined;
+  }
+  const lastHeld = states.lastIndexOf(true);
+
+  const runs = buildRuns(states, durations).filter((run) => run.end >= firstHeld);
+  const heldRuns = runs.filter((run) => run.inTolerance);
+  const effectiveHoldTime = heldRuns.reduce((sum, run) => sum + run.duration, 0);
+  const holdDuration =
+    (evaluations[lastHeld].timestamp || 0) - (evaluations[firstHeld].timestamp || 0) + durations[lastHeld];
+  const longestHold = Math.max(...heldRuns.map((run) => run.duration));
+
+  // First sustained loss of form after getting into position
+  let breakdown;
+  const breakdownRun = runs.find(
+    (run) => !run.inTolerance && run.duration >= HOLD_ANALYSIS.BREAKDOWN_MIN_DURATION
+  );
+  if (breakdownRun) {
+    const start = evaluations[breakdownRun.start];
+    const violation = dominantViolation(evaluations.slice(breakdownRun.start, breakdownRun.end + 1));
+    breakdown = {
+      frame: start.frame,
+      timestamp: start.timestamp,
+      heldFor: round1(
+        runs
+          .filter((run) => run.inTolerance && run.end < breakdownRun.start)
+          .reduce((sum, run) => sum + run.duration, 0)
+      ),
+      duration: round1(breakdownRun.duration),
+      recovered: breakdownRun.end < lastHeld,
+      ...(violation && {
+        ruleId: violation.ruleId,
+        metric: violation.metric,
+        value: round1(violation.value),
+        threshold: violation.threshold,
+      }),
+    };
+  }
+
+  // Sway is measured on frames that were actually in tolerance, not forgiven slips
+  const heldIndexes = measuredStates
+    .map((state, index) => (state ? index : -1))
+    .filter((index) => index !== -1);
+  const sway = measureSway(
+    heldIndexes.map((index) => frames?.[index]).filter(Boolean),
+    heldIndexes.map((index) => evaluations[index]),
+    rules
+  );
+
+  return {
+    effectiveHoldTime: round1(effectiveHoldTime),
+    holdDuration: round1(holdDuration),
+    inTolerancePercent: holdDuration > 0 ? round1((effectiveHoldTime / holdDuration) * 100) : 0,
+    longestHold: round1(longestHold),
+    breakdown,
+    sway,
+  };
+};
+
+// ============================================
+// FEEDBACK GENERATION
+// ============================================
+
+/**
+ * Generate feedback for a form breakdown and for an unsteady hold
+ * @param {Object} hold - Output of analyzeHold
+ * @returns {Array<Object>} Feedback payloads (without sessionId)
+ */
+export const generateHoldFeedback = (hold) => {
+  if (!hold) {
+    return [];
+  }
+
+  const feedback = [];
+  const { breakdown, sway } = hold;
+
+  if (breakdown) {
+    const details = HOLD_DETAILS[breakdown.metric] || { label: 'form', keypoints: [], cues: {} };
+    const direction = breakdown.threshold !== undefined && breakdown.value < breakdown.threshold ? 'below' : 'above';
+    const what =
+      breakdown.metric !== undefined
+        ? `your ${details.label} went ${direction} ${breakdown.threshold}° (${Math.round(breakdown.value)}°)`
+        : 'you lost the position';
+
+    feedback.push({
+      type: FEEDBACK_TYPES.FORM_ERROR,
+      severity: breakdown.recovered ? FEEDBACK_SEVERITY.WARNING : FEEDBACK_SEVERITY.ERROR,
+      message: `Form broke down after ${breakdown.heldFor}s of good holding: ${what}${
+        breakdown.recovered ? '' : ' and did not recover'
+      }`,
+      suggestion: `${details.cues[direction] || 'Reset your position before continuing.'} If form keeps slipping, hold for about ${Math.max(
+        1,
+        Math.floor(breakdown.heldFor)
+      )}s and build up from there.`,
+      timestamp: breakdown.timestamp || 0,
+      keypoints: details.keypoints,
+      aiGenerated: false,
+      confidence: 0.8,
+      metadata: {
+        ruleId: 'hold_breakdown',
+        angleValue: breakdown.value,
+        threshold: breakdown.threshold,
+        frameNumber: breakdown.frame,
+      },
+    });
+  }
+
+  if (sway?.unsteady) {
+    feedback.push({
+      type: FEEDBACK_TYPES.IMPROVEMENT,
+      severity: FEEDBACK_SEVERITY.INFO,
+      message: `Your hips moved ${Math.round(sway.hip * 100)}% of your torso length while holding`,
+      suggestion: 'Brace your core and breathe steadily - a good hold stays still.',
+      timestamp: 0,
+      keypoints: ['left_hip', 'right_hip'],
+      aiGenerated: false,
+      confidence: 0.7,
+      metadata: {
+        ruleId: 'hold_sway',
+        angleValue: sway.hip,
+        threshold: HOLD_ANALYSIS.MAX_SWAY,
+      },
+    });
+  }
+
+  return feedback;
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  analyzeHold,
+  generateHoldFeedback,
+};
@@ -0,0 +1,320 @@
+/**
+ * Jump Service
+ *
+ * Detects jumps in plyometric sessions (broad-jump, tuck-jump, depth-jump,
+ * ...) from the hip and ankle trajectories and measures each flight and
+ * landing.
+ *
+ * Features:
+ * - Takeoff and landing frames from the ankles leaving and returning to the ground
+ * - Hip rise check so lifting a single foot is not taken for a jump
+ * - Flight time and jump height estimated from it (h = g * t^2 / 8)
+ * - Landing knee flexion and knee valgus (knees caving in) on landing
+ * - Stiff landing and knee valgus feedback
+ */
+
+import { getBodyReference, estimateTorsoLength } from '../utils/poseNormalization.js';
+import { getKeypointByName } from './poseService.js';
+import {
+  JUMP_DETECTION,
+  KEYPOINT_CONFIDENCE_THRESHOLD,
+  FEEDBACK_TYPES,
+  FEEDBACK_SEVERITY,
+} from '../config/constants.js';
+
+/**
+ * Round to a number of decimals
+ * @private
+ * @param {number} value - Value
+ * @param {number} [decimals=1] - Decimals
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// TRAJECTORIES
+// ============================================
+
+/**
+ * A keypoint of a frame if it was tracked confidently
+ * @private
+ * @param {Object} frame - Pose frame
+ * @param {string} name - Keypoint name
+ * @returns {Object|null} Keypoint
+ */
+const trackedKeypoint = (frame, name) => {
+  const keypoint = getKeypointByName(frame, name);
+  return keypoint && (keypoint.confidence ?? 1) >= KEYPOINT_CONFIDENCE_THRESHOLD ? keypoint : null;
+};
+
+/**
+ * Vertical position of the ankles (mean of the visible ones)
+ * @private
+ * @param {Object} frame - Pose frame
+ * @returns {number|null} Normalized y (down is positive)
+ */
+const ankleHeight = (frame) => {
+  const ankles = [trackedKeypoint(frame, 'left_ankle'), trackedKeypoint(frame, 'right_ankle')].filter(Boolean);
+  return ankles.length > 0 ? ankles.reduce((sum, kp) => sum + kp.y, 0) / ankles.length : null;
+};
+
+/**
+ * Knee width relative to ankle width - below 1 the knees are inside the feet
+ * @private
+ * @param {Object} frame - Pose frame
+ * @param {number} torsoLength - Session torso length
+ * @returns {number|null} Ratio, or null when the stance can't be judged (side view)
+ */
+const kneeToAnkleRatio = (frame, torsoLength) => {
+  const leftKnee = trackedKeypoint(frame, 'left_knee');
+  const rightKnee = trackedKeypoint(frame, 'right_knee');
+  const leftAnkle = trackedKeypoint(frame, 'left_ankle');
+  const rightAnkle = trackedKeypoint(frame, 'right_ankle');
+  if (!leftKnee || !rightKnee || !leftAnkle || !rightAnkle) {
+    return null;
+  }
+
+  const ankleWidth = Math.abs(leftAnkle.x - rightAnkle.x);
+  if (ankleWidth < JUMP_DETECTION.MIN_ANKLE_WIDTH * torsoLength) {
+    return null;
+  }
+  return Math.abs(leftKnee.x - rightKnee.x) / ankleWidth;
+};
+
+// ============================================
+// DETECTION
+// ============================================
+
+/**
+ * Find the airborne stretches of a session
+ *
+ * A frame is airborne when the ankles are above the local ground level (the
+ * lowest ankle position of the last GROUND_WINDOW seconds) by MIN_ANKLE_RISE.
+ * A flight ends when the ankles get back to the ground, or stop descending
+ * after the apex for landings on a raised surface (box jumps).
+ *
+ * @private
+ * @param {Array<Object>} frames - Pose frames
+ * @param {Array<number|null>} ankles - Ankle heights per frame
+ * @param {number} torsoLength - Session torso length
+ * @returns {Array<Object>} [{ takeoffIndex, landingIndex, apexIndex }]
+ */
+const findFlights = (frames, ankles, torsoLength) => {
+  const minRise = JUMP_DETECTION.MIN_ANKLE_RISE * torsoLength;
+  // Ankles this close to the ground count as grounded, smaller moves as tracking noise
+  const grounded = minRise * 0.25;
+  const noise = torsoLength * 0.01;
+  const flights = [];
+
+  let windowStart = 0;
+  let flight = null;
+  frames.forEach((frame, index) => {
+    const height = ankles[index];
+    if (height === null) {
+      return;
+    }
+
+    if (!flight) {
+      while ((frame.timestamp || 0) - (frames[windowStart].timestamp || 0) > JUMP_DETECTION.GROUND_WINDOW) {
+        windowStart++;
+      }
+      let ground = -Infinity;
+      for (let i = windowStart; i < index; i++) {
+        if (ankles[i] !== null) {
+          ground = Math.max(ground, ankles[i]);
+        }
+      }
+      if (ground > -Infinity && ground - height >= minRise) {
+        // Takeoff is the last grounded frame before leaving the ground
+        let takeoffIndex = index - 1;
+        while (takeoffIndex > windowStart && (ankles[takeoffIndex] === null || ground - ankles[takeoffIndex] > grounded)) {
+          takeoffIndex--;
+        }
+        flight = { takeoffIndex, ground, apexIndex: index };
+      }
+      return;
+    }
+
+    if (height < ankles[flight.apexIndex]) {
+      flight.apexIndex = index;
+    }
+    const backOnGround = flight.ground - height <= grounded;
+    const previous = ankles[index - 1];
+    const stoppedDescending =
+      index > flight.apexIndex + 1 &&
+      previous !== null &&
+      height - previous <= noise &&
+      height - ankles[flight.apexIndex] >= minRise * 0.5;
+    if (backOnGround || stoppedDescending) {
+      flights.push({ takeoffIndex: flight.takeoffIndex, landingIndex: index, apexIndex: flight.apexIndex });
+      flight = null;
+      windowStart = index;
+    }
+  });
+
+  return flights;
+};
+
+/**
+ * Detect and measure the jumps of a session
+ * @param {Array<Object>} frames - Processed pose frames (with angles)
+ * @returns {Object|undefined} { count, jumps, averageFlightTime, averageHeight, bestHeight,
+ *   stiffLandings, valgusLandings }, or undefined if the body could not be tracked
+ */
+export const analyzeJumps = (frames) => {
+  if (!Array.isArray(frames) || frames.length < 3) {
+    return undefined;
+  }
+  const torsoLength = estimateTorsoLength(frames);
+  if (!torsoLength) {
+    return undefined;
+  }
+
+  const ankles = frames.map(ankleHeight);
+  const hips = frames.map((frame) => getBodyReference(frame.keypoints)?.hipCenter.y ?? null);
+
+  const jumps = [];
+  findFlights(frames, ankles, torsoLength).forEach((flight) => {
+    const takeoff = frames[flight.takeoffIndex];
+    const landing = frames[flight.landingIndex];
+    const flightTime = (landing.timestamp || 0) - (takeoff.timestamp || 0);
+    if (flightTime < JUMP_DETECTION.MIN_FLIGHT_TIME || flightTime > JUMP_DETECTION.MAX_FLIGHT_TIME) {
+      return;
+    }
+
+    // The hips have to rise too, otherwise a foot was just lifted
+    const flightHips = hips.slice(flight.takeoffIndex, flight.landingIndex + 1).filter((y) => y !== null);
+    const hipRise =
+      hips[flight.takeoffIndex] !== null && flightHips.length > 0
+        ? (hips[flight.takeoffIndex] - Math.min(...flightHips)) / torsoLength
+        : null;
+    if (hipRise !== null && hipRise < JUMP_DETECTION.MIN_HIP_RISE) {
+      return;
+    }
+
+    // Deepest knee bend and narrowest knees shortly after touchdown
+    let landingKneeAngle = null;
+    let minKneeRatio = null;
+    for (
+      let i = flight.landingIndex;
+      i < frames.length && (frames[i].timestamp || 0) - (landing.timestamp || 0) <= JUMP_DETECTION.LANDING_WINDOW;
+      i++
+    ) {
+      const knee = frames[i].angles?.kneeAngle;
+      if (typeof knee === 'number' && (landingKneeAngle === null || knee < landingKneeAngle)) {
+        landingKneeAngle = knee;
+      }
+      const ratio = kneeToAnkleRatio(frames[i], torsoLength);
+      if (ratio !== null && (minKneeRatio === null || ratio < minKneeRatio)) {
+        minKneeRatio = ratio;
+      }
+    }
+
+    const kneeFlexion = landingKneeAngle !== null ? 180 - landingKneeAngle : null;
+    jumps.push({
+      number: jumps.length + 1,
+      takeoffFrame: takeoff.frame,
+      landingFrame: landing.frame,
+      takeoffTime: takeoff.timestamp,
+      landingTime: landing.timestamp,
+      flightTime: round(flightTime, 3),
+      height: round(((JUMP_DETECTION.GRAVITY * flightTime ** 2) / 8) * 100), // cm
+      hipRise: hipRise !== null ? round(hipRise, 2) : undefined,
+      landingKneeAngle: landingKneeAngle !== null ? round(landingKneeAngle) : undefined,
+      kneeFlexion: kneeFlexion !== null ? round(kneeFlexion) : undefined,
+      kneeToAnkleRatio: minKneeRatio !== null ? round(minKneeRatio, 2) : undefined,
+      stiffLanding: kneeFlexion !== null && kneeFlexion < JUMP_DETECTION.STIFF_LANDING_FLEXION,
+      kneeValgus: minKneeRatio !== null && minKneeRatio < JUMP_DETECTION.VALGUS_RATIO,
+    });
+  });
+
+  if (jumps.length === 0) {
+    return { count: 0, jumps: [] };
+  }
+
+  const average = (key) => jumps.reduce((sum, jump) => sum + jump[key], 0) / jumps.length;
+  return {
+    count: jumps.length,
+    jumps,
+    averageFlightTime: round(average('flightTime'), 3),
+    averageHeight: round(average('height')),
+    bestHeight: Math.max(...jumps.map((jump) => jump.height)),
+    stiffLandings: jumps.filter((jump) => jump.stiffLanding).length,
+    valgusLandings: jumps.filter((jump) => jump.kneeValgus).length,
+  };
+};
+
+// ============================================
+// FEEDBACK GENERATION
+// ============================================
+
+/**
+ * Generate landing feedback: one item per issue, anchored at the worst landing
+ * @param {Object} jumpAnalysis - Output of analyzeJumps
+ * @returns {Array<Object>} Feedback payloads (without sessionId)
+ */
+export const generateJumpFeedback = (jumpAnalysis) => {
+  if (!jumpAnalysis?.jumps?.length) {
+    return [];
+  }
+
+  const feedback = [];
+  const { jumps } = jumpAnalysis;
+
+  const stiff = jumps.filter((jump) => jump.stiffLanding);
+  if (stiff.length > 0) {
+    const worst = stiff.reduce((a, b) => (b.kneeFlexion < a.kneeFlexion ? b : a));
+    feedback.push({
+      type: FEEDBACK_TYPES.FORM_ERROR,
+      severity: FEEDBACK_SEVERITY.WARNING,
+      message: `${stiff.length} of ${jumps.length} landings were stiff - your knees bent only ${Math.round(
+        worst.kneeFlexion
+      )}° on jump ${worst.number}`,
+      suggestion: 'Land softly on the balls of your feet and let your knees and hips bend to absorb the impact.',
+      timestamp: worst.landingTime || 0,
+      keypoints: ['left_hip', 'left_knee', 'left_ankle', 'right_hip', 'right_knee', 'right_ankle'],
+      aiGenerated: false,
+      confidence: 0.8,
+      metadata: {
+        ruleId: 'jump_stiff_landing',
+        angleValue: worst.kneeFlexion,
+        threshold: JUMP_DETECTION.STIFF_LANDING_FLEXION,
+        frameNumber: worst.landingFrame,
+      },
+    });
+  }
+
+  const valgus = jumps.filter((jump) => jump.kneeValgus);
+  if (valgus.length > 0) {
+    const worst = valgus.reduce((a, b) => (b.kneeToAnkleRatio < a.kneeToAnkleRatio ? b : a));
+    feedback.push({
+      type: FEEDBACK_TYPES.FORM_ERROR,
+      severity: FEEDBACK_SEVERITY.ERROR,
+      message: `Your knees caved inwards on ${valgus.length} of ${jumps.length} landings (knees at ${Math.round(
+        worst.kneeToAnkleRatio * 100
+      )}% of foot width on jump ${worst.number})`,
+      suggestion: 'Push your knees out over your toes as you land and keep them in line with your feet.',
+      timestamp: worst.landingTime || 0,
+      keypoints: ['left_knee', 'right_knee', 'left_ankle', 'right_ankle'],
+      aiGenerated: false,
+      confidence: 0.7,
+      metadata: {
+        ruleId: 'jump_knee_valgus',
+        angleValue: worst.kneeToAnkleRatio,
+        threshold: JUMP_DETECTION.VALGUS_RATIO,
+        frameNumber: worst.landingFrame,
+      },
+    });
+  }
+
+  return feedback;
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  analyzeJumps,
+  generateJumpFeedback,
+};
@@ -0,0 +1,295 @@
+/**
+ * Key Frame Service
+ *
+ * Picks the frames of a session worth looking at: the deepest point of each
+ * rep, the frame where each form error was at its worst and the frames that
+ * best match the exercise's demonstration checkpoints. Feedback is linked to
+ * the key frame that shows it, and the worst rep can be put side by side with
+ * the demonstration.
+ *
+ * Features:
+ * - Rep bottoms, error peaks and demonstration checkpoint matches
+ * - Feedback linked to its own peak frame, or the nearest key frame
+ * - "Worst rep vs the demo" comparison of joint angles
+ */
+
+import { loadSessionFramesByNumber } from './poseService.js';
+import { FORM_RULE_METRICS } from './formRuleService.js';
+import {
+  KEY_FRAME_TYPES,
+  KEY_FRAMES,
+  FEEDBACK_SEVERITY,
+  FEEDBACK_PRIORITY,
+} from '../config/constants.js';
+
+/**
+ * Round to one decimal
+ * @private
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Mean absolute difference between a frame's angles and a checkpoint's keyAngles
+ * @private
+ * @param {Object} angles - Frame angles
+ * @param {Object} keyAngles - Checkpoint keyAngles ({ kneeAngle: 90, ... })
+ * @returns {number|null} Mean degrees, or null if no angle could be compared
+ */
+const checkpointDeviation = (angles, keyAngles) => {
+  let sum = 0;
+  let count = 0;
+  Object.entries(keyAngles || {}).forEach(([angle, target]) => {
+    const value = angles?.[angle];
+    if (typeof target === 'number' && typeof value === 'number' && !isNaN(value)) {
+      sum += Math.abs(value - target);
+      count += 1;
+    }
+  });
+  return count > 0 ? sum / count : null;
+};
+
+/**
+ * Closest frame to a checkpoint
+ * @private
+ * @param {Array<Object>} frames - Frames with angles
+ * @param {Object} keyAngles - Checkpoint keyAngles
+ * @returns {Object|null} { frame, deviation }
+ */
+const matchCheckpoint = (frames, keyAngles) =>
+  frames.reduce((best, frame) => {
+    const deviation = checkpointDeviation(frame.angles, keyAngles);
+    return deviation !== null && (!best || deviation < best.deviation) ? { frame, deviation } : best;
+  }, null);
+
+// ============================================
+// SELECTION
+// ============================================
+
+/**
+ * Select the key frames of an analyzed session
+ * @param {Array<Object>} frames - Processed frames (with angles)
+ * @param {Object} analysis - Session analysis
+ * @param {Object} [analysis.repAnalysis] - Detected reps
+ * @param {Array<Object>} [analysis.feedback] - Generated feedback (metadata.frameNumber marks peaks)
+ * @param {Array<Object>} [analysis.checkpoints] - Exercise demonstration.formCheckpoints
+ * @returns {Array<Object>} Key frames { frame, timestamp, type, repNumber?, score?, ruleId?,
+ *   position?, deviation? } ordered by timestamp (a frame may appear once per reason)
+ */
+export const selectKeyFrames = (frames, analysis = {}) => {
+  const { repAnalysis, feedback = [], checkpoints = [] } = analysis;
+  const keyFrames = [];
+
+  // Deepest point of each rep - the worst reps first when there are too many
+  [...(repAnalysis?.reps || [])]
+    .sort((a, b) => (a.score ?? Infinity) - (b.score ?? Infinity))
+    .slice(0, KEY_FRAMES.MAX_REP_BOTTOMS)
+    .forEach((rep) => {
+      keyFrames.push({
+        frame: rep.bottomFrame,
+        timestamp: rep.bottomTime,
+        type: KEY_FRAME_TYPES.REP_BOTTOM,
+        repNumber: rep.number,
+        ...(rep.score !== undefined && { score: rep.score }),
+      });
+    });
+
+  // Peak frame of every issue, the most severe ones first
+  feedback
+    .filter(
+      (item) =>
+        item.metadata?.frameNumber !== undefined &&
+        item.metadata?.frameNumber !== null &&
+        item.severity !== FEEDBACK_SEVERITY.SUCCESS
+    )
+    .map((item) => ({
+      item,
+      weight: FEEDBACK_PRIORITY.SEVERITY[item.severity] || 0,
+      deviation:
+        typeof item.metadata.angleValue === 'number' && typeof item.metadata.threshold === 'number'
+          ? Math.abs(item.metadata.angleValue - item.metadata.threshold)
+          : undefined,
+    }))
+    .sort((a, b) => b.weight - a.weight || (b.deviation ?? 0) - (a.deviation ?? 0))
+    .slice(0, KEY_FRAMES.MAX_ERROR_PEAKS)
+    .forEach(({ item, deviation }) => {
+      keyFrames.push({
+        frame: item.metadata.frameNumber,
+        timestamp: item.timestamp,
+        type: KEY_FRAME_TYPES.ERROR_PEAK,
+        ruleId: item.metadata.ruleId,
+        ...(deviation !== undefined && { deviation: round1(deviation) }),
+      });
+    });
+
+  // Frame closest to each demonstration checkpoint
+  (checkpoints || []).forEach((checkpoint) => {
+    const match = matchCheckpoint(frames || [], checkpoint.keyAngles);
+    if (match && match.deviation <= KEY_FRAMES.MAX_CHECKPOINT_DEVIATION) {
+      keyFrames.push({
+        frame: match.frame.frame,
+        timestamp: match.frame.timestamp,
+        type: KEY_FRAME_TYPES.CHECKPOINT,
+        position: checkpoint.position,
+        deviation: round1(match.deviation),
+      });
+    }
+  });
+
+  return keyFrames.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+};
+
+/**
+ * Link feedback to the key frame that shows it
+ *
+ * Feedback with a peak frame links to that frame; other feedback tied to a
+ * moment of the session links to the nearest key frame within
+ * MAX_LINK_DISTANCE seconds. Feedback about the whole session stays unlinked.
+ *
+ * @param {Array<Object>} feedback - Feedback payloads (updated in place with keyFrame)
+ * @param {Array<Object>} keyFrames - Key frames from selectKeyFrames
+ * @returns {Array<Object>} The feedback
+ */
+export const linkFeedbackToKeyFrames = (feedback, keyFrames) => {
+  const frameNumbers = new Set(keyFrames.map((keyFrame) => keyFrame.frame));
+
+  feedback.forEach((item) => {
+    const frameNumber = item.metadata?.frameNumber;
+    if (frameNumbers.has(frameNumber)) {
+      item.keyFrame = frameNumber;
+      return;
+    }
+    if (!(item.timestamp > 0)) {
+      return;
+    }
+    const nearest = keyFrames.reduce(
+      (best, keyFrame) =>
+        !best || Math.abs(keyFrame.timestamp - item.timestamp) < Math.abs(best.timestamp - item.timestamp)
+          ? keyFrame
+          : best,
+      null
+    );
+    if (nearest && Math.abs(nearest.timestamp - item.timestamp) <= KEY_FRAMES.MAX_LINK_DISTANCE) {
+      item.keyFrame = nearest.frame;
+    }
+  });
+
+  return feedback;
+};
+
+/**
+ * Frame numbers of a session's key frames
+ * @param {Array<Object>} keyFrames - Key frames
+ * @returns {Array<number>} Unique frame numbers, ascending
+ */
+export const getKeyFrameNumbers = (keyFrames) =>
+  [...new Set((keyFrames || []).map((keyFrame) => keyFrame.frame))].sort((a, b) => a - b);
+
+// ============================================
+// WORST REP VS THE DEMO
+// ============================================
+
+/**
+ * Lowest scoring rep of a session
+ * @param {Object} session - Session with repAnalysis
+ * @returns {Object|null} Rep
+ */
+export const findWorstRep = (session) =>
+  (session?.repAnalysis?.reps || [])
+    .filter((rep) => typeof rep.score === 'number')
+    .reduce((worst, rep) => (!worst || rep.score < worst.score ? rep : worst), null);
+
+/**
+ * Compare the bottom of the worst rep with the closest demonstration checkpoint
+ * @param {Object} session - Session with repAnalysis
+ * @param {Object} frame - Bottom frame of the worst rep (with angles)
+ * @param {Object} exercise - Exercise with demonstration.formCheckpoints
+ * @returns {Object|null} { rep, frame, demo, meanDeviation, angles } - angles are
+ *   { angle, label, yours, demo, difference },
+ *   or null without scored reps or comparable checkpoints
+ */
+export const compareWorstRepToDemo = (session, frame, exercise) => {
+  const worst = findWorstRep(session);
+  if (!worst || !frame?.angles) {
+    return null;
+  }
+
+  // The checkpoint the bottom of the rep is closest to (normally the demo's bottom position)
+  const checkpoint = (exercise?.demonstration?.formCheckpoints || []).reduce((best, candidate) => {
+    const deviation = checkpointDeviation(frame.angles, candidate.keyAngles);
+    return deviation !== null && (!best || deviation < best.deviation) ? { candidate, deviation } : best;
+  }, null);
+  if (!checkpoint) {
+    return null;
+  }
+
+  const angles = Object.entries(checkpoint.candidate.keyAngles)
+    .filter(([angle, target]) => typeof target === 'number' && typeof frame.angles[angle] === 'number')
+    .map(([angle, target]) => ({
+      angle,
+      label: FORM_RULE_METRICS[angle]?.label || angle,
+      yours: round1(frame.angles[angle]),
+      demo: target,
+      difference: round1(frame.angles[angle] - target),
+    }));
+
+  return {
+    rep: {
+      number: worst.number,
+      score: worst.score,
+      bottomFrame: worst.bottomFrame,
+      bottomTime: worst.bottomTime,
+    },
+    frame,
+    demo: {
+      position: checkpoint.candidate.position,
+      time: checkpoint.candidate.time,
+      description: checkpoint.candidate.description,
+      keyAngles: checkpoint.candidate.keyAngles,
+      videoUrl: exercise.demonstration.videoUrl,
+    },
+    meanDeviation: round1(checkpoint.deviation),
+    angles,
+  };
+};
+
+/**
+ * Key frames of a session with their pose data, plus the worst rep vs the demo
+ * @param {Object} session - Session document (either storage layout)
+ * @param {Object} exercise - Exercise with demonstration
+ * @returns {Promise<Object>} { keyFrames, worstRep } - each key frame carries its frame
+ *   ({ frame, timestamp, keypoints, angles, sideAngles }) when it could be loaded
+ */
+export const getKeyFrameSnapshots = async (session, exercise) => {
+  const keyFrames = session.keyFrames || [];
+  const worst = findWorstRep(session);
+  const frameNumbers = getKeyFrameNumbers(keyFrames);
+  if (worst && worst.bottomFrame !== undefined && !frameNumbers.includes(worst.bottomFrame)) {
+    frameNumbers.push(worst.bottomFrame);
+  }
+
+  const frames = await loadSessionFramesByNumber(session, frameNumbers);
+  const byNumber = new Map(frames.map((frame) => [frame.frame, frame]));
+
+  return {
+    keyFrames: keyFrames.map((keyFrame) => ({
+      ...(keyFrame.toObject ? keyFrame.toObject() : keyFrame),
+      pose: byNumber.get(keyFrame.frame) || null,
+    })),
+    worstRep: worst ? compareWorstRepToDemo(session, byNumber.get(worst.bottomFrame), exercise) : null,
+  };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  selectKeyFrames,
+  linkFeedbackToKeyFrames,
+  getKeyFrameNumbers,
+  findWorstRep,
+  compareWorstRepToDemo,
+  getKeyFrameSnapshots,
+};
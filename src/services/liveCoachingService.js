@@ -0,0 +1,702 @@
+/**
+ * Live Coaching Service
+ *
+ * Analyzes frames streamed by the client during a set and pushes coaching
+ * cues back as server-sent events: form feedback as soon as a rule is
+ * violated, completed reps and changes of the movement phase. Live cues are
+ * provisional - when the set ends (or the event stream closes for good) the
+ * recording is filtered, analyzed and saved as a regular ExerciseSession with
+ * its Feedback, exactly like a session posted in one piece.
+ *
+ * Live sessions are held in memory by the process that started them.
+ *
+ * Features:
+ * - One live session per user, ended after an idle or reconnect timeout
+ * - Event streams with heartbeats (several streams may listen to one session)
+ * - Incremental rule evaluation once the camera view is known
+ * - One cue per violation, with a cooldown per rule
+ * - Rep counting and movement phase tracking on the driving angle
+ * - Saving the session and its feedback when the set ends (long sets keep
+ *   their frames in PoseData)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import ExerciseSession from '../models/ExerciseSession.js';
+import Feedback from '../models/Feedback.js';
+import User from '../models/User.js';
+import {
+  processPoseData,
+  validatePoseFrameData,
+  calculateAverageAngles,
+  insertProcessedPoseFrames,
+  markPoseKeyFrames,
+  deletePoseFrames,
+} from './poseService.js';
+import { normalizeFormRules, evaluateFrame, buildRuleFeedback } from './ruleEngineService.js';
+import { detectReps } from './repDetectionService.js';
+import { detectViewpoint, applyViewpointToRules } from './viewpointService.js';
+import { needsTorsoLength } from './formRuleService.js';
+import { analyzeSession } from './sessionAnalysisService.js';
+import { getKeyFrameNumbers } from './keyFrameService.js';
+import { canonicalizeFrames } from '../utils/skeletonAdapters.js';
+import { estimateTorsoLength } from '../utils/poseNormalization.js';
+import AppError from '../utils/appError.js';
+import { logInfo, logError } from '../utils/logger.js';
+import {
+  HTTP_STATUS,
+  LIVE_COACHING,
+  LIVE_EVENTS,
+  LIVE_PHASES,
+  REP_DETECTION,
+  FEEDBACK_ENGINE,
+  FORM_RULE_PHASES,
+  SESSION_DURATION,
+  POSE_STORAGE,
+} from '../config/constants.js';
+
+/**
+ * Live sessions by ID
+ * @private
+ */
+const liveSessions = new Map();
+
+/**
+ * Rule phases checked in each live movement phase - the start and the top of
+ * a rep are both at rest
+ * @private
+ */
+const RULE_PHASES_BY_LIVE_PHASE = {
+  [LIVE_PHASES.REST]: [FORM_RULE_PHASES.START, FORM_RULE_PHASES.TOP],
+  [LIVE_PHASES.BOTTOM]: [FORM_RULE_PHASES.BOTTOM],
+};
+
+/**
+ * Round to a number of decimals
+ * @private
+ * @param {number} value - Value
+ * @param {number} [decimals=2] - Decimals
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Write one server-sent event to a stream
+ * @private
+ * @param {Object} res - Express response of the event stream
+ * @param {string} event - LIVE_EVENTS value
+ * @param {Object} data - Event payload
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Send an event to every stream of a live session
+ * @private
+ * @param {Object} live - Live session
+ * @param {string} event - LIVE_EVENTS value
+ * @param {Object} data - Event payload
+ * @returns {Object} The event { event, data }
+ */
+const emit = (live, event, data) => {
+  live.streams.forEach((res) => writeEvent(res, event, data));
+  return { event, data };
+};
+
+/**
+ * Public state of a live session
+ * @private
+ * @param {Object} live - Live session
+ * @returns {Object} { id, exerciseId, frames, repCount, phase, viewpoint, coaching, startedAt }
+ */
+const describeLiveSession = (live) => ({
+  id: live.id,
+  exerciseId: live.exercise._id.toString(),
+  frames: live.frames.length,
+  repCount: live.repCount,
+  phase: live.phase,
+  viewpoint: live.viewpoint?.view || null,
+  coaching: live.rules !== null, // Cues start once the camera view is known
+  startedAt: live.startedAt,
+});
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * (Re)schedule the automatic end of a live session
+ * @private
+ * @param {Object} live - Live session
+ * @param {number} delay - Milliseconds
+ * @param {string} reason - Logged and sent with the complete event
+ */
+const scheduleEnd = (live, delay, reason) => {
+  clearTimeout(live.timer);
+  live.timer = setTimeout(() => {
+    endLiveSession(live, { reason }).catch(() => {
+      // Already logged and sent to the streams
+    });
+  }, delay);
+  live.timer.unref();
+};
+
+/**
+ * Start a live session
+ *
+ * A live session the user still has open is ended (and saved) first.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} exercise - Exercise document (loaded with +reference)
+ * @param {Object} options - Session options
+ * @param {number} [options.fps] - Camera frame rate
+ * @param {string} [options.poseModel] - POSE_MODELS value (detected from the first frames otherwise)
+ * @param {Object} [options.imageSize] - { width, height } to divide pixel coordinates by
+ * @param {Object|false} [options.filter] - Resolved filter parameters applied when the
+ *   recording is saved, or false to keep the raw keypoints (defaults when omitted)
+ * @param {Object} [options.details] - Fields saved on the session (notes, tags, isPublic)
+ * @returns {Promise<Object>} Live session state
+ */
+export const startLiveSession = async (userId, exercise, options = {}) => {
+  const previous = [...liveSessions.values()].find((live) => live.userId === userId);
+  if (previous) {
+    await endLiveSession(previous, { reason: 'replaced' }).catch(() => {
+      // A failed save must not keep the user from starting again
+    });
+  }
+
+  const live = {
+    id: uuidv4(),
+    userId,
+    exercise,
+    fps: options.fps,
+    poseModel: options.poseModel,
+    imageSize: options.imageSize || null,
+    filter: options.filter ?? true,
+    details: options.details || {},
+    frames: [],
+    evaluations: [],
+    rules: null,
+    viewpoint: null,
+    torsoLength: null,
+    violations: new Map(),
+    lastCueAt: new Map(),
+    cueCount: 0,
+    repCount: 0,
+    repCheckedAt: null,
+    motion: null,
+    phase: null,
+    streams: new Set(),
+    startedAt: new Date(),
+    timer: null,
+    ending: null,
+  };
+  liveSessions.set(live.id, live);
+  scheduleEnd(live, LIVE_COACHING.IDLE_TIMEOUT_MS, 'idle');
+
+  logInfo('Live session started', {
+    liveSessionId: live.id,
+    userId,
+    exerciseId: exercise._id.toString(),
+  });
+
+  return describeLiveSession(live);
+};
+
+/**
+ * Get a live session of a user
+ * @param {string} liveSessionId - Live session ID
+ * @param {string} userId - User ID
+ * @returns {Object} Live session
+ * @throws {AppError} If the live session doesn't exist (or has ended) or belongs to another user
+ */
+export const getLiveSession = (liveSessionId, userId) => {
+  const live = liveSessions.get(liveSessionId);
+  if (!live) {
+    throw new AppError('Live session not found or already ended', HTTP_STATUS.NOT_FOUND);
+  }
+  if (live.userId !== userId.toString()) {
+    throw new AppError('You do not have access to this live session', HTTP_STATUS.FORBIDDEN);
+  }
+  return live;
+};
+
+/**
+ * Attach a server-sent event stream to a live session
+ *
+ * The stream receives a ready event with the current state, then every
+ * event of the session. When the last stream closes the session is ended
+ * unless a stream is reopened within RECONNECT_GRACE_MS.
+ *
+ * @param {Object} live - Live session
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+export const subscribeLiveSession = (live, req, res) => {
+  res.status(HTTP_STATUS.OK);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+  res.write(`retry: ${LIVE_COACHING.RECONNECT_GRACE_MS / 10}\n\n`);
+
+  live.streams.add(res);
+  writeEvent(res, LIVE_EVENTS.READY, describeLiveSession(live));
+  scheduleEnd(live, LIVE_COACHING.IDLE_TIMEOUT_MS, 'idle');
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), LIVE_COACHING.HEARTBEAT_MS);
+  heartbeat.unref();
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    live.streams.delete(res);
+    if (live.streams.size === 0 && !live.ending) {
+      scheduleEnd(live, LIVE_COACHING.RECONNECT_GRACE_MS, 'stream_closed');
+    }
+  });
+};
+
+// ============================================
+// INCREMENTAL ANALYSIS
+// ============================================
+
+/**
+ * Fix the rules once enough frames show the camera view
+ * @private
+ * @param {Object} live - Live session
+ * @returns {Array<Object>} Events
+ */
+const setUpRules = (live) => {
+  const detectedView = detectViewpoint(live.frames);
+  const { rules, skippedRules, downgradedRules } = applyViewpointToRules(
+    normalizeFormRules(live.exercise.formRules),
+    detectedView
+  );
+  live.rules = rules;
+  live.viewpoint = detectedView ? { ...detectedView, skippedRules, downgradedRules } : null;
+  live.torsoLength = needsTorsoLength(rules) ? estimateTorsoLength(live.frames) : null;
+
+  return [
+    emit(live, LIVE_EVENTS.VIEWPOINT, {
+      view: live.viewpoint?.view || null,
+      confidence: live.viewpoint?.confidence ?? null,
+      skippedRules: skippedRules.map((rule) => rule.ruleId),
+      downgradedRules: downgradedRules.map((rule) => rule.ruleId),
+    }),
+  ];
+};
+
+/**
+ * Update the driving angle and its range of motion from the frames so far
+ * @private
+ * @param {Object} live - Live session
+ * @param {string|null} metric - Driving angle from rep detection
+ */
+const updateMotion = (live, metric) => {
+  if (!metric) {
+    live.motion = null;
+    return;
+  }
+  const series = live.evaluations
+    .map((evaluation) => evaluation.angles?.[metric])
+    .filter((value) => typeof value === 'number' && !isNaN(value));
+  if (series.length === 0) {
+    live.motion = null;
+    return;
+  }
+
+  // Same robust range (5th to 95th percentile) as rep detection
+  const sorted = [...series].sort((a, b) => a - b);
+  const low = sorted[Math.floor((sorted.length - 1) * 0.05)];
+  const high = sorted[Math.ceil((sorted.length - 1) * 0.95)];
+  live.motion = {
+    metric,
+    low,
+    high,
+    // Rest is whichever end of the range the set started closer to
+    restIsHigh: Math.abs(series[0] - high) <= Math.abs(series[0] - low),
+    displacement: live.motion?.metric === metric ? live.motion.displacement : null,
+  };
+};
+
+/**
+ * Movement phase at the latest frame
+ * @private
+ * @param {Object} live - Live session
+ * @returns {string|null} LIVE_PHASES value, or null while the movement is unknown
+ */
+const trackPhase = (live) => {
+  const { motion } = live;
+  if (!motion || motion.high - motion.low < REP_DETECTION.MIN_RANGE_OF_MOTION) {
+    return null;
+  }
+
+  const recent = live.evaluations
+    .slice(-REP_DETECTION.SMOOTHING_WINDOW)
+    .map((evaluation) => evaluation.angles?.[motion.metric])
+    .filter((value) => typeof value === 'number' && !isNaN(value));
+  if (recent.length === 0) {
+    return live.phase;
+  }
+
+  const value = recent.reduce((sum, angle) => sum + angle, 0) / recent.length;
+  const displacement = (motion.restIsHigh ? motion.high - value : value - motion.low) / (motion.high - motion.low);
+  const previous = motion.displacement;
+  motion.displacement = displacement;
+
+  if (displacement <= REP_DETECTION.REST_TOLERANCE_RATIO) {
+    return LIVE_PHASES.REST;
+  }
+  if (displacement >= 1 - REP_DETECTION.REST_TOLERANCE_RATIO) {
+    return LIVE_PHASES.BOTTOM;
+  }
+  if (previous === null || displacement === previous) {
+    return live.phase === LIVE_PHASES.REST || live.phase === LIVE_PHASES.BOTTOM ? live.phase : LIVE_PHASES.AWAY;
+  }
+  return displacement > previous ? LIVE_PHASES.AWAY : LIVE_PHASES.RETURN;
+};
+
+/**
+ * Cue the rules a frame violates
+ *
+ * Like the session feedback, a violation is real once the rule fails on
+ * MIN_VIOLATION_FRAMES consecutive frames; it is cued once, at its worst
+ * frame so far, and the same rule stays quiet for CUE_COOLDOWN seconds.
+ *
+ * @private
+ * @param {Object} live - Live session
+ * @param {Object} evaluation - Frame evaluation
+ * @returns {Array<Object>} Events
+ */
+const checkViolations = (live, evaluation) => {
+  const events = [];
+  live.rules.forEach((rule) => {
+    const result = evaluation.results.find((r) => r.ruleId === rule.id);
+    if (!result || result.passed) {
+      live.violations.delete(rule.id);
+      return;
+    }
+
+    const violation = live.violations.get(rule.id) || { length: 0, peak: null, cued: false };
+    violation.length += 1;
+    if (!violation.peak || result.deviation > violation.peak.result.deviation) {
+      violation.peak = { evaluation, result };
+    }
+    live.violations.set(rule.id, violation);
+
+    const time = evaluation.timestamp || 0;
+    const lastCueAt = live.lastCueAt.get(rule.id);
+    if (
+      !violation.cued &&
+      violation.length >= FEEDBACK_ENGINE.MIN_VIOLATION_FRAMES &&
+      (lastCueAt === undefined || time - lastCueAt >= LIVE_COACHING.CUE_COOLDOWN)
+    ) {
+      violation.cued = true;
+      live.lastCueAt.set(rule.id, time);
+      live.cueCount += 1;
+      events.push(emit(live, LIVE_EVENTS.FEEDBACK, buildRuleFeedback(rule, violation.peak)));
+    }
+  });
+  return events;
+};
+
+/**
+ * Count the reps completed so far and refresh the driving angle
+ * @private
+ * @param {Object} live - Live session
+ * @returns {Array<Object>} Events
+ */
+const checkReps = (live) => {
+  const { metric, reps } = detectReps(live.evaluations, live.rules);
+  updateMotion(live, metric);
+
+  const events = [];
+  reps.slice(live.repCount).forEach((rep) => {
+    events.push(
+      emit(live, LIVE_EVENTS.REP, {
+        count: rep.number,
+        rep: {
+          number: rep.number,
+          score: rep.score ?? null,
+          duration: rep.duration,
+          rangeOfMotion: rep.rangeOfMotion,
+          startTime: rep.startTime,
+          endTime: rep.endTime,
+        },
+      })
+    );
+  });
+  live.repCount = Math.max(live.repCount, reps.length);
+  return events;
+};
+
+/**
+ * Evaluate one frame and collect the events it triggers
+ * @private
+ * @param {Object} live - Live session
+ * @param {Object} frame - Canonical pose frame
+ * @returns {Array<Object>} Events
+ */
+const analyzeFrame = (live, frame) => {
+  const evaluation = evaluateFrame(frame, live.rules, {
+    phases: RULE_PHASES_BY_LIVE_PHASE[live.phase],
+    torsoLength: live.torsoLength,
+  });
+  live.evaluations.push(evaluation);
+
+  const events = checkViolations(live, evaluation);
+
+  // Rep detection runs over the whole set, so only every REP_DETECTION_INTERVAL
+  const time = evaluation.timestamp || 0;
+  if (live.repCheckedAt === null || time - live.repCheckedAt >= LIVE_COACHING.REP_DETECTION_INTERVAL) {
+    live.repCheckedAt = time;
+    events.push(...checkReps(live));
+  }
+
+  const phase = trackPhase(live);
+  if (phase && phase !== live.phase) {
+    live.phase = phase;
+    events.push(emit(live, LIVE_EVENTS.PHASE, { phase, timestamp: evaluation.timestamp }));
+  }
+
+  return events;
+};
+
+/**
+ * Add streamed frames to a live session and analyze them
+ *
+ * Frames at or before the last received timestamp are ignored, so a message
+ * re-sent after a network error doesn't duplicate frames.
+ *
+ * @param {Object} live - Live session
+ * @param {Array<Object>} frames - Pose frames ({ frame, timestamp, keypoints })
+ * @returns {Object} { accepted, events, state } - events were also sent to the streams
+ * @throws {AppError} If a frame is invalid or the session is full
+ */
+export const addLiveFrames = (live, frames) => {
+  if (live.ending) {
+    throw new AppError('Live session has already ended', HTTP_STATUS.CONFLICT);
+  }
+
+  // Validated on the canonical skeleton, so every model's format is accepted.
+  // The first frames decide the skeleton format for the whole set
+  const canonical = canonicalizeFrames(frames, live.poseModel, live.imageSize);
+  canonical.frames.forEach((frame, index) => {
+    const validation = validatePoseFrameData(frame);
+    if (!validation.valid) {
+      throw new AppError(`Frame ${index}: ${validation.errors.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+    }
+  });
+
+  const lastTimestamp = live.frames.length > 0 ? live.frames[live.frames.length - 1].timestamp : -Infinity;
+  const fresh = canonical.frames
+    .filter((frame) => frame.timestamp > lastTimestamp)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (live.frames.length + fresh.length > LIVE_COACHING.MAX_FRAMES) {
+    throw new AppError(
+      `A live session cannot have more than ${LIVE_COACHING.MAX_FRAMES} frames - end the set or upload long recordings in chunks`,
+      HTTP_STATUS.PAYLOAD_TOO_LARGE
+    );
+  }
+
+  if (fresh.length > 0) {
+    live.poseModel = canonical.poseModel;
+  }
+  live.frames.push(...fresh);
+  scheduleEnd(live, LIVE_COACHING.IDLE_TIMEOUT_MS, 'idle');
+
+  const events = [];
+  if (live.rules === null) {
+    // Hold the cues until the camera view is known, then catch up
+    if (live.frames.length >= LIVE_COACHING.SETUP_FRAMES) {
+      events.push(...setUpRules(live));
+      live.frames.forEach((frame) => events.push(...analyzeFrame(live, frame)));
+    }
+  } else {
+    fresh.forEach((frame) => events.push(...analyzeFrame(live, frame)));
+  }
+
+  return { accepted: fresh.length, events, state: describeLiveSession(live) };
+};
+
+// ============================================
+// SAVING
+// ============================================
+
+/**
+ * Save the recording of a live session as a regular session
+ * @private
+ * @param {Object} live - Live session with frames
+ * @returns {Promise<Object>} { session, feedback }
+ */
+const saveLiveSession = async (live) => {
+  const { exercise, frames } = live;
+
+  // Analyzed exactly like a session posted in one piece
+  const poseData = processPoseData(
+    {
+      keypoints: frames,
+      fps: live.fps,
+      poseModel: live.poseModel,
+      ...(live.imageSize && { imageWidth: live.imageSize.width, imageHeight: live.imageSize.height }),
+    },
+    {
+      canonicalize: false,
+      filter: live.filter,
+      recalculateAngles: true,
+      calculateDistances: false,
+      assessQuality: false,
+    }
+  );
+  const { fields, feedback } = analyzeSession(poseData, exercise);
+
+  // Long sets keep their frames in PoseData, like a chunked upload, so the
+  // session document stays well below the document size limit
+  const chunked = frames.length > LIVE_COACHING.MAX_EMBEDDED_FRAMES;
+
+  const recordedSeconds = (frames[frames.length - 1].timestamp || 0) - (frames[0].timestamp || 0);
+  const session = await ExerciseSession.create({
+    ...live.details,
+    userId: live.userId,
+    exerciseId: exercise._id,
+    duration: Math.max(SESSION_DURATION.MIN, Math.round(recordedSeconds)),
+    recordedAt: live.startedAt,
+    poseData: chunked
+      ? {
+          ...poseData,
+          storage: POSE_STORAGE.CHUNKED,
+          keypoints: [],
+          totalFrames: poseData.keypoints.length,
+          averageAngles: calculateAverageAngles(poseData.keypoints),
+        }
+      : { ...poseData, storage: POSE_STORAGE.EMBEDDED },
+    ...fields,
+  });
+
+  if (chunked) {
+    try {
+      await insertProcessedPoseFrames(session._id, poseData.keypoints, poseData.poseModel);
+      await markPoseKeyFrames(session._id, getKeyFrameNumbers(session.keyFrames));
+    } catch (error) {
+      // A session without its frames can't be re-scored or replayed
+      await deletePoseFrames(session._id);
+      await ExerciseSession.deleteOne({ _id: session._id });
+      throw error;
+    }
+  }
+
+  let createdFeedback = [];
+  if (feedback.length > 0) {
+    try {
+      createdFeedback = await Feedback.insertMany(
+        feedback.map((item) => ({ ...item, sessionId: session._id })),
+        { ordered: false }
+      );
+    } catch (feedbackError) {
+      logError('Failed to create feedback for live session', {
+        sessionId: session._id.toString(),
+        error: feedbackError.message,
+      });
+      createdFeedback = await Feedback.find({ sessionId: session._id });
+    }
+  }
+
+  try {
+    const user = await User.findById(live.userId);
+    if (user) {
+      await user.recordSession(session);
+    }
+  } catch (statsError) {
+    // Log error but don't fail saving the session
+    logError('Failed to update user stats/streak', statsError);
+  }
+
+  return { session, feedback: createdFeedback };
+};
+
+/**
+ * End a live session, save its recording and close its streams
+ *
+ * Safe to call more than once - later calls wait for the first one.
+ *
+ * @param {Object} live - Live session
+ * @param {Object} options - End options
+ * @param {string} [options.reason='ended'] - Why the session ended ('ended', 'idle',
+ *   'stream_closed', 'replaced', 'shutdown')
+ * @returns {Promise<Object|null>} { session, feedback }, or null when no frames were received
+ */
+export const endLiveSession = (live, options = {}) => {
+  if (live.ending) {
+    return live.ending;
+  }
+  const { reason = 'ended' } = options;
+  clearTimeout(live.timer);
+
+  live.ending = (async () => {
+    try {
+      const saved = live.frames.length > 0 ? await saveLiveSession(live) : null;
+
+      emit(live, LIVE_EVENTS.COMPLETE, {
+        reason,
+        saved: saved !== null,
+        sessionId: saved ? saved.session._id.toString() : null,
+        overallScore: saved ? saved.session.overallScore : null,
+        repCount: saved ? saved.session.repAnalysis?.count ?? 0 : 0,
+        feedbackCount: saved ? saved.feedback.length : 0,
+      });
+
+      logInfo('Live session ended', {
+        liveSessionId: live.id,
+        userId: live.userId,
+        reason,
+        frames: live.frames.length,
+        liveCues: live.cueCount,
+        sessionId: saved ? saved.session._id.toString() : null,
+        durationSeconds: round((Date.now() - live.startedAt.getTime()) / 1000, 1),
+      });
+
+      return saved;
+    } catch (error) {
+      logError('Failed to save live session', {
+        liveSessionId: live.id,
+        userId: live.userId,
+        reason,
+        error: error.message,
+      });
+      emit(live, LIVE_EVENTS.ERROR, { message: 'The session could not be saved' });
+      throw error;
+    } finally {
+      liveSessions.delete(live.id);
+      live.streams.forEach((res) => res.end());
+      live.streams.clear();
+    }
+  })();
+
+  return live.ending;
+};
+
+/**
+ * End every live session (on server shutdown)
+ * @returns {Promise<void>}
+ */
+export const endAllLiveSessions = async () => {
+  await Promise.allSettled([...liveSessions.values()].map((live) => endLiveSession(live, { reason: 'shutdown' })));
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  startLiveSession,
+  getLiveSession,
+  subscribeLiveSession,
+  addLiveFrames,
+  endLiveSession,
+  endAllLiveSessions,
+};
@@ -10,8 +10,14 @@
  * - Keypoint extraction and analysis
  * - Angle and distance calculations
  * - Pose quality assessment
+ * - Canonical skeleton mapping for MoveNet, BlazePose/MediaPipe, PoseNet and COCO
+ * - Keypoint smoothing and outlier rejection
  * - Pose statistics and analytics
  * - Integration with ExerciseSession and PoseData models
+ * - Chunked frame storage in PoseData for long sessions, read back in the
+ *   same shape as embedded poseData
+ * - Frame queries (time windows, key frames) and downsampled angle series
+ *   for either storage layout
  */
 
 import PoseData from '../models/PoseData.js';
@@ -21,6 +27,9 @@ import {
   KEYPOINT_COORDINATES,
   POSE_QUALITY,
   ANGLES,
+  POSE_STORAGE,
+  FRAME_CHUNKS,
+  FRAME_QUERY,
 } from '../config/constants.js';
 import {
   validatePoseData,
@@ -32,6 +41,10 @@ import {
   checkRequiredKeypoints,
   validatePoseDataComplete,
 } from '../utils/poseValidators.js';
+import { filterPoseFrames } from '../utils/poseFilters.js';
+import { canonicalizeFrames, toCanonicalKeypoints, readImageSize } from '../utils/skeletonAdapters.js';
+import { normalizePoseFrames } from '../utils/poseNormalization.js';
+import { downsampleLTTB } from '../utils/downsampling.js';
 import { logInfo, logError, logWarn } from '../utils/logger.js';
 import AppError from '../utils/appError.js';
 import { HTTP_STATUS } from '../config/constants.js';
@@ -221,10 +234,45 @@ export const calculateHipAngle = (frame, side = 'left') => {
   return calculateAngle(shoulder, hip, knee);
 };
 
+/**
+ * Calculate elbow angle (shoulder - elbow - wrist) from keypoints
+ * @param {Object} frame - Pose frame with keypoints
+ * @param {string} side - 'left' or 'right'
+ * @returns {number|null} Elbow angle in degrees
+ */
+export const calculateElbowAngle = (frame, side = 'left') => {
+  const shoulder = getKeypointByName(frame, `${side}_shoulder`);
+  const elbow = getKeypointByName(frame, `${side}_elbow`);
+  const wrist = getKeypointByName(frame, `${side}_wrist`);
+
+  if (!shoulder || !elbow || !wrist) {
+    return null;
+  }
+
+  return calculateAngle(shoulder, elbow, wrist);
+};
+
+/**
+ * Calculate ankle angle (shin relative to vertical) from keypoints
+ * @param {Object} frame - Pose frame with keypoints
+ * @param {string} side - 'left' or 'right'
+ * @returns {number|null} Ankle angle in degrees
+ */
+export const calculateAnkleAngle = (frame, side = 'left') => {
+  const knee = getKeypointByName(frame, `${side}_knee`);
+  const ankle = getKeypointByName(frame, `${side}_ankle`);
+
+  if (!knee || !ankle) {
+    return null;
+  }
+
+  return calculateAngle(knee, ankle, { x: ankle.x, y: ankle.y + 0.1 });
+};
+
 /**
  * Calculate back angle from keypoints
  * @param {Object} frame - Pose frame with keypoints
- * @returns {number|null} Back angle in degrees (positive = forward lean, negative = backward)
+ * @returns {number|null} Back angle in degrees (0 = upright, positive = forward lean, negative = backward)
  */
 export const calculateBackAngle = (frame) => {
   const leftShoulder = getKeypointByName(frame, 'left_shoulder');
@@ -246,20 +294,24 @@ export const calculateBackAngle = (frame) => {
     y: (leftHip.y + rightHip.y) / 2,
   };
 
-  // Calculate vertical reference point (above shoulder)
+  // Calculate vertical reference point (above hip)
   const verticalRef = {
-    x: shoulderMid.x,
-    y: shoulderMid.y - 0.1, // Small offset above shoulder
+    x: hipMid.x,
+    y: hipMid.y - 0.1, // Small offset above hip (y grows downwards)
   };
 
-  // Calculate angle between vertical and back line
-  const angle = calculateAngle(verticalRef, shoulderMid, hipMid);
+  // Calculate angle between vertical and back line (hip -> shoulder)
+  const angle = calculateAngle(verticalRef, hipMid, shoulderMid);
   if (angle === null) {
     return null;
   }
 
-  // Adjust angle: 90 degrees = straight, >90 = forward lean, <90 = backward lean
-  const backAngle = angle - 90;
+  // 0 degrees = upright. Lean is positive when the shoulders move towards the
+  // side the nose is on (forward), negative otherwise (backward)
+  const nose = getKeypointByName(frame, 'nose');
+  const facing = nose ? Math.sign(nose.x - shoulderMid.x) : 0;
+  const leanDirection = Math.sign(shoulderMid.x - hipMid.x);
+  const backAngle = facing !== 0 && leanDirection !== 0 && facing !== leanDirection ? -angle : angle;
   return Math.round(backAngle * 100) / 100;
 };
 
@@ -323,6 +375,37 @@ export const calculateAllAngles = (frame) => {
   return angles;
 };
 
+/**
+ * Calculate per-side joint angles for a frame
+ *
+ * Uses the same keys as calculateAllAngles (shoulderAngle is the arm angle at
+ * the elbow) so a side value can be compared with the averaged one.
+ *
+ * @param {Object} frame - Pose frame with keypoints
+ * @returns {Object} { left: { kneeAngle, ... }, right: { kneeAngle, ... } }
+ */
+export const calculateSideAngles = (frame) => {
+  const sideAngles = {};
+
+  ['left', 'right'].forEach((side) => {
+    const angles = {};
+    const values = {
+      kneeAngle: calculateKneeAngle(frame, side),
+      hipAngle: calculateHipAngle(frame, side),
+      shoulderAngle: calculateElbowAngle(frame, side),
+      ankleAngle: calculateAnkleAngle(frame, side),
+    };
+    Object.entries(values).forEach(([angleType, value]) => {
+      if (value !== null) {
+        angles[angleType] = value;
+      }
+    });
+    sideAngles[side] = angles;
+  });
+
+  return sideAngles;
+};
+
 // ============================================
 // DISTANCE CALCULATIONS
 // ============================================
@@ -443,28 +526,69 @@ export const calculateAveragePoseQuality = (frames, minConfidence = KEYPOINT_CON
  * Process and enrich pose data with calculated angles and distances
  * @param {Object} poseData - Pose data object
  * @param {Object} options - Processing options
+ * @param {boolean} options.canonicalize - Map keypoints onto the canonical skeleton using
+ *   poseData.poseModel, or the detected model when it is not set, dividing pixel coordinates
+ *   by poseData.imageWidth / imageHeight when given (default: true)
  * @param {boolean} options.calculateAngles - Calculate angles for frames (default: true)
+ * @param {boolean} options.recalculateAngles - Replace any client supplied angles (default: false)
  * @param {boolean} options.calculateDistances - Calculate distances for frames (default: true)
  * @param {boolean} options.assessQuality - Assess quality for frames (default: true)
- * @returns {Object} Enriched pose data
+ * @param {boolean|Object} options.filter - Smooth keypoints and reject outliers before
+ *   calculating angles; true for defaults or filter parameters (default: false)
+ * @param {boolean|Object} options.normalize - Add hip-centered, torso-length scaled
+ *   `normalizedKeypoints` (and `normalizedDistances`) to each frame; true for defaults or
+ *   { coordinateFrame, aspectRatio, perFrameScale } (default: false)
+ * @returns {Object} Enriched pose data (with the source `poseModel`, the applied
+ *   filter parameters in `filter` and the normalization parameters in `normalization`)
  */
 export const processPoseData = (poseData, options = {}) => {
   const {
+    canonicalize = true,
     calculateAngles: shouldCalculateAngles = true,
+    recalculateAngles: shouldRecalculateAngles = false,
     calculateDistances: shouldCalculateDistances = true,
     assessQuality: shouldAssessQuality = true,
+    filter = false,
+    normalize = false,
   } = options;
 
   if (!poseData || !poseData.keypoints || !Array.isArray(poseData.keypoints)) {
     return poseData;
   }
 
-  const processedFrames = poseData.keypoints.map((frame) => {
+  // Bring every model's keypoints onto the canonical skeleton first
+  let sourceFrames = poseData.keypoints;
+  let poseModel = poseData.poseModel;
+  if (canonicalize) {
+    const canonical = canonicalizeFrames(sourceFrames, poseModel, readImageSize(poseData));
+    sourceFrames = canonical.frames;
+    poseModel = canonical.poseModel;
+  }
+
+  // Filtering changes the keypoints, so angles must be recalculated from them
+  let appliedFilter;
+  if (filter) {
+    const filtered = filterPoseFrames(sourceFrames, filter, poseData.fps);
+    sourceFrames = filtered.frames;
+    appliedFilter = filtered.filter;
+  }
+
+  // Normalize after filtering so the body reference isn't thrown off by jitter
+  let normalized;
+  if (normalize) {
+    normalized = normalizePoseFrames(sourceFrames, normalize === true ? {} : normalize);
+  }
+
+  const processedFrames = sourceFrames.map((frame, index) => {
     const processedFrame = { ...frame };
 
     // Calculate angles if not present or if forced
-    if (shouldCalculateAngles && (!frame.angles || Object.keys(frame.angles).length === 0)) {
+    if (
+      shouldCalculateAngles &&
+      (shouldRecalculateAngles || appliedFilter || !frame.angles || Object.keys(frame.angles).length === 0)
+    ) {
       processedFrame.angles = calculateAllAngles(frame);
+      processedFrame.sideAngles = calculateSideAngles(frame);
     }
 
     // Calculate distances if needed
@@ -472,6 +596,14 @@ export const processPoseData = (poseData, options = {}) => {
       processedFrame.distances = calculateDistances(frame);
     }
 
+    // Body-relative keypoints - distances between them are in torso lengths
+    if (normalized) {
+      processedFrame.normalizedKeypoints = normalized.frames[index];
+      if (shouldCalculateDistances && normalized.frames[index]) {
+        processedFrame.normalizedDistances = calculateDistances({ keypoints: normalized.frames[index] });
+      }
+    }
+
     // Assess quality if needed
     if (shouldAssessQuality) {
       processedFrame.quality = assessPoseQuality(frame);
@@ -483,6 +615,9 @@ export const processPoseData = (poseData, options = {}) => {
   return {
     ...poseData,
     keypoints: processedFrames,
+    ...(poseModel && { poseModel }),
+    ...(appliedFilter && { filter: appliedFilter }),
+    ...(normalized && { normalization: normalized.normalization }),
   };
 };
 
@@ -490,15 +625,54 @@ export const processPoseData = (poseData, options = {}) => {
 // STATISTICS AND ANALYTICS
 // ============================================
 
+/**
+ * Joint angles averaged per session
+ * @private
+ */
+const AVERAGED_ANGLES = ['kneeAngle', 'hipAngle', 'backAngle', 'shoulderAngle', 'ankleAngle'];
+
+/**
+ * Average the joint angles of pose frames
+ * @param {Array<Object>} frames - Pose frames (angles are calculated for frames without them)
+ * @returns {Object} Average per angle type, rounded to 2 decimals (angles never measured are left out)
+ */
+export const calculateAverageAngles = (frames) => {
+  const averageAngles = {};
+  if (!Array.isArray(frames) || frames.length === 0) {
+    return averageAngles;
+  }
+
+  AVERAGED_ANGLES.forEach((angleType) => {
+    const angles = frames
+      .map((frame) => {
+        // Calculate angles if not present
+        if (!frame.angles || !frame.angles[angleType]) {
+          const calculatedAngles = calculateAllAngles(frame);
+          return calculatedAngles[angleType];
+        }
+        return frame.angles[angleType];
+      })
+      .filter((angle) => angle !== null && angle !== undefined);
+
+    if (angles.length > 0) {
+      const sum = angles.reduce((acc, angle) => acc + angle, 0);
+      averageAngles[angleType] = Math.round((sum / angles.length) * 100) / 100;
+    }
+  });
+
+  return averageAngles;
+};
+
 /**
  * Get pose statistics for a session
  * @param {string} sessionId - Session ID
  * @param {Object} options - Options
  * @param {boolean} options.usePoseDataModel - Use PoseData model instead of embedded data
+ *   (default: the session's storage layout)
  * @returns {Promise<Object>} Pose statistics
  */
 export const getPoseStatistics = async (sessionId, options = {}) => {
-  const { usePoseDataModel = false } = options;
+  const { usePoseDataModel } = options;
 
   // Validate sessionId
   const idValidation = validateObjectId(sessionId);
@@ -518,6 +692,11 @@ export const getPoseStatistics = async (sessionId, options = {}) => {
         throw new AppError('Session not found', HTTP_STATUS.NOT_FOUND);
       }
 
+      // Chunked sessions keep their frames in PoseData
+      if (usePoseDataModel === undefined && session.poseData?.storage === POSE_STORAGE.CHUNKED) {
+        return PoseData.getSessionStats(sessionId);
+      }
+
       if (!session.poseData || !session.poseData.keypoints || session.poseData.keypoints.length === 0) {
         return {
           totalFrames: 0,
@@ -597,33 +776,16 @@ export const getAverageAngles = async (sessionId, options = {}) => {
       throw new AppError('Session not found', HTTP_STATUS.NOT_FOUND);
     }
 
+    // Chunked sessions store the averages computed when they were finalized
+    if (session.poseData?.storage === POSE_STORAGE.CHUNKED) {
+      return { ...(session.poseData.averageAngles || {}) };
+    }
+
     if (!session.poseData || !session.poseData.keypoints || session.poseData.keypoints.length === 0) {
       return {};
     }
 
-    const frames = session.poseData.keypoints;
-    const angleTypes = ['kneeAngle', 'hipAngle', 'backAngle', 'shoulderAngle', 'ankleAngle'];
-    const averageAngles = {};
-
-    angleTypes.forEach((angleType) => {
-      const angles = frames
-        .map((frame) => {
-          // Calculate angles if not present
-          if (!frame.angles || !frame.angles[angleType]) {
-            const calculatedAngles = calculateAllAngles(frame);
-            return calculatedAngles[angleType];
-          }
-          return frame.angles[angleType];
-        })
-        .filter((angle) => angle !== null && angle !== undefined);
-
-      if (angles.length > 0) {
-        const sum = angles.reduce((acc, angle) => acc + angle, 0);
-        averageAngles[angleType] = Math.round((sum / angles.length) * 100) / 100;
-      }
-    });
-
-    return averageAngles;
+    return calculateAverageAngles(session.poseData.keypoints);
   } catch (error) {
     logError('Error getting average angles', error);
     if (error instanceof AppError) {
@@ -668,6 +830,51 @@ export const getPoseFrames = async (sessionId, options = {}) => {
   }
 };
 
+/**
+ * Canonicalize, validate and enrich one frame for the PoseData model
+ * @private
+ * @param {Object} frameData - Frame data ({ frame, timestamp, keypoints, angles?, poseModel?,
+ *   imageSize? })
+ * @returns {Object} PoseData fields without sessionId
+ * @throws {AppError} If the frame is invalid
+ */
+const buildPoseFrameDocument = (frameData) => {
+  // Map the keypoints onto the canonical skeleton before validating them
+  if (Array.isArray(frameData?.keypoints)) {
+    frameData.keypoints = toCanonicalKeypoints(frameData.keypoints, frameData.poseModel, frameData.imageSize);
+  }
+
+  // Validate frame data
+  const frameValidation = validatePoseFrameData(frameData);
+  if (!frameValidation.valid) {
+    throw new AppError(`Invalid frame data: ${frameValidation.errors.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Calculate angles if not provided
+  if (!frameData.angles || Object.keys(frameData.angles).length === 0) {
+    frameData.angles = calculateAllAngles(frameData);
+  }
+
+  // Calculate distances if not provided
+  if (!frameData.distances) {
+    frameData.distances = calculateDistances(frameData);
+  }
+
+  // Assess quality
+  const qualityResult = assessPoseQuality(frameData);
+  frameData.quality = qualityResult.averageConfidence;
+
+  return {
+    frameNumber: frameData.frame,
+    timestamp: frameData.timestamp,
+    keypoints: frameData.keypoints,
+    angles: frameData.angles,
+    distances: frameData.distances,
+    quality: frameData.quality,
+    ...(frameData.poseModel && { poseModel: frameData.poseModel }),
+  };
+};
+
 /**
  * Create a pose frame using PoseData model
  * @param {string} sessionId - Session ID
@@ -681,36 +888,10 @@ export const createPoseFrame = async (sessionId, frameData) => {
     throw new AppError(idValidation.error, HTTP_STATUS.BAD_REQUEST);
   }
 
-  // Validate frame data
-  const frameValidation = validatePoseFrameData(frameData);
-  if (!frameValidation.valid) {
-    throw new AppError(`Invalid frame data: ${frameValidation.errors.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
-  }
+  const frameDocument = buildPoseFrameDocument(frameData);
 
   try {
-    // Calculate angles if not provided
-    if (!frameData.angles || Object.keys(frameData.angles).length === 0) {
-      frameData.angles = calculateAllAngles(frameData);
-    }
-
-    // Calculate distances if not provided
-    if (!frameData.distances) {
-      frameData.distances = calculateDistances(frameData);
-    }
-
-    // Assess quality
-    const qualityResult = assessPoseQuality(frameData);
-    frameData.quality = qualityResult.averageConfidence;
-
-    const poseFrame = await PoseData.create({
-      sessionId,
-      frameNumber: frameData.frame,
-      timestamp: frameData.timestamp,
-      keypoints: frameData.keypoints,
-      angles: frameData.angles,
-      distances: frameData.distances,
-      quality: frameData.quality,
-    });
+    const poseFrame = await PoseData.create({ sessionId, ...frameDocument });
 
     logInfo('Pose frame created', {
       sessionId,
@@ -730,11 +911,19 @@ export const createPoseFrame = async (sessionId, frameData) => {
 
 /**
  * Create multiple pose frames in batch
+ *
+ * Frames are upserted by frame number, so re-sending a chunk after a failed
+ * request replaces its frames instead of failing on duplicates.
+ *
  * @param {string} sessionId - Session ID
  * @param {Array} framesData - Array of frame data
- * @returns {Promise<Array>} Array of created pose frames
+ * @param {Object} options - Batch options
+ * @param {string} [options.poseModel] - POSE_MODELS value the keypoints come from (per-frame
+ *   poseModel otherwise)
+ * @param {Object} [options.imageSize] - { width, height } to divide pixel coordinates by
+ * @returns {Promise<Object>} { received, inserted, updated }
  */
-export const createPoseFramesBatch = async (sessionId, framesData) => {
+export const createPoseFramesBatch = async (sessionId, framesData, options = {}) => {
   // Validate sessionId
   const idValidation = validateObjectId(sessionId);
   if (!idValidation.valid) {
@@ -745,17 +934,45 @@ export const createPoseFramesBatch = async (sessionId, framesData) => {
     throw new AppError('Frames data must be a non-empty array', HTTP_STATUS.BAD_REQUEST);
   }
 
+  // Reject the whole chunk if any frame is invalid, naming the first one
+  const frameDocuments = framesData.map((frameData, index) => {
+    try {
+      return buildPoseFrameDocument({
+        ...frameData,
+        ...(options.poseModel && { poseModel: options.poseModel }),
+        ...(options.imageSize && { imageSize: options.imageSize }),
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        throw new AppError(`Frame ${index}: ${error.message}`, error.statusCode);
+      }
+      throw error;
+    }
+  });
+
   try {
-    const poseFrames = await Promise.all(
-      framesData.map((frameData) => createPoseFrame(sessionId, frameData))
+    const result = await PoseData.bulkWrite(
+      frameDocuments.map((frameDocument) => ({
+        updateOne: {
+          filter: { sessionId, frameNumber: frameDocument.frameNumber },
+          update: { $set: frameDocument },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
     );
 
     logInfo('Pose frames created in batch', {
       sessionId,
-      count: poseFrames.length,
+      count: frameDocuments.length,
+      inserted: result.upsertedCount,
     });
 
-    return poseFrames;
+    return {
+      received: frameDocuments.length,
+      inserted: result.upsertedCount,
+      updated: result.matchedCount,
+    };
   } catch (error) {
     logError('Error creating pose frames batch', error);
     if (error instanceof AppError) {
@@ -765,6 +982,388 @@ export const createPoseFramesBatch = async (sessionId, framesData) => {
   }
 };
 
+// ============================================
+// CHUNKED SESSION FRAMES
+// ============================================
+
+/**
+ * Load all frames of a session from the PoseData model
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} Frames in the embedded poseData shape
+ *   ({ frame, timestamp, keypoints, angles, sideAngles }), ordered by frame number
+ */
+export const loadPoseFrames = async (sessionId) => {
+  const frames = await PoseData.find({ sessionId })
+    .sort({ frameNumber: 1 })
+    .select('frameNumber timestamp keypoints angles sideAngles')
+    .lean();
+
+  return frames.map((frame) => ({
+    frame: frame.frameNumber,
+    timestamp: frame.timestamp,
+    keypoints: frame.keypoints,
+    angles: frame.angles,
+    ...(frame.sideAngles && { sideAngles: frame.sideAngles }),
+  }));
+};
+
+/**
+ * Count the PoseData frames of a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Stored frames
+ */
+export const countPoseFrames = (sessionId) => PoseData.countDocuments({ sessionId });
+
+/**
+ * Replace the keypoints and angles of stored frames with processed ones
+ * @param {string} sessionId - Session ID
+ * @param {Array<Object>} frames - Processed frames (frame, keypoints, angles, sideAngles)
+ * @returns {Promise<number>} Frames updated
+ */
+export const storeProcessedPoseFrames = async (sessionId, frames) => {
+  let updated = 0;
+  for (let i = 0; i < frames.length; i += FRAME_CHUNKS.WRITE_BATCH_SIZE) {
+    const result = await PoseData.bulkWrite(
+      frames.slice(i, i + FRAME_CHUNKS.WRITE_BATCH_SIZE).map((frame) => ({
+        updateOne: {
+          filter: { sessionId, frameNumber: frame.frame },
+          update: {
+            $set: {
+              keypoints: frame.keypoints,
+              angles: frame.angles,
+              ...(frame.sideAngles && { sideAngles: frame.sideAngles }),
+            },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
+/**
+ * Store the processed frames of a recording analyzed in one piece (a long
+ * live set) as PoseData documents
+ *
+ * Frames are upserted by frame number, so storing them again is harmless.
+ *
+ * @param {string} sessionId - Session ID
+ * @param {Array<Object>} frames - Processed canonical frames (frame, timestamp, keypoints, angles,
+ *   sideAngles)
+ * @param {string} [poseModel] - POSE_MODELS value the keypoints came from
+ * @returns {Promise<number>} Frames stored
+ */
+export const insertProcessedPoseFrames = async (sessionId, frames, poseModel) => {
+  let stored = 0;
+  for (let i = 0; i < frames.length; i += FRAME_CHUNKS.WRITE_BATCH_SIZE) {
+    const result = await PoseData.bulkWrite(
+      frames.slice(i, i + FRAME_CHUNKS.WRITE_BATCH_SIZE).map((frame) => ({
+        updateOne: {
+          filter: { sessionId, frameNumber: frame.frame },
+          update: {
+            $set: {
+              timestamp: frame.timestamp,
+              keypoints: frame.keypoints,
+              angles: frame.angles,
+              ...(frame.sideAngles && { sideAngles: frame.sideAngles }),
+              quality: assessPoseQuality(frame).averageConfidence,
+              ...(poseModel && { poseModel }),
+            },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    stored += result.upsertedCount + result.modifiedCount;
+  }
+  return stored;
+};
+
+/**
+ * Get a session's poseData with its frames, whichever layout they're stored in
+ * @param {Object} session - Session document or lean object (with poseData)
+ * @returns {Promise<Object|undefined>} poseData with the frames in keypoints
+ */
+export const getSessionPoseData = async (session) => {
+  if (session?.poseData?.storage !== POSE_STORAGE.CHUNKED) {
+    return session?.poseData;
+  }
+
+  const poseData = session.toObject ? session.toObject().poseData : session.poseData;
+  return {
+    ...poseData,
+    keypoints: await loadPoseFrames(session._id),
+  };
+};
+
+/**
+ * Mark the key frames of a chunked session in PoseData (and unmark the rest)
+ * @param {string} sessionId - Session ID
+ * @param {Array<number>} frameNumbers - Key frame numbers
+ * @returns {Promise<void>}
+ */
+export const markPoseKeyFrames = async (sessionId, frameNumbers) => {
+  await PoseData.updateMany(
+    { sessionId, isKeyFrame: true, frameNumber: { $nin: frameNumbers } },
+    { $set: { isKeyFrame: false } }
+  );
+  if (frameNumbers.length > 0) {
+    await PoseData.updateMany({ sessionId, frameNumber: { $in: frameNumbers } }, { $set: { isKeyFrame: true } });
+  }
+};
+
+/**
+ * Delete all PoseData frames of a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Frames deleted
+ */
+export const deletePoseFrames = async (sessionId) => {
+  const result = await PoseData.deleteMany({ sessionId });
+  return result.deletedCount;
+};
+
+// ============================================
+// SESSION FRAME QUERIES
+// ============================================
+
+/**
+ * Whether a frame falls in a time window
+ * @private
+ * @param {Object} frame - Pose frame
+ * @param {number} [startTime] - Window start (seconds, inclusive)
+ * @param {number} [endTime] - Window end (seconds, inclusive)
+ * @returns {boolean} True when inside the window
+ */
+const isInWindow = (frame, startTime, endTime) =>
+  (startTime === undefined || frame.timestamp >= startTime) && (endTime === undefined || frame.timestamp <= endTime);
+
+/**
+ * Filter for the PoseData frames of a session in a time window
+ * @private
+ * @param {Object} sessionId - Session ID
+ * @param {Object} options - { startTime, endTime, keyFramesOnly }
+ * @returns {Object} MongoDB filter (same conditions as PoseData.findBySession)
+ */
+const buildFrameFilter = (sessionId, { startTime, endTime, keyFramesOnly }) => {
+  const filter = { sessionId };
+  if (keyFramesOnly) {
+    filter.isKeyFrame = true;
+  }
+  if (startTime !== undefined || endTime !== undefined) {
+    filter.timestamp = {
+      ...(startTime !== undefined && { $gte: startTime }),
+      ...(endTime !== undefined && { $lte: endTime }),
+    };
+  }
+  return filter;
+};
+
+/**
+ * Get a page of a session's frames, whichever layout they're stored in
+ * @param {Object} session - Session document or lean object (with poseData)
+ * @param {Object} options - Query options
+ * @param {number} [options.startTime] - Window start (seconds, inclusive)
+ * @param {number} [options.endTime] - Window end (seconds, inclusive)
+ * @param {boolean} [options.keyFramesOnly=false] - Only key frames (PoseData.isKeyFrame for
+ *   chunked sessions, the session's keyFrames for embedded ones)
+ * @param {number} [options.limit] - Frames per page (default FRAME_QUERY.DEFAULT_LIMIT)
+ * @param {number} [options.skip=0] - Frames to skip
+ * @param {boolean|Object} [options.normalize=false] - Add normalizedKeypoints (see
+ *   processPoseData); the body reference is estimated from the returned frames
+ * @returns {Promise<Object>} { storage, total, frames, normalization? } - frames in the
+ *   embedded poseData shape plus isKeyFrame, ordered by timestamp
+ */
+export const querySessionFrames = async (session, options = {}) => {
+  const {
+    startTime,
+    endTime,
+    keyFramesOnly = false,
+    limit = FRAME_QUERY.DEFAULT_LIMIT,
+    skip = 0,
+    normalize = false,
+  } = options;
+  const storage = session.poseData?.storage || POSE_STORAGE.EMBEDDED;
+
+  let frames;
+  let total;
+  if (storage === POSE_STORAGE.CHUNKED) {
+    const [stored, count] = await Promise.all([
+      PoseData.findBySession(session._id, { startTime, endTime, keyFramesOnly })
+        .skip(skip)
+        .limit(limit)
+        .select('frameNumber timestamp keypoints angles sideAngles isKeyFrame')
+        .lean(),
+      PoseData.countDocuments(buildFrameFilter(session._id, { startTime, endTime, keyFramesOnly })),
+    ]);
+    frames = stored.map((frame) => ({
+      frame: frame.frameNumber,
+      timestamp: frame.timestamp,
+      isKeyFrame: frame.isKeyFrame,
+      keypoints: frame.keypoints,
+      angles: frame.angles,
+      ...(frame.sideAngles && { sideAngles: frame.sideAngles }),
+    }));
+    total = count;
+  } else {
+    // Embedded frames are marked through the session's keyFrames
+    const keyFrameNumbers = new Set((session.keyFrames || []).map((keyFrame) => keyFrame.frame));
+    const matching = (session.poseData?.keypoints || [])
+      .filter((frame) => isInWindow(frame, startTime, endTime) && (!keyFramesOnly || keyFrameNumbers.has(frame.frame)))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    frames = matching.slice(skip, skip + limit).map((frame) => {
+      const plain = frame.toObject ? frame.toObject() : frame;
+      return { ...plain, isKeyFrame: keyFrameNumbers.has(plain.frame) };
+    });
+    total = matching.length;
+  }
+
+  if (normalize && frames.length > 0) {
+    const normalized = processPoseData(
+      { keypoints: frames },
+      {
+        canonicalize: false, // Stored keypoints are canonical
+        calculateAngles: false,
+        calculateDistances: false,
+        assessQuality: false,
+        normalize,
+      }
+    );
+    return { storage, total, frames: normalized.keypoints, normalization: normalized.normalization };
+  }
+
+  return { storage, total, frames };
+};
+
+/**
+ * Load specific frames of a session, whichever layout they're stored in
+ * @param {Object} session - Session document or lean object (with poseData)
+ * @param {Array<number>} frameNumbers - Frame numbers
+ * @returns {Promise<Array<Object>>} Frames in the embedded poseData shape, ordered by
+ *   frame number (missing frames are left out)
+ */
+export const loadSessionFramesByNumber = async (session, frameNumbers) => {
+  if (!frameNumbers || frameNumbers.length === 0) {
+    return [];
+  }
+
+  if (session.poseData?.storage === POSE_STORAGE.CHUNKED) {
+    const stored = await PoseData.find({ sessionId: session._id, frameNumber: { $in: frameNumbers } })
+      .sort({ frameNumber: 1 })
+      .select('frameNumber timestamp keypoints angles sideAngles')
+      .lean();
+    return stored.map((frame) => ({
+      frame: frame.frameNumber,
+      timestamp: frame.timestamp,
+      keypoints: frame.keypoints,
+      angles: frame.angles,
+      ...(frame.sideAngles && { sideAngles: frame.sideAngles }),
+    }));
+  }
+
+  const wanted = new Set(frameNumbers);
+  return (session.poseData?.keypoints || [])
+    .filter((frame) => wanted.has(frame.frame))
+    .map((frame) => (frame.toObject ? frame.toObject() : frame))
+    .sort((a, b) => a.frame - b.frame);
+};
+
+/**
+ * Check the angles requested for a series
+ * @param {Array<string>} angles - Angle names ('kneeAngle') or side angles ('left.kneeAngle')
+ * @returns {Array<string>} The angles
+ * @throws {AppError} If an angle is not available
+ */
+export const validateSeriesAngles = (angles) => {
+  const available = [
+    ...FRAME_QUERY.SERIES_ANGLES,
+    ...['left', 'right'].flatMap((side) => FRAME_QUERY.SIDE_SERIES_ANGLES.map((angle) => `${side}.${angle}`)),
+  ];
+  const unknown = angles.filter((angle) => !available.includes(angle));
+  if (unknown.length > 0) {
+    throw new AppError(
+      `Unknown angle${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}. Available: ${available.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  return angles;
+};
+
+/**
+ * Get chart-ready angle series for a session, downsampled with LTTB
+ *
+ * Reads only the stored angles (not the keypoints), from either layout.
+ *
+ * @param {Object} session - Session document or lean object (with poseData)
+ * @param {Object} options - Series options
+ * @param {Array<string>} [options.angles] - Angles to include (default FRAME_QUERY.SERIES_ANGLES);
+ *   side angles as 'left.kneeAngle'
+ * @param {number} [options.points] - Points per series (default FRAME_QUERY.DEFAULT_SERIES_POINTS)
+ * @param {number} [options.startTime] - Window start (seconds, inclusive)
+ * @param {number} [options.endTime] - Window end (seconds, inclusive)
+ * @returns {Promise<Object>} { storage, totalFrames, points, series } - series keyed by angle,
+ *   each { measuredFrames, min, max, average, points: [{ frame, timestamp, value }] }
+ */
+export const getSessionAngleSeries = async (session, options = {}) => {
+  const {
+    angles = FRAME_QUERY.SERIES_ANGLES,
+    points = FRAME_QUERY.DEFAULT_SERIES_POINTS,
+    startTime,
+    endTime,
+  } = options;
+  const storage = session.poseData?.storage || POSE_STORAGE.EMBEDDED;
+
+  let frames;
+  if (storage === POSE_STORAGE.CHUNKED) {
+    const stored = await PoseData.findBySession(session._id, { startTime, endTime })
+      .select('frameNumber timestamp angles sideAngles')
+      .lean();
+    frames = stored.map((frame) => ({
+      frame: frame.frameNumber,
+      timestamp: frame.timestamp,
+      angles: frame.angles,
+      sideAngles: frame.sideAngles,
+    }));
+  } else {
+    frames = (session.poseData?.keypoints || [])
+      .filter((frame) => isInWindow(frame, startTime, endTime))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  const series = {};
+  angles.forEach((angle) => {
+    const [side, angleType] = angle.includes('.') ? angle.split('.') : [null, angle];
+    const measured = [];
+    frames.forEach((frame) => {
+      const value = side ? frame.sideAngles?.[side]?.[angleType] : frame.angles?.[angleType];
+      if (typeof value === 'number' && !isNaN(value)) {
+        measured.push({ frame: frame.frame, timestamp: frame.timestamp, value: Math.round(value * 10) / 10 });
+      }
+    });
+
+    // Long sessions have too many frames to spread into Math.min / Math.max
+    const stats = measured.reduce(
+      (acc, point) => ({
+        min: Math.min(acc.min, point.value),
+        max: Math.max(acc.max, point.value),
+        sum: acc.sum + point.value,
+      }),
+      { min: Infinity, max: -Infinity, sum: 0 }
+    );
+    series[angle] = {
+      measuredFrames: measured.length,
+      min: measured.length > 0 ? stats.min : null,
+      max: measured.length > 0 ? stats.max : null,
+      average: measured.length > 0 ? Math.round((stats.sum / measured.length) * 10) / 10 : null,
+      points: downsampleLTTB(measured, points, { x: 'timestamp', y: 'value' }),
+    };
+  });
+
+  return { storage, totalFrames: frames.length, points, series };
+};
+
 // ============================================
 // DEFAULT EXPORT
 // ============================================
@@ -784,8 +1383,11 @@ export default {
   // Angle calculations
   calculateKneeAngle,
   calculateHipAngle,
+  calculateElbowAngle,
+  calculateAnkleAngle,
   calculateBackAngle,
   calculateAllAngles,
+  calculateSideAngles,
 
   // Distance calculations
   calculateDistances,
@@ -798,6 +1400,7 @@ export default {
   processPoseData,
 
   // Statistics
+  calculateAverageAngles,
   getPoseStatistics,
   getAverageAngles,
 
@@ -805,4 +1408,19 @@ export default {
   getPoseFrames,
   createPoseFrame,
   createPoseFramesBatch,
+
+  // Chunked session frames
+  loadPoseFrames,
+  countPoseFrames,
+  storeProcessedPoseFrames,
+  insertProcessedPoseFrames,
+  getSessionPoseData,
+  markPoseKeyFrames,
+  deletePoseFrames,
+
+  // Session frame queries
+  querySessionFrames,
+  loadSessionFramesByNumber,
+  validateSeriesAngles,
+  getSessionAngleSeries,
 };
@@ -0,0 +1,388 @@
+/**
+ * Quality Service
+ *
+ * Builds the pose quality report of a session on ingest and decides whether
+ * the session is good enough to count. A session filmed in the dark or with
+ * the feet out of frame produces angles from guessed keypoints, so its score
+ * shouldn't move the user's trends or leaderboards, and the user should hear
+ * what the camera couldn't see rather than a list of form errors.
+ *
+ * Features:
+ * - Usable frame percentage (confident frames with the torso in view)
+ * - Most occluded keypoints
+ * - Low-light and out-of-frame segments
+ * - Flagging below a configurable usable frame percentage
+ * - "We couldn't see your ankles" feedback for the body parts the rules need
+ *
+ * Optional environment variable:
+ * - POSE_QUALITY_MIN_USABLE_PERCENT: Quality bar (default: SESSION_QUALITY.MIN_USABLE_PERCENT)
+ */
+
+import { calculateAveragePoseQuality, getKeypointByName } from './poseService.js';
+import { getRuleKeypointSets } from './ruleEngineService.js';
+import { calculatePoseQuality } from '../utils/poseValidators.js';
+import {
+  SESSION_QUALITY,
+  QUALITY_SEGMENT_TYPES,
+  KEYPOINT_CONFIDENCE_THRESHOLD,
+  FEEDBACK_TYPES,
+  FEEDBACK_SEVERITY,
+} from '../config/constants.js';
+
+/**
+ * Usable frame percentage below which a session is flagged
+ * @private
+ */
+const MIN_USABLE_PERCENT =
+  parseFloat(process.env.POSE_QUALITY_MIN_USABLE_PERCENT) || SESSION_QUALITY.MIN_USABLE_PERCENT;
+
+/**
+ * Body parts named in feedback, by keypoint
+ * @private
+ */
+const BODY_PARTS = {
+  nose: 'head',
+  left_eye: 'head',
+  right_eye: 'head',
+  left_ear: 'head',
+  right_ear: 'head',
+  left_shoulder: 'shoulders',
+  right_shoulder: 'shoulders',
+  left_elbow: 'elbows',
+  right_elbow: 'elbows',
+  left_wrist: 'wrists',
+  right_wrist: 'wrists',
+  left_hip: 'hips',
+  right_hip: 'hips',
+  left_knee: 'knees',
+  right_knee: 'knees',
+  left_ankle: 'ankles',
+  right_ankle: 'ankles',
+  left_heel: 'feet',
+  right_heel: 'feet',
+  left_foot_index: 'feet',
+  right_foot_index: 'feet',
+};
+
+/**
+ * Angle names used in feedback
+ * @private
+ */
+const METRIC_LABELS = {
+  kneeAngle: 'knee angle',
+  hipAngle: 'hip angle',
+  backAngle: 'back angle',
+  shoulderAngle: 'arm angle',
+  ankleAngle: 'ankle angle',
+};
+
+/**
+ * Round to a number of decimals
+ * @private
+ * @param {number} value - Value
+ * @param {number} [decimals=1] - Decimals
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// FRAME CHECKS
+// ============================================
+
+/**
+ * Whether a keypoint was tracked confidently
+ * @private
+ * @param {Object|null} keypoint - Keypoint
+ * @returns {boolean} True when visible
+ */
+const isVisible = (keypoint) => !!keypoint && (keypoint.confidence ?? 1) >= KEYPOINT_CONFIDENCE_THRESHOLD;
+
+/**
+ * Whether a point lies on the border of the image
+ * @private
+ * @param {Object} keypoint - Keypoint with normalized coordinates
+ * @returns {boolean} True when within SESSION_QUALITY.EDGE_MARGIN of an edge
+ */
+const isAtEdge = (keypoint) =>
+  keypoint.x <= SESSION_QUALITY.EDGE_MARGIN ||
+  keypoint.x >= 1 - SESSION_QUALITY.EDGE_MARGIN ||
+  keypoint.y <= SESSION_QUALITY.EDGE_MARGIN ||
+  keypoint.y >= 1 - SESSION_QUALITY.EDGE_MARGIN;
+
+/**
+ * Classify one frame
+ * @private
+ * @param {Object} frame - Pose frame
+ * @returns {Object} { usable, lowLight, outOfFrame }
+ */
+const checkFrame = (frame) => {
+  const keypoints = Array.isArray(frame?.keypoints) ? frame.keypoints : [];
+  const { averageConfidence } = calculatePoseQuality(keypoints);
+
+  const coreVisible = SESSION_QUALITY.CORE_KEYPOINTS.every((pair) =>
+    pair.some((name) => isVisible(getKeypointByName(frame, name)))
+  );
+
+  // Hidden keypoints sitting on the border were cut off by the frame, not occluded
+  const cutOff = (kp) => typeof kp?.x === 'number' && typeof kp?.y === 'number' && !isVisible(kp) && isAtEdge(kp);
+  const outOfFrame = keypoints.filter(cutOff).length >= SESSION_QUALITY.OUT_OF_FRAME_MIN_KEYPOINTS;
+
+  // Everything in view uniformly faint points at the light
+  const inView = keypoints.filter((kp) => !cutOff(kp));
+  const lowLight =
+    inView.length > 0 && calculatePoseQuality(inView).averageConfidence < SESSION_QUALITY.LOW_LIGHT_CONFIDENCE;
+
+  return {
+    usable: coreVisible && averageConfidence >= SESSION_QUALITY.MIN_FRAME_CONFIDENCE,
+    lowLight,
+    outOfFrame,
+  };
+};
+
+/**
+ * Group consecutive flagged frames into segments
+ * @private
+ * @param {Array<Object>} frames - Pose frames
+ * @param {Array<boolean>} flags - Flag per frame
+ * @param {string} type - QUALITY_SEGMENT_TYPES value
+ * @returns {Array<Object>} Segments { type, startFrame, endFrame, startTime, endTime, duration }
+ */
+const findSegments = (frames, flags, type) => {
+  const segments = [];
+  let start = null;
+
+  const close = (end) => {
+    const startTime = frames[start].timestamp || 0;
+    const endTime = frames[end].timestamp || 0;
+    if (endTime - startTime >= SESSION_QUALITY.MIN_SEGMENT_DURATION) {
+      segments.push({
+        type,
+        startFrame: frames[start].frame,
+        endFrame: frames[end].frame,
+        startTime: round(startTime, 2),
+        endTime: round(endTime, 2),
+        duration: round(endTime - startTime, 2),
+      });
+    }
+    start = null;
+  };
+
+  flags.forEach((flagged, i) => {
+    if (flagged && start === null) {
+      start = i;
+    } else if (!flagged && start !== null) {
+      close(i - 1);
+    }
+  });
+  if (start !== null) {
+    close(flags.length - 1);
+  }
+
+  return segments;
+};
+
+// ============================================
+// QUALITY REPORT
+// ============================================
+
+/**
+ * Build the pose quality report of a session
+ * @param {Array<Object>} frames - Pose frames
+ * @param {Object} [options] - Options
+ * @param {Array<Object>} [options.rules] - Rules evaluated for the session; body parts they need
+ *   are checked for the "couldn't see" message
+ * @returns {Object|null} Quality report, or null without frames
+ */
+export const assessSessionQuality = (frames, options = {}) => {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    return null;
+  }
+
+  const checks = frames.map(checkFrame);
+  const usableFrames = checks.filter((check) => check.usable).length;
+  const usableFramePercent = round((usableFrames / frames.length) * 100);
+  const { averageConfidence, quality } = calculateAveragePoseQuality(frames);
+
+  // Occlusion rate per keypoint the skeleton reports
+  const hidden = {};
+  frames.forEach((frame) => {
+    (frame.keypoints || []).forEach((kp) => {
+      if (kp?.name && !(kp.name in hidden)) {
+        hidden[kp.name] = 0;
+      }
+    });
+  });
+
+  // Keypoints the rules need count as hidden even if the client never sent them
+  const requiredKeypoints = [
+    ...new Set((options.rules || []).flatMap((rule) => (getRuleKeypointSets(rule) || []).flat())),
+  ];
+  requiredKeypoints.forEach((name) => {
+    if (!(name in hidden)) {
+      hidden[name] = 0;
+    }
+  });
+
+  frames.forEach((frame) => {
+    Object.keys(hidden).forEach((name) => {
+      if (!isVisible(getKeypointByName(frame, name))) {
+        hidden[name] += 1;
+      }
+    });
+  });
+  const occlusion = Object.entries(hidden).map(([name, count]) => ({
+    name,
+    occludedPercent: round((count / frames.length) * 100),
+  }));
+
+  const occludedKeypoints = occlusion
+    .filter((entry) => entry.occludedPercent >= SESSION_QUALITY.OCCLUSION_REPORT_RATE * 100)
+    .sort((a, b) => b.occludedPercent - a.occludedPercent)
+    .slice(0, SESSION_QUALITY.MAX_OCCLUDED_KEYPOINTS);
+
+  // A rule's body part is unseen when none of its keypoint sets was visible often enough
+  const unseenBodyParts = [];
+  (options.rules || []).forEach((rule) => {
+    const sets = getRuleKeypointSets(rule);
+    if (!sets) {
+      return;
+    }
+    const visibleFrames = frames.filter((frame) =>
+      sets.some((names) => names.every((name) => isVisible(getKeypointByName(frame, name))))
+    ).length;
+    if (visibleFrames / frames.length > 1 - SESSION_QUALITY.UNSEEN_RATE) {
+      return;
+    }
+    // Name the part of the set that was hidden most
+    const worst = occlusion
+      .filter((entry) => sets.flat().includes(entry.name))
+      .reduce((a, b) => (b.occludedPercent > a.occludedPercent ? b : a));
+    const part = BODY_PARTS[worst.name] || worst.name;
+    // Declarative rules are named by their label ("left knee angle", "knee width to foot width ratio")
+    const metric = rule.definition ? rule.label.toLowerCase() : rule.metric;
+    const existing = unseenBodyParts.find((entry) => entry.part === part);
+    if (existing) {
+      if (!existing.metrics.includes(metric)) {
+        existing.metrics.push(metric);
+      }
+    } else {
+      unseenBodyParts.push({ part, occludedPercent: worst.occludedPercent, metrics: [metric] });
+    }
+  });
+
+  const segments = [
+    ...findSegments(
+      frames,
+      checks.map((check) => check.lowLight),
+      QUALITY_SEGMENT_TYPES.LOW_LIGHT
+    ),
+    ...findSegments(
+      frames,
+      checks.map((check) => check.outOfFrame),
+      QUALITY_SEGMENT_TYPES.OUT_OF_FRAME
+    ),
+  ].sort((a, b) => a.startTime - b.startTime);
+
+  return {
+    usableFrames,
+    totalFrames: frames.length,
+    usableFramePercent,
+    averageConfidence,
+    rating: quality,
+    threshold: MIN_USABLE_PERCENT,
+    flagged: usableFramePercent < MIN_USABLE_PERCENT,
+    occludedKeypoints,
+    unseenBodyParts,
+    segments,
+  };
+};
+
+// ============================================
+// FEEDBACK
+// ============================================
+
+/**
+ * Join body parts into a sentence fragment ("ankles and knees")
+ * @private
+ * @param {Array<string>} parts - Body parts
+ * @returns {string} Parts
+ */
+const joinParts = (parts) =>
+  parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+
+/**
+ * Generate feedback telling the user what the camera couldn't see
+ * @param {Object|null} report - Result of assessSessionQuality
+ * @returns {Array<Object>} Feedback entries
+ */
+export const generateQualityFeedback = (report) => {
+  if (!report) {
+    return [];
+  }
+
+  const feedback = [];
+  const lowLight = report.segments.some((segment) => segment.type === QUALITY_SEGMENT_TYPES.LOW_LIGHT);
+  const outOfFrame = report.segments.find((segment) => segment.type === QUALITY_SEGMENT_TYPES.OUT_OF_FRAME);
+
+  if (report.unseenBodyParts.length > 0) {
+    const parts = report.unseenBodyParts.map((entry) => entry.part);
+    const checks = [
+      ...new Set(
+        report.unseenBodyParts.flatMap((entry) => entry.metrics).map((metric) => METRIC_LABELS[metric] || metric)
+      ),
+    ];
+    feedback.push({
+      type: FEEDBACK_TYPES.INFO,
+      severity: FEEDBACK_SEVERITY.WARNING,
+      message: `We couldn't see your ${joinParts(parts)} for most of the session, so ${joinParts(
+        checks
+      )} checks were skipped while they were hidden`,
+      suggestion: lowLight
+        ? 'Add more light and make sure nothing blocks the camera\'s view of your whole body.'
+        : 'Step back or move the camera so your whole body, feet included, stays in the frame.',
+      timestamp: 0,
+      keypoints: [],
+      aiGenerated: false,
+      confidence: 0.9,
+      metadata: {
+        ruleId: 'pose_quality_unseen',
+        angleValue: report.unseenBodyParts[0].occludedPercent,
+      },
+    });
+  }
+
+  if (report.flagged) {
+    const causes = [lowLight && 'the lighting was too low', outOfFrame && 'you moved out of the frame'].filter(
+      Boolean
+    );
+    feedback.push({
+      type: FEEDBACK_TYPES.WARNING,
+      severity: FEEDBACK_SEVERITY.WARNING,
+      message: `Only ${Math.round(report.usableFramePercent)}% of this session was clear enough to analyze${
+        causes.length > 0 ? ` (${causes.join(' and ')})` : ''
+      }, so it won't count towards your progress trends or top sessions`,
+      suggestion: 'Film in good light with your whole body in view and the camera steady.',
+      timestamp: outOfFrame ? outOfFrame.startTime : 0,
+      keypoints: [],
+      aiGenerated: false,
+      confidence: 0.9,
+      metadata: {
+        ruleId: 'pose_quality_flagged',
+        angleValue: report.usableFramePercent,
+        threshold: report.threshold,
+        frameNumber: outOfFrame?.startFrame,
+      },
+    });
+  }
+
+  return feedback;
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  assessSessionQuality,
+  generateQualityFeedback,
+};
@@ -0,0 +1,380 @@
+/**
+ * Reference Service
+ *
+ * Compares a session against an exercise's reference ("gold standard")
+ * recording. Joint angle series are aligned with dynamic time warping so a
+ * user moving slower or faster than the reference is compared position by
+ * position rather than second by second.
+ *
+ * Features:
+ * - Reference template built from a session or uploaded pose data (best rep,
+ *   or the whole recording when no reps are detected)
+ * - Multi-joint DTW with a warping window
+ * - Per-rep alignment when the session has detected reps
+ * - Per-joint deviation curve over the session timeline
+ * - Per-joint and overall similarity scores (0-100)
+ */
+
+import { normalizeFormRules, evaluateFrames } from './ruleEngineService.js';
+import { detectReps } from './repDetectionService.js';
+import { REFERENCE_COMPARISON } from '../config/constants.js';
+import AppError from '../utils/appError.js';
+import { HTTP_STATUS } from '../config/constants.js';
+
+/**
+ * Round to one decimal
+ * @private
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Convert a mean angle deviation to a 0-100 similarity
+ * @private
+ * @param {number} deviation - Mean deviation in degrees
+ * @returns {number} Similarity
+ */
+const toSimilarity = (deviation) =>
+  round1(Math.max(0, 100 * (1 - deviation / REFERENCE_COMPARISON.ZERO_SIMILARITY_DEVIATION)));
+
+// ============================================
+// SERIES HELPERS
+// ============================================
+
+/**
+ * Metrics measured at least once in a list of frames
+ * @private
+ * @param {Array<Object>} frames - Frames with angles
+ * @param {Array<string>} metrics - Candidate metrics
+ * @returns {Array<string>} Measured metrics
+ */
+const measuredMetrics = (frames, metrics) =>
+  metrics.filter((metric) => frames.some((frame) => typeof frame.angles?.[metric] === 'number'));
+
+/**
+ * Build a gap-free angle series, carrying values over frames where an angle
+ * could not be measured (backwards for leading gaps)
+ * @private
+ * @param {Array<Object>} frames - Frames with angles
+ * @param {Array<string>} metrics - Metrics measured in the frames
+ * @returns {Array<Object>} [{ frame, timestamp, values: { metric: angle } }]
+ */
+const buildSeries = (frames, metrics) => {
+  const last = {};
+  metrics.forEach((metric) => {
+    const first = frames.find((frame) => typeof frame.angles?.[metric] === 'number');
+    last[metric] = first.angles[metric];
+  });
+
+  return frames.map((frame) => {
+    const values = {};
+    metrics.forEach((metric) => {
+      const value = frame.angles?.[metric];
+      if (typeof value === 'number') {
+        last[metric] = value;
+      }
+      values[metric] = last[metric];
+    });
+    return { frame: frame.frame, timestamp: frame.timestamp, values };
+  });
+};
+
+/**
+ * Resample a series to at most maxLength points (DTW cost grows with n*m)
+ * @private
+ * @param {Array<Object>} series - Angle series
+ * @param {number} maxLength - Maximum length
+ * @returns {Array<Object>} Resampled series
+ */
+const resample = (series, maxLength) => {
+  if (series.length <= maxLength) {
+    return series;
+  }
+  const step = (series.length - 1) / (maxLength - 1);
+  return Array.from({ length: maxLength }, (_, i) => series[Math.round(i * step)]);
+};
+
+// ============================================
+// DYNAMIC TIME WARPING
+// ============================================
+
+/**
+ * Align two angle series with dynamic time warping
+ *
+ * The cost of matching two points is the mean absolute angle difference over
+ * the compared metrics. A Sakoe-Chiba window around the diagonal keeps the
+ * alignment from collapsing the whole series onto a few points.
+ *
+ * @param {Array<Object>} source - Series to align ({ values })
+ * @param {Array<Object>} target - Reference series ({ values })
+ * @param {Array<string>} metrics - Metrics to compare
+ * @param {Object} options - Alignment options
+ * @param {number} [options.windowRatio] - Window as a share of the longer series
+ * @returns {Object} { path: [[sourceIndex, targetIndex]], distance } - distance is the
+ *   mean cost along the path
+ */
+export const alignSeries = (source, target, metrics, options = {}) => {
+  const { windowRatio = REFERENCE_COMPARISON.WINDOW_RATIO } = options;
+  const n = source.length;
+  const m = target.length;
+  if (n === 0 || m === 0 || metrics.length === 0) {
+    return { path: [], distance: null };
+  }
+
+  const cost = (i, j) =>
+    metrics.reduce((sum, metric) => sum + Math.abs(source[i].values[metric] - target[j].values[metric]), 0) /
+    metrics.length;
+
+  // The window must at least cover the length difference to reach the corner
+  const window = Math.max(Math.abs(n - m), Math.ceil(Math.max(n, m) * windowRatio), 1);
+  const width = m + 1;
+  const matrix = new Float64Array((n + 1) * width).fill(Infinity);
+  matrix[0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    const center = Math.round((i * m) / n);
+    const from = Math.max(1, center - window);
+    const to = Math.min(m, center + window);
+    for (let j = from; j <= to; j++) {
+      const best = Math.min(
+        matrix[(i - 1) * width + j],
+        matrix[i * width + j - 1],
+        matrix[(i - 1) * width + j - 1]
+      );
+      matrix[i * width + j] = cost(i - 1, j - 1) + best;
+    }
+  }
+
+  // Walk back from the corner along the cheapest predecessors
+  const path = [];
+  let i = n;
+  let j = m;
+  while (i > 0 && j > 0) {
+    path.push([i - 1, j - 1]);
+    const diagonal = matrix[(i - 1) * width + j - 1];
+    const up = matrix[(i - 1) * width + j];
+    const left = matrix[i * width + j - 1];
+    if (diagonal <= up && diagonal <= left) {
+      i--;
+      j--;
+    } else if (up <= left) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+  path.reverse();
+
+  return { path, distance: matrix[n * width + m] / path.length };
+};
+
+/**
+ * Deviations of a source series from the target along a DTW path
+ *
+ * The curve holds one point per source point with the worst deviation among
+ * the target points it was matched to, so a rep that stops short of the
+ * reference depth shows the full shortfall at its bottom. The totals are
+ * summed over the whole path, which counts every reference point as well.
+ *
+ * @private
+ * @param {Array<Object>} source - Aligned series
+ * @param {Array<Object>} target - Reference series
+ * @param {Array<string>} metrics - Compared metrics
+ * @param {Array<Array<number>>} path - DTW path
+ * @returns {Object} { curve: [{ frame, timestamp, deviations: { metric }, deviation }],
+ *   totals: { metric: sum }, steps }
+ */
+const deviationCurve = (source, target, metrics, path) => {
+  const worst = source.map(() => ({}));
+  const totals = Object.fromEntries(metrics.map((metric) => [metric, 0]));
+
+  path.forEach(([i, j]) => {
+    metrics.forEach((metric) => {
+      const deviation = Math.abs(source[i].values[metric] - target[j].values[metric]);
+      totals[metric] += deviation;
+      worst[i][metric] = Math.max(worst[i][metric] ?? 0, deviation);
+    });
+  });
+
+  const curve = source.map((point, i) => {
+    const deviations = {};
+    metrics.forEach((metric) => {
+      deviations[metric] = round1(worst[i][metric]);
+    });
+    const deviation = metrics.reduce((sum, metric) => sum + deviations[metric], 0) / metrics.length;
+    return { frame: point.frame, timestamp: point.timestamp, deviations, deviation: round1(deviation) };
+  });
+
+  return { curve, totals, steps: path.length };
+};
+
+// ============================================
+// REFERENCE TEMPLATE
+// ============================================
+
+/**
+ * Build the reference template stored on an exercise
+ *
+ * When reps are detected, the best scoring rep (or the one with the largest
+ * range of motion without formRules) becomes the template so sessions can
+ * be compared rep by rep. Otherwise the whole recording is used.
+ *
+ * @param {Array<Object>} frames - Processed pose frames (with angles)
+ * @param {Object} exercise - Exercise document (formRules drive rep scoring)
+ * @returns {Object} Reference fields { metrics, frames, duration, repCount }
+ * @throws {AppError} If the recording has too few usable frames
+ */
+export const buildReference = (frames, exercise) => {
+  const usableFrames = (frames || []).filter((frame) => frame?.angles && Object.keys(frame.angles).length > 0);
+  const metrics = measuredMetrics(usableFrames, REFERENCE_COMPARISON.METRICS);
+  if (usableFrames.length < REFERENCE_COMPARISON.MIN_FRAMES || metrics.length === 0) {
+    throw new AppError(
+      `Reference recording needs at least ${REFERENCE_COMPARISON.MIN_FRAMES} frames with joint angles`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const rules = normalizeFormRules(exercise?.formRules);
+  const { reps } = detectReps(evaluateFrames(usableFrames, rules), rules);
+
+  let templateFrames = usableFrames;
+  if (reps.length > 0) {
+    const best = reps.reduce((a, b) =>
+      (b.score ?? b.rangeOfMotion) > (a.score ?? a.rangeOfMotion) ? b : a
+    );
+    templateFrames = usableFrames.filter((frame) => frame.frame >= best.startFrame && frame.frame <= best.endFrame);
+  }
+
+  const startTime = templateFrames[0].timestamp || 0;
+  return {
+    metrics,
+    frames: templateFrames.map((frame) => ({
+      frame: frame.frame,
+      timestamp: Math.round(((frame.timestamp || 0) - startTime) * 1000) / 1000,
+      angles: Object.fromEntries(
+        metrics
+          .filter((metric) => typeof frame.angles[metric] === 'number')
+          .map((metric) => [metric, round1(frame.angles[metric])])
+      ),
+    })),
+    duration: Math.round(((templateFrames[templateFrames.length - 1].timestamp || 0) - startTime) * 1000) / 1000,
+    repCount: reps.length,
+  };
+};
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Compare a session's frames against an exercise reference
+ *
+ * Each detected rep is aligned to the reference template separately; without
+ * reps the whole session is aligned at once.
+ *
+ * @param {Array<Object>} frames - Session pose frames (with angles)
+ * @param {Object} reference - Exercise reference (from buildReference)
+ * @param {Object} options - Comparison options
+ * @param {Array<Object>} [options.reps] - Detected reps of the session
+ * @param {boolean} [options.includeCurve=true] - Include the per-frame deviation curve
+ * @returns {Object|undefined} { similarity, meanDeviation, joints, reps, curve? },
+ *   or undefined if nothing could be compared
+ */
+export const compareToReference = (frames, reference, options = {}) => {
+  const { reps = [], includeCurve = true } = options;
+  if (!Array.isArray(frames) || frames.length === 0 || !reference?.frames?.length) {
+    return undefined;
+  }
+
+  const usableFrames = frames.filter((frame) => frame?.angles && Object.keys(frame.angles).length > 0);
+  const referenceMetrics = reference.metrics?.length ? reference.metrics : REFERENCE_COMPARISON.METRICS;
+  const metrics = measuredMetrics(usableFrames, measuredMetrics(reference.frames, referenceMetrics));
+  if (metrics.length === 0) {
+    return undefined;
+  }
+
+  const target = resample(buildSeries(reference.frames, metrics), REFERENCE_COMPARISON.MAX_SERIES_LENGTH);
+
+  // Align rep by rep when possible, so rest between reps isn't matched to the movement
+  const segments = reps.length > 0
+    ? reps.map((rep) => ({
+        number: rep.number,
+        frames: usableFrames.filter((frame) => frame.frame >= rep.startFrame && frame.frame <= rep.endFrame),
+      }))
+    : [{ number: null, frames: usableFrames }];
+
+  const curve = [];
+  const repResults = [];
+  const totals = Object.fromEntries(metrics.map((metric) => [metric, { sum: 0, steps: 0 }]));
+  segments
+    .filter((segment) => segment.frames.length > 0)
+    .forEach((segment) => {
+      // A joint can drop out of view for a whole rep - compare the ones that were seen
+      const segmentMetrics = measuredMetrics(segment.frames, metrics);
+      const source = resample(buildSeries(segment.frames, segmentMetrics), REFERENCE_COMPARISON.MAX_SERIES_LENGTH);
+      const { path, distance } = alignSeries(source, target, segmentMetrics);
+      if (distance === null) {
+        return;
+      }
+
+      const segmentDeviations = deviationCurve(source, target, segmentMetrics, path);
+      curve.push(...segmentDeviations.curve);
+      segmentMetrics.forEach((metric) => {
+        totals[metric].sum += segmentDeviations.totals[metric];
+        totals[metric].steps += segmentDeviations.steps;
+      });
+
+      if (segment.number !== null) {
+        repResults.push({
+          number: segment.number,
+          meanDeviation: round1(distance),
+          similarity: toSimilarity(distance),
+        });
+      }
+    });
+
+  if (curve.length === 0) {
+    return undefined;
+  }
+
+  const joints = metrics
+    .filter((metric) => totals[metric].steps > 0)
+    .map((metric) => {
+      let peak = null;
+      curve.forEach((point) => {
+        const deviation = point.deviations[metric];
+        if (typeof deviation === 'number' && (!peak || deviation > peak.deviations[metric])) {
+          peak = point;
+        }
+      });
+      const meanDeviation = totals[metric].sum / totals[metric].steps;
+      return {
+        metric,
+        meanDeviation: round1(meanDeviation),
+        maxDeviation: peak.deviations[metric],
+        maxDeviationTime: peak.timestamp,
+        similarity: toSimilarity(meanDeviation),
+      };
+    });
+
+  const meanDeviation = joints.reduce((sum, joint) => sum + joint.meanDeviation, 0) / joints.length;
+
+  return {
+    similarity: toSimilarity(meanDeviation),
+    meanDeviation: round1(meanDeviation),
+    joints,
+    reps: repResults,
+    ...(includeCurve && { curve }),
+  };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  alignSeries,
+  buildReference,
+  compareToReference,
+};
@@ -0,0 +1,259 @@
+/**
+ * Rep Detection Service
+ *
+ * Splits a session's frame stream into individual repetitions by following
+ * the cycle of a driving joint angle (knee angle for squats, elbow angle for
+ * curls, ...). Works on the frame evaluations produced by the rule engine so
+ * every rep can be scored with the same rules as the whole session.
+ *
+ * Features:
+ * - Automatic selection of the angle that drives the movement
+ * - Hysteresis based cycle detection on a smoothed angle series
+ * - Rep boundaries trimmed to the frames where the body is at rest
+ * - Per-rep range of motion and score
+ * - Bottom pause window per rep for tempo analysis
+ */
+
+import { scoreEvaluations } from './ruleEngineService.js';
+import { REP_DETECTION } from '../config/constants.js';
+
+// ============================================
+// SERIES HELPERS
+// ============================================
+
+/**
+ * Extract an angle series from frame evaluations, carrying the last known
+ * value over frames where the angle could not be measured
+ * @private
+ * @param {Array<Object>} evaluations - Frame evaluations
+ * @param {string} metric - Angle type
+ * @returns {Array<number>|null} Series, or null if the angle was never measured
+ */
+const extractSeries = (evaluations, metric) => {
+  const firstIndex = evaluations.findIndex((evaluation) => typeof evaluation.angles?.[metric] === 'number');
+  if (firstIndex === -1) {
+    return null;
+  }
+
+  let last = evaluations[firstIndex].angles[metric];
+  return evaluations.map((evaluation) => {
+    const value = evaluation.angles?.[metric];
+    if (typeof value === 'number' && !isNaN(value)) {
+      last = value;
+    }
+    return last;
+  });
+};
+
+/**
+ * Centered moving average
+ * @private
+ * @param {Array<number>} series - Values
+ * @param {number} window - Window size in samples
+ * @returns {Array<number>} Smoothed values
+ */
+const smoothSeries = (series, window) => {
+  const half = Math.floor(window / 2);
+  return series.map((_, index) => {
+    const start = Math.max(0, index - half);
+    const end = Math.min(series.length, index + half + 1);
+    let sum = 0;
+    for (let i = start; i < end; i++) {
+      sum += series[i];
+    }
+    return sum / (end - start);
+  });
+};
+
+/**
+ * Robust range of a series (5th to 95th percentile) so single spikes don't
+ * inflate the detected range of motion
+ * @private
+ * @param {Array<number>} series - Values
+ * @returns {Object} { low, high, range }
+ */
+const robustRange = (series) => {
+  const sorted = [...series].sort((a, b) => a - b);
+  const low = sorted[Math.floor((sorted.length - 1) * 0.05)];
+  const high = sorted[Math.ceil((sorted.length - 1) * 0.95)];
+  return { low, high, range: high - low };
+};
+
+// ============================================
+// METRIC SELECTION
+// ============================================
+
+/**
+ * Pick the angle that drives the rep cycle - the candidate with the largest
+ * range of motion across the session
+ * @param {Array<Object>} evaluations - Frame evaluations
+ * @param {Array<string>} [candidates] - Angle types to consider
+ * @returns {string|null} Angle type, or null if nothing moves enough
+ */
+export const selectRepMetric = (evaluations, candidates = REP_DETECTION.CANDIDATE_METRICS) => {
+  let best = null;
+
+  candidates.forEach((metric) => {
+    const series = extractSeries(evaluations, metric);
+    if (!series) {
+      return;
+    }
+    const { range } = robustRange(smoothSeries(series, REP_DETECTION.SMOOTHING_WINDOW));
+    if (range >= REP_DETECTION.MIN_RANGE_OF_MOTION && (!best || range > best.range)) {
+      best = { metric, range };
+    }
+  });
+
+  return best ? best.metric : null;
+};
+
+// ============================================
+// REP DETECTION
+// ============================================
+
+/**
+ * Detect repetitions in a session
+ *
+ * The series is mapped to a displacement from the resting position (the end
+ * of the range the session starts at). A rep is counted when the displacement
+ * passes BOTTOM_RATIO of the range and comes back below RETURN_RATIO. Rep
+ * boundaries are then trimmed to the last/first frame spent at rest so the
+ * pause between reps is not attributed to either of them.
+ *
+ * @param {Array<Object>} evaluations - Frame evaluations from the rule engine
+ * @param {Array<Object>} rules - Normalized rules used to score each rep
+ * @param {Object} options - Detection options
+ * @param {string} [options.metric] - Force the driving angle instead of auto-selecting it
+ * @returns {Object} { metric, count, reps }
+ */
+export const detectReps = (evaluations, rules = [], options = {}) => {
+  const empty = { metric: null, count: 0, reps: [] };
+  if (!Array.isArray(evaluations) || evaluations.length < REP_DETECTION.SMOOTHING_WINDOW) {
+    return empty;
+  }
+
+  const metric = options.metric || selectRepMetric(evaluations);
+  const rawSeries = metric ? extractSeries(evaluations, metric) : null;
+  if (!rawSeries) {
+    return empty;
+  }
+
+  const series = smoothSeries(rawSeries, REP_DETECTION.SMOOTHING_WINDOW);
+  const { low, high, range } = robustRange(series);
+  if (range < REP_DETECTION.MIN_RANGE_OF_MOTION) {
+    return { ...empty, metric };
+  }
+
+  // Rest is whichever end of the range the session starts closer to
+  const restIsHigh = Math.abs(series[0] - high) <= Math.abs(series[0] - low);
+  const displacement = series.map((value) => (restIsHigh ? high - value : value - low));
+
+  const bottomThreshold = range * REP_DETECTION.BOTTOM_RATIO;
+  const returnThreshold = range * REP_DETECTION.RETURN_RATIO;
+  const restThreshold = range * REP_DETECTION.REST_TOLERANCE_RATIO;
+
+  // First pass: find cycles as (departure, bottom, return) indexes
+  const cycles = [];
+  let searchFrom = 0;
+  let current = null;
+
+  displacement.forEach((value, index) => {
+    if (!current) {
+      if (value >= bottomThreshold) {
+        current = { searchFrom, bottomIndex: index };
+      }
+      return;
+    }
+    if (value > displacement[current.bottomIndex]) {
+      current.bottomIndex = index;
+    }
+    if (value <= returnThreshold) {
+      cycles.push({ ...current, returnIndex: index });
+      searchFrom = index;
+      current = null;
+    }
+  });
+
+  // Second pass: trim each cycle to the frames spent at rest around it
+  const restLevel = (from, to) => {
+    let min = Infinity;
+    for (let i = from; i <= to; i++) {
+      min = Math.min(min, displacement[i]);
+    }
+    return min + restThreshold;
+  };
+
+  const reps = [];
+  cycles.forEach((cycle, cycleIndex) => {
+    let startIndex = cycle.searchFrom;
+    const startRest = restLevel(cycle.searchFrom, cycle.bottomIndex);
+    for (let i = cycle.bottomIndex; i >= cycle.searchFrom; i--) {
+      if (displacement[i] <= startRest) {
+        startIndex = i;
+        break;
+      }
+    }
+
+    const nextCycle = cycles[cycleIndex + 1];
+    const searchTo = nextCycle ? nextCycle.bottomIndex : displacement.length - 1;
+    let endIndex = cycle.returnIndex;
+    const endRest = restLevel(cycle.returnIndex, searchTo);
+    for (let i = cycle.returnIndex; i <= searchTo; i++) {
+      if (displacement[i] <= endRest) {
+        endIndex = i;
+        break;
+      }
+    }
+
+    const start = evaluations[startIndex];
+    const end = evaluations[endIndex];
+    const duration = (end.timestamp || 0) - (start.timestamp || 0);
+    if (duration < REP_DETECTION.MIN_REP_DURATION) {
+      return;
+    }
+
+    // Pause window: frames held within PAUSE_ZONE_RATIO of the deepest point
+    const pauseFloor = displacement[cycle.bottomIndex] - range * REP_DETECTION.PAUSE_ZONE_RATIO;
+    let pauseStartIndex = cycle.bottomIndex;
+    let pauseEndIndex = cycle.bottomIndex;
+    while (pauseStartIndex > startIndex && displacement[pauseStartIndex - 1] >= pauseFloor) {
+      pauseStartIndex--;
+    }
+    while (pauseEndIndex < endIndex && displacement[pauseEndIndex + 1] >= pauseFloor) {
+      pauseEndIndex++;
+    }
+
+    const repSeries = rawSeries.slice(startIndex, endIndex + 1);
+    const minAngle = Math.min(...repSeries);
+    const maxAngle = Math.max(...repSeries);
+    const { score } = scoreEvaluations(evaluations.slice(startIndex, endIndex + 1), rules);
+
+    reps.push({
+      number: reps.length + 1,
+      startFrame: start.frame,
+      bottomFrame: evaluations[cycle.bottomIndex].frame,
+      endFrame: end.frame,
+      startTime: start.timestamp,
+      bottomTime: evaluations[cycle.bottomIndex].timestamp,
+      endTime: end.timestamp,
+      pauseStartTime: evaluations[pauseStartIndex].timestamp,
+      pauseEndTime: evaluations[pauseEndIndex].timestamp,
+      duration: Math.round(duration * 1000) / 1000,
+      minAngle: Math.round(minAngle * 10) / 10,
+      maxAngle: Math.round(maxAngle * 10) / 10,
+      rangeOfMotion: Math.round((maxAngle - minAngle) * 10) / 10,
+      score: score !== null ? score : undefined,
+    });
+  });
+
+  return { metric, count: reps.length, reps };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  selectRepMetric,
+  detectReps,
+};
@@ -0,0 +1,323 @@
+/**
+ * Rescore Service
+ *
+ * Re-scores past sessions of an exercise after its formRules changed, so
+ * scores in progress charts mean the same thing over time. Each session is
+ * re-analyzed from its stored pose data with the exercise's current rules,
+ * its derived fields and rule feedback are replaced, and the changes are
+ * collected in a diff report.
+ *
+ * Features:
+ * - Batches of sessions scored under an older rules version (or all of them)
+ * - Sessions that fail are marked and skipped by later batches
+ * - Dry runs that report the changes without saving them
+ * - Per-session score change and feedback issues added or resolved
+ * - Totals per feedback rule across the batch
+ * - Users' average scores recomputed after their sessions changed
+ */
+
+import mongoose from 'mongoose';
+import ExerciseSession from '../models/ExerciseSession.js';
+import Feedback from '../models/Feedback.js';
+import User from '../models/User.js';
+import { processPoseData, getSessionPoseData, markPoseKeyFrames } from './poseService.js';
+import { getKeyFrameNumbers } from './keyFrameService.js';
+import { analyzeSession } from './sessionAnalysisService.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { RESCORE, SCORING_METHODS, SESSION_STATUSES, POSE_STORAGE } from '../config/constants.js';
+
+/**
+ * Session fields replaced by a re-score
+ * @private
+ */
+const DERIVED_FIELDS = [
+  'overallScore',
+  'scoring',
+  'repAnalysis',
+  'fatigue',
+  'holdAnalysis',
+  'jumpAnalysis',
+  'barPath',
+  'symmetry',
+  'viewpoint',
+  'poseQuality',
+  'referenceComparison',
+  'keyFrames',
+];
+
+/**
+ * Round to a number of decimals
+ * @private
+ * @param {number} value - Value
+ * @param {number} [decimals=1] - Decimals
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Count feedback items per rule
+ * @private
+ * @param {Array<Object>} feedback - Feedback items with metadata.ruleId
+ * @returns {Object} Counts keyed by ruleId
+ */
+const countByRule = (feedback) =>
+  feedback.reduce((counts, item) => {
+    const ruleId = item.metadata?.ruleId;
+    counts[ruleId] = (counts[ruleId] || 0) + 1;
+    return counts;
+  }, {});
+
+// ============================================
+// SESSION RE-SCORING
+// ============================================
+
+/**
+ * Re-score one session and, unless it's a dry run, save the result
+ * @private
+ * @param {Object} session - Lean session with poseData, overallScore and scoring
+ * @param {Object} exercise - Exercise document with the current formRules
+ * @param {boolean} dryRun - Report only
+ * @returns {Promise<Object>} Diff entry { sessionId, userId, previousScore, newScore, scoreChange, ... }
+ */
+const rescoreSession = async (session, exercise, dryRun) => {
+  // Stored pose data is canonical and was filtered when the session was created (or finalized)
+  const poseData = processPoseData(await getSessionPoseData(session), {
+    canonicalize: false,
+    filter: false,
+    recalculateAngles: true,
+    calculateDistances: false,
+    assessQuality: false,
+  });
+  const { fields, feedback } = analyzeSession(poseData, exercise, {
+    clientScore: session.scoring?.clientScore,
+  });
+
+  // Only feedback generated by the engine is replaced (it all carries a ruleId)
+  const generatedFilter = { sessionId: session._id, 'metadata.ruleId': { $exists: true } };
+  const previousFeedback = await Feedback.find(generatedFilter).select('metadata.ruleId').lean();
+  const before = countByRule(previousFeedback);
+  const after = countByRule(feedback);
+
+  if (!dryRun) {
+    fields.scoring.rescoredAt = new Date();
+    const $set = {};
+    const $unset = {};
+    DERIVED_FIELDS.forEach((field) => {
+      if (fields[field] === undefined) {
+        $unset[field] = '';
+      } else {
+        $set[field] = fields[field];
+      }
+    });
+    await ExerciseSession.updateOne({ _id: session._id }, { $set, $unset }, { runValidators: true });
+    if (session.poseData?.storage === POSE_STORAGE.CHUNKED) {
+      await markPoseKeyFrames(session._id, getKeyFrameNumbers(fields.keyFrames));
+    }
+
+    await Feedback.deleteMany(generatedFilter);
+    if (feedback.length > 0) {
+      await Feedback.insertMany(
+        feedback.map((item) => ({ ...item, sessionId: session._id })),
+        { ordered: false }
+      );
+    }
+  }
+
+  const previousScore = session.overallScore ?? null;
+  return {
+    sessionId: session._id.toString(),
+    userId: session.userId.toString(),
+    createdAt: session.createdAt,
+    previousRulesVersion: session.scoring?.rulesVersion || null,
+    previousScore,
+    newScore: fields.overallScore,
+    scoreChange: previousScore !== null ? round(fields.overallScore - previousScore) : null,
+    feedbackBefore: previousFeedback.length,
+    feedbackAfter: feedback.length,
+    addedIssues: Object.keys(after).filter((ruleId) => !before[ruleId]),
+    resolvedIssues: Object.keys(before).filter((ruleId) => !after[ruleId]),
+    issueCounts: { before, after },
+  };
+};
+
+/**
+ * Recompute users' average scores from their scored, usable sessions
+ * @private
+ * @param {Array<string>} userIds - Users whose sessions were re-scored
+ * @returns {Promise<void>}
+ */
+const refreshAverageScores = async (userIds) => {
+  const averages = await ExerciseSession.aggregate([
+    {
+      $match: {
+        userId: { $in: userIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        'scoring.method': SCORING_METHODS.SERVER,
+        'poseQuality.flagged': { $ne: true },
+        status: { $ne: SESSION_STATUSES.DRAFT },
+      },
+    },
+    { $group: { _id: '$userId', averageScore: { $avg: '$overallScore' } } },
+  ]);
+
+  await Promise.all(
+    averages.map((entry) =>
+      User.updateOne({ _id: entry._id }, { $set: { 'stats.averageScore': round(entry.averageScore) } })
+    )
+  );
+};
+
+// ============================================
+// BATCH JOB
+// ============================================
+
+/**
+ * Re-score past sessions of an exercise under its current rules version
+ *
+ * Sessions are processed oldest first. Without force only sessions scored
+ * under another (or no recorded) version are picked, so calling again after
+ * a batch continues where the previous one stopped until remaining is 0.
+ * Sessions whose re-score failed are marked with the version and skipped
+ * (counted in skippedFailed) until a forced run retries them.
+ * AI enhancement is not re-run; regenerated feedback keeps the rule texts.
+ *
+ * @param {Object} exercise - Exercise document (loaded with +reference)
+ * @param {Object} options - Job options
+ * @param {boolean} [options.dryRun=false] - Compute the diff report without saving anything
+ * @param {boolean} [options.force=false] - Also re-score sessions already on the current version
+ *   and retry the ones that failed under it
+ * @param {number} [options.limit] - Sessions to process (default RESCORE.DEFAULT_LIMIT)
+ * @param {string} [options.requestedBy] - Admin user ID (for logging)
+ * @returns {Promise<Object>} Diff report
+ */
+export const rescoreSessions = async (exercise, options = {}) => {
+  const { dryRun = false, force = false } = options;
+  const limit = Math.min(RESCORE.MAX_LIMIT, Math.max(1, parseInt(options.limit, 10) || RESCORE.DEFAULT_LIMIT));
+  const rulesVersion = exercise.rulesVersion || 1;
+
+  const scorable = {
+    exerciseId: exercise._id,
+    status: { $ne: SESSION_STATUSES.DRAFT },
+    $or: [
+      { 'poseData.keypoints.0': { $exists: true } },
+      { 'poseData.storage': POSE_STORAGE.CHUNKED, 'poseData.totalFrames': { $gt: 0 } },
+    ],
+  };
+  // Sessions that failed under this version would fail again - leave them
+  // out so the batches move on, until a forced run retries them
+  const filter = force
+    ? scorable
+    : {
+        ...scorable,
+        'scoring.rulesVersion': { $ne: rulesVersion },
+        'scoring.rescoreFailedVersion': { $ne: rulesVersion },
+      };
+  const [matched, skippedFailed] = await Promise.all([
+    ExerciseSession.countDocuments(filter),
+    force
+      ? 0
+      : ExerciseSession.countDocuments({
+          ...scorable,
+          'scoring.rulesVersion': { $ne: rulesVersion },
+          'scoring.rescoreFailedVersion': rulesVersion,
+        }),
+  ]);
+
+  const entries = [];
+  const failures = [];
+  // Pose data is large - stream the sessions one at a time (chunked sessions
+  // load their frames from PoseData as they come up)
+  const cursor = ExerciseSession.find(filter)
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .select('userId poseData overallScore scoring.clientScore scoring.rulesVersion createdAt')
+    .lean()
+    .cursor();
+
+  for await (const session of cursor) {
+    try {
+      entries.push(await rescoreSession(session, exercise, dryRun));
+    } catch (error) {
+      logError('Failed to re-score session', {
+        sessionId: session._id.toString(),
+        exerciseId: exercise._id.toString(),
+        error: error.message,
+      });
+      failures.push({ sessionId: session._id.toString(), error: error.message });
+      if (!dryRun) {
+        await ExerciseSession.updateOne(
+          { _id: session._id },
+          { $set: { 'scoring.rescoreFailedVersion': rulesVersion, 'scoring.rescoreFailedAt': new Date() } }
+        );
+      }
+    }
+  }
+
+  if (!dryRun && entries.length > 0) {
+    await refreshAverageScores([...new Set(entries.map((entry) => entry.userId))]);
+  }
+
+  // Totals per feedback rule across the batch
+  const issueTotals = {};
+  entries.forEach((entry) => {
+    ['before', 'after'].forEach((key) => {
+      Object.entries(entry.issueCounts[key]).forEach(([ruleId, count]) => {
+        issueTotals[ruleId] = issueTotals[ruleId] || { ruleId, before: 0, after: 0 };
+        issueTotals[ruleId][key] += count;
+      });
+    });
+  });
+
+  const changes = entries.filter((entry) => entry.scoreChange !== null).map((entry) => entry.scoreChange);
+  const changed = entries.filter(
+    (entry) =>
+      (entry.scoreChange !== null && Math.abs(entry.scoreChange) >= RESCORE.UNCHANGED_SCORE_DELTA) ||
+      entry.addedIssues.length > 0 ||
+      entry.resolvedIssues.length > 0
+  ).length;
+
+  const report = {
+    exerciseId: exercise._id.toString(),
+    rulesVersion,
+    dryRun,
+    matched,
+    processed: entries.length + failures.length,
+    rescored: entries.length,
+    changed,
+    unchanged: entries.length - changed,
+    failed: failures.length,
+    skippedFailed,
+    remaining: Math.max(0, matched - entries.length - failures.length),
+    averageScoreChange: changes.length > 0 ? round(changes.reduce((sum, change) => sum + change, 0) / changes.length) : 0,
+    largestIncrease: changes.length > 0 ? Math.max(0, ...changes) : 0,
+    largestDecrease: changes.length > 0 ? Math.min(0, ...changes) : 0,
+    issueChanges: Object.values(issueTotals)
+      .filter((total) => total.before !== total.after)
+      .sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before)),
+    sessions: [...entries]
+      .sort((a, b) => Math.abs(b.scoreChange || 0) - Math.abs(a.scoreChange || 0))
+      .slice(0, RESCORE.MAX_REPORT_SESSIONS)
+      .map(({ issueCounts: _issueCounts, ...entry }) => entry),
+    failures,
+  };
+
+  logInfo('Exercise sessions re-scored', {
+    exerciseId: report.exerciseId,
+    rulesVersion,
+    dryRun,
+    rescored: report.rescored,
+    changed: report.changed,
+    failed: report.failed,
+    remaining: report.remaining,
+    requestedBy: options.requestedBy,
+  });
+
+  return report;
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  rescoreSessions,
+};
@@ -0,0 +1,488 @@
+/**
+ * Rule Engine Service
+ *
+ * Evaluates pose frames against an exercise's formRules and produces the
+ * authoritative session score. Scores are always computed on the server from
+ * the recorded keypoints, so sessions from different client versions are
+ * comparable and a client cannot simply post a perfect score.
+ *
+ * Features:
+ * - Normalization of Exercise.formRules (angle ranges and declarative rules)
+ *   into a flat rule list
+ * - Per-frame rule evaluation using server-calculated angles and metrics
+ * - Phase scoped rules checked only at the start, bottom or top of each rep
+ * - Camera view detection: rules on angles the view can't measure are skipped
+ *   or downgraded
+ * - Session scoring with a per-rule breakdown
+ * - Client score divergence detection
+ * - Rule-based feedback generation traceable to the rule that fired
+ */
+
+import { calculateAllAngles, getKeypointByName } from './poseService.js';
+import { calculatePoseQuality } from '../utils/poseValidators.js';
+import { detectViewpoint, applyViewpointToRules } from './viewpointService.js';
+import { detectReps } from './repDetectionService.js';
+import {
+  compileFormRules,
+  measureRule,
+  needsTorsoLength,
+  labelPhases,
+  isKeypointTracked,
+  buildRuleMessage,
+} from './formRuleService.js';
+import { estimateTorsoLength } from '../utils/poseNormalization.js';
+import {
+  SCORING,
+  VIEWPOINT,
+  SCORING_METHODS,
+  FEEDBACK_ENGINE,
+  FEEDBACK_TYPES,
+  FEEDBACK_SEVERITY,
+  FEEDBACK_KEYPOINTS_LIMIT,
+} from '../config/constants.js';
+
+/**
+ * Angle types that can be constrained by Exercise.formRules
+ */
+export const RULE_ANGLE_TYPES = ['kneeAngle', 'backAngle', 'hipAngle', 'shoulderAngle'];
+
+/**
+ * Keypoints each angle is measured from - one complete set must be visible
+ * for the angle to be trusted (either body side where calculateAllAngles
+ * averages both)
+ */
+export const RULE_KEYPOINT_SETS = {
+  kneeAngle: [
+    ['left_hip', 'left_knee', 'left_ankle'],
+    ['right_hip', 'right_knee', 'right_ankle'],
+  ],
+  hipAngle: [
+    ['left_shoulder', 'left_hip', 'left_knee'],
+    ['right_shoulder', 'right_hip', 'right_knee'],
+  ],
+  backAngle: [
+    ['left_shoulder', 'left_hip'],
+    ['right_shoulder', 'right_hip'],
+  ],
+  shoulderAngle: [['left_shoulder', 'left_elbow', 'left_wrist']],
+  ankleAngle: [['left_knee', 'left_ankle']],
+};
+
+/**
+ * Human readable labels, involved keypoints and coaching cues per metric
+ * @private
+ */
+const METRIC_DETAILS = {
+  kneeAngle: {
+    label: 'Knee angle',
+    keypoints: ['left_hip', 'left_knee', 'left_ankle', 'right_hip', 'right_knee', 'right_ankle'],
+    suggestions: {
+      below: 'Avoid bending your knees past the target depth; control the descent.',
+      above: 'Bend your knees further to reach the target depth.',
+    },
+  },
+  backAngle: {
+    label: 'Back angle',
+    keypoints: ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'],
+    suggestions: {
+      below: 'Avoid leaning back; brace your core and keep your torso neutral.',
+      above: 'Keep your chest up and avoid leaning forward.',
+    },
+  },
+  hipAngle: {
+    label: 'Hip angle',
+    keypoints: ['left_shoulder', 'left_hip', 'left_knee', 'right_shoulder', 'right_hip', 'right_knee'],
+    suggestions: {
+      below: 'Avoid folding too far at the hips; keep your torso more upright.',
+      above: 'Hinge further at the hips to reach the target position.',
+    },
+  },
+  shoulderAngle: {
+    label: 'Arm angle',
+    keypoints: ['left_shoulder', 'left_elbow', 'left_wrist'],
+    suggestions: {
+      below: 'Extend your arms further through the movement.',
+      above: 'Bend your arms more and keep the movement controlled.',
+    },
+  },
+};
+
+// ============================================
+// RULE NORMALIZATION
+// ============================================
+
+/**
+ * Convert Exercise.formRules into a flat list of evaluable rules
+ *
+ * The angle ranges (kneeAngle: { min, max }, ...) become one rule each; the
+ * declarative rules in formRules.rules are compiled by formRuleService and
+ * carry their own metric definition, phase and messages.
+ *
+ * @param {Object} formRules - Exercise formRules (plain object or Mongoose subdocument)
+ * @returns {Array<Object>} Rules { id, metric, min, max, ... }
+ */
+export const normalizeFormRules = (formRules) => {
+  const rules = formRules?.toObject ? formRules.toObject() : formRules || {};
+
+  const rangeRules = RULE_ANGLE_TYPES.filter((angleType) => {
+    const range = rules[angleType];
+    return range && (typeof range.min === 'number' || typeof range.max === 'number');
+  }).map((angleType) => ({
+    id: `${angleType}_range`,
+    metric: angleType,
+    min: typeof rules[angleType].min === 'number' ? rules[angleType].min : undefined,
+    max: typeof rules[angleType].max === 'number' ? rules[angleType].max : undefined,
+  }));
+
+  return [...rangeRules, ...compileFormRules(rules.rules)];
+};
+
+/**
+ * Keypoint sets a rule is measured from - one complete set must be visible
+ * @param {Object} rule - Normalized rule
+ * @returns {Array<Array<string>>|undefined} Keypoint sets, or undefined for unknown metrics
+ */
+export const getRuleKeypointSets = (rule) => rule.keypointSets || RULE_KEYPOINT_SETS[rule.metric];
+
+// ============================================
+// FRAME EVALUATION
+// ============================================
+
+/**
+ * Whether the keypoints an angle is measured from were tracked in a frame
+ * @param {Object} frame - Pose frame with keypoints
+ * @param {string} metric - Angle metric, e.g. 'kneeAngle'
+ * @returns {boolean} True when one complete keypoint set is confidently visible (or the metric is unknown)
+ */
+export const isMetricVisible = (frame, metric) => {
+  const sets = RULE_KEYPOINT_SETS[metric];
+  if (!sets) {
+    return true;
+  }
+  // Short gaps bridged by the pose filter count as tracked
+  return sets.some((names) => names.every((name) => isKeypointTracked(getKeypointByName(frame, name))));
+};
+
+/**
+ * Evaluate a single measured value against a rule range
+ * @param {Object} rule - Normalized rule
+ * @param {number} value - Measured value
+ * @returns {Object} Result { passed, deviation, threshold, compliance }
+ */
+export const evaluateRule = (rule, value) => {
+  let deviation = 0;
+  let threshold = null;
+
+  if (rule.min !== undefined && value < rule.min) {
+    deviation = rule.min - value;
+    threshold = rule.min;
+  } else if (rule.max !== undefined && value > rule.max) {
+    deviation = value - rule.max;
+    threshold = rule.max;
+  }
+
+  // Linear fall-off: full credit inside the range, zero once past the tolerance
+  const compliance = Math.max(0, 1 - deviation / (rule.tolerance || SCORING.ANGLE_TOLERANCE));
+
+  return {
+    passed: deviation === 0,
+    deviation: Math.round(deviation * 100) / 100,
+    threshold,
+    compliance,
+  };
+};
+
+/**
+ * Evaluate every rule for one pose frame
+ * @param {Object} frame - Pose frame with keypoints
+ * @param {Array<Object>} rules - Normalized rules
+ * @param {Object} [context] - Evaluation context
+ * @param {Array<string>} [context.phases] - Rep phases the frame falls in; phase scoped
+ *   rules are skipped without them
+ * @param {number} [context.torsoLength] - Session torso length for distance metrics
+ * @returns {Object} Frame evaluation { frame, timestamp, angles, results }
+ */
+export const evaluateFrame = (frame, rules, context = {}) => {
+  // Always measure from keypoints; client supplied angles are not trusted
+  const angles = calculateAllAngles(frame);
+
+  const results = [];
+  rules.forEach((rule) => {
+    if (rule.phase && !context.phases?.includes(rule.phase)) {
+      return;
+    }
+    // Declarative rules measure their own metric, and only from tracked keypoints
+    const value = rule.definition ? measureRule(frame, rule, context.torsoLength) : angles[rule.metric];
+    if (typeof value !== 'number' || isNaN(value)) {
+      return;
+    }
+    // Angles from guessed (occluded) keypoints would produce bogus form errors
+    if (!rule.definition && !isMetricVisible(frame, rule.metric)) {
+      return;
+    }
+    results.push({
+      ruleId: rule.id,
+      metric: rule.metric,
+      value,
+      min: rule.min,
+      max: rule.max,
+      ...evaluateRule(rule, value),
+    });
+  });
+
+  return {
+    frame: frame.frame,
+    timestamp: frame.timestamp,
+    confidence: calculatePoseQuality(frame.keypoints).averageConfidence,
+    angles,
+    results,
+  };
+};
+
+/**
+ * Evaluate all frames of a session
+ * @param {Array<Object>} frames - Pose frames
+ * @param {Array<Object>} rules - Normalized rules
+ * @param {Object} [options] - Evaluation options
+ * @param {Array<Array<string>>} [options.phases] - Rep phases per frame (see formRuleService.labelPhases)
+ * @param {number} [options.torsoLength] - Session torso length (estimated from the frames when needed)
+ * @returns {Array<Object>} Frame evaluations
+ */
+export const evaluateFrames = (frames, rules, options = {}) => {
+  if (!Array.isArray(frames)) {
+    return [];
+  }
+  const torsoLength = options.torsoLength ?? (needsTorsoLength(rules) ? estimateTorsoLength(frames) : null);
+  return frames.map((frame, index) =>
+    evaluateFrame(frame, rules, { phases: options.phases?.[index], torsoLength })
+  );
+};
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Aggregate frame evaluations into a 0-100 score
+ * @param {Array<Object>} evaluations - Output of evaluateFrames
+ * @param {Array<Object>} rules - Normalized rules
+ * @returns {Object} { score, scoredFrames, ruleBreakdown }
+ */
+export const scoreEvaluations = (evaluations, rules) => {
+  const ruleBreakdown = rules.map((rule) => {
+    const ruleResults = evaluations
+      .flatMap((evaluation) => evaluation.results)
+      .filter((result) => result.ruleId === rule.id);
+
+    const downgraded = rule.downgraded ? { downgraded: true } : {};
+    if (ruleResults.length === 0) {
+      return { ruleId: rule.id, metric: rule.metric, evaluatedFrames: 0, passRate: null, score: null, ...downgraded };
+    }
+
+    const passed = ruleResults.filter((result) => result.passed).length;
+    const compliance = ruleResults.reduce((sum, result) => sum + result.compliance, 0) / ruleResults.length;
+
+    return {
+      ruleId: rule.id,
+      metric: rule.metric,
+      evaluatedFrames: ruleResults.length,
+      passRate: Math.round((passed / ruleResults.length) * 1000) / 1000,
+      score: Math.round(compliance * 1000) / 10,
+      ...downgraded,
+    };
+  });
+
+  const scoredRules = ruleBreakdown.filter((rule) => rule.score !== null);
+  const scoredFrames = evaluations.filter((evaluation) => evaluation.results.length > 0).length;
+
+  if (scoredRules.length === 0) {
+    return { score: null, scoredFrames, ruleBreakdown };
+  }
+
+  // Rules on angles the camera view can only partly measure count for less
+  const weightOf = (rule) => (rule.downgraded ? VIEWPOINT.DOWNGRADED_WEIGHT : 1);
+  const totalWeight = scoredRules.reduce((sum, rule) => sum + weightOf(rule), 0);
+  const score = scoredRules.reduce((sum, rule) => sum + rule.score * weightOf(rule), 0) / totalWeight;
+
+  return {
+    score: Math.round(score * 10) / 10,
+    scoredFrames,
+    ruleBreakdown,
+  };
+};
+
+/**
+ * Compute the authoritative score for a session
+ * @param {Object} poseData - Session poseData ({ keypoints: frames })
+ * @param {Object} exercise - Exercise document with formRules (and rulesVersion)
+ * @param {Object} options - Scoring options
+ * @param {number} [options.clientScore] - Score reported by the client (kept as a hint)
+ * @returns {Object} { rules, overallScore, scoring, evaluations, viewpoint } - rules are the ones
+ *   evaluated after adjusting for the camera view
+ */
+export const scoreSession = (poseData, exercise, options = {}) => {
+  const { clientScore } = options;
+  const frames = poseData?.keypoints || [];
+
+  // Drop or downgrade rules on angles the camera view can't measure
+  const detectedView = detectViewpoint(frames);
+  const { rules, skippedRules, downgradedRules } = applyViewpointToRules(
+    normalizeFormRules(exercise?.formRules),
+    detectedView
+  );
+  const viewpoint = detectedView ? { ...detectedView, skippedRules, downgradedRules } : undefined;
+
+  let evaluations = evaluateFrames(frames, rules);
+
+  // Phase scoped rules need the reps: find them on the first pass, then
+  // evaluate again with every frame labelled with its phase
+  if (rules.some((rule) => rule.phase)) {
+    const { reps } = detectReps(evaluations);
+    if (reps.length > 0) {
+      evaluations = evaluateFrames(frames, rules, { phases: labelPhases(evaluations, reps) });
+    }
+  }
+
+  const { score, scoredFrames, ruleBreakdown } = scoreEvaluations(evaluations, rules);
+
+  const hasClientScore = typeof clientScore === 'number' && !isNaN(clientScore);
+  const divergence = score !== null && hasClientScore ? Math.round(Math.abs(clientScore - score) * 10) / 10 : null;
+
+  return {
+    rules,
+    overallScore: score !== null ? score : 0,
+    scoring: {
+      method: score !== null ? SCORING_METHODS.SERVER : SCORING_METHODS.UNSCORED,
+      clientScore: hasClientScore ? clientScore : undefined,
+      divergence: divergence !== null ? divergence : undefined,
+      flagged: divergence !== null && divergence > SCORING.CLIENT_DIVERGENCE_THRESHOLD,
+      scoredFrames,
+      totalFrames: frames.length,
+      ruleBreakdown,
+      rulesVersion: exercise?.rulesVersion || undefined,
+    },
+    evaluations,
+    viewpoint,
+  };
+};
+
+// ============================================
+// FEEDBACK GENERATION
+// ============================================
+
+/**
+ * Build a Feedback document payload for the peak frame of a rule violation
+ * @param {Object} rule - Normalized rule
+ * @param {Object} peak - { evaluation, result } at the worst frame of the violation
+ * @returns {Object} Feedback payload (without sessionId)
+ */
+export const buildRuleFeedback = (rule, peak) => {
+  const { evaluation, result } = peak;
+  const details = METRIC_DETAILS[rule.metric] || { label: rule.metric, keypoints: [], suggestions: {} };
+  const direction = result.threshold === rule.min ? 'below' : 'above';
+  const bound = direction === 'below' ? 'minimum' : 'maximum';
+  // Declarative rules bring their own message and may fix the severity
+  const { message, suggestion } = rule.definition
+    ? buildRuleMessage(rule, result)
+    : {
+        message: `${details.label} of ${Math.round(result.value)}° is ${direction} the target ${bound} of ${result.threshold}°`,
+      };
+  let severity =
+    rule.severity ||
+    (result.deviation >= (rule.tolerance ?? FEEDBACK_ENGINE.ERROR_DEVIATION)
+      ? FEEDBACK_SEVERITY.ERROR
+      : FEEDBACK_SEVERITY.WARNING);
+  let confidence = evaluation.confidence > 0 ? evaluation.confidence : 0.8;
+
+  // Angles the camera view can only partly measure are reported one level lower
+  if (rule.downgraded) {
+    severity = severity === FEEDBACK_SEVERITY.ERROR ? FEEDBACK_SEVERITY.WARNING : FEEDBACK_SEVERITY.INFO;
+    confidence *= VIEWPOINT.DOWNGRADED_WEIGHT;
+  }
+
+  return {
+    type: FEEDBACK_TYPES.FORM_ERROR,
+    severity,
+    message,
+    suggestion: suggestion || details.suggestions[direction] || undefined,
+    timestamp: evaluation.timestamp || 0,
+    keypoints: (rule.keypoints || details.keypoints).slice(0, FEEDBACK_KEYPOINTS_LIMIT),
+    aiGenerated: false,
+    confidence,
+    metadata: {
+      ruleId: rule.id,
+      angleValue: result.value,
+      threshold: result.threshold,
+      frameNumber: evaluation.frame,
+    },
+  };
+};
+
+/**
+ * Generate feedback from frame evaluations
+ *
+ * Walks the frames in order and groups consecutive failing frames of each rule
+ * into a violation. Every violation long enough to be real produces one
+ * feedback item anchored at its worst frame.
+ *
+ * @param {Array<Object>} evaluations - Output of evaluateFrames
+ * @param {Array<Object>} rules - Normalized rules
+ * @returns {Array<Object>} Feedback payloads sorted by timestamp (without sessionId)
+ */
+export const generateRuleFeedback = (evaluations, rules) => {
+  const feedback = [];
+
+  rules.forEach((rule) => {
+    const violations = [];
+    let current = null;
+
+    const closeViolation = () => {
+      if (current && current.length >= FEEDBACK_ENGINE.MIN_VIOLATION_FRAMES) {
+        violations.push(current.peak);
+      }
+      current = null;
+    };
+
+    evaluations.forEach((evaluation) => {
+      const result = evaluation.results.find((r) => r.ruleId === rule.id);
+      if (!result || result.passed) {
+        closeViolation();
+        return;
+      }
+      if (!current) {
+        current = { length: 0, peak: null };
+      }
+      current.length += 1;
+      if (!current.peak || result.deviation > current.peak.result.deviation) {
+        current.peak = { evaluation, result };
+      }
+    });
+    closeViolation();
+
+    violations
+      .sort((a, b) => b.result.deviation - a.result.deviation)
+      .slice(0, FEEDBACK_ENGINE.MAX_ITEMS_PER_RULE)
+      .forEach((peak) => feedback.push(buildRuleFeedback(rule, peak)));
+  });
+
+  return feedback.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  RULE_ANGLE_TYPES,
+  RULE_KEYPOINT_SETS,
+  normalizeFormRules,
+  getRuleKeypointSets,
+  isMetricVisible,
+  evaluateRule,
+  evaluateFrame,
+  evaluateFrames,
+  scoreEvaluations,
+  scoreSession,
+  buildRuleFeedback,
+  generateRuleFeedback,
+};
@@ -0,0 +1,241 @@
+/**
+ * Session Analysis Service
+ *
+ * Runs the full server-side analysis of a session's pose data against its
+ * exercise: scoring, reps, tempo, fatigue, holds, jumps, bar path, symmetry,
+ * camera view, pose quality and the reference comparison, plus the feedback
+ * all of them generate and the key frames that show it. Used when a session is created and when past
+ * sessions are re-scored under a new version of the exercise's rules.
+ *
+ * Features:
+ * - One entry point producing every derived session field
+ * - Rule-based feedback from all analyses, sorted by timestamp and linked to
+ *   the session's key frames
+ * - Previews of draft formRules against recorded pose data, compared with the
+ *   exercise's current rules (nothing is saved)
+ */
+
+import { scoreSession, generateRuleFeedback } from './ruleEngineService.js';
+import { detectReps } from './repDetectionService.js';
+import { analyzeSymmetry, generateSymmetryFeedback } from './symmetryService.js';
+import { analyzeTempo, generateTempoFeedback } from './tempoService.js';
+import { compareToReference } from './referenceService.js';
+import { analyzeFatigue, generateFatigueFeedback } from './fatigueService.js';
+import { analyzeHold, generateHoldFeedback } from './holdService.js';
+import { analyzeJumps, generateJumpFeedback } from './jumpService.js';
+import { getBarPathConfig, analyzeBarPath, generateBarPathFeedback } from './barPathService.js';
+import { generateViewpointFeedback } from './viewpointService.js';
+import { assessSessionQuality, generateQualityFeedback } from './qualityService.js';
+import { selectKeyFrames, linkFeedbackToKeyFrames } from './keyFrameService.js';
+import { EXERCISE_MODES } from '../config/constants.js';
+
+/**
+ * Round to a number of decimals
+ * @private
+ * @param {number} value - Value
+ * @param {number} [decimals=2] - Decimals
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Analyze a session's pose data
+ * @param {Object} poseData - Processed session poseData ({ keypoints: frames })
+ * @param {Object} exercise - Exercise document (formRules, mode, tempo, reference, ...)
+ * @param {Object} options - Analysis options
+ * @param {number} [options.clientScore] - Score reported by the client (kept as a hint)
+ * @returns {Object} { fields, feedback, rules, evaluations } - fields are the derived session
+ *   fields (overallScore, scoring, repAnalysis, fatigue, holdAnalysis, jumpAnalysis, barPath,
+ *   symmetry, viewpoint, poseQuality, referenceComparison, keyFrames); feedback the payloads
+ *   without sessionId
+ */
+export const analyzeSession = (poseData, exercise, options = {}) => {
+  const frames = poseData?.keypoints;
+
+  const { rules, overallScore, scoring, evaluations, viewpoint } = scoreSession(poseData, exercise, {
+    clientScore: options.clientScore,
+  });
+
+  // Report usable frames, occlusion and bad stretches; sessions below the
+  // quality bar are kept but left out of trends and leaderboards
+  const poseQuality = assessSessionQuality(frames, { rules }) || undefined;
+
+  // Segment the frame stream into reps, each scored with the same rules;
+  // holds have no reps and are measured by time spent in tolerance instead
+  let repAnalysis;
+  let holdAnalysis;
+  let fatigue;
+  if (exercise.mode === EXERCISE_MODES.HOLD) {
+    holdAnalysis = analyzeHold(evaluations, frames, rules);
+  } else {
+    repAnalysis = detectReps(evaluations, rules);
+    repAnalysis.tempo = analyzeTempo(repAnalysis.reps, exercise.tempo);
+    // Compare the last reps with the first ones to spot fatigue
+    fatigue = analyzeFatigue(repAnalysis.reps, evaluations, { repMetric: repAnalysis.metric });
+  }
+
+  // Plyometric exercises also get flight and landing metrics per jump
+  const jumpAnalysis = exercise.mode === EXERCISE_MODES.PLYOMETRIC ? analyzeJumps(frames) : undefined;
+
+  // Loaded lifts also get the path of the bar (wrists) and its drift
+  const barPathConfig = getBarPathConfig(exercise);
+  const barPath = barPathConfig
+    ? analyzeBarPath(frames, barPathConfig, { reps: repAnalysis?.reps }) || undefined
+    : undefined;
+
+  // Compare left and right side angles
+  const symmetry = analyzeSymmetry(frames, { threshold: exercise.symmetryThreshold });
+
+  // Align the session to the exercise's reference recording, if there is one
+  let referenceComparison;
+  if (exercise.reference?.frames?.length > 0) {
+    referenceComparison = compareToReference(frames, exercise.reference, {
+      reps: repAnalysis?.reps,
+      includeCurve: false,
+    });
+    if (referenceComparison) {
+      referenceComparison.referenceSetAt = exercise.reference.setAt;
+    }
+  }
+
+  // Feedback from the rules that fired on the recorded frames, from reps
+  // that were off the prescribed tempo, from form breaking down over the set
+  // or during a hold, from poor jump landings, from bar drift and from side
+  // imbalances, plus notes on checks the camera view ruled out and on what
+  // the camera couldn't see
+  const feedback = [
+    ...generateRuleFeedback(evaluations, rules),
+    ...(repAnalysis ? generateTempoFeedback(repAnalysis.reps, repAnalysis.tempo) : []),
+    ...generateFatigueFeedback(fatigue),
+    ...generateHoldFeedback(holdAnalysis),
+    ...generateJumpFeedback(jumpAnalysis),
+    ...generateBarPathFeedback(barPath),
+    ...generateSymmetryFeedback(symmetry),
+    ...generateViewpointFeedback(viewpoint),
+    ...generateQualityFeedback(poseQuality),
+  ].sort((a, b) => a.timestamp - b.timestamp);
+
+  // Mark the bottom of each rep, the peak of each issue and the best matches
+  // of the demonstration checkpoints, and point the feedback at them
+  const keyFrames = selectKeyFrames(frames, {
+    repAnalysis,
+    feedback,
+    checkpoints: exercise.demonstration?.formCheckpoints,
+  });
+  linkFeedbackToKeyFrames(feedback, keyFrames);
+
+  return {
+    fields: {
+      overallScore,
+      scoring,
+      repAnalysis,
+      fatigue,
+      holdAnalysis,
+      jumpAnalysis,
+      barPath,
+      symmetry,
+      viewpoint,
+      poseQuality,
+      referenceComparison,
+      keyFrames,
+    },
+    feedback,
+    rules,
+    evaluations,
+  };
+};
+
+// ============================================
+// RULE PREVIEW
+// ============================================
+
+/**
+ * Describe an evaluated rule without its internal metric definition
+ * @private
+ * @param {Object} rule - Normalized rule
+ * @returns {Object} { id, metric, label, side, phase, min, max, tolerance, severity, downgraded }
+ */
+const describeRule = (rule) => ({
+  id: rule.id,
+  metric: rule.metric,
+  label: rule.label,
+  side: rule.side,
+  phase: rule.phase,
+  min: rule.min,
+  max: rule.max,
+  tolerance: rule.tolerance,
+  severity: rule.severity,
+  downgraded: rule.downgraded,
+});
+
+/**
+ * Preview the effect of draft formRules on recorded pose data
+ *
+ * Runs the same analysis as a real session twice - with the draft rules and
+ * with the exercise's current rules - and returns both results side by side.
+ *
+ * @param {Object} poseData - Processed poseData ({ keypoints: frames })
+ * @param {Object} exercise - Exercise document (loaded with +reference)
+ * @param {Object} formRules - Draft formRules (validated by exerciseService.validateFormRules)
+ * @returns {Object} { overallScore, scoring, rules, feedback, evaluations, analysis, comparison }
+ */
+export const previewFormRules = (poseData, exercise, formRules) => {
+  const base = exercise?.toObject ? exercise.toObject() : { ...exercise };
+  const draft = analyzeSession(poseData, { ...base, formRules, rulesVersion: undefined });
+  const current = analyzeSession(poseData, base);
+
+  const countByRule = (feedback) =>
+    feedback.reduce((counts, item) => {
+      counts[item.metadata?.ruleId] = (counts[item.metadata?.ruleId] || 0) + 1;
+      return counts;
+    }, {});
+  const draftIssues = countByRule(draft.feedback);
+  const currentIssues = countByRule(current.feedback);
+
+  return {
+    overallScore: draft.fields.overallScore,
+    scoring: draft.fields.scoring,
+    rules: draft.rules.map(describeRule),
+    feedback: draft.feedback,
+    // Per-frame results of every rule that could be evaluated on the frame
+    evaluations: draft.evaluations.map((evaluation) => ({
+      frame: evaluation.frame,
+      timestamp: evaluation.timestamp,
+      results: evaluation.results.map((result) => ({
+        ruleId: result.ruleId,
+        value: round(result.value),
+        passed: result.passed,
+        deviation: result.deviation,
+        threshold: result.threshold,
+        compliance: round(result.compliance, 3),
+      })),
+    })),
+    analysis: {
+      repCount: draft.fields.repAnalysis?.count,
+      viewpoint: draft.fields.viewpoint,
+      poseQuality: draft.fields.poseQuality,
+    },
+    comparison: {
+      currentRulesVersion: exercise.rulesVersion || 1,
+      currentScore: current.fields.overallScore,
+      scoreChange: round(draft.fields.overallScore - current.fields.overallScore, 1),
+      currentFeedbackCount: current.feedback.length,
+      feedbackCount: draft.feedback.length,
+      addedIssues: Object.keys(draftIssues).filter((ruleId) => !currentIssues[ruleId]),
+      resolvedIssues: Object.keys(currentIssues).filter((ruleId) => !draftIssues[ruleId]),
+    },
+  };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  analyzeSession,
+  previewFormRules,
+};
@@ -0,0 +1,290 @@
+/**
+ * Session Comparison Service
+ *
+ * Puts two sessions of the same exercise side by side to answer "did my form
+ * actually get better?". Session a is the baseline: every difference is b
+ * minus a, so a positive score delta means b scored higher.
+ *
+ * Features:
+ * - Score and pose quality deltas, with a warning when the sessions were
+ *   scored under different versions of the exercise's rules
+ * - Per-joint min/max/average angle differences (either storage layout)
+ * - Rep count, rep duration, range of motion and tempo differences
+ * - Feedback issues that were resolved, newly appeared or persisted
+ */
+
+import Feedback from '../models/Feedback.js';
+import { getSessionAngleSeries } from './poseService.js';
+import { FORM_RULE_METRICS } from './formRuleService.js';
+import AppError from '../utils/appError.js';
+import {
+  HTTP_STATUS,
+  FRAME_QUERY,
+  SESSION_STATUSES,
+  FEEDBACK_SEVERITY,
+  FEEDBACK_PRIORITY,
+} from '../config/constants.js';
+
+/**
+ * Round to one decimal
+ * @private
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Compare one value between two sessions
+ * @private
+ * @param {number|null|undefined} a - Baseline value
+ * @param {number|null|undefined} b - Compared value
+ * @returns {Object} { a, b, delta } - delta is null unless both values are numbers
+ */
+const compareValue = (a, b) => {
+  const valueA = typeof a === 'number' ? round1(a) : null;
+  const valueB = typeof b === 'number' ? round1(b) : null;
+  return {
+    a: valueA,
+    b: valueB,
+    delta: valueA !== null && valueB !== null ? round1(valueB - valueA) : null,
+  };
+};
+
+/**
+ * Average of a rep property over the reps that have it
+ * @private
+ * @param {Array<Object>} reps - Reps
+ * @param {Function} pick - Property accessor
+ * @returns {number|null} Average
+ */
+const averageOf = (reps, pick) => {
+  const values = reps.map(pick).filter((value) => typeof value === 'number');
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+};
+
+// ============================================
+// SECTIONS
+// ============================================
+
+/**
+ * Score and pose quality of both sessions
+ * @private
+ * @param {Object} a - Baseline session
+ * @param {Object} b - Compared session
+ * @returns {Object} { score, quality }
+ */
+const compareScoreAndQuality = (a, b) => ({
+  score: {
+    ...compareValue(a.overallScore, b.overallScore),
+    ratingA: a.qualityRating,
+    ratingB: b.qualityRating,
+  },
+  quality: {
+    usableFramePercent: compareValue(a.poseQuality?.usableFramePercent, b.poseQuality?.usableFramePercent),
+    averageConfidence: compareValue(
+      typeof a.poseQuality?.averageConfidence === 'number' ? a.poseQuality.averageConfidence * 100 : null,
+      typeof b.poseQuality?.averageConfidence === 'number' ? b.poseQuality.averageConfidence * 100 : null
+    ),
+    ratingA: a.poseQuality?.rating || null,
+    ratingB: b.poseQuality?.rating || null,
+    flaggedA: a.poseQuality?.flagged || false,
+    flaggedB: b.poseQuality?.flagged || false,
+  },
+});
+
+/**
+ * Per-joint angle statistics of both sessions
+ * @private
+ * @param {Object} a - Baseline session
+ * @param {Object} b - Compared session
+ * @returns {Promise<Array<Object>>} Joints { angle, label, min, max, average } measured in
+ *   at least one of the sessions, each statistic as { a, b, delta }
+ */
+const compareJoints = async (a, b) => {
+  // Only the statistics are used - keep the downsampled series minimal
+  const [seriesA, seriesB] = await Promise.all(
+    [a, b].map((session) => getSessionAngleSeries(session, { angles: FRAME_QUERY.SERIES_ANGLES, points: 3 }))
+  );
+
+  return FRAME_QUERY.SERIES_ANGLES.filter(
+    (angle) => seriesA.series[angle].measuredFrames > 0 || seriesB.series[angle].measuredFrames > 0
+  ).map((angle) => ({
+    angle,
+    label: FORM_RULE_METRICS[angle]?.label || angle,
+    min: compareValue(seriesA.series[angle].min, seriesB.series[angle].min),
+    max: compareValue(seriesA.series[angle].max, seriesB.series[angle].max),
+    average: compareValue(seriesA.series[angle].average, seriesB.series[angle].average),
+  }));
+};
+
+/**
+ * Reps and tempo of both sessions
+ * @private
+ * @param {Object} a - Baseline session
+ * @param {Object} b - Compared session
+ * @returns {Object} { count, averageScore, averageDuration, averageRangeOfMotion, tempo }
+ */
+const compareReps = (a, b) => {
+  const repsA = a.repAnalysis?.reps || [];
+  const repsB = b.repAnalysis?.reps || [];
+  const tempoA = a.repAnalysis?.tempo;
+  const tempoB = b.repAnalysis?.tempo;
+
+  return {
+    metric: b.repAnalysis?.metric || a.repAnalysis?.metric || null,
+    count: compareValue(a.repAnalysis?.count ?? 0, b.repAnalysis?.count ?? 0),
+    averageScore: compareValue(
+      averageOf(repsA, (rep) => rep.score),
+      averageOf(repsB, (rep) => rep.score)
+    ),
+    averageDuration: compareValue(
+      averageOf(repsA, (rep) => rep.duration),
+      averageOf(repsB, (rep) => rep.duration)
+    ),
+    averageRangeOfMotion: compareValue(
+      averageOf(repsA, (rep) => rep.rangeOfMotion),
+      averageOf(repsB, (rep) => rep.rangeOfMotion)
+    ),
+    tempo: {
+      eccentric: compareValue(tempoA?.average?.eccentric, tempoB?.average?.eccentric),
+      pause: compareValue(tempoA?.average?.pause, tempoB?.average?.pause),
+      concentric: compareValue(tempoA?.average?.concentric, tempoB?.average?.concentric),
+      timeUnderTension: compareValue(tempoA?.timeUnderTension, tempoB?.timeUnderTension),
+      onTempoReps: compareValue(tempoA?.onTempoReps, tempoB?.onTempoReps),
+    },
+  };
+};
+
+/**
+ * Key identifying the same issue across sessions
+ * @private
+ * @param {Object} item - Feedback
+ * @returns {string} The rule that raised it, or its type and message for feedback without a rule
+ */
+const issueKey = (item) => (item.metadata?.ruleId ? `rule:${item.metadata.ruleId}` : `${item.type}:${item.message}`);
+
+/**
+ * Group feedback into issues
+ * @private
+ * @param {Array<Object>} feedback - Feedback of one session
+ * @returns {Map<string, Object>} Issues by key { ruleId, type, severity, message, count }
+ */
+const groupIssues = (feedback) =>
+  feedback
+    .filter((item) => item.severity !== FEEDBACK_SEVERITY.SUCCESS)
+    .reduce((issues, item) => {
+      const key = issueKey(item);
+      const issue = issues.get(key);
+      if (!issue) {
+        issues.set(key, {
+          ruleId: item.metadata?.ruleId || null,
+          type: item.type,
+          severity: item.severity,
+          message: item.message,
+          count: 1,
+        });
+      } else {
+        issue.count += 1;
+        // Keep the most severe occurrence as the example
+        if ((FEEDBACK_PRIORITY.SEVERITY[item.severity] || 0) > (FEEDBACK_PRIORITY.SEVERITY[issue.severity] || 0)) {
+          issue.severity = item.severity;
+          issue.message = item.message;
+        }
+      }
+      return issues;
+    }, new Map());
+
+/**
+ * Feedback issues that disappeared, appeared or stayed between the sessions
+ * @private
+ * @param {Array<Object>} feedbackA - Baseline session feedback
+ * @param {Array<Object>} feedbackB - Compared session feedback
+ * @returns {Object} { resolved, new, persisting } - resolved and new issues carry their
+ *   session's count; persisting ones countA and countB
+ */
+const compareIssues = (feedbackA, feedbackB) => {
+  const issuesA = groupIssues(feedbackA);
+  const issuesB = groupIssues(feedbackB);
+  const bySeverity = (x, y) =>
+    (FEEDBACK_PRIORITY.SEVERITY[y.severity] || 0) - (FEEDBACK_PRIORITY.SEVERITY[x.severity] || 0);
+
+  return {
+    resolved: [...issuesA.entries()]
+      .filter(([key]) => !issuesB.has(key))
+      .map(([, issue]) => issue)
+      .sort(bySeverity),
+    new: [...issuesB.entries()]
+      .filter(([key]) => !issuesA.has(key))
+      .map(([, issue]) => issue)
+      .sort(bySeverity),
+    persisting: [...issuesB.entries()]
+      .filter(([key]) => issuesA.has(key))
+      .map(([key, issue]) => {
+        const { count, ...rest } = issue;
+        return { ...rest, countA: issuesA.get(key).count, countB: count };
+      })
+      .sort(bySeverity),
+  };
+};
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Compare two sessions of the same exercise
+ * @param {Object} a - Baseline session document (either storage layout)
+ * @param {Object} b - Compared session document
+ * @returns {Promise<Object>} { sessions, rulesVersionMismatch, daysApart, score, quality, joints,
+ *   reps, feedback }
+ * @throws {AppError} If the sessions are the same, of different exercises or not finalized
+ */
+export const compareSessions = async (a, b) => {
+  if (a._id.toString() === b._id.toString()) {
+    throw new AppError('Choose two different sessions to compare', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (a.exerciseId.toString() !== b.exerciseId.toString()) {
+    throw new AppError('Only sessions of the same exercise can be compared', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (a.status === SESSION_STATUSES.DRAFT || b.status === SESSION_STATUSES.DRAFT) {
+    throw new AppError('Draft sessions must be finalized before they can be compared', HTTP_STATUS.CONFLICT);
+  }
+
+  const [joints, feedback] = await Promise.all([
+    compareJoints(a, b),
+    Feedback.find({ sessionId: { $in: [a._id, b._id] } })
+      .select('sessionId type severity message metadata.ruleId')
+      .lean(),
+  ]);
+  const feedbackOf = (session) => feedback.filter((item) => item.sessionId.toString() === session._id.toString());
+
+  const dateOf = (session) => session.recordedAt || session.createdAt;
+  const summarize = (session) => ({
+    id: session._id,
+    recordedAt: dateOf(session),
+    duration: session.duration,
+    scoringMethod: session.scoring?.method || null,
+    rulesVersion: session.scoring?.rulesVersion || null,
+  });
+  const sessions = { a: summarize(a), b: summarize(b) };
+
+  return {
+    exerciseId: a.exerciseId,
+    sessions,
+    // Scores under different rule versions aren't comparable until re-scored
+    rulesVersionMismatch: sessions.a.rulesVersion !== sessions.b.rulesVersion,
+    daysApart: round1((new Date(dateOf(b)) - new Date(dateOf(a))) / (24 * 60 * 60 * 1000)),
+    ...compareScoreAndQuality(a, b),
+    joints,
+    reps: compareReps(a, b),
+    feedback: compareIssues(feedbackOf(a), feedbackOf(b)),
+  };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  compareSessions,
+};
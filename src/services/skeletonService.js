@@ -0,0 +1,214 @@
+/**
+ * Skeleton Service
+ *
+ * Turns stored pose frames into stick figure images for reports and clients.
+ * The frame is checked against the form rules version the session was scored
+ * with, the same way it was scored, so the joints of every rule the frame broke can be
+ * drawn in red with the measured value next to them.
+ *
+ * Features:
+ * - Rule violations of a single frame, with the joints they're measured from
+ * - Standalone SVG and PNG images of a session frame
+ * - Vector figures inside PDF reports
+ */
+
+import { loadSessionFramesByNumber } from './poseService.js';
+import { normalizeFormRules, evaluateFrame, getRuleKeypointSets } from './ruleEngineService.js';
+import { applyViewpointToRules } from './viewpointService.js';
+import {
+  FORM_RULE_METRICS,
+  needsTorsoLength,
+  labelPhases,
+  isKeypointTracked,
+  formatRuleValue,
+} from './formRuleService.js';
+import { estimateTorsoLength } from '../utils/poseNormalization.js';
+import { layoutSkeleton, drawSkeletonPdf, renderSkeletonSvg, renderSkeletonPng } from '../utils/skeletonRenderer.js';
+import AppError from '../utils/appError.js';
+import { HTTP_STATUS, SKELETON_FORMATS } from '../config/constants.js';
+
+/**
+ * Units written after a measured value, per metric kind
+ * @private
+ */
+const VALUE_UNITS = {
+  angle: '°',
+  distance: '',
+  ratio: 'x',
+};
+
+// ============================================
+// VIOLATIONS
+// ============================================
+
+/**
+ * formRules a session was scored with
+ * @private
+ * @param {Object} session - Session with scoring.rulesVersion
+ * @param {Object} exercise - Exercise with formRules, rulesVersion and ruleVersions
+ * @returns {Object} The snapshot of the session's rules version when the rules changed
+ *   since, otherwise (or without the snapshot) the current formRules
+ */
+const getScoredFormRules = (session, exercise) => {
+  const version = session?.scoring?.rulesVersion;
+  if (!version || version === (exercise?.rulesVersion || 1)) {
+    return exercise?.formRules;
+  }
+  const snapshot = (exercise?.ruleVersions || []).find((entry) => entry.version === version);
+  return snapshot?.formRules || exercise?.formRules;
+};
+
+/**
+ * Rules a session is evaluated with (its scored rules version, adjusted for
+ * its camera view)
+ * @param {Object} session - Session with viewpoint and scoring
+ * @param {Object} exercise - Exercise with formRules, rulesVersion and +ruleVersions
+ * @returns {Array<Object>} Normalized rules
+ */
+export const getSessionRules = (session, exercise) => {
+  const viewpoint = session?.viewpoint?.toObject ? session.viewpoint.toObject() : session?.viewpoint;
+  return applyViewpointToRules(normalizeFormRules(getScoredFormRules(session, exercise)), viewpoint || null).rules;
+};
+
+/**
+ * Find the rules a frame broke and the joints to highlight for them
+ *
+ * The joints are the keypoint sets the rule is measured from that are tracked
+ * in the frame; the value is written next to the middle joint of the first
+ * set (the vertex of an angle).
+ *
+ * @param {Object} frame - Pose frame with keypoints
+ * @param {Array<Object>} rules - Normalized rules
+ * @param {Object} [context] - Evaluation context (see ruleEngineService.evaluateFrame)
+ * @returns {Array<Object>} Violations { ruleId, metric, label, value, threshold, deviation,
+ *   keypoints, anchor, text }
+ */
+export const findFrameViolations = (frame, rules, context = {}) => {
+  const rulesById = new Map(rules.map((rule) => [rule.id, rule]));
+  const byName = new Map((frame.keypoints || []).map((kp) => [kp.name, kp]));
+
+  return evaluateFrame(frame, rules, context)
+    .results.filter((result) => !result.passed)
+    .map((result) => {
+      const rule = rulesById.get(result.ruleId);
+      const sets = (getRuleKeypointSets(rule) || []).filter((names) =>
+        names.every((name) => isKeypointTracked(byName.get(name)))
+      );
+      const kind = rule.kind || 'angle';
+      return {
+        ruleId: rule.id,
+        metric: rule.metric,
+        label: rule.label || FORM_RULE_METRICS[rule.metric]?.label || rule.metric,
+        value: formatRuleValue(result.value, kind),
+        threshold: result.threshold,
+        deviation: result.deviation,
+        keypoints: [...new Set(sets.flat())],
+        anchor: sets[0]?.[Math.floor(sets[0].length / 2)],
+        text: `${formatRuleValue(result.value, kind)}${VALUE_UNITS[kind] ?? ''}`,
+      };
+    });
+};
+
+/**
+ * Violations of a session frame, evaluated in the rep phase it falls in
+ * @private
+ * @param {Object} session - Session with repAnalysis and viewpoint
+ * @param {Array<Object>} rules - Session rules
+ * @param {Object} frame - Pose frame
+ * @returns {Array<Object>} Violations
+ */
+const findSessionFrameViolations = (session, rules, frame) =>
+  findFrameViolations(frame, rules, {
+    phases: labelPhases([frame], session?.repAnalysis?.reps)[0],
+    torsoLength: needsTorsoLength(rules) ? estimateTorsoLength([frame]) : null,
+  });
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Lay out a session frame with its rule violations highlighted
+ * @param {Object} session - Session with repAnalysis and viewpoint
+ * @param {Object} exercise - Exercise with formRules, rulesVersion and +ruleVersions
+ * @param {Object} frame - Pose frame
+ * @param {Object} [options] - Layout options (width, height, aspectRatio)
+ * @returns {Object} { layout, violations } - layout is null when too few keypoints are tracked
+ */
+export const buildFrameSkeleton = (session, exercise, frame, options = {}) => {
+  const violations = findSessionFrameViolations(session, getSessionRules(session, exercise), frame);
+  return {
+    layout: layoutSkeleton(frame.keypoints, { ...options, highlights: violations }),
+    violations,
+  };
+};
+
+/**
+ * Render one frame of a session as an image
+ * @param {Object} session - Session document (either storage layout)
+ * @param {Object} exercise - Exercise with formRules, rulesVersion and +ruleVersions
+ * @param {number} frameNumber - Frame number
+ * @param {Object} [options] - Image options
+ * @param {string} [options.format='svg'] - 'svg' or 'png'
+ * @param {number} [options.width] - Width in pixels
+ * @param {number} [options.height] - Height in pixels
+ * @returns {Promise<Object>} { contentType, body, frame, timestamp, violations }
+ * @throws {AppError} If the frame doesn't exist or has nothing to draw
+ */
+export const renderSessionFrame = async (session, exercise, frameNumber, options = {}) => {
+  const { format = SKELETON_FORMATS.SVG, width, height } = options;
+
+  const [frame] = await loadSessionFramesByNumber(session, [frameNumber]);
+  if (!frame) {
+    throw new AppError(`Frame ${frameNumber} not found in this session`, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const { layout, violations } = buildFrameSkeleton(session, exercise, frame, { width, height });
+  if (!layout) {
+    throw new AppError(
+      `Frame ${frameNumber} has too few tracked keypoints to draw`,
+      HTTP_STATUS.UNPROCESSABLE_ENTITY
+    );
+  }
+
+  return {
+    contentType: format === SKELETON_FORMATS.PNG ? 'image/png' : 'image/svg+xml',
+    body: format === SKELETON_FORMATS.PNG ? renderSkeletonPng(layout) : renderSkeletonSvg(layout),
+    frame: frame.frame,
+    timestamp: frame.timestamp,
+    violations,
+  };
+};
+
+/**
+ * Draw a session frame into a PDF
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} session - Session with repAnalysis and viewpoint
+ * @param {Object} exercise - Exercise with formRules, rulesVersion and +ruleVersions
+ * @param {Object} frame - Pose frame
+ * @param {number} x - Box left
+ * @param {number} y - Box top
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @returns {Array<Object>|null} The frame's violations, or null if nothing could be drawn
+ */
+export const drawFrameSkeletonPdf = (doc, session, exercise, frame, x, y, width, height) => {
+  const { layout, violations } = buildFrameSkeleton(session, exercise, frame, { width, height });
+  if (!layout) {
+    return null;
+  }
+  drawSkeletonPdf(doc, layout, x, y);
+  return violations;
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  getSessionRules,
+  findFrameViolations,
+  buildFrameSkeleton,
+  renderSessionFrame,
+  drawFrameSkeletonPdf,
+};
@@ -0,0 +1,170 @@
+/**
+ * Symmetry Service
+ *
+ * Compares the left and right side joint angles of a session to spot
+ * imbalances, e.g. one knee consistently bending less than the other.
+ *
+ * Features:
+ * - Per-joint symmetry index from the per-side frame angles
+ * - Session symmetry index and imbalance flag
+ * - Configurable imbalance threshold (per exercise)
+ * - Asymmetry warning feedback for imbalanced joints
+ */
+
+import { calculateSideAngles } from './poseService.js';
+import { SYMMETRY, FEEDBACK_TYPES, FEEDBACK_SEVERITY } from '../config/constants.js';
+
+/**
+ * Human readable joint names and involved keypoints per metric
+ * @private
+ */
+const JOINT_DETAILS = {
+  kneeAngle: { label: 'knee', keypoints: ['left_knee', 'right_knee'] },
+  hipAngle: { label: 'hip', keypoints: ['left_hip', 'right_hip'] },
+  shoulderAngle: { label: 'elbow', keypoints: ['left_elbow', 'right_elbow'] },
+  ankleAngle: { label: 'ankle', keypoints: ['left_ankle', 'right_ankle'] },
+};
+
+/**
+ * Round to one decimal
+ * @private
+ * @param {number} value - Value
+ * @returns {number} Rounded value
+ */
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+/**
+ * Analyze left/right symmetry of a session
+ *
+ * The symmetry index of a joint is the mean absolute left/right difference as
+ * a percentage of the mean angle (0 = perfectly symmetric).
+ *
+ * @param {Array<Object>} frames - Pose frames (sideAngles are calculated when missing)
+ * @param {Object} options - Analysis options
+ * @param {number} [options.threshold] - Imbalance threshold in % (defaults to SYMMETRY.IMBALANCE_THRESHOLD)
+ * @returns {Object|undefined} { index, threshold, flagged, joints }, or undefined without usable frames
+ */
+export const analyzeSymmetry = (frames, options = {}) => {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    return undefined;
+  }
+
+  const threshold = typeof options.threshold === 'number' ? options.threshold : SYMMETRY.IMBALANCE_THRESHOLD;
+  const sideAngles = frames.map((frame) => frame.sideAngles || calculateSideAngles(frame));
+
+  const joints = [];
+  SYMMETRY.METRICS.forEach((metric) => {
+    const pairs = [];
+    sideAngles.forEach((angles, index) => {
+      const left = angles?.left?.[metric];
+      const right = angles?.right?.[metric];
+      if (typeof left === 'number' && typeof right === 'number') {
+        pairs.push({ left, right, index });
+      }
+    });
+
+    if (pairs.length < SYMMETRY.MIN_FRAMES) {
+      return;
+    }
+
+    let leftSum = 0;
+    let rightSum = 0;
+    let differenceSum = 0;
+    let peak = pairs[0];
+    pairs.forEach((pair) => {
+      const difference = Math.abs(pair.left - pair.right);
+      leftSum += pair.left;
+      rightSum += pair.right;
+      differenceSum += difference;
+      if (difference > Math.abs(peak.left - peak.right)) {
+        peak = pair;
+      }
+    });
+
+    const leftAverage = leftSum / pairs.length;
+    const rightAverage = rightSum / pairs.length;
+    const meanDifference = differenceSum / pairs.length;
+    const meanAngle = (leftAverage + rightAverage) / 2;
+    const symmetryIndex = meanAngle > 0 ? (meanDifference / meanAngle) * 100 : 0;
+    const peakFrame = frames[peak.index];
+
+    joints.push({
+      metric,
+      frames: pairs.length,
+      leftAverage: round1(leftAverage),
+      rightAverage: round1(rightAverage),
+      meanDifference: round1(meanDifference),
+      maxDifference: round1(Math.abs(peak.left - peak.right)),
+      maxDifferenceFrame: peakFrame.frame,
+      maxDifferenceTime: peakFrame.timestamp,
+      symmetryIndex: round1(symmetryIndex),
+      flagged: symmetryIndex > threshold,
+    });
+  });
+
+  if (joints.length === 0) {
+    return undefined;
+  }
+
+  const index = joints.reduce((sum, joint) => sum + joint.symmetryIndex, 0) / joints.length;
+
+  return {
+    index: round1(index),
+    threshold,
+    flagged: joints.some((joint) => joint.flagged),
+    joints,
+  };
+};
+
+// ============================================
+// FEEDBACK GENERATION
+// ============================================
+
+/**
+ * Generate asymmetry warnings for the joints flagged by analyzeSymmetry
+ * @param {Object} symmetry - Output of analyzeSymmetry
+ * @returns {Array<Object>} Feedback payloads (without sessionId)
+ */
+export const generateSymmetryFeedback = (symmetry) => {
+  if (!symmetry?.joints) {
+    return [];
+  }
+
+  return symmetry.joints
+    .filter((joint) => joint.flagged)
+    .map((joint) => {
+      const details = JOINT_DETAILS[joint.metric] || { label: joint.metric, keypoints: [] };
+      // A larger joint angle means the joint bends less on that side
+      const stifferSide = joint.leftAverage > joint.rightAverage ? 'left' : 'right';
+
+      return {
+        type: FEEDBACK_TYPES.WARNING,
+        severity: FEEDBACK_SEVERITY.WARNING,
+        message: `Your left and right ${details.label} angles differ by ${joint.symmetryIndex}% on average (left ${Math.round(joint.leftAverage)}°, right ${Math.round(joint.rightAverage)}°)`,
+        suggestion: `Your ${stifferSide} ${details.label} bends less than the other side. Slow down and focus on moving both sides evenly.`,
+        timestamp: joint.maxDifferenceTime || 0,
+        keypoints: details.keypoints,
+        aiGenerated: false,
+        confidence: 0.8,
+        metadata: {
+          ruleId: `symmetry_${joint.metric}`,
+          angleValue: joint.maxDifference,
+          threshold: symmetry.threshold,
+          frameNumber: joint.maxDifferenceFrame,
+        },
+      };
+    });
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  analyzeSymmetry,
+  generateSymmetryFeedback,
+};
@@ -0,0 +1,340 @@
+/**
+ * Tempo Service
+ *
+ * Measures how long each rep spends in its eccentric, bottom pause and
+ * concentric phases and compares the timing to the exercise's optional tempo
+ * prescription (e.g. 3-1-1).
+ *
+ * Features:
+ * - Tempo prescription parsing ("3-1-1", "3-1-X" or { eccentric, pause, concentric })
+ * - Per-rep phase timing from the detected rep boundaries
+ * - Session averages and time under tension
+ * - Improvement feedback for phases that are consistently off tempo
+ */
+
+import AppError from '../utils/appError.js';
+import {
+  HTTP_STATUS,
+  TEMPO,
+  TEMPO_PHASES,
+  TEMPO_PHASES_ARRAY,
+  FEEDBACK_TYPES,
+  FEEDBACK_SEVERITY,
+} from '../config/constants.js';
+
+/**
+ * Phases measured for every rep, in prescription order
+ */
+export const TEMPO_PHASE_KEYS = ['eccentric', 'pause', 'concentric'];
+
+/**
+ * Coaching cues per phase and direction
+ * @private
+ */
+const PHASE_DETAILS = {
+  eccentric: {
+    label: 'lowering phase',
+    suggestions: {
+      fast: 'Slow down and control the lowering phase.',
+      slow: 'Lower a little faster to stay on the prescribed tempo.',
+    },
+  },
+  pause: {
+    label: 'pause at the bottom',
+    suggestions: {
+      fast: 'Hold the bottom position for the full prescribed pause.',
+      slow: 'Shorten the pause at the bottom and drive back up sooner.',
+    },
+  },
+  concentric: {
+    label: 'lifting phase',
+    suggestions: {
+      fast: 'Lift under control instead of bouncing out of the bottom.',
+      slow: 'Drive up with more intent on the lifting phase.',
+    },
+  },
+};
+
+/**
+ * Round seconds to two decimals
+ * @private
+ * @param {number} value - Seconds
+ * @returns {number} Rounded seconds
+ */
+const roundSeconds = (value) => Math.round(value * 100) / 100;
+
+// ============================================
+// PRESCRIPTION
+// ============================================
+
+/**
+ * Parse and validate a tempo prescription
+ * @param {string|Object} tempo - "3-1-1", "3-1-X", "2-0-X-1" or { eccentric, pause,
+ *   concentric, explosive, firstPhase }
+ * @returns {Object|null} Normalized prescription, or null when tempo is empty
+ * @throws {AppError} If the prescription is invalid
+ */
+export const parseTempo = (tempo) => {
+  if (tempo === undefined || tempo === null || tempo === '') {
+    return null;
+  }
+
+  let prescription = tempo?.toObject ? tempo.toObject() : tempo;
+
+  if (typeof prescription === 'string') {
+    // An X concentric is explosive: as fast as possible, so it has no duration
+    // to check. A fourth number, the pause at the top, is accepted but not
+    // checked - reps are split there
+    const parts = prescription.split('-').map((part) => part.trim().toUpperCase());
+    const isPhase = (part, index) =>
+      (part !== '' && !isNaN(Number(part))) || (part === TEMPO.EXPLOSIVE && index === 2);
+    if (parts.length < 3 || parts.length > 4 || !parts.every(isPhase)) {
+      throw new AppError(
+        'Tempo must be in the form eccentric-pause-concentric, e.g. 3-1-1, 3-1-X or 2-0-X-1 (X = explosive)',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    const [eccentric, pause, concentric] = parts.map((part) => (part === TEMPO.EXPLOSIVE ? undefined : Number(part)));
+    prescription = { eccentric, pause, concentric, explosive: parts[2] === TEMPO.EXPLOSIVE };
+  }
+
+  if (typeof prescription !== 'object') {
+    throw new AppError('Tempo must be a string or an object', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // A 0 second concentric can only mean explosive
+  const explosive = prescription.explosive === true || prescription.concentric === 0;
+  if (explosive && prescription.concentric) {
+    throw new AppError('Tempo concentric cannot be both explosive and timed', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const normalized = {};
+  for (const phase of TEMPO_PHASE_KEYS) {
+    const value = prescription[phase];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (typeof value !== 'number' || isNaN(value) || value < 0 || value > TEMPO.MAX_PHASE_SECONDS) {
+      throw new AppError(
+        `Tempo ${phase} must be a number between 0 and ${TEMPO.MAX_PHASE_SECONDS} seconds`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    normalized[phase] = value;
+  }
+  if (explosive) {
+    delete normalized.concentric;
+    normalized.explosive = true;
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    throw new AppError('Tempo must prescribe at least one phase', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const firstPhase = prescription.firstPhase || TEMPO_PHASES.ECCENTRIC;
+  if (!TEMPO_PHASES_ARRAY.includes(firstPhase)) {
+    throw new AppError(
+      `Tempo firstPhase must be one of: ${TEMPO_PHASES_ARRAY.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return { ...normalized, firstPhase };
+};
+
+/**
+ * Format a tempo as "3-1-1", using "X" for an explosive concentric and
+ * leaving phases that are not set empty ("3--")
+ * @param {Object} tempo - { eccentric, pause, concentric, explosive }
+ * @returns {string} Formatted tempo
+ */
+export const formatTempo = (tempo) =>
+  TEMPO_PHASE_KEYS.map((phase) => {
+    if (phase === 'concentric' && tempo?.explosive) {
+      return TEMPO.EXPLOSIVE;
+    }
+    return typeof tempo?.[phase] === 'number' ? roundSeconds(tempo[phase]) : '';
+  }).join('-');
+
+// ============================================
+// MEASUREMENT
+// ============================================
+
+/**
+ * Measure the phase durations of a single rep
+ *
+ * The rep goes out from rest, pauses at the bottom and returns. Which of the
+ * outgoing/returning halves is eccentric depends on the exercise: a squat
+ * lowers first, a curl lifts first.
+ *
+ * @param {Object} rep - Rep from repDetectionService.detectReps
+ * @param {string} [firstPhase] - TEMPO_PHASES value for the outgoing half
+ * @returns {Object|null} { eccentric, pause, concentric } in seconds
+ */
+export const measureRepTempo = (rep, firstPhase = TEMPO_PHASES.ECCENTRIC) => {
+  const times = [rep?.startTime, rep?.pauseStartTime, rep?.pauseEndTime, rep?.endTime];
+  if (times.some((time) => typeof time !== 'number')) {
+    return null;
+  }
+
+  const outgoing = Math.max(0, rep.pauseStartTime - rep.startTime);
+  const pause = Math.max(0, rep.pauseEndTime - rep.pauseStartTime);
+  const returning = Math.max(0, rep.endTime - rep.pauseEndTime);
+  const eccentricFirst = firstPhase !== TEMPO_PHASES.CONCENTRIC;
+
+  return {
+    eccentric: roundSeconds(eccentricFirst ? outgoing : returning),
+    pause: roundSeconds(pause),
+    concentric: roundSeconds(eccentricFirst ? returning : outgoing),
+  };
+};
+
+/**
+ * Check a measured phase duration against its prescription
+ * @private
+ * @param {number} actual - Measured seconds
+ * @param {number} prescribed - Prescribed seconds
+ * @returns {number} Signed deviation in seconds (0 when within tolerance)
+ */
+const phaseDeviation = (actual, prescribed) => {
+  const tolerance = Math.max(TEMPO.TOLERANCE_SECONDS, prescribed * TEMPO.TOLERANCE_RATIO);
+  const difference = actual - prescribed;
+  return Math.abs(difference) <= tolerance ? 0 : roundSeconds(difference);
+};
+
+/**
+ * Analyze the tempo of every rep in a session
+ *
+ * Adds a `tempo` object to each rep in place and returns the session summary.
+ * An explosive concentric is not timed, so it never puts a rep off tempo.
+ *
+ * @param {Array<Object>} reps - Reps from repDetectionService.detectReps
+ * @param {string|Object} [prescription] - Exercise tempo prescription
+ * @returns {Object|undefined} { prescribed, average, timeUnderTension, onTempoReps }
+ */
+export const analyzeTempo = (reps, prescription) => {
+  if (!Array.isArray(reps) || reps.length === 0) {
+    return undefined;
+  }
+
+  const prescribed = parseTempo(prescription);
+  const firstPhase = prescribed?.firstPhase || TEMPO_PHASES.ECCENTRIC;
+
+  const measured = [];
+  reps.forEach((rep) => {
+    const tempo = measureRepTempo(rep, firstPhase);
+    if (!tempo) {
+      return;
+    }
+
+    if (prescribed) {
+      const deviation = {};
+      TEMPO_PHASE_KEYS.forEach((phase) => {
+        if (typeof prescribed[phase] === 'number') {
+          deviation[phase] = phaseDeviation(tempo[phase], prescribed[phase]);
+        }
+      });
+      tempo.deviation = deviation;
+      tempo.onTempo = Object.values(deviation).every((value) => value === 0);
+    }
+
+    rep.tempo = tempo;
+    measured.push(tempo);
+  });
+
+  if (measured.length === 0) {
+    return undefined;
+  }
+
+  const average = {};
+  TEMPO_PHASE_KEYS.forEach((phase) => {
+    average[phase] = roundSeconds(measured.reduce((sum, tempo) => sum + tempo[phase], 0) / measured.length);
+  });
+
+  const timeUnderTension = roundSeconds(
+    measured.reduce((sum, tempo) => sum + tempo.eccentric + tempo.pause + tempo.concentric, 0)
+  );
+
+  return {
+    prescribed: prescribed || undefined,
+    average,
+    timeUnderTension,
+    onTempoReps: prescribed ? measured.filter((tempo) => tempo.onTempo).length : undefined,
+  };
+};
+
+// ============================================
+// FEEDBACK GENERATION
+// ============================================
+
+/**
+ * Generate improvement feedback for phases that are off tempo
+ *
+ * A phase produces one feedback item when its session average is outside the
+ * tolerance. The item is anchored at the rep that deviated the most.
+ *
+ * @param {Array<Object>} reps - Reps with tempo measured by analyzeTempo
+ * @param {Object} summary - Output of analyzeTempo
+ * @returns {Array<Object>} Feedback payloads (without sessionId)
+ */
+export const generateTempoFeedback = (reps, summary) => {
+  const prescribed = summary?.prescribed;
+  if (!prescribed) {
+    return [];
+  }
+
+  const timedReps = reps.filter((rep) => rep.tempo?.deviation);
+  const feedback = [];
+
+  TEMPO_PHASE_KEYS.forEach((phase) => {
+    if (typeof prescribed[phase] !== 'number') {
+      return;
+    }
+    if (phaseDeviation(summary.average[phase], prescribed[phase]) === 0) {
+      return;
+    }
+
+    const worst = timedReps.reduce(
+      (current, rep) =>
+        !current || Math.abs(rep.tempo.deviation[phase]) > Math.abs(current.tempo.deviation[phase]) ? rep : current,
+      null
+    );
+    if (!worst) {
+      return;
+    }
+
+    const details = PHASE_DETAILS[phase];
+    const direction = summary.average[phase] < prescribed[phase] ? 'fast' : 'slow';
+
+    feedback.push({
+      type: FEEDBACK_TYPES.IMPROVEMENT,
+      severity: FEEDBACK_SEVERITY.WARNING,
+      message: `Your ${details.label} averaged ${summary.average[phase]}s; the prescribed tempo is ${prescribed[phase]}s (${formatTempo(prescribed)})`,
+      suggestion: details.suggestions[direction],
+      timestamp: worst.startTime || 0,
+      keypoints: [],
+      aiGenerated: false,
+      confidence: 0.8,
+      metadata: {
+        ruleId: `tempo_${phase}`,
+        threshold: prescribed[phase],
+        frameNumber: worst.startFrame,
+      },
+    });
+  });
+
+  return feedback;
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  TEMPO_PHASE_KEYS,
+  parseTempo,
+  formatTempo,
+  measureRepTempo,
+  analyzeTempo,
+  generateTempoFeedback,
+};
@@ -0,0 +1,282 @@
+/**
+ * Viewpoint Service
+ *
+ * Infers where the camera saw the user from and which joint angles can be
+ * trusted from there. Angles are measured on the 2D image, so a flexion angle
+ * is only meaningful when the camera looks across the plane it bends in: a
+ * knee angle filmed from the front says nothing about squat depth.
+ *
+ * Features:
+ * - Per-frame view (front, side, oblique) from shoulder/hip width relative to
+ *   torso length and from left/right keypoint visibility
+ * - Session view by majority over the frames, with its share as confidence
+ * - Angle reliability per view
+ * - Skipping or downgrading rules on unreliable angles
+ * - Info feedback explaining which checks were affected and how to film instead
+ */
+
+import { getBodyReference, estimateTorsoLength } from '../utils/poseNormalization.js';
+import { getKeypointByName } from './poseService.js';
+import {
+  CAMERA_VIEWS,
+  VIEWPOINT,
+  KEYPOINT_CONFIDENCE_THRESHOLD,
+  FEEDBACK_TYPES,
+  FEEDBACK_SEVERITY,
+} from '../config/constants.js';
+
+/**
+ * Keypoints compared between the left and right side for occlusion
+ * @private
+ */
+const SIDE_JOINTS = ['shoulder', 'elbow', 'wrist', 'hip', 'knee', 'ankle'];
+
+/**
+ * Human readable angle names for feedback
+ * @private
+ */
+const ANGLE_LABELS = {
+  kneeAngle: 'knee',
+  hipAngle: 'hip',
+  backAngle: 'back',
+  shoulderAngle: 'arm',
+  ankleAngle: 'ankle',
+};
+
+/**
+ * Round to a number of decimals
+ * @private
+ * @param {number} value - Value
+ * @param {number} [decimals=2] - Decimals
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// ============================================
+// VIEW DETECTION
+// ============================================
+
+/**
+ * Horizontal distance between the left and right keypoint of a joint
+ * @private
+ * @param {Object} frame - Pose frame
+ * @param {string} joint - Joint name without side, e.g. 'shoulder'
+ * @returns {number|null} Width in normalized image units, or null if a side isn't tracked
+ */
+const pairWidth = (frame, joint) => {
+  const left = getKeypointByName(frame, `left_${joint}`);
+  const right = getKeypointByName(frame, `right_${joint}`);
+  if (
+    !left ||
+    !right ||
+    (left.confidence ?? 1) < KEYPOINT_CONFIDENCE_THRESHOLD ||
+    (right.confidence ?? 1) < KEYPOINT_CONFIDENCE_THRESHOLD
+  ) {
+    return null;
+  }
+  return Math.abs(left.x - right.x);
+};
+
+/**
+ * Mean keypoint confidence of one side of the body (missing keypoints count as 0)
+ * @private
+ * @param {Object} frame - Pose frame
+ * @param {string} side - 'left' or 'right'
+ * @returns {number} Mean confidence
+ */
+const sideVisibility = (frame, side) =>
+  SIDE_JOINTS.reduce((sum, joint) => {
+    const keypoint = getKeypointByName(frame, `${side}_${joint}`);
+    return sum + (keypoint ? keypoint.confidence ?? 1 : 0);
+  }, 0) / SIDE_JOINTS.length;
+
+/**
+ * Infer the camera view of one frame
+ * @param {Object} frame - Pose frame
+ * @param {number} [torsoLength] - Session torso length (the frame's own when omitted);
+ *   the median is steadier because leaning towards the camera shortens the torso
+ * @returns {Object|null} { view, widthRatio, asymmetry }, or null if the torso isn't visible
+ */
+export const detectFrameView = (frame, torsoLength) => {
+  const scale = torsoLength || getBodyReference(frame?.keypoints)?.torsoLength;
+  if (!scale) {
+    return null;
+  }
+
+  const asymmetry = Math.abs(sideVisibility(frame, 'left') - sideVisibility(frame, 'right'));
+  const widths = [pairWidth(frame, 'shoulder'), pairWidth(frame, 'hip')].filter((width) => width !== null);
+
+  // Without both shoulders or both hips only occlusion is left to go by
+  if (widths.length === 0) {
+    return asymmetry >= VIEWPOINT.VISIBILITY_ASYMMETRY
+      ? { view: CAMERA_VIEWS.SIDE, widthRatio: null, asymmetry }
+      : null;
+  }
+
+  const widthRatio = widths.reduce((sum, width) => sum + width, 0) / widths.length / scale;
+  let view = CAMERA_VIEWS.OBLIQUE;
+  if (widthRatio >= VIEWPOINT.FRONT_MIN_WIDTH_RATIO) {
+    view = CAMERA_VIEWS.FRONT;
+  } else if (widthRatio <= VIEWPOINT.SIDE_MAX_WIDTH_RATIO || asymmetry >= VIEWPOINT.VISIBILITY_ASYMMETRY) {
+    view = CAMERA_VIEWS.SIDE;
+  }
+
+  return { view, widthRatio, asymmetry };
+};
+
+/**
+ * Infer the camera view of a session
+ * @param {Array<Object>} frames - Pose frames
+ * @returns {Object|null} { view, confidence, widthRatio, analyzedFrames, distribution, angleReliability },
+ *   or null if too few frames could be classified
+ */
+export const detectViewpoint = (frames) => {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    return null;
+  }
+
+  const torsoLength = estimateTorsoLength(frames);
+  const detections = frames.map((frame) => detectFrameView(frame, torsoLength)).filter(Boolean);
+  if (detections.length < VIEWPOINT.MIN_FRAMES) {
+    return null;
+  }
+
+  const counts = Object.fromEntries(Object.values(CAMERA_VIEWS).map((view) => [view, 0]));
+  detections.forEach((detection) => {
+    counts[detection.view] += 1;
+  });
+  const view = Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+
+  const ratios = detections
+    .map((detection) => detection.widthRatio)
+    .filter((ratio) => ratio !== null)
+    .sort((a, b) => a - b);
+
+  return {
+    view,
+    confidence: round(counts[view] / detections.length),
+    widthRatio: ratios.length > 0 ? round(ratios[Math.floor(ratios.length / 2)]) : null,
+    analyzedFrames: detections.length,
+    distribution: Object.fromEntries(
+      Object.entries(counts).map(([name, count]) => [name, round(count / detections.length)])
+    ),
+    angleReliability: { ...VIEWPOINT.ANGLE_RELIABILITY[view] },
+  };
+};
+
+/**
+ * Whether an angle can be measured from a view
+ * @param {string} metric - Angle metric, e.g. 'kneeAngle'
+ * @param {Object|null} viewpoint - Result of detectViewpoint
+ * @returns {boolean} True when reliable, or when the view or metric is unknown
+ */
+export const isAngleReliable = (metric, viewpoint) => viewpoint?.angleReliability?.[metric] !== false;
+
+// ============================================
+// RULE ADJUSTMENT
+// ============================================
+
+/**
+ * Skip or downgrade rules whose angle is unreliable from the session's view
+ * @param {Array<Object>} rules - Normalized rules
+ * @param {Object|null} viewpoint - Result of detectViewpoint
+ * @returns {Object} { rules, skippedRules, downgradedRules } - Rules to evaluate (downgraded ones
+ *   flagged with downgraded: true) and the affected rules as { ruleId, metric }
+ */
+export const applyViewpointToRules = (rules, viewpoint) => {
+  const skippedRules = [];
+  const downgradedRules = [];
+  if (!viewpoint) {
+    return { rules, skippedRules, downgradedRules };
+  }
+
+  const action = VIEWPOINT.UNRELIABLE_ACTIONS[viewpoint.view];
+  const adjusted = [];
+  rules.forEach((rule) => {
+    if (isAngleReliable(rule.metric, viewpoint)) {
+      adjusted.push(rule);
+    } else if (action === 'downgrade') {
+      downgradedRules.push({ ruleId: rule.id, metric: rule.metric });
+      adjusted.push({ ...rule, downgraded: true });
+    } else {
+      skippedRules.push({ ruleId: rule.id, metric: rule.metric });
+    }
+  });
+
+  return { rules: adjusted, skippedRules, downgradedRules };
+};
+
+// ============================================
+// FEEDBACK
+// ============================================
+
+/**
+ * Join angle labels into a sentence fragment ("knee, hip and back")
+ * @private
+ * @param {Array<string>} metrics - Angle metrics
+ * @returns {string} Labels
+ */
+const joinLabels = (metrics) => {
+  const labels = [...new Set(metrics.map((metric) => ANGLE_LABELS[metric] || metric))];
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+};
+
+/**
+ * Generate an info item explaining rules that were skipped or downgraded
+ * @param {Object|null} viewpoint - Session viewpoint with skippedRules / downgradedRules
+ * @returns {Array<Object>} Feedback entries
+ */
+export const generateViewpointFeedback = (viewpoint) => {
+  if (!viewpoint) {
+    return [];
+  }
+
+  const affected = [...(viewpoint.skippedRules || []), ...(viewpoint.downgradedRules || [])];
+  if (affected.length === 0) {
+    return [];
+  }
+
+  const metrics = affected.map((rule) => rule.metric);
+  const skipped = (viewpoint.skippedRules || []).length > 0;
+
+  // Suggest the first view from which every affected angle could be measured
+  const betterView = [CAMERA_VIEWS.SIDE, CAMERA_VIEWS.OBLIQUE, CAMERA_VIEWS.FRONT].find(
+    (view) => view !== viewpoint.view && metrics.every((metric) => VIEWPOINT.ANGLE_RELIABILITY[view]?.[metric] !== false)
+  );
+
+  return [
+    {
+      type: FEEDBACK_TYPES.INFO,
+      severity: FEEDBACK_SEVERITY.INFO,
+      message: skipped
+        ? `Your camera filmed you from the ${viewpoint.view}, so your ${joinLabels(
+            metrics
+          )} angles couldn't be measured reliably and those checks were skipped`
+        : `Your camera filmed you at an ${viewpoint.view} angle, so your ${joinLabels(
+            metrics
+          )} angles may be inaccurate and count for less in your score`,
+      suggestion: betterView
+        ? `Film from the ${betterView}, with the camera at about hip height, to get feedback on these angles.`
+        : undefined,
+      timestamp: 0,
+      keypoints: [],
+      aiGenerated: false,
+      confidence: viewpoint.confidence,
+      metadata: {
+        ruleId: 'camera_viewpoint',
+      },
+    },
+  ];
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  detectFrameView,
+  detectViewpoint,
+  isAngleReliable,
+  applyViewpointToRules,
+  generateViewpointFeedback,
+};
@@ -0,0 +1,81 @@
+/**
+ * Downsampling
+ *
+ * Reduces long time series to a fixed number of points for charts while
+ * keeping their visual shape. Largest-Triangle-Three-Buckets (LTTB) splits
+ * the series into buckets and keeps, from each bucket, the point forming the
+ * largest triangle with the point kept before it and the average of the next
+ * bucket - peaks and valleys (the bottom of every rep) survive, flat stretches
+ * are thinned out.
+ */
+
+// ============================================
+// LTTB
+// ============================================
+
+/**
+ * Downsample a series with Largest-Triangle-Three-Buckets
+ * @param {Array<Object>} points - Points sorted by x
+ * @param {number} threshold - Points to keep (the first and last point are always kept)
+ * @param {Object} [options] - Point accessors
+ * @param {string} [options.x='x'] - Property holding the x value (e.g. 'timestamp')
+ * @param {string} [options.y='y'] - Property holding the y value
+ * @returns {Array<Object>} The kept points (the original objects), in order
+ */
+export const downsampleLTTB = (points, threshold, options = {}) => {
+  const { x = 'x', y = 'y' } = options;
+  if (!Array.isArray(points) || threshold >= points.length || threshold < 3) {
+    return Array.isArray(points) ? [...points] : [];
+  }
+
+  const sampled = [points[0]];
+  // First and last points are kept, the rest are split into threshold - 2 buckets
+  const bucketSize = (points.length - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let bucket = 0; bucket < threshold - 2; bucket++) {
+    // Average of the next bucket (the last point for the last bucket)
+    const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, points.length);
+    let avgX = 0;
+    let avgY = 0;
+    for (let i = nextStart; i < nextEnd; i++) {
+      avgX += points[i][x];
+      avgY += points[i][y];
+    }
+    const nextCount = nextEnd - nextStart;
+    avgX /= nextCount;
+    avgY /= nextCount;
+
+    // Point of this bucket with the largest triangle
+    const start = Math.floor(bucket * bucketSize) + 1;
+    const end = Math.floor((bucket + 1) * bucketSize) + 1;
+    const anchorX = points[previous][x];
+    const anchorY = points[previous][y];
+    let maxArea = -1;
+    let selected = start;
+    for (let i = start; i < end; i++) {
+      const area = Math.abs(
+        (anchorX - avgX) * (points[i][y] - anchorY) - (anchorX - points[i][x]) * (avgY - anchorY)
+      );
+      if (area > maxArea) {
+        maxArea = area;
+        selected = i;
+      }
+    }
+
+    sampled.push(points[selected]);
+    previous = selected;
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  downsampleLTTB,
+};
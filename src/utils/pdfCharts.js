@@ -0,0 +1,254 @@
+/**
+ * PDF Charts
+ *
+ * Line charts drawn directly with pdfkit vector operations, so reports are
+ * rendered entirely on the server without a browser or canvas.
+ *
+ * A chart has one or more series of { x, y } points (a null y breaks the
+ * line), optional horizontal bands (e.g. the target range of a form rule)
+ * and optional vertical markers (e.g. the moments feedback was given).
+ */
+
+import { PDF_CHARTS } from '../config/constants.js';
+
+// ============================================
+// SCALES
+// ============================================
+
+/**
+ * Round a step up to 1, 2 or 5 times a power of ten
+ * @private
+ * @param {number} range - Domain size
+ * @param {number} count - Desired number of ticks
+ * @returns {number} Tick step
+ */
+const niceStep = (range, count) => {
+  const raw = range / count;
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const normalized = raw / magnitude;
+  const step = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return step * magnitude;
+};
+
+/**
+ * Domain covering values, widened to whole ticks
+ * @private
+ * @param {Array<number>} values - Values (at least one)
+ * @param {number} ticks - Desired number of ticks
+ * @returns {Object} { min, max, step }
+ */
+const niceDomain = (values, ticks) => {
+  let min = values.reduce((a, b) => Math.min(a, b), Infinity);
+  let max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+  if (min === max) {
+    min -= 1;
+    max += 1;
+  }
+  const step = niceStep(max - min, ticks);
+  return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+};
+
+/**
+ * Format a tick value
+ * @private
+ * @param {number} value - Value
+ * @returns {string} Whole numbers, or one decimal for small steps
+ */
+const defaultFormat = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1));
+
+// ============================================
+// LINE CHART
+// ============================================
+
+/**
+ * Draw a line chart
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {number} x - Chart left
+ * @param {number} y - Chart top
+ * @param {number} width - Chart width
+ * @param {number} height - Chart height (title and axis labels included, legend excluded)
+ * @param {Object} chart - Chart definition
+ * @param {string} [chart.title] - Title above the plot
+ * @param {Array<Object>} chart.series - Series { label, color?, points: [{ x, y }], dots? }
+ * @param {Array<Object>} [chart.bands] - Horizontal bands { from?, to?, label?, color? };
+ *   an open end extends to the edge of the plot
+ * @param {Array<Object>} [chart.markers] - Vertical markers { x, color? }
+ * @param {Array<number>} [chart.yDomain] - Fixed [min, max] of the y axis
+ * @param {Function} [chart.formatX] - x tick label formatter
+ * @param {Function} [chart.formatY] - y tick label formatter
+ * @returns {number} Y position below the chart and its legend
+ */
+export const drawLineChart = (doc, x, y, width, height, chart) => {
+  const {
+    title,
+    series = [],
+    bands = [],
+    markers = [],
+    yDomain,
+    formatX = defaultFormat,
+    formatY = defaultFormat,
+  } = chart;
+  const plot = {
+    left: x + 34,
+    top: y + (title ? 14 : 4),
+    right: x + width - 6,
+    bottom: y + height - 14,
+  };
+
+  const points = series.flatMap((line) => line.points.filter((point) => typeof point.y === 'number'));
+  if (points.length === 0) {
+    return y;
+  }
+
+  // Domains - band edges are kept in view
+  const xValues = [...points.map((point) => point.x), ...markers.map((marker) => marker.x)];
+  const xMin = xValues.reduce((a, b) => Math.min(a, b), Infinity);
+  const xMax = Math.max(xValues.reduce((a, b) => Math.max(a, b), -Infinity), xMin + 1);
+  const yScale = yDomain
+    ? { min: yDomain[0], max: yDomain[1], step: niceStep(yDomain[1] - yDomain[0], 4) }
+    : niceDomain(
+        [
+          ...points.map((point) => point.y),
+          ...bands.flatMap((band) => [band.from, band.to]).filter((value) => typeof value === 'number'),
+        ],
+        4
+      );
+  const scaleX = (value) => plot.left + ((value - xMin) / (xMax - xMin)) * (plot.right - plot.left);
+  const scaleY = (value) =>
+    plot.bottom - ((value - yScale.min) / (yScale.max - yScale.min)) * (plot.bottom - plot.top);
+
+  doc.save();
+
+  if (title) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor('black').text(title, x, y, { lineBreak: false });
+  }
+
+  // Grid and y axis labels
+  doc.font('Helvetica').fontSize(7);
+  for (let tick = yScale.min; tick <= yScale.max + yScale.step / 1000; tick += yScale.step) {
+    const tickY = scaleY(tick);
+    doc.lineWidth(0.3).strokeColor('#e5e5e5').moveTo(plot.left, tickY).lineTo(plot.right, tickY).stroke();
+    doc.fillColor('gray').text(formatY(tick), x, tickY - 3, { width: 30, align: 'right', lineBreak: false });
+  }
+
+  // x axis labels (first, last and three in between)
+  for (let index = 0; index <= 4; index++) {
+    const value = xMin + ((xMax - xMin) * index) / 4;
+    const label = formatX(value);
+    const labelWidth = doc.widthOfString(label);
+    const left = Math.min(Math.max(scaleX(value) - labelWidth / 2, plot.left), plot.right - labelWidth);
+    doc.fillColor('gray').text(label, left, plot.bottom + 4, { lineBreak: false });
+  }
+
+  // Everything data related stays inside the plot
+  doc.save();
+  doc.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top).clip();
+
+  bands.forEach((band) => {
+    const top = scaleY(typeof band.to === 'number' ? Math.min(band.to, yScale.max) : yScale.max);
+    const bottom = scaleY(typeof band.from === 'number' ? Math.max(band.from, yScale.min) : yScale.min);
+    if (bottom <= top) {
+      return;
+    }
+    const color = band.color || PDF_CHARTS.BAND_COLOR;
+    doc
+      .fillColor(color)
+      .fillOpacity(0.12)
+      .rect(plot.left, top, plot.right - plot.left, bottom - top)
+      .fill();
+    doc.fillOpacity(1).lineWidth(0.5).strokeColor(color).dash(3, { space: 2 });
+    [band.from, band.to]
+      .filter((value) => typeof value === 'number')
+      .forEach((value) => {
+        doc.moveTo(plot.left, scaleY(value)).lineTo(plot.right, scaleY(value)).stroke();
+      });
+    doc.undash();
+  });
+
+  markers.forEach((marker) => {
+    const markerX = scaleX(marker.x);
+    const color = marker.color || PDF_CHARTS.MARKER_COLORS.info;
+    doc.lineWidth(0.5).strokeColor(color).dash(1, { space: 2 });
+    doc.moveTo(markerX, plot.top).lineTo(markerX, plot.bottom).stroke();
+    doc.undash();
+    doc
+      .fillColor(color)
+      .polygon([markerX - 3, plot.top], [markerX + 3, plot.top], [markerX, plot.top + 4])
+      .fill();
+  });
+
+  series.forEach((line, index) => {
+    const color = line.color || PDF_CHARTS.PALETTE[index % PDF_CHARTS.PALETTE.length];
+    doc.lineWidth(1).strokeColor(color).fillColor(color);
+    let drawing = false;
+    line.points.forEach((point) => {
+      if (typeof point.y !== 'number') {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        doc.lineTo(scaleX(point.x), scaleY(point.y));
+      } else {
+        doc.moveTo(scaleX(point.x), scaleY(point.y));
+        drawing = true;
+      }
+    });
+    doc.stroke();
+    const defined = line.points.filter((point) => typeof point.y === 'number');
+    if (line.dots || defined.length === 1) {
+      defined.forEach((point) => {
+        doc.circle(scaleX(point.x), scaleY(point.y), 1.5).fill();
+      });
+    }
+  });
+
+  doc.restore();
+
+  doc
+    .lineWidth(0.5)
+    .strokeColor('#cccccc')
+    .rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top)
+    .stroke();
+
+  // Legend for several series or labelled bands
+  const legend = [
+    ...(series.length > 1
+      ? series.map((line, index) => ({
+          label: line.label,
+          color: line.color || PDF_CHARTS.PALETTE[index % PDF_CHARTS.PALETTE.length],
+        }))
+      : []),
+    ...bands
+      .filter((band) => band.label)
+      .map((band) => ({ label: band.label, color: band.color || PDF_CHARTS.BAND_COLOR })),
+  ];
+  let bottom = y + height;
+  if (legend.length > 0) {
+    let legendX = plot.left;
+    let legendY = bottom + 2;
+    doc.fontSize(7);
+    legend.forEach((entry) => {
+      const entryWidth = 12 + doc.widthOfString(entry.label) + 10;
+      if (legendX + entryWidth > plot.right && legendX > plot.left) {
+        legendX = plot.left;
+        legendY += 10;
+      }
+      doc.rect(legendX, legendY + 1, 8, 5).fillColor(entry.color).fill();
+      doc.fillColor('black').text(entry.label, legendX + 12, legendY, { lineBreak: false });
+      legendX += entryWidth;
+    });
+    bottom = legendY + 12;
+  }
+
+  doc.restore();
+  doc.fillColor('black').strokeColor('black').lineWidth(1).font('Helvetica');
+  return bottom;
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  drawLineChart,
+};
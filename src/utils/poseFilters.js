@@ -0,0 +1,412 @@
+/**
+ * Pose Filters
+ *
+ * Cleans up raw pose estimator output before angles are calculated. Each
+ * keypoint is treated as a track over time: implausible jumps are rejected,
+ * short low-confidence gaps are interpolated and the track is smoothed.
+ */
+
+import AppError from './appError.js';
+import { HTTP_STATUS, POSE_FILTERS, POSE_FILTERS_ARRAY, POSE_FILTER_DEFAULTS } from '../config/constants.js';
+
+// ============================================
+// OPTIONS
+// ============================================
+
+/**
+ * Resolve filter options against the defaults
+ * @param {boolean|Object} options - true for defaults, or partial filter parameters
+ * @param {string} [options.method] - One of POSE_FILTERS
+ * @param {number} [options.minCutoff] - One-Euro minimum cutoff (Hz)
+ * @param {number} [options.beta] - One-Euro speed coefficient
+ * @param {number} [options.dCutoff] - One-Euro derivative cutoff (Hz)
+ * @param {number} [options.window] - Window size for moving average / median
+ * @param {number} [options.maxSpeed] - Max plausible speed (normalized units per second)
+ * @param {number} [options.minConfidence] - Keypoints below this confidence are interpolated
+ * @param {number} [options.maxGap] - Longest gap (frames) that is interpolated
+ * @returns {Object} Complete filter parameters
+ * @throws {AppError} If the method or a parameter is invalid
+ */
+export const resolveFilterOptions = (options = {}) => {
+  const overrides = typeof options === 'object' && options !== null ? options : {};
+  const params = {
+    method: overrides.method || POSE_FILTER_DEFAULTS.METHOD,
+    minCutoff: overrides.minCutoff ?? POSE_FILTER_DEFAULTS.MIN_CUTOFF,
+    beta: overrides.beta ?? POSE_FILTER_DEFAULTS.BETA,
+    dCutoff: overrides.dCutoff ?? POSE_FILTER_DEFAULTS.D_CUTOFF,
+    window: overrides.window ?? POSE_FILTER_DEFAULTS.WINDOW,
+    maxSpeed: overrides.maxSpeed ?? POSE_FILTER_DEFAULTS.MAX_SPEED,
+    minConfidence: overrides.minConfidence ?? POSE_FILTER_DEFAULTS.MIN_CONFIDENCE,
+    maxGap: overrides.maxGap ?? POSE_FILTER_DEFAULTS.MAX_GAP,
+  };
+
+  if (!POSE_FILTERS_ARRAY.includes(params.method)) {
+    throw new AppError(
+      `Filter method must be one of: ${POSE_FILTERS_ARRAY.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const numeric = ['minCutoff', 'beta', 'dCutoff', 'window', 'maxSpeed', 'minConfidence', 'maxGap'];
+  for (const key of numeric) {
+    if (typeof params[key] !== 'number' || isNaN(params[key]) || params[key] < 0) {
+      throw new AppError(`Filter ${key} must be a non-negative number`, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+  params.window = Math.max(1, Math.round(params.window));
+  params.maxGap = Math.round(params.maxGap);
+
+  return params;
+};
+
+/**
+ * Resolve the filter requested with pose data (poseData.filter)
+ * @param {boolean|Object} [requested] - false to keep the raw keypoints, true or omitted
+ *   for the defaults, or filter parameters (see resolveFilterOptions)
+ * @returns {Object|false} Complete filter parameters, or false when filtering is off
+ * @throws {AppError} If the value or a parameter is invalid
+ */
+export const resolvePoseDataFilter = (requested) => {
+  if (requested === false) {
+    return false;
+  }
+  if (requested === undefined || requested === null || requested === true) {
+    return resolveFilterOptions({});
+  }
+  if (typeof requested !== 'object' || Array.isArray(requested)) {
+    throw new AppError(
+      'poseData.filter must be true, false or an object of filter parameters',
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  return resolveFilterOptions(requested);
+};
+
+// ============================================
+// TRACK HELPERS
+// ============================================
+
+/**
+ * Build one track per keypoint name across all frames
+ * @private
+ * @param {Array<Object>} frames - Pose frames
+ * @returns {Map<string, Array<Object|null>>} Keypoint name -> per-frame keypoint (or null)
+ */
+const buildTracks = (frames) => {
+  const tracks = new Map();
+
+  frames.forEach((frame, frameIndex) => {
+    (frame.keypoints || []).forEach((keypoint) => {
+      if (!keypoint?.name) {
+        return;
+      }
+      if (!tracks.has(keypoint.name)) {
+        tracks.set(keypoint.name, new Array(frames.length).fill(null));
+      }
+      tracks.get(keypoint.name)[frameIndex] = { ...keypoint };
+    });
+  });
+
+  return tracks;
+};
+
+/**
+ * Frame times in seconds, falling back to the frame rate when timestamps
+ * don't advance
+ * @private
+ * @param {Array<Object>} frames - Pose frames
+ * @param {number} fps - Frames per second
+ * @returns {Array<number>} Times in seconds
+ */
+const frameTimes = (frames, fps) => {
+  const step = 1 / (fps || POSE_FILTER_DEFAULTS.DEFAULT_FPS);
+  const times = [];
+  frames.forEach((frame, index) => {
+    const timestamp = typeof frame.timestamp === 'number' ? frame.timestamp : null;
+    const previous = index > 0 ? times[index - 1] : null;
+    if (timestamp === null || (previous !== null && timestamp <= previous)) {
+      times.push(previous === null ? 0 : previous + step);
+    } else {
+      times.push(timestamp);
+    }
+  });
+  return times;
+};
+
+/**
+ * Coordinate axes present on a keypoint
+ * @private
+ * @param {Object} keypoint - Keypoint
+ * @returns {Array<string>} Axes ('x', 'y' and optionally 'z')
+ */
+const axesOf = (keypoint) => (typeof keypoint.z === 'number' ? ['x', 'y', 'z'] : ['x', 'y']);
+
+// ============================================
+// OUTLIER REJECTION AND INTERPOLATION
+// ============================================
+
+/**
+ * Mark low-confidence keypoints and physically implausible jumps as missing
+ * @private
+ * @param {Array<Object|null>} track - Keypoint track
+ * @param {Array<number>} times - Frame times in seconds
+ * @param {Object} params - Filter parameters
+ * @returns {Object} { valid: boolean[], rejected: number[] } - rejected holds the frame
+ *   indexes of the implausible jumps
+ */
+const rejectOutliers = (track, times, params) => {
+  const valid = track.map((keypoint) => !!keypoint && (keypoint.confidence ?? 1) >= params.minConfidence);
+  const rejected = [];
+  let lastIndex = -1;
+
+  track.forEach((keypoint, index) => {
+    if (!valid[index]) {
+      return;
+    }
+    if (lastIndex !== -1) {
+      const last = track[lastIndex];
+      const dt = times[index] - times[lastIndex];
+      const distance = Math.hypot(keypoint.x - last.x, keypoint.y - last.y);
+      // After a long gap the reference is stale - accept and re-anchor
+      const gap = index - lastIndex - 1;
+      if (dt > 0 && distance / dt > params.maxSpeed && gap < params.maxGap) {
+        valid[index] = false;
+        rejected.push(index);
+        return;
+      }
+    }
+    lastIndex = index;
+  });
+
+  return { valid, rejected };
+};
+
+/**
+ * Linearly interpolate short runs of missing keypoints (by time)
+ * @private
+ * @param {Array<Object|null>} track - Keypoint track (modified in place)
+ * @param {Array<boolean>} valid - Validity per frame (modified in place)
+ * @param {Array<number>} times - Frame times in seconds
+ * @param {number} maxGap - Longest run that is interpolated
+ * @returns {number} Number of interpolated keypoints
+ */
+const interpolateGaps = (track, valid, times, maxGap) => {
+  let interpolated = 0;
+  let index = 0;
+
+  while (index < track.length) {
+    if (valid[index]) {
+      index++;
+      continue;
+    }
+
+    const gapStart = index;
+    while (index < track.length && !valid[index]) {
+      index++;
+    }
+    const before = gapStart - 1;
+    const after = index;
+    const gapLength = after - gapStart;
+
+    if (before < 0 || after >= track.length || gapLength > maxGap) {
+      continue;
+    }
+
+    const from = track[before];
+    const to = track[after];
+    const span = times[after] - times[before];
+    for (let i = gapStart; i < after; i++) {
+      const ratio = span > 0 ? (times[i] - times[before]) / span : (i - before) / (after - before);
+      const keypoint = { ...(track[i] || { name: from.name, confidence: 0 }), interpolated: true };
+      axesOf(from).forEach((axis) => {
+        if (typeof to[axis] === 'number') {
+          keypoint[axis] = from[axis] + (to[axis] - from[axis]) * ratio;
+        }
+      });
+      track[i] = keypoint;
+      valid[i] = true;
+      interpolated++;
+    }
+  }
+
+  return interpolated;
+};
+
+// ============================================
+// SMOOTHING
+// ============================================
+
+/**
+ * One-Euro filter over a single coordinate series
+ * @private
+ * @param {Array<number>} values - Coordinate values
+ * @param {Array<number>} times - Times in seconds
+ * @param {Object} params - { minCutoff, beta, dCutoff }
+ * @returns {Array<number>} Filtered values
+ */
+const oneEuro = (values, times, params) => {
+  const alpha = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  };
+
+  const result = [values[0]];
+  let previous = values[0];
+  let previousDerivative = 0;
+
+  for (let i = 1; i < values.length; i++) {
+    const dt = times[i] - times[i - 1] || 1 / POSE_FILTER_DEFAULTS.DEFAULT_FPS;
+    const derivative = (values[i] - previous) / dt;
+    const smoothedDerivative =
+      previousDerivative + alpha(params.dCutoff, dt) * (derivative - previousDerivative);
+    const cutoff = params.minCutoff + params.beta * Math.abs(smoothedDerivative);
+    const value = previous + alpha(cutoff, dt) * (values[i] - previous);
+
+    result.push(value);
+    previous = value;
+    previousDerivative = smoothedDerivative;
+  }
+
+  return result;
+};
+
+/**
+ * Centered window filter (moving average or median)
+ * @private
+ * @param {Array<number>} values - Coordinate values
+ * @param {number} window - Window size
+ * @param {string} method - POSE_FILTERS.MOVING_AVERAGE or POSE_FILTERS.MEDIAN
+ * @returns {Array<number>} Filtered values
+ */
+const windowFilter = (values, window, method) => {
+  const half = Math.floor(window / 2);
+  return values.map((_, index) => {
+    const slice = values.slice(Math.max(0, index - half), Math.min(values.length, index + half + 1));
+    if (method === POSE_FILTERS.MEDIAN) {
+      const sorted = [...slice].sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+    return slice.reduce((sum, value) => sum + value, 0) / slice.length;
+  });
+};
+
+/**
+ * Smooth every contiguous valid segment of a track
+ * @private
+ * @param {Array<Object|null>} track - Keypoint track (modified in place)
+ * @param {Array<boolean>} valid - Validity per frame
+ * @param {Array<number>} times - Frame times in seconds
+ * @param {Object} params - Filter parameters
+ */
+const smoothTrack = (track, valid, times, params) => {
+  if (params.method === POSE_FILTERS.NONE) {
+    return;
+  }
+
+  let index = 0;
+  while (index < track.length) {
+    if (!valid[index]) {
+      index++;
+      continue;
+    }
+    const start = index;
+    while (index < track.length && valid[index]) {
+      index++;
+    }
+
+    const segment = track.slice(start, index);
+    const segmentTimes = times.slice(start, index);
+    axesOf(segment[0]).forEach((axis) => {
+      if (segment.some((keypoint) => typeof keypoint[axis] !== 'number')) {
+        return;
+      }
+      const values = segment.map((keypoint) => keypoint[axis]);
+      const filtered =
+        params.method === POSE_FILTERS.ONE_EURO
+          ? oneEuro(values, segmentTimes, params)
+          : windowFilter(values, params.window, params.method);
+      filtered.forEach((value, offset) => {
+        track[start + offset][axis] = value;
+      });
+    });
+  }
+};
+
+// ============================================
+// PIPELINE
+// ============================================
+
+/**
+ * Run the filtering pipeline over a session's frames
+ *
+ * 1. Low-confidence keypoints and implausible jumps are marked missing
+ * 2. Short gaps are interpolated from the surrounding frames
+ * 3. Each keypoint track is smoothed with the chosen filter
+ *
+ * Interpolated keypoints keep their original confidence so quality reports
+ * still reflect what the camera actually saw, and are marked interpolated so
+ * the rule engine can still trust them. Rejected jumps that can't be
+ * interpolated (at either end of a track, or in a gap longer than maxGap) are
+ * dropped from their frame so the spike never reaches the angles.
+ *
+ * @param {Array<Object>} frames - Pose frames with keypoints
+ * @param {Object} options - Filter options (see resolveFilterOptions)
+ * @param {number} [fps] - Session frame rate, used when timestamps don't advance
+ * @returns {Object} { frames, filter } - New frames and the applied parameters with counters
+ */
+export const filterPoseFrames = (frames, options = {}, fps = POSE_FILTER_DEFAULTS.DEFAULT_FPS) => {
+  const params = resolveFilterOptions(options);
+  if (!Array.isArray(frames) || frames.length === 0) {
+    return { frames: frames || [], filter: { ...params, rejectedKeypoints: 0, interpolatedKeypoints: 0 } };
+  }
+
+  const times = frameTimes(frames, fps);
+  const tracks = buildTracks(frames);
+  let rejectedKeypoints = 0;
+  let interpolatedKeypoints = 0;
+
+  tracks.forEach((track) => {
+    const { valid, rejected } = rejectOutliers(track, times, params);
+    rejectedKeypoints += rejected.length;
+    interpolatedKeypoints += interpolateGaps(track, valid, times, params.maxGap);
+    rejected.forEach((index) => {
+      if (!valid[index]) {
+        track[index] = null;
+      }
+    });
+    smoothTrack(track, valid, times, params);
+  });
+
+  // Rebuild frames, keeping each frame's keypoint order
+  const filteredFrames = frames.map((frame, frameIndex) => {
+    const names = new Set((frame.keypoints || []).map((keypoint) => keypoint?.name));
+    const keypoints = (frame.keypoints || [])
+      .map((keypoint) =>
+        keypoint?.name && tracks.has(keypoint.name) ? tracks.get(keypoint.name)[frameIndex] : keypoint
+      )
+      .filter((keypoint) => keypoint !== null);
+    // Keypoints the estimator dropped entirely but that were interpolated
+    tracks.forEach((track, name) => {
+      if (!names.has(name) && track[frameIndex]) {
+        keypoints.push(track[frameIndex]);
+      }
+    });
+    return { ...frame, keypoints };
+  });
+
+  return {
+    frames: filteredFrames,
+    filter: { ...params, rejectedKeypoints, interpolatedKeypoints },
+  };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  resolveFilterOptions,
+  resolvePoseDataFilter,
+  filterPoseFrames,
+};
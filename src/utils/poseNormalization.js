@@ -0,0 +1,217 @@
+/**
+ * Pose Normalization
+ *
+ * Expresses keypoints relative to the body instead of the image: the origin
+ * is the hip center and one unit is one torso length (hip center to shoulder
+ * center). Distances measured in these units don't change with how far the
+ * user stands from the camera or where they stand in the frame.
+ *
+ * Two coordinate frames are available:
+ * - image: translated and scaled only, axes stay aligned with the image (y down)
+ * - body: additionally rotated so +y points from the hips to the shoulders and
+ *   +x is perpendicular to it (image right when standing upright), which also
+ *   removes camera roll and body lean
+ */
+
+import AppError from './appError.js';
+import {
+  HTTP_STATUS,
+  POSE_COORDINATE_FRAMES,
+  POSE_COORDINATE_FRAMES_ARRAY,
+  POSE_NORMALIZATION,
+} from '../config/constants.js';
+
+// ============================================
+// REFERENCE POINTS
+// ============================================
+
+/**
+ * Find a keypoint usable as a reference
+ * @private
+ * @param {Array<Object>} keypoints - Keypoints of one frame
+ * @param {string} name - Keypoint name
+ * @returns {Object|null} Keypoint, or null if missing or low confidence
+ */
+const findReference = (keypoints, name) => {
+  const keypoint = keypoints.find((kp) => kp?.name === name);
+  if (!keypoint || typeof keypoint.x !== 'number' || typeof keypoint.y !== 'number') {
+    return null;
+  }
+  if ((keypoint.confidence ?? 1) < POSE_NORMALIZATION.MIN_CONFIDENCE) {
+    return null;
+  }
+  return keypoint;
+};
+
+/**
+ * Midpoint of a left/right keypoint pair (falls back to the visible side)
+ * @private
+ * @param {Array<Object>} keypoints - Keypoints of one frame
+ * @param {string} joint - Joint name without side, e.g. 'hip'
+ * @param {number} aspectRatio - Image width / height
+ * @returns {Object|null} { x, y } in aspect-corrected units
+ */
+const midpoint = (keypoints, joint, aspectRatio) => {
+  const left = findReference(keypoints, `left_${joint}`);
+  const right = findReference(keypoints, `right_${joint}`);
+  const points = [left, right].filter(Boolean);
+  if (points.length === 0) {
+    return null;
+  }
+  return {
+    x: (points.reduce((sum, kp) => sum + kp.x, 0) / points.length) * aspectRatio,
+    y: points.reduce((sum, kp) => sum + kp.y, 0) / points.length,
+  };
+};
+
+/**
+ * Measure the body reference of one frame
+ * @param {Array<Object>} keypoints - Keypoints of one frame
+ * @param {number} [aspectRatio=1] - Image width / height, so x and y share one unit
+ * @returns {Object|null} { hipCenter, shoulderCenter, torsoLength }, or null if the torso isn't visible
+ */
+export const getBodyReference = (keypoints, aspectRatio = 1) => {
+  if (!Array.isArray(keypoints)) {
+    return null;
+  }
+
+  const hipCenter = midpoint(keypoints, 'hip', aspectRatio);
+  const shoulderCenter = midpoint(keypoints, 'shoulder', aspectRatio);
+  if (!hipCenter || !shoulderCenter) {
+    return null;
+  }
+
+  const torsoLength = Math.hypot(shoulderCenter.x - hipCenter.x, shoulderCenter.y - hipCenter.y);
+  if (torsoLength < POSE_NORMALIZATION.MIN_TORSO_LENGTH) {
+    return null;
+  }
+
+  return { hipCenter, shoulderCenter, torsoLength };
+};
+
+/**
+ * Median torso length across frames - more stable than per-frame lengths,
+ * which shrink whenever the user leans towards the camera
+ * @param {Array<Object>} frames - Pose frames
+ * @param {number} [aspectRatio=1] - Image width / height
+ * @returns {number|null} Torso length in aspect-corrected image units
+ */
+export const estimateTorsoLength = (frames, aspectRatio = 1) => {
+  if (!Array.isArray(frames)) {
+    return null;
+  }
+  const lengths = frames
+    .map((frame) => getBodyReference(frame.keypoints, aspectRatio)?.torsoLength)
+    .filter((length) => typeof length === 'number')
+    .sort((a, b) => a - b);
+
+  if (lengths.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(lengths.length / 2);
+  return lengths.length % 2 === 0 ? (lengths[middle - 1] + lengths[middle]) / 2 : lengths[middle];
+};
+
+// ============================================
+// NORMALIZATION
+// ============================================
+
+/**
+ * Normalize the keypoints of one frame
+ * @param {Array<Object>} keypoints - Keypoints of one frame
+ * @param {Object} options - Normalization options
+ * @param {number} [options.torsoLength] - Scale to use (per-frame torso length when omitted)
+ * @param {string} [options.coordinateFrame] - POSE_COORDINATE_FRAMES value (default: image)
+ * @param {number} [options.aspectRatio=1] - Image width / height
+ * @returns {Array<Object>|null} Normalized keypoints, or null if the torso isn't visible
+ */
+export const normalizeKeypoints = (keypoints, options = {}) => {
+  const { coordinateFrame = POSE_COORDINATE_FRAMES.IMAGE, aspectRatio = 1 } = options;
+  const reference = getBodyReference(keypoints, aspectRatio);
+  if (!reference) {
+    return null;
+  }
+
+  const scale = options.torsoLength || reference.torsoLength;
+  const { hipCenter, shoulderCenter } = reference;
+
+  // Body axes: up runs hip -> shoulder, the lateral axis is perpendicular to it
+  const up = {
+    x: (shoulderCenter.x - hipCenter.x) / reference.torsoLength,
+    y: (shoulderCenter.y - hipCenter.y) / reference.torsoLength,
+  };
+  const lateral = { x: -up.y, y: up.x };
+
+  return keypoints
+    .filter((kp) => kp && typeof kp.x === 'number' && typeof kp.y === 'number')
+    .map((kp) => {
+      const dx = kp.x * aspectRatio - hipCenter.x;
+      const dy = kp.y - hipCenter.y;
+
+      const position =
+        coordinateFrame === POSE_COORDINATE_FRAMES.BODY
+          ? { x: (dx * lateral.x + dy * lateral.y) / scale, y: (dx * up.x + dy * up.y) / scale }
+          : { x: dx / scale, y: dy / scale };
+
+      return {
+        name: kp.name,
+        x: Math.round(position.x * 10000) / 10000,
+        y: Math.round(position.y * 10000) / 10000,
+        ...(typeof kp.z === 'number' && { z: Math.round((kp.z / scale) * 10000) / 10000 }),
+        confidence: kp.confidence,
+      };
+    });
+};
+
+/**
+ * Normalize all frames of a session
+ * @param {Array<Object>} frames - Pose frames
+ * @param {Object} options - Normalization options
+ * @param {string} [options.coordinateFrame] - POSE_COORDINATE_FRAMES value (default: image)
+ * @param {number} [options.aspectRatio=1] - Image width / height
+ * @param {boolean} [options.perFrameScale=false] - Scale each frame by its own torso length
+ *   instead of the session median
+ * @returns {Object} { frames: Array<Array<Object>|null>, normalization } - Normalized keypoints
+ *   per frame (null where the torso isn't visible) and the parameters used
+ * @throws {AppError} If the coordinate frame is invalid
+ */
+export const normalizePoseFrames = (frames, options = {}) => {
+  const { coordinateFrame = POSE_COORDINATE_FRAMES.IMAGE, aspectRatio = 1, perFrameScale = false } = options;
+
+  if (!POSE_COORDINATE_FRAMES_ARRAY.includes(coordinateFrame)) {
+    throw new AppError(
+      `Coordinate frame must be one of: ${POSE_COORDINATE_FRAMES_ARRAY.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  if (typeof aspectRatio !== 'number' || isNaN(aspectRatio) || aspectRatio <= 0) {
+    throw new AppError('Aspect ratio must be a positive number', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const torsoLength = perFrameScale ? undefined : estimateTorsoLength(frames, aspectRatio);
+  const normalizedFrames = (frames || []).map((frame) =>
+    normalizeKeypoints(frame.keypoints, { torsoLength, coordinateFrame, aspectRatio })
+  );
+
+  return {
+    frames: normalizedFrames,
+    normalization: {
+      coordinateFrame,
+      aspectRatio,
+      torsoLength: torsoLength ? Math.round(torsoLength * 10000) / 10000 : null,
+      perFrameScale,
+      skippedFrames: normalizedFrames.filter((keypoints) => keypoints === null).length,
+    },
+  };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  getBodyReference,
+  estimateTorsoLength,
+  normalizeKeypoints,
+  normalizePoseFrames,
+};
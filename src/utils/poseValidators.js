@@ -498,6 +498,31 @@ export const KEYPOINT_NAMES = {
     'left_foot_index',
     'right_foot_index',
   ],
+  // Canonical skeleton every model is mapped to on ingest: the 17 COCO
+  // keypoints plus the BlazePose foot points when the model provides them
+  CANONICAL: [
+    'nose',
+    'left_eye',
+    'right_eye',
+    'left_ear',
+    'right_ear',
+    'left_shoulder',
+    'right_shoulder',
+    'left_elbow',
+    'right_elbow',
+    'left_wrist',
+    'right_wrist',
+    'left_hip',
+    'right_hip',
+    'left_knee',
+    'right_knee',
+    'left_ankle',
+    'right_ankle',
+    'left_heel',
+    'right_heel',
+    'left_foot_index',
+    'right_foot_index',
+  ],
 };
 
 /**
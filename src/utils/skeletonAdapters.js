@@ -0,0 +1,281 @@
+/**
+ * Skeleton Adapters
+ *
+ * Maps the keypoints of the supported pose estimation models onto one
+ * canonical skeleton (KEYPOINT_NAMES.CANONICAL) on ingest, so validation,
+ * angle calculation and exports only ever deal with a single naming scheme.
+ *
+ * Supported inputs:
+ * - MoveNet / COCO: 17 keypoints, snake_case names (or index order)
+ * - PoseNet: 17 keypoints, camelCase names (leftShoulder)
+ * - BlazePose / MediaPipe: 33 keypoints, snake_case or UPPER_CASE names,
+ *   `visibility` instead of a confidence score and an optional `z`
+ * - Keypoints given as [x, y, score] / [x, y, z, visibility] arrays in the
+ *   model's index order
+ *
+ * Coordinates are stored normalized to 0-1. Models that report pixels (PoseNet,
+ * or any model run on the raw video size) need the image size sent with the
+ * keypoints; they are divided by it.
+ */
+
+import { KEYPOINT_NAMES } from './poseValidators.js';
+import AppError from './appError.js';
+import { HTTP_STATUS, POSE_MODELS, POSE_MODELS_ARRAY, KEYPOINT_COORDINATES } from '../config/constants.js';
+
+// ============================================
+// MODEL DEFINITIONS
+// ============================================
+
+/**
+ * Keypoint order per model (index -> canonical name)
+ * @private
+ */
+const MODEL_KEYPOINT_ORDER = {
+  [POSE_MODELS.MOVENET]: KEYPOINT_NAMES.MOVENET,
+  [POSE_MODELS.COCO]: KEYPOINT_NAMES.MOVENET,
+  [POSE_MODELS.POSENET]: KEYPOINT_NAMES.MOVENET,
+  [POSE_MODELS.BLAZEPOSE]: KEYPOINT_NAMES.BLAZEPOSE,
+  [POSE_MODELS.MEDIAPIPE]: KEYPOINT_NAMES.BLAZEPOSE,
+};
+
+/**
+ * Canonical keypoint names as a set for fast lookups
+ * @private
+ */
+const CANONICAL_NAMES = new Set(KEYPOINT_NAMES.CANONICAL);
+
+/**
+ * Keypoints that only exist in the 33 point BlazePose topology
+ * @private
+ */
+const BLAZEPOSE_ONLY_NAMES = new Set(KEYPOINT_NAMES.BLAZEPOSE.filter((name) => !KEYPOINT_NAMES.MOVENET.includes(name)));
+
+// ============================================
+// NAME AND VALUE NORMALIZATION
+// ============================================
+
+/**
+ * Normalize a keypoint name to snake_case (leftShoulder, LEFT_SHOULDER and
+ * left-shoulder all become left_shoulder)
+ * @param {string} name - Keypoint name as sent by the model
+ * @returns {string} snake_case name
+ */
+export const normalizeKeypointName = (name) =>
+  String(name)
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[\s-]+/g, '_')
+    .toLowerCase();
+
+/**
+ * Clamp a confidence value to 0-1
+ * @private
+ * @param {*} value - Raw confidence / score / visibility
+ * @returns {number|undefined} Confidence, or undefined if not a number
+ */
+const toConfidence = (value) => {
+  if (typeof value !== 'number' || isNaN(value)) {
+    return undefined;
+  }
+  return Math.min(1, Math.max(0, value));
+};
+
+/**
+ * Read a single raw keypoint into { name, x, y, z, confidence }
+ * @private
+ * @param {Object|Array} keypoint - Raw keypoint (object or [x, y, (z,) score] array)
+ * @param {string|undefined} indexName - Canonical name implied by the keypoint's index
+ * @returns {Object} Raw keypoint fields
+ */
+const readKeypoint = (keypoint, indexName) => {
+  if (Array.isArray(keypoint)) {
+    // [x, y, score] or [x, y, z, visibility]
+    const [x, y, third, fourth] = keypoint;
+    return keypoint.length >= 4
+      ? { name: indexName, x, y, z: third, confidence: toConfidence(fourth) }
+      : { name: indexName, x, y, confidence: toConfidence(third) };
+  }
+
+  const confidence = keypoint.confidence ?? keypoint.score ?? keypoint.visibility ?? keypoint.presence;
+  return {
+    name: keypoint.name || keypoint.part || indexName,
+    x: keypoint.x ?? keypoint.position?.x,
+    y: keypoint.y ?? keypoint.position?.y,
+    z: keypoint.z,
+    confidence: toConfidence(confidence),
+  };
+};
+
+/**
+ * Read the image size pixel coordinates are divided by
+ * @param {Object} [source] - Object with imageWidth and imageHeight (e.g. poseData)
+ * @returns {Object|null} { width, height }, or null when no size is given
+ * @throws {AppError} If only one dimension is given or either is not a positive number
+ */
+export const readImageSize = (source) => {
+  const width = source?.imageWidth;
+  const height = source?.imageHeight;
+  if (width === undefined && height === undefined) {
+    return null;
+  }
+  if (typeof width !== 'number' || typeof height !== 'number' || !(width > 0) || !(height > 0)) {
+    throw new AppError('imageWidth and imageHeight must both be positive numbers', HTTP_STATUS.BAD_REQUEST);
+  }
+  return { width, height };
+};
+
+/**
+ * Check that canonical keypoints are normalized to 0-1
+ * @private
+ * @param {Array<Object>} frames - Frames with canonical keypoints
+ * @throws {AppError} If a coordinate is out of range (usually pixels sent without the image size)
+ */
+const assertNormalizedCoordinates = (frames) => {
+  frames.forEach((frame, index) => {
+    const outside = (frame.keypoints || []).find(
+      (keypoint) =>
+        keypoint.x < KEYPOINT_COORDINATES.X_MIN ||
+        keypoint.x > KEYPOINT_COORDINATES.X_MAX ||
+        keypoint.y < KEYPOINT_COORDINATES.Y_MIN ||
+        keypoint.y > KEYPOINT_COORDINATES.Y_MAX
+    );
+    if (outside) {
+      throw new AppError(
+        `Frame ${frame.frame ?? index}: ${outside.name} is at (${outside.x}, ${outside.y}) - keypoint coordinates ` +
+          'must be between 0 and 1; send imageWidth and imageHeight with pixel coordinates (e.g. PoseNet)',
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+  });
+};
+
+// ============================================
+// DETECTION AND CONVERSION
+// ============================================
+
+/**
+ * Guess which model produced a frame's keypoints
+ * @param {Array} keypoints - Raw keypoints of one frame
+ * @returns {string} POSE_MODELS value
+ */
+export const detectPoseModel = (keypoints) => {
+  if (!Array.isArray(keypoints) || keypoints.length === 0) {
+    return POSE_MODELS.OTHER;
+  }
+
+  const rawNames = keypoints
+    .map((keypoint) => (keypoint && !Array.isArray(keypoint) ? keypoint.name || keypoint.part : null))
+    .filter(Boolean);
+
+  if (rawNames.length === 0) {
+    // Index based input - the topology is given by the number of keypoints
+    if (keypoints.length === KEYPOINT_NAMES.BLAZEPOSE.length) return POSE_MODELS.BLAZEPOSE;
+    if (keypoints.length === KEYPOINT_NAMES.MOVENET.length) return POSE_MODELS.MOVENET;
+    return POSE_MODELS.OTHER;
+  }
+
+  if (rawNames.some((name) => /^[A-Z_]+$/.test(name) && name.includes('_'))) {
+    return POSE_MODELS.MEDIAPIPE;
+  }
+  if (rawNames.some((name) => /[a-z][A-Z]/.test(name))) {
+    return POSE_MODELS.POSENET;
+  }
+  if (rawNames.some((name) => BLAZEPOSE_ONLY_NAMES.has(normalizeKeypointName(name)))) {
+    return POSE_MODELS.BLAZEPOSE;
+  }
+  return POSE_MODELS.MOVENET;
+};
+
+/**
+ * Convert one frame's keypoints to the canonical skeleton
+ *
+ * Keypoints outside the canonical skeleton (BlazePose hands and face detail)
+ * are dropped; `z` is kept when the model provides it.
+ *
+ * @param {Array} keypoints - Raw keypoints of one frame
+ * @param {string} [poseModel] - POSE_MODELS value (detected when omitted)
+ * @param {Object} [imageSize] - { width, height } to divide pixel coordinates by
+ * @returns {Array<Object>} Canonical keypoints { name, x, y, z?, confidence }
+ */
+export const toCanonicalKeypoints = (keypoints, poseModel, imageSize = null) => {
+  if (!Array.isArray(keypoints)) {
+    return [];
+  }
+
+  const model = poseModel || detectPoseModel(keypoints);
+  const order = MODEL_KEYPOINT_ORDER[model] || [];
+  const seen = new Set();
+  const canonical = [];
+
+  keypoints.forEach((rawKeypoint, index) => {
+    if (!rawKeypoint) {
+      return;
+    }
+    const keypoint = readKeypoint(rawKeypoint, order[index]);
+    if (!keypoint.name) {
+      return;
+    }
+
+    const name = normalizeKeypointName(keypoint.name);
+    if (!CANONICAL_NAMES.has(name) || seen.has(name)) {
+      return;
+    }
+    seen.add(name);
+
+    canonical.push({
+      name,
+      x: imageSize && typeof keypoint.x === 'number' ? keypoint.x / imageSize.width : keypoint.x,
+      y: imageSize && typeof keypoint.y === 'number' ? keypoint.y / imageSize.height : keypoint.y,
+      ...(typeof keypoint.z === 'number' && !isNaN(keypoint.z) && { z: keypoint.z }),
+      // Models that don't report a confidence are trusted as-is
+      confidence: keypoint.confidence ?? 1,
+    });
+  });
+
+  return canonical;
+};
+
+/**
+ * Convert all frames of a session to the canonical skeleton
+ * @param {Array<Object>} frames - Pose frames with raw keypoints
+ * @param {string} [poseModel] - POSE_MODELS value (detected from the first frame when omitted)
+ * @param {Object} [imageSize] - { width, height } to divide pixel coordinates by
+ * @returns {Object} { frames, poseModel }
+ * @throws {AppError} If poseModel is not a supported model or a coordinate is not normalized
+ */
+export const canonicalizeFrames = (frames, poseModel, imageSize = null) => {
+  if (poseModel && !POSE_MODELS_ARRAY.includes(poseModel)) {
+    throw new AppError(
+      `Pose model must be one of: ${POSE_MODELS_ARRAY.join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  if (!Array.isArray(frames) || frames.length === 0) {
+    return { frames: frames || [], poseModel: poseModel || POSE_MODELS.OTHER };
+  }
+
+  const firstWithKeypoints = frames.find((frame) => Array.isArray(frame?.keypoints) && frame.keypoints.length > 0);
+  const model = poseModel && poseModel !== POSE_MODELS.OTHER
+    ? poseModel
+    : detectPoseModel(firstWithKeypoints?.keypoints);
+
+  const canonicalFrames = frames.map((frame) => ({
+    ...frame,
+    keypoints: toCanonicalKeypoints(frame.keypoints, model, imageSize),
+  }));
+  assertNormalizedCoordinates(canonicalFrames);
+
+  return { frames: canonicalFrames, poseModel: model };
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  normalizeKeypointName,
+  readImageSize,
+  detectPoseModel,
+  toCanonicalKeypoints,
+  canonicalizeFrames,
+};
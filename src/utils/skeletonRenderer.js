@@ -0,0 +1,519 @@
+/**
+ * Skeleton Renderer
+ *
+ * Draws a pose frame's keypoints as a stick figure. The keypoints are first
+ * laid out in a box (fitted to the tracked body, aspect ratio kept), then the
+ * layout is drawn by one of three backends:
+ * - pdfkit: vector drawing into a report page
+ * - SVG: standalone vector image
+ * - PNG: small software rasterizer, for clients that can't show SVG
+ *
+ * Highlights mark joints (e.g. the ones a broken form rule is measured from):
+ * their joints and the bones between them are drawn in the violation color,
+ * and the measured value is written next to the anchor joint.
+ */
+
+import zlib from 'zlib';
+import { KEYPOINT_CONFIDENCE_THRESHOLD, SKELETON_RENDER } from '../config/constants.js';
+
+// ============================================
+// SKELETON
+// ============================================
+
+/**
+ * Bones of the stick figure as keypoint name pairs
+ */
+export const SKELETON_BONES = [
+  // Face
+  ['nose', 'left_eye'],
+  ['nose', 'right_eye'],
+  ['left_eye', 'left_ear'],
+  ['right_eye', 'right_ear'],
+  // Torso
+  ['left_shoulder', 'right_shoulder'],
+  ['left_shoulder', 'left_hip'],
+  ['right_shoulder', 'right_hip'],
+  ['left_hip', 'right_hip'],
+  // Arms
+  ['left_shoulder', 'left_elbow'],
+  ['left_elbow', 'left_wrist'],
+  ['right_shoulder', 'right_elbow'],
+  ['right_elbow', 'right_wrist'],
+  // Legs
+  ['left_hip', 'left_knee'],
+  ['left_knee', 'left_ankle'],
+  ['right_hip', 'right_knee'],
+  ['right_knee', 'right_ankle'],
+  // Feet
+  ['left_ankle', 'left_heel'],
+  ['left_heel', 'left_foot_index'],
+  ['left_ankle', 'left_foot_index'],
+  ['right_ankle', 'right_heel'],
+  ['right_heel', 'right_foot_index'],
+  ['right_ankle', 'right_foot_index'],
+];
+
+/**
+ * Whether a keypoint is drawn (confidently tracked, or bridged by the pose filter)
+ * @private
+ * @param {Object} keypoint - Keypoint
+ * @returns {boolean} True if drawn
+ */
+const isDrawable = (keypoint) =>
+  Boolean(keypoint) &&
+  typeof keypoint.x === 'number' &&
+  typeof keypoint.y === 'number' &&
+  (keypoint.interpolated || (keypoint.confidence ?? 1) >= KEYPOINT_CONFIDENCE_THRESHOLD);
+
+// ============================================
+// LAYOUT
+// ============================================
+
+/**
+ * Lay out a frame's keypoints in a box
+ *
+ * The tracked keypoints are scaled uniformly to fill the box minus the
+ * padding and centered in it. Bodies smaller than MIN_EXTENT are not blown up
+ * beyond that, so a single visible arm doesn't fill the image.
+ *
+ * @param {Array<Object>} keypoints - Keypoints { name, x, y, confidence } in normalized image coordinates
+ * @param {Object} [options] - Layout options
+ * @param {number} [options.width] - Box width
+ * @param {number} [options.height] - Box height
+ * @param {number} [options.aspectRatio=1] - Image width / height, so x and y share one unit
+ * @param {Array<Object>} [options.highlights] - Highlights { keypoints: [names], anchor, text }
+ * @returns {Object|null} { width, height, bones, joints, labels } in box coordinates (labels
+ *   aligned 'right' end left of their joint), or null when fewer than two keypoints are tracked
+ */
+export const layoutSkeleton = (keypoints, options = {}) => {
+  const {
+    width = SKELETON_RENDER.DEFAULT_SIZE,
+    height = SKELETON_RENDER.DEFAULT_SIZE,
+    aspectRatio = 1,
+    highlights = [],
+  } = options;
+
+  const tracked = (keypoints || []).filter(isDrawable);
+  if (tracked.length < 2) {
+    return null;
+  }
+
+  const xs = tracked.map((kp) => kp.x * aspectRatio);
+  const ys = tracked.map((kp) => kp.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const extentX = Math.max(Math.max(...xs) - minX, SKELETON_RENDER.MIN_EXTENT);
+  const extentY = Math.max(Math.max(...ys) - minY, SKELETON_RENDER.MIN_EXTENT);
+  const padding = Math.min(width, height) * SKELETON_RENDER.PADDING_RATIO;
+  const scale = Math.min((width - 2 * padding) / extentX, (height - 2 * padding) / extentY);
+  const offsetX = (width - (Math.max(...xs) - minX) * scale) / 2;
+  const offsetY = (height - (Math.max(...ys) - minY) * scale) / 2;
+
+  const points = new Map(
+    tracked.map((kp) => [
+      kp.name,
+      { x: offsetX + (kp.x * aspectRatio - minX) * scale, y: offsetY + (kp.y - minY) * scale },
+    ])
+  );
+  const highlighted = new Set(highlights.flatMap((highlight) => highlight.keypoints || []));
+  // Labels go on the outer side of their joint, away from the body
+  const centerX = [...points.values()].reduce((sum, point) => sum + point.x, 0) / points.size;
+
+  return {
+    width,
+    height,
+    bones: SKELETON_BONES.filter(([from, to]) => points.has(from) && points.has(to)).map(([from, to]) => ({
+      from: points.get(from),
+      to: points.get(to),
+      highlighted: highlighted.has(from) && highlighted.has(to),
+    })),
+    joints: [...points.entries()].map(([name, point]) => ({ name, ...point, highlighted: highlighted.has(name) })),
+    labels: highlights
+      .filter((highlight) => highlight.text && points.has(highlight.anchor))
+      .map((highlight) => {
+        const point = points.get(highlight.anchor);
+        return { ...point, text: highlight.text, align: point.x < centerX ? 'right' : 'left' };
+      }),
+  };
+};
+
+/**
+ * Sizes of the drawing elements, relative to the box
+ * @private
+ * @param {Object} layout - Skeleton layout
+ * @returns {Object} { bone, joint, font, labelOffset }
+ */
+const strokeSizes = (layout) => {
+  const size = Math.min(layout.width, layout.height);
+  return {
+    bone: Math.max(1, size / 100),
+    joint: Math.max(1.5, size / 70),
+    font: Math.max(7, size / 18),
+    labelOffset: Math.max(4, size / 40),
+  };
+};
+
+// ============================================
+// PDF
+// ============================================
+
+/**
+ * Draw a skeleton layout into a PDF
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} layout - Skeleton layout (from layoutSkeleton, sized to the target box)
+ * @param {number} x - Box left
+ * @param {number} y - Box top
+ */
+export const drawSkeletonPdf = (doc, layout, x, y) => {
+  const { bone, joint, font, labelOffset } = strokeSizes(layout);
+  const { COLORS } = SKELETON_RENDER;
+
+  doc.save();
+  doc.lineWidth(0.5).strokeColor('#cccccc').rect(x, y, layout.width, layout.height).stroke();
+
+  doc.lineWidth(bone).lineCap('round');
+  layout.bones.forEach((segment) => {
+    doc
+      .moveTo(x + segment.from.x, y + segment.from.y)
+      .lineTo(x + segment.to.x, y + segment.to.y)
+      .strokeColor(segment.highlighted ? COLORS.VIOLATION : COLORS.BONE)
+      .stroke();
+  });
+  layout.joints.forEach((point) => {
+    doc
+      .circle(x + point.x, y + point.y, point.highlighted ? joint * 1.4 : joint)
+      .fillColor(point.highlighted ? COLORS.VIOLATION : COLORS.JOINT)
+      .fill();
+  });
+
+  doc.font('Helvetica-Bold').fontSize(font).fillColor(COLORS.VIOLATION);
+  layout.labels.forEach((label) => {
+    const left =
+      label.align === 'right' ? label.x - labelOffset - doc.widthOfString(label.text) : label.x + labelOffset;
+    doc.text(label.text, x + left, y + label.y - font - labelOffset / 2, { lineBreak: false });
+  });
+  doc.restore();
+  doc.fillColor('black').strokeColor('black').font('Helvetica');
+};
+
+// ============================================
+// SVG
+// ============================================
+
+/**
+ * Entities of the characters escaped in SVG text
+ * @private
+ */
+const XML_ENTITIES = { '<': 'lt', '>': 'gt', '&': 'amp', '"': 'quot', "'": 'apos' };
+
+/**
+ * Escape text for SVG
+ * @private
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, (char) => `&${XML_ENTITIES[char]};`);
+
+/**
+ * Format a coordinate for SVG
+ * @private
+ * @param {number} value - Coordinate
+ * @returns {string} Coordinate with at most one decimal
+ */
+const coord = (value) => String(Math.round(value * 10) / 10);
+
+/**
+ * Render a skeleton layout as an SVG image
+ * @param {Object} layout - Skeleton layout
+ * @returns {string} SVG document
+ */
+export const renderSkeletonSvg = (layout) => {
+  const { bone, joint, font, labelOffset } = strokeSizes(layout);
+  const { COLORS } = SKELETON_RENDER;
+
+  const bones = layout.bones.map(
+    (segment) =>
+      `<line x1="${coord(segment.from.x)}" y1="${coord(segment.from.y)}" x2="${coord(segment.to.x)}" y2="${coord(segment.to.y)}" stroke="${segment.highlighted ? COLORS.VIOLATION : COLORS.BONE}"/>`
+  );
+  const joints = layout.joints.map(
+    (point) =>
+      `<circle cx="${coord(point.x)}" cy="${coord(point.y)}" r="${coord(point.highlighted ? joint * 1.4 : joint)}" fill="${point.highlighted ? COLORS.VIOLATION : COLORS.JOINT}"><title>${escapeXml(point.name)}</title></circle>`
+  );
+  const labels = layout.labels.map(
+    (label) =>
+      `<text x="${coord(label.align === 'right' ? label.x - labelOffset : label.x + labelOffset)}" y="${coord(label.y - labelOffset / 2)}" text-anchor="${label.align === 'right' ? 'end' : 'start'}">${escapeXml(label.text)}</text>`
+  );
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`,
+    `<rect width="100%" height="100%" fill="${COLORS.BACKGROUND}"/>`,
+    `<g stroke-width="${coord(bone)}" stroke-linecap="round">${bones.join('')}</g>`,
+    `<g>${joints.join('')}</g>`,
+    `<g font-family="Helvetica, Arial, sans-serif" font-weight="bold" font-size="${coord(font)}" fill="${COLORS.VIOLATION}">${labels.join('')}</g>`,
+    '</svg>',
+  ].join('\n');
+};
+
+// ============================================
+// PNG
+// ============================================
+
+/**
+ * 3x5 bitmap glyphs for labels (rows top to bottom, bit 2 is the left column)
+ * @private
+ */
+const GLYPHS = {
+  0: [7, 5, 5, 5, 7],
+  1: [2, 6, 2, 2, 7],
+  2: [7, 1, 7, 4, 7],
+  3: [7, 1, 7, 1, 7],
+  4: [5, 5, 7, 1, 1],
+  5: [7, 4, 7, 1, 7],
+  6: [7, 4, 7, 5, 7],
+  7: [7, 1, 1, 1, 1],
+  8: [7, 5, 7, 5, 7],
+  9: [7, 5, 7, 1, 7],
+  '.': [0, 0, 0, 0, 2],
+  '-': [0, 0, 7, 0, 0],
+  x: [0, 5, 2, 5, 0],
+  '°': [7, 5, 7, 0, 0],
+  ' ': [0, 0, 0, 0, 0],
+};
+
+/**
+ * CRC32 lookup table for PNG chunks
+ * @private
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC32 of a buffer
+ * @private
+ * @param {Buffer} buffer - Data
+ * @returns {number} Unsigned CRC32
+ */
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Build a PNG chunk
+ * @private
+ * @param {string} type - Chunk type, e.g. 'IHDR'
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Parse a #rrggbb color
+ * @private
+ * @param {string} hex - Color
+ * @returns {Array<number>} [r, g, b]
+ */
+const parseColor = (hex) => [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16));
+
+/**
+ * Create an RGB raster
+ * @private
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Array<number>} background - [r, g, b]
+ * @returns {Object} { width, height, pixels, fillCircle, fillSegment, fillRect }
+ */
+const createRaster = (width, height, background) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < pixels.length; i += 3) {
+    pixels[i] = background[0];
+    pixels[i + 1] = background[1];
+    pixels[i + 2] = background[2];
+  }
+
+  const setPixel = (px, py, color) => {
+    if (px < 0 || py < 0 || px >= width || py >= height) {
+      return;
+    }
+    const offset = (py * width + px) * 3;
+    pixels[offset] = color[0];
+    pixels[offset + 1] = color[1];
+    pixels[offset + 2] = color[2];
+  };
+
+  // Pixels whose center lies within radius of the segment (a thick line with round caps)
+  const fillSegment = (from, to, radius, color) => {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const left = Math.floor(Math.min(from.x, to.x) - radius);
+    const right = Math.ceil(Math.max(from.x, to.x) + radius);
+    const top = Math.floor(Math.min(from.y, to.y) - radius);
+    const bottom = Math.ceil(Math.max(from.y, to.y) + radius);
+    for (let py = top; py <= bottom; py++) {
+      for (let px = left; px <= right; px++) {
+        const cx = px + 0.5;
+        const cy = py + 0.5;
+        const t =
+          lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((cx - from.x) * dx + (cy - from.y) * dy) / lengthSquared))
+            : 0;
+        const distX = cx - (from.x + t * dx);
+        const distY = cy - (from.y + t * dy);
+        if (distX * distX + distY * distY <= radius * radius) {
+          setPixel(px, py, color);
+        }
+      }
+    }
+  };
+
+  const fillRect = (left, top, rectWidth, rectHeight, color) => {
+    for (let py = Math.floor(top); py < Math.floor(top + rectHeight); py++) {
+      for (let px = Math.floor(left); px < Math.floor(left + rectWidth); px++) {
+        setPixel(px, py, color);
+      }
+    }
+  };
+
+  return {
+    width,
+    height,
+    pixels,
+    fillSegment,
+    fillCircle: (center, radius, color) => fillSegment(center, center, radius, color),
+    fillRect,
+  };
+};
+
+/**
+ * Size of a bitmap font cell
+ * @private
+ * @param {number} font - Target glyph height in pixels
+ * @returns {number} Cell size in pixels
+ */
+const glyphCell = (font) => Math.max(1, Math.round(font / 5));
+
+/**
+ * Width of a label in the bitmap font
+ * @private
+ * @param {string} text - Text
+ * @param {number} font - Target glyph height in pixels
+ * @returns {number} Width in pixels
+ */
+const textWidth = (text, font) =>
+  Math.max(0, [...String(text)].filter((char) => GLYPHS[char]).length * 4 - 1) * glyphCell(font);
+
+/**
+ * Draw a label with the bitmap font
+ * @private
+ * @param {Object} raster - Raster
+ * @param {string} text - Text (unsupported characters are skipped)
+ * @param {number} left - Left edge
+ * @param {number} bottom - Baseline
+ * @param {number} font - Target glyph height in pixels
+ * @param {Array<number>} color - [r, g, b]
+ */
+const drawText = (raster, text, left, bottom, font, color) => {
+  const cell = glyphCell(font);
+  let cursor = left;
+  [...String(text)].forEach((char) => {
+    const glyph = GLYPHS[char];
+    if (!glyph) {
+      return;
+    }
+    glyph.forEach((row, rowIndex) => {
+      for (let column = 0; column < 3; column++) {
+        if (row & (4 >> column)) {
+          raster.fillRect(cursor + column * cell, bottom - (5 - rowIndex) * cell, cell, cell, color);
+        }
+      }
+    });
+    cursor += 4 * cell;
+  });
+};
+
+/**
+ * Render a skeleton layout as a PNG image
+ * @param {Object} layout - Skeleton layout (width and height in pixels)
+ * @returns {Buffer} PNG file
+ */
+export const renderSkeletonPng = (layout) => {
+  const width = Math.round(layout.width);
+  const height = Math.round(layout.height);
+  const { bone, joint, font, labelOffset } = strokeSizes(layout);
+  const { COLORS } = SKELETON_RENDER;
+  const colors = {
+    bone: parseColor(COLORS.BONE),
+    joint: parseColor(COLORS.JOINT),
+    violation: parseColor(COLORS.VIOLATION),
+  };
+  const raster = createRaster(width, height, parseColor(COLORS.BACKGROUND));
+
+  // Highlighted elements last so they stay on top
+  [...layout.bones]
+    .sort((a, b) => Number(a.highlighted) - Number(b.highlighted))
+    .forEach((segment) => {
+      raster.fillSegment(segment.from, segment.to, bone / 2, segment.highlighted ? colors.violation : colors.bone);
+    });
+  [...layout.joints]
+    .sort((a, b) => Number(a.highlighted) - Number(b.highlighted))
+    .forEach((point) => {
+      raster.fillCircle(
+        point,
+        point.highlighted ? joint * 1.4 : joint,
+        point.highlighted ? colors.violation : colors.joint
+      );
+    });
+  layout.labels.forEach((label) => {
+    const left =
+      label.align === 'right' ? label.x - labelOffset - textWidth(label.text, font) : label.x + labelOffset;
+    drawText(raster, label.text, left, label.y - labelOffset / 2, font, colors.violation);
+  });
+
+  // Scanlines with filter type 0 (none)
+  const rowLength = width * 3;
+  const scanlines = Buffer.alloc((rowLength + 1) * height);
+  for (let row = 0; row < height; row++) {
+    raster.pixels.copy(scanlines, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 2; // Color type: RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(scanlines)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+};
+
+// ============================================
+// DEFAULT EXPORT
+// ============================================
+
+export default {
+  SKELETON_BONES,
+  layoutSkeleton,
+  drawSkeletonPdf,
+  renderSkeletonSvg,
+  renderSkeletonPng,
+};
@@ -0,0 +1,96 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ExerciseSession from '../../src/models/ExerciseSession.js';
+import Exercise from '../../src/models/Exercise.js';
+import PoseData from '../../src/models/PoseData.js';
+import { appendSessionFrames, finalizeSession } from '../../src/controllers/sessionController.js';
+import { SESSION_STATUSES, FRAME_CHUNKS, POSE_STORAGE } from '../../src/config/constants.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+/** Draft session owned by the user */
+const draft = (fields = {}) =>
+  new ExerciseSession({
+    userId,
+    exerciseId: new mongoose.Types.ObjectId(),
+    duration: 0,
+    status: SESSION_STATUSES.DRAFT,
+    poseData: { storage: POSE_STORAGE.CHUNKED, keypoints: [], totalFrames: 0 },
+    ...fields,
+  });
+
+/**
+ * Run a controller and resolve with the error it passed to next
+ * (undefined when it answered instead)
+ */
+const run = (controller, session, body = {}) =>
+  new Promise((resolve) => {
+    const res = {
+      status: () => res,
+      json: () => resolve(undefined),
+    };
+    controller({ params: { id: session._id.toString() }, user: { _id: userId }, body }, res, resolve);
+  });
+
+/** Load the draft and its exercise through the mocked models */
+const mockDraft = (session) => {
+  mock.method(ExerciseSession, 'findById', async () => session);
+  mock.method(Exercise, 'findById', () => ({
+    select: async () => ({ _id: session.exerciseId, formRules: {} }),
+  }));
+};
+
+describe('chunked session finalize', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('claims the draft atomically and answers a concurrent request with 409', async () => {
+    const session = draft();
+    mockDraft(session);
+    const claim = mock.method(ExerciseSession, 'findOneAndUpdate', async () => null);
+
+    const error = await run(finalizeSession, session);
+
+    assert.equal(error.statusCode, 409);
+    assert.match(error.message, /already being finalized/);
+
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.equal(filter._id, session._id.toString());
+    assert.equal(filter.status, SESSION_STATUSES.DRAFT);
+    assert.deepEqual(filter.$or[0], { finalizingAt: null });
+    // A claim older than FINALIZE_TIMEOUT is stalled and may be taken over
+    const staleBefore = filter.$or[1].finalizingAt.$lt.getTime();
+    assert.equal(update.$set.finalizingAt.getTime() - staleBefore, FRAME_CHUNKS.FINALIZE_TIMEOUT);
+  });
+
+  it('releases its claim when finalizing fails', async () => {
+    const session = draft();
+    mockDraft(session);
+    mock.method(ExerciseSession, 'findOneAndUpdate', async (filter, update) => {
+      session.finalizingAt = update.$set.finalizingAt;
+      return session;
+    });
+    mock.method(PoseData, 'find', () => ({
+      sort: () => ({ select: () => ({ lean: async () => [] }) }),
+    }));
+    const release = mock.method(ExerciseSession, 'updateOne', async () => ({}));
+
+    const error = await run(finalizeSession, session);
+
+    assert.equal(error.statusCode, 400);
+    assert.equal(release.mock.callCount(), 1);
+    const [filter, update] = release.mock.calls[0].arguments;
+    assert.equal(filter.finalizingAt, session.finalizingAt);
+    assert.deepEqual(update, { $unset: { finalizingAt: 1 } });
+  });
+
+  it('refuses frames while a finalize request holds the draft', async () => {
+    const session = draft({ finalizingAt: new Date() });
+    mockDraft(session);
+
+    const error = await run(appendSessionFrames, session, { frames: [{}] });
+
+    assert.equal(error.statusCode, 409);
+    assert.match(error.message, /being finalized/);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ExerciseSession from '../../src/models/ExerciseSession.js';
+import PoseData from '../../src/models/PoseData.js';
+
+const keypoints = [
+  { name: 'left_knee', x: 0.4, y: 0.7, confidence: 0.2, interpolated: true },
+  { name: 'right_knee', x: 0.6, y: 0.7, confidence: 0.9 },
+];
+
+describe('keypoint schemas', () => {
+  it('keep the interpolated flag of embedded session frames', () => {
+    const session = new ExerciseSession({
+      userId: new mongoose.Types.ObjectId(),
+      exerciseId: new mongoose.Types.ObjectId(),
+      duration: 10,
+      poseData: { keypoints: [{ frame: 0, timestamp: 0, keypoints }] },
+    });
+    const [stored] = session.toObject().poseData.keypoints[0].keypoints;
+
+    assert.equal(stored.interpolated, true);
+  });
+
+  it('keep the interpolated flag of PoseData frames', () => {
+    const frame = new PoseData({
+      sessionId: new mongoose.Types.ObjectId(),
+      frameNumber: 0,
+      timestamp: 0,
+      keypoints,
+    });
+
+    assert.deepEqual(
+      frame.toObject().keypoints.map((kp) => kp.interpolated),
+      [true, undefined]
+    );
+  });
+});
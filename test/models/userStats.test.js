@@ -0,0 +1,39 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import ExerciseSession from '../../src/models/ExerciseSession.js';
+import { SCORING_METHODS } from '../../src/config/constants.js';
+
+describe('User.getUserStats', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('averages only server-scored sessions with usable pose data', async () => {
+    const aggregate = mock.method(ExerciseSession, 'aggregate', async () => [
+      { _id: null, totalSessions: 2, totalDuration: 90, averageScore: 80, lastActivity: null },
+    ]);
+
+    const stats = await User.getUserStats(new mongoose.Types.ObjectId().toString());
+
+    assert.equal(stats.averageScore, 80);
+    const [{ $group }] = aggregate.mock.calls[0].arguments[0].slice(1);
+    const [condition, value, otherwise] = $group.averageScore.$avg.$cond;
+    assert.deepEqual(condition.$and, [
+      { $eq: ['$scoring.method', SCORING_METHODS.SERVER] },
+      { $ne: ['$poseQuality.flagged', true] },
+    ]);
+    assert.equal(value, '$overallScore');
+    assert.equal(otherwise, null);
+  });
+
+  it('reports an average of 0 when no session was scored', async () => {
+    mock.method(ExerciseSession, 'aggregate', async () => [
+      { _id: null, totalSessions: 1, totalDuration: 30, averageScore: null, lastActivity: null },
+    ]);
+
+    const stats = await User.getUserStats(new mongoose.Types.ObjectId());
+
+    assert.equal(stats.totalSessions, 1);
+    assert.equal(stats.averageScore, 0);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { simplifyPath } from '../../src/services/barPathService.js';
+
+describe('simplifyPath', () => {
+  it('drops points that lie on a straight line', () => {
+    const points = Array.from({ length: 10 }, (_, i) => ({ x: i / 10, y: i / 20 }));
+
+    assert.deepEqual(simplifyPath(points, 0.001), [points[0], points[9]]);
+  });
+
+  it('keeps corners further than the tolerance from the path', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: 0.5, y: 0.01 },
+      { x: 1, y: 0 },
+      { x: 1, y: 0.5 },
+      { x: 1.01, y: 1 },
+    ];
+
+    assert.deepEqual(simplifyPath(points, 0.05), [points[0], points[2], points[4]]);
+    assert.deepEqual(simplifyPath(points, 0.001), points);
+  });
+
+  it('returns short paths unchanged', () => {
+    const points = [
+      { x: 0, y: 0 },
+      { x: 1, y: 1 },
+    ];
+
+    assert.equal(simplifyPath(points, 0.1), points);
+    assert.deepEqual(simplifyPath(undefined), []);
+  });
+
+  it('keeps the extra properties of kept points', () => {
+    const points = [
+      { x: 0, y: 0, frame: 0 },
+      { x: 0.5, y: 0.5, frame: 1 },
+      { x: 1, y: 0, frame: 2 },
+    ];
+
+    assert.deepEqual(
+      simplifyPath(points, 0.1).map((point) => point.frame),
+      [0, 1, 2]
+    );
+  });
+});
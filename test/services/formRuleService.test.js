@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFormRules, renderTemplate, buildRuleMessage } from '../../src/services/formRuleService.js';
+import { FORM_RULES } from '../../src/config/constants.js';
+
+describe('compileFormRules', () => {
+  it('splits rules on both sides into a left and a right rule', () => {
+    const rules = compileFormRules([
+      { id: 'knee_depth', metric: 'kneeAngle', side: 'both', phase: 'bottom', condition: { operator: '<=', value: 100 } },
+    ]);
+
+    assert.deepEqual(
+      rules.map((rule) => [rule.id, rule.side, rule.label]),
+      [
+        ['knee_depth_left', 'left', 'Left knee angle'],
+        ['knee_depth_right', 'right', 'Right knee angle'],
+      ]
+    );
+    assert.deepEqual(rules[0].keypoints, ['left_hip', 'left_knee', 'left_ankle']);
+    assert.equal(rules[0].phase, 'bottom');
+    assert.equal(rules[0].max, 100);
+    assert.equal(rules[0].min, undefined);
+  });
+
+  it('turns conditions into ranges', () => {
+    const [atLeast, between] = compileFormRules([
+      { id: 'a', metric: 'backAngle', condition: { operator: '>=', value: -10 } },
+      { id: 'b', metric: 'backAngle', condition: { operator: 'between', min: -10, max: 10 }, phase: 'any' },
+    ]);
+
+    assert.deepEqual([atLeast.min, atLeast.max], [-10, undefined]);
+    assert.deepEqual([between.min, between.max], [-10, 10]);
+    assert.equal(between.phase, undefined);
+  });
+
+  it('applies the default tolerance for the metric kind', () => {
+    const [rule] = compileFormRules([{ id: 'w', metric: 'kneeWidth', condition: { operator: '>', value: 0.5 } }]);
+
+    assert.equal(rule.kind, 'distance');
+    assert.equal(rule.tolerance, FORM_RULES.DEFAULT_TOLERANCE.distance);
+  });
+
+  it('compiles inline angle and ratio metrics', () => {
+    const [angle, ratio] = compileFormRules([
+      {
+        id: 'elbow',
+        metric: { type: 'angle', points: ['{side}_shoulder', '{side}_elbow', '{side}_wrist'] },
+        side: 'left',
+        condition: { operator: '>', value: 160 },
+      },
+      {
+        id: 'stance',
+        metric: { type: 'ratio', numerator: 'kneeWidth', denominator: 'footWidth' },
+        condition: { operator: '>=', value: 0.8 },
+      },
+    ]);
+
+    assert.equal(angle.label, 'Left elbow angle');
+    assert.deepEqual(angle.keypoints, ['left_shoulder', 'left_elbow', 'left_wrist']);
+    assert.equal(ratio.kind, 'ratio');
+    assert.equal(ratio.label, 'Knee width to foot width ratio');
+  });
+
+  it('drops rules with unknown metrics', () => {
+    assert.deepEqual(compileFormRules([{ id: 'x', metric: 'wristAngle', condition: { operator: '<', value: 1 } }]), []);
+    assert.deepEqual(compileFormRules(undefined), []);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('fills known placeholders and leaves the rest as written', () => {
+    assert.equal(
+      renderTemplate('{label} was {value}° ({unknown}, {side})', { label: 'Knee angle', value: 95, side: null }),
+      'Knee angle was 95° ({unknown}, {side})'
+    );
+  });
+});
+
+describe('buildRuleMessage', () => {
+  const [rule] = compileFormRules([
+    { id: 'depth', metric: 'kneeAngle', side: 'left', phase: 'bottom', condition: { operator: '<=', value: 100 } },
+  ]);
+
+  it('generates a message when the rule has no template', () => {
+    const { message, suggestion } = buildRuleMessage(rule, { value: 118.4, threshold: 100, deviation: 18.4 });
+
+    assert.equal(message, 'Left knee angle of 118° is above the target maximum of 100° at the bottom of the rep');
+    assert.equal(suggestion, undefined);
+  });
+
+  it('renders the rule templates', () => {
+    const templated = {
+      ...rule,
+      message: '{label} only reached {value}° ({deviation}° short)',
+      suggestion: 'Sink below {max}° on the {side} side',
+    };
+
+    assert.deepEqual(buildRuleMessage(templated, { value: 118.4, threshold: 100, deviation: 18.4 }), {
+      message: 'Left knee angle only reached 118° (18° short)',
+      suggestion: 'Sink below 100° on the left side',
+    });
+  });
+});
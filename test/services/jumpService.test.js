@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeJumps } from '../../src/services/jumpService.js';
+
+const FPS = 30;
+
+/**
+ * Frames of someone standing, jumping and landing (front view)
+ * Flights are parabolic and the whole body rises with the ankles.
+ */
+const jumpSession = ({ jumps = 1, flightTime = 0.4, rise = 0.2, landingKnee = 120, kneeWidth = 0.16 } = {}) => {
+  const standFrames = FPS;
+  const flightFrames = Math.round(flightTime * FPS);
+  const frames = [];
+  let landedAt = -Infinity;
+
+  const push = (lift, kneeAngle) => {
+    const frame = frames.length;
+    const y = (value) => value - lift;
+    const keypoints = [
+      ['left_shoulder', 0.42, y(0.3)],
+      ['right_shoulder', 0.58, y(0.3)],
+      ['left_hip', 0.44, y(0.6)],
+      ['right_hip', 0.56, y(0.6)],
+      ['left_knee', 0.5 - kneeWidth / 2, y(0.75)],
+      ['right_knee', 0.5 + kneeWidth / 2, y(0.75)],
+      ['left_ankle', 0.4, y(0.9)],
+      ['right_ankle', 0.6, y(0.9)],
+    ].map(([name, x, keypointY]) => ({ name, x, y: keypointY, confidence: 0.9 }));
+    frames.push({ frame, timestamp: frame / FPS, keypoints, angles: { kneeAngle } });
+  };
+
+  for (let jump = 0; jump < jumps; jump++) {
+    for (let i = 0; i < standFrames; i++) {
+      const sinceLanding = frames.length - landedAt;
+      push(0, sinceLanding <= 0.3 * FPS ? landingKnee : 175);
+    }
+    for (let i = 1; i < flightFrames; i++) {
+      const t = i / flightFrames;
+      push(4 * rise * t * (1 - t), 175);
+    }
+    landedAt = frames.length;
+  }
+  for (let i = 0; i < standFrames; i++) {
+    push(0, frames.length - landedAt <= 0.3 * FPS ? landingKnee : 175);
+  }
+  return frames;
+};
+
+describe('analyzeJumps', () => {
+  it('counts jumps and measures the flight', () => {
+    const analysis = analyzeJumps(jumpSession({ jumps: 2 }));
+
+    assert.equal(analysis.count, 2);
+    analysis.jumps.forEach((jump) => {
+      assert.ok(Math.abs(jump.flightTime - 0.4) <= 2 / FPS, `flight time ${jump.flightTime}`);
+      assert.ok(jump.height > 15 && jump.height < 25, `height ${jump.height}`);
+      assert.ok(jump.hipRise > 0.1);
+    });
+    assert.equal(analysis.stiffLandings, 0);
+    assert.equal(analysis.valgusLandings, 0);
+  });
+
+  it('measures the landing knee flexion', () => {
+    const soft = analyzeJumps(jumpSession()).jumps[0];
+    const stiff = analyzeJumps(jumpSession({ landingKnee: 165 })).jumps[0];
+
+    assert.equal(soft.landingKneeAngle, 120);
+    assert.equal(soft.kneeFlexion, 60);
+    assert.equal(soft.stiffLanding, false);
+    assert.equal(stiff.kneeFlexion, 15);
+    assert.equal(stiff.stiffLanding, true);
+  });
+
+  it('flags knees caving in on landing', () => {
+    const analysis = analyzeJumps(jumpSession({ kneeWidth: 0.06 }));
+
+    assert.equal(analysis.jumps[0].kneeToAnkleRatio, 0.3);
+    assert.equal(analysis.valgusLandings, 1);
+  });
+
+  it('ignores hops too small to leave the ground', () => {
+    assert.deepEqual(analyzeJumps(jumpSession({ rise: 0.02 })), { count: 0, jumps: [] });
+  });
+
+  it('returns undefined when the body is not tracked', () => {
+    assert.equal(analyzeJumps([]), undefined);
+    assert.equal(
+      analyzeJumps(jumpSession().map((frame) => ({ ...frame, keypoints: [] }))),
+      undefined
+    );
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  selectKeyFrames,
+  linkFeedbackToKeyFrames,
+  getKeyFrameNumbers,
+  compareWorstRepToDemo,
+} from '../../src/services/keyFrameService.js';
+import { KEY_FRAME_TYPES, FEEDBACK_SEVERITY } from '../../src/config/constants.js';
+
+const FPS = 30;
+
+/** Frames whose knee angle follows kneeAngles, one per 1/30 s */
+const framesOf = (kneeAngles) =>
+  kneeAngles.map((kneeAngle, frame) => ({ frame, timestamp: frame / FPS, angles: { kneeAngle } }));
+
+const repAnalysis = {
+  reps: [
+    { number: 1, bottomFrame: 30, bottomTime: 1, score: 90 },
+    { number: 2, bottomFrame: 90, bottomTime: 3, score: 60 },
+  ],
+};
+
+describe('selectKeyFrames', () => {
+  it('marks rep bottoms, error peaks and checkpoints in time order', () => {
+    const frames = framesOf([...Array(120)].map((_, i) => (i === 60 ? 92 : 170)));
+    const feedback = [
+      {
+        severity: FEEDBACK_SEVERITY.WARNING,
+        timestamp: 3,
+        metadata: { frameNumber: 90, ruleId: 'depth', angleValue: 110, threshold: 100 },
+      },
+      { severity: FEEDBACK_SEVERITY.SUCCESS, timestamp: 1, metadata: { frameNumber: 30, ruleId: 'good' } },
+    ];
+    const checkpoints = [{ position: 'bottom', keyAngles: { kneeAngle: 90 } }];
+
+    const keyFrames = selectKeyFrames(frames, { repAnalysis, feedback, checkpoints });
+
+    assert.deepEqual(
+      keyFrames.map((keyFrame) => [keyFrame.frame, keyFrame.type]),
+      [
+        [30, KEY_FRAME_TYPES.REP_BOTTOM],
+        [60, KEY_FRAME_TYPES.CHECKPOINT],
+        [90, KEY_FRAME_TYPES.REP_BOTTOM],
+        [90, KEY_FRAME_TYPES.ERROR_PEAK],
+      ]
+    );
+    assert.equal(keyFrames[1].deviation, 2);
+    assert.equal(keyFrames[3].deviation, 10);
+    assert.deepEqual(getKeyFrameNumbers(keyFrames), [30, 60, 90]);
+  });
+
+  it('leaves out checkpoints no frame comes close to', () => {
+    const keyFrames = selectKeyFrames(framesOf([170, 170]), {
+      checkpoints: [{ position: 'bottom', keyAngles: { kneeAngle: 90 } }],
+    });
+
+    assert.deepEqual(keyFrames, []);
+  });
+});
+
+describe('linkFeedbackToKeyFrames', () => {
+  it('links feedback to its peak frame or the nearest key frame', () => {
+    const keyFrames = [
+      { frame: 30, timestamp: 1 },
+      { frame: 90, timestamp: 3 },
+    ];
+    const feedback = [
+      { timestamp: 3, metadata: { frameNumber: 90 } },
+      { timestamp: 1.5, metadata: {} },
+      { timestamp: 10, metadata: {} },
+      { timestamp: 0, metadata: {} },
+    ];
+
+    linkFeedbackToKeyFrames(feedback, keyFrames);
+
+    assert.deepEqual(
+      feedback.map((item) => item.keyFrame),
+      [90, 30, undefined, undefined]
+    );
+  });
+});
+
+describe('compareWorstRepToDemo', () => {
+  it('compares the lowest scoring rep with the closest checkpoint', () => {
+    const exercise = {
+      demonstration: {
+        videoUrl: 'https://example.com/squat.mp4',
+        formCheckpoints: [
+          { position: 'top', keyAngles: { kneeAngle: 170 } },
+          { position: 'bottom', keyAngles: { kneeAngle: 90 } },
+        ],
+      },
+    };
+
+    const comparison = compareWorstRepToDemo({ repAnalysis }, { frame: 90, angles: { kneeAngle: 105 } }, exercise);
+
+    assert.equal(comparison.rep.number, 2);
+    assert.equal(comparison.demo.position, 'bottom');
+    assert.equal(comparison.meanDeviation, 15);
+    assert.deepEqual(comparison.angles[0], {
+      angle: 'kneeAngle',
+      label: comparison.angles[0].label,
+      yours: 105,
+      demo: 90,
+      difference: 15,
+    });
+  });
+
+  it('returns null without scored reps', () => {
+    assert.equal(compareWorstRepToDemo({ repAnalysis: { reps: [] } }, { angles: { kneeAngle: 90 } }, {}), null);
+  });
+});
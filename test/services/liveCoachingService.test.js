@@ -0,0 +1,130 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ExerciseSession from '../../src/models/ExerciseSession.js';
+import Feedback from '../../src/models/Feedback.js';
+import PoseData from '../../src/models/PoseData.js';
+import User from '../../src/models/User.js';
+import {
+  startLiveSession,
+  getLiveSession,
+  addLiveFrames,
+  endLiveSession,
+} from '../../src/services/liveCoachingService.js';
+import { LIVE_COACHING, POSE_STORAGE, FRAME_CHUNKS } from '../../src/config/constants.js';
+
+const FPS = 30;
+
+/**
+ * Side view squat frames: knees from 170° down to 90° and back
+ */
+const squatFrames = ({ reps = 2, repSeconds = 2, restSeconds = 1 } = {}) => {
+  const frames = [];
+  const push = (kneeAngle) => {
+    const frame = frames.length;
+    const kneeOffset = 0.2 * Math.tan((((180 - kneeAngle) / 2) * Math.PI) / 180);
+    const keypoints = ['left', 'right'].flatMap((side) => [
+      { name: `${side}_shoulder`, x: 0.5, y: 0.2, confidence: 0.9 },
+      { name: `${side}_hip`, x: 0.5, y: 0.5, confidence: 0.9 },
+      { name: `${side}_knee`, x: 0.5 + kneeOffset, y: 0.7, confidence: 0.9 },
+      { name: `${side}_ankle`, x: 0.5, y: 0.9, confidence: 0.9 },
+    ]);
+    frames.push({ frame, timestamp: frame / FPS, keypoints });
+  };
+
+  const repFrames = repSeconds * FPS;
+  for (let rep = 0; rep < reps; rep++) {
+    for (let i = 0; i < restSeconds * FPS; i++) push(170);
+    for (let i = 0; i < repFrames; i++) push(130 + 40 * Math.cos((2 * Math.PI * i) / repFrames));
+  }
+  for (let i = 0; i < restSeconds * FPS; i++) push(170);
+  return frames;
+};
+
+const exercise = {
+  _id: new mongoose.Types.ObjectId(),
+  rulesVersion: 1,
+  formRules: {
+    kneeAngle: { min: 60, max: 180 },
+    rules: [
+      {
+        id: 'depth',
+        metric: 'kneeAngle',
+        side: 'both',
+        phase: 'bottom',
+        condition: { operator: '<=', value: 100 },
+      },
+    ],
+  },
+};
+
+/** Start a live session for a new user and return its internal state */
+const startLive = async () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const { id } = await startLiveSession(userId, exercise, { fps: FPS });
+  return getLiveSession(id, userId);
+};
+
+describe('live coaching', () => {
+  let bulkWrites;
+
+  beforeEach(() => {
+    bulkWrites = [];
+    mock.method(ExerciseSession, 'create', async (doc) => new ExerciseSession(doc));
+    mock.method(Feedback, 'insertMany', async (docs) => docs);
+    mock.method(User, 'findById', async () => null);
+    mock.method(PoseData, 'bulkWrite', async (operations) => {
+      bulkWrites.push(operations);
+      return { upsertedCount: operations.length, modifiedCount: 0 };
+    });
+    mock.method(PoseData, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('analyzes each frame once when an overlapping batch is re-sent', async () => {
+    const live = await startLive();
+    const frames = squatFrames();
+
+    assert.equal(addLiveFrames(live, frames.slice(0, 60)).accepted, 60);
+    assert.equal(addLiveFrames(live, frames.slice(30, 120)).accepted, 60);
+    const resent = addLiveFrames(live, frames.slice(0, 120));
+
+    assert.equal(resent.accepted, 0);
+    assert.equal(resent.events.length, 0);
+    assert.equal(live.frames.length, 120);
+    assert.deepEqual(
+      live.evaluations.map((evaluation) => evaluation.frame),
+      frames.slice(0, 120).map((frame) => frame.frame)
+    );
+
+    const { session } = await endLiveSession(live);
+    assert.equal(session.poseData.storage, POSE_STORAGE.EMBEDDED);
+    assert.equal(session.poseData.keypoints.length, 120);
+    assert.equal(bulkWrites.length, 0);
+  });
+
+  it('saves a long set with its frames in PoseData', async () => {
+    const live = await startLive();
+    const frames = squatFrames({ reps: 21 });
+    assert.ok(frames.length > LIVE_COACHING.MAX_EMBEDDED_FRAMES);
+
+    addLiveFrames(live, frames);
+    const { session } = await endLiveSession(live);
+
+    assert.equal(session.poseData.storage, POSE_STORAGE.CHUNKED);
+    assert.equal(session.poseData.keypoints.length, 0);
+    assert.equal(session.poseData.totalFrames, frames.length);
+    assert.ok(session.repAnalysis.count > 0);
+
+    assert.equal(bulkWrites.length, Math.ceil(frames.length / FRAME_CHUNKS.WRITE_BATCH_SIZE));
+    const stored = bulkWrites.flat().map((operation) => operation.updateOne);
+    assert.equal(stored.length, frames.length);
+    assert.ok(stored.every((write) => write.upsert && write.filter.sessionId === session._id));
+    assert.deepEqual(
+      stored.map((write) => write.filter.frameNumber),
+      frames.map((frame) => frame.frame)
+    );
+    assert.ok(stored[0].update.$set.angles.kneeAngle > 0);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignSeries } from '../../src/services/referenceService.js';
+
+const series = (values) => values.map((kneeAngle) => ({ values: { kneeAngle } }));
+
+describe('alignSeries', () => {
+  it('aligns identical series along the diagonal', () => {
+    const knee = series([170, 140, 100, 140, 170]);
+    const { path, distance } = alignSeries(knee, knee, ['kneeAngle']);
+
+    assert.deepEqual(path, [
+      [0, 0],
+      [1, 1],
+      [2, 2],
+      [3, 3],
+      [4, 4],
+    ]);
+    assert.equal(distance, 0);
+  });
+
+  it('matches a slower rep to the same shape', () => {
+    const reference = series([170, 130, 90, 130, 170]);
+    const slow = series([170, 150, 130, 110, 90, 90, 110, 130, 150, 170]);
+    const { path, distance } = alignSeries(slow, reference, ['kneeAngle'], { windowRatio: 0.5 });
+
+    assert.deepEqual(path[0], [0, 0]);
+    assert.deepEqual(path[path.length - 1], [9, 4]);
+    // Both bottoms are matched to the reference bottom
+    assert.ok(path.some(([i, j]) => i === 4 && j === 2));
+    assert.ok(path.some(([i, j]) => i === 5 && j === 2));
+    // Every step moves forward in at least one series
+    path.slice(1).forEach(([i, j], index) => {
+      const [previousI, previousJ] = path[index];
+      assert.ok(i - previousI + (j - previousJ) >= 1 && i >= previousI && j >= previousJ);
+    });
+    assert.ok(distance < 10, `distance ${distance}`);
+  });
+
+  it('averages the cost over the compared metrics', () => {
+    const a = [{ values: { kneeAngle: 100, hipAngle: 100 } }];
+    const b = [{ values: { kneeAngle: 110, hipAngle: 130 } }];
+
+    assert.equal(alignSeries(a, b, ['kneeAngle', 'hipAngle']).distance, 20);
+    assert.equal(alignSeries(a, b, ['kneeAngle']).distance, 10);
+  });
+
+  it('returns an empty alignment without data', () => {
+    assert.deepEqual(alignSeries([], series([1]), ['kneeAngle']), { path: [], distance: null });
+    assert.deepEqual(alignSeries(series([1]), series([1]), []), { path: [], distance: null });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectReps, selectRepMetric } from '../../src/services/repDetectionService.js';
+
+const FPS = 30;
+
+/**
+ * Evaluations of a squat set: standing (170°) with reps down to 90°, each
+ * rep taking repSeconds with restSeconds standing in between
+ */
+const squatSet = ({ reps = 3, repSeconds = 2, restSeconds = 1 } = {}) => {
+  const evaluations = [];
+  const push = (kneeAngle) => {
+    const index = evaluations.length;
+    evaluations.push({ frame: index, timestamp: index / FPS, angles: { kneeAngle, hipAngle: 175 }, results: [] });
+  };
+  for (let rep = 0; rep < reps; rep++) {
+    for (let i = 0; i < restSeconds * FPS; i++) push(170);
+    for (let i = 0; i < repSeconds * FPS; i++) {
+      push(130 + 40 * Math.cos((2 * Math.PI * i) / (repSeconds * FPS)));
+    }
+  }
+  for (let i = 0; i < restSeconds * FPS; i++) push(170);
+  return evaluations;
+};
+
+describe('selectRepMetric', () => {
+  it('picks the angle with the largest range of motion', () => {
+    assert.equal(selectRepMetric(squatSet()), 'kneeAngle');
+  });
+
+  it('returns null when nothing moves enough', () => {
+    assert.equal(selectRepMetric(squatSet({ reps: 0 })), null);
+  });
+});
+
+describe('detectReps', () => {
+  it('counts every rep', () => {
+    const result = detectReps(squatSet({ reps: 4 }));
+
+    assert.equal(result.metric, 'kneeAngle');
+    assert.equal(result.count, 4);
+    assert.deepEqual(
+      result.reps.map((rep) => rep.number),
+      [1, 2, 3, 4]
+    );
+  });
+
+  it('measures each rep between its rest positions', () => {
+    const { reps } = detectReps(squatSet({ reps: 2, repSeconds: 2 }));
+
+    reps.forEach((rep) => {
+      assert.ok(rep.startTime < rep.bottomTime && rep.bottomTime < rep.endTime);
+      assert.ok(Math.abs(rep.duration - 2) < 0.5, `duration ${rep.duration}`);
+      // Boundaries are trimmed to the frames near rest, not the fully upright ones
+      assert.ok(rep.minAngle <= 91 && rep.maxAngle >= 160);
+      assert.ok(rep.rangeOfMotion > 70 && rep.rangeOfMotion <= 80);
+      assert.ok(rep.pauseStartTime <= rep.bottomTime && rep.bottomTime <= rep.pauseEndTime);
+    });
+    assert.ok(reps[0].endTime <= reps[1].startTime);
+  });
+
+  it('ignores cycles shorter than a rep can be', () => {
+    assert.equal(detectReps(squatSet({ reps: 3, repSeconds: 0.2 })).count, 0);
+  });
+
+  it('returns no reps for too few frames or a static session', () => {
+    assert.deepEqual(detectReps([]), { metric: null, count: 0, reps: [] });
+    assert.equal(detectReps(squatSet({ reps: 0 })).count, 0);
+  });
+
+  it('uses a forced metric', () => {
+    const result = detectReps(squatSet(), [], { metric: 'hipAngle' });
+
+    assert.equal(result.metric, 'hipAngle');
+    assert.equal(result.count, 0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ExerciseSession from '../../src/models/ExerciseSession.js';
+import Feedback from '../../src/models/Feedback.js';
+import { processPoseData } from '../../src/services/poseService.js';
+import { analyzeSession } from '../../src/services/sessionAnalysisService.js';
+import { rescoreSessions } from '../../src/services/rescoreService.js';
+import { POSE_FILTER_DEFAULTS } from '../../src/config/constants.js';
+
+const FPS = 30;
+
+/**
+ * Side view squat frames: knees from 170° down to 90° and back, with the
+ * knees lost for a few frames at the bottom of every rep
+ */
+const squatFrames = ({ reps = 3, repSeconds = 2, restSeconds = 1 } = {}) => {
+  const frames = [];
+  const push = (kneeAngle, lowConfidence = false) => {
+    const frame = frames.length;
+    const kneeOffset = 0.2 * Math.tan((((180 - kneeAngle) / 2) * Math.PI) / 180);
+    const keypoints = ['left', 'right'].flatMap((side) => [
+      { name: `${side}_shoulder`, x: 0.5, y: 0.2, confidence: 0.9 },
+      { name: `${side}_hip`, x: 0.5, y: 0.5, confidence: 0.9 },
+      { name: `${side}_knee`, x: 0.5 + kneeOffset, y: 0.7, confidence: lowConfidence ? 0.1 : 0.9 },
+      { name: `${side}_ankle`, x: 0.5, y: 0.9, confidence: 0.9 },
+    ]);
+    frames.push({ frame, timestamp: frame / FPS, keypoints });
+  };
+
+  const repFrames = repSeconds * FPS;
+  for (let rep = 0; rep < reps; rep++) {
+    for (let i = 0; i < restSeconds * FPS; i++) push(170);
+    for (let i = 0; i < repFrames; i++) {
+      push(130 + 40 * Math.cos((2 * Math.PI * i) / repFrames), Math.abs(i - repFrames / 2) <= 2);
+    }
+  }
+  for (let i = 0; i < restSeconds * FPS; i++) push(170);
+  return frames;
+};
+
+const exercise = {
+  _id: new mongoose.Types.ObjectId(),
+  rulesVersion: 1,
+  formRules: {
+    kneeAngle: { min: 60, max: 180 },
+    rules: [
+      {
+        id: 'depth',
+        metric: 'kneeAngle',
+        side: 'both',
+        phase: 'bottom',
+        condition: { operator: '<=', value: 100 },
+      },
+    ],
+  },
+};
+
+/**
+ * A session as createSession stores it: filtered, analyzed, then saved
+ */
+const recordSession = () => {
+  const poseData = processPoseData(
+    { keypoints: squatFrames(), fps: FPS },
+    { filter: POSE_FILTER_DEFAULTS, recalculateAngles: true, calculateDistances: false, assessQuality: false }
+  );
+  const { fields } = analyzeSession(poseData, exercise);
+  const session = new ExerciseSession({
+    userId: new mongoose.Types.ObjectId(),
+    exerciseId: exercise._id,
+    duration: 10,
+    poseData,
+    ...fields,
+  });
+  return { fields, stored: session.toObject() };
+};
+
+describe('rescoreSessions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reproduces the score of a session under the same rules', async () => {
+    const { fields, stored } = recordSession();
+    assert.ok(
+      stored.poseData.keypoints.some((frame) => frame.keypoints.some((kp) => kp.interpolated)),
+      'the recording has interpolated keypoints'
+    );
+
+    mock.method(ExerciseSession, 'countDocuments', async () => 1);
+    mock.method(ExerciseSession, 'find', () => {
+      const query = {
+        sort: () => query,
+        limit: () => query,
+        select: () => query,
+        lean: () => query,
+        cursor: async function* cursor() {
+          yield stored;
+        },
+      };
+      return query;
+    });
+    mock.method(Feedback, 'find', () => ({ select: () => ({ lean: async () => [] }) }));
+
+    const report = await rescoreSessions(exercise, { dryRun: true, force: true });
+
+    assert.equal(report.rescored, 1);
+    assert.equal(report.failed, 0);
+    assert.equal(report.sessions[0].previousScore, fields.overallScore);
+    assert.equal(report.sessions[0].newScore, fields.overallScore);
+    assert.equal(report.sessions[0].scoreChange, 0);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeFormRules, evaluateRule, evaluateFrame } from '../../src/services/ruleEngineService.js';
+
+describe('normalizeFormRules', () => {
+  it('turns angle ranges into range rules', () => {
+    const rules = normalizeFormRules({ kneeAngle: { min: 70, max: 170 }, backAngle: { min: -10, max: 10 } });
+
+    assert.deepEqual(
+      rules.map((rule) => [rule.id, rule.metric, rule.min, rule.max]),
+      [
+        ['kneeAngle_range', 'kneeAngle', 70, 170],
+        ['backAngle_range', 'backAngle', -10, 10],
+      ]
+    );
+  });
+
+  it('adds the declarative rules after the range rules', () => {
+    const rules = normalizeFormRules({
+      kneeAngle: { min: 70, max: 170 },
+      rules: [{ id: 'back', metric: 'backAngle', condition: { operator: '<=', value: 20 } }],
+    });
+
+    assert.deepEqual(
+      rules.map((rule) => rule.id),
+      ['kneeAngle_range', 'back']
+    );
+  });
+
+  it('returns no rules without formRules', () => {
+    assert.deepEqual(normalizeFormRules(undefined), []);
+    assert.deepEqual(normalizeFormRules({}), []);
+  });
+});
+
+describe('evaluateRule', () => {
+  it('passes values inside the range', () => {
+    assert.deepEqual(evaluateRule({ min: 70, max: 170 }, 100), {
+      passed: true,
+      deviation: 0,
+      threshold: null,
+      compliance: 1,
+    });
+  });
+
+  it('falls off linearly past the threshold', () => {
+    const result = evaluateRule({ max: 100, tolerance: 20 }, 110);
+
+    assert.equal(result.passed, false);
+    assert.equal(result.threshold, 100);
+    assert.equal(result.deviation, 10);
+    assert.equal(result.compliance, 0.5);
+    assert.equal(evaluateRule({ max: 100, tolerance: 20 }, 130).compliance, 0);
+  });
+});
+
+describe('evaluateFrame', () => {
+  // Knees bent to 90 degrees on both sides
+  const keypoints = [
+    ['left_hip', 0.4, 0.5],
+    ['left_knee', 0.4, 0.7],
+    ['left_ankle', 0.6, 0.7],
+    ['right_hip', 0.6, 0.5],
+    ['right_knee', 0.6, 0.7],
+    ['right_ankle', 0.8, 0.7],
+  ].map(([name, x, y]) => ({ name, x, y, confidence: 0.9 }));
+
+  it('measures angles from the keypoints instead of trusting client angles', () => {
+    const rules = normalizeFormRules({ kneeAngle: { min: 120, max: 170 } });
+    const { angles, results } = evaluateFrame({ keypoints, angles: { kneeAngle: 150 } }, rules);
+
+    assert.equal(Math.round(angles.kneeAngle), 90);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].ruleId, 'kneeAngle_range');
+    assert.equal(results[0].passed, false);
+    assert.equal(results[0].threshold, 120);
+  });
+
+  it('skips rules whose joints were not tracked', () => {
+    const rules = normalizeFormRules({ kneeAngle: { min: 120, max: 170 } });
+    const untracked = keypoints.map((kp) => ({ ...kp, confidence: 0.1 }));
+
+    assert.deepEqual(evaluateFrame({ keypoints: untracked }, rules).results, []);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Feedback from '../../src/models/Feedback.js';
+import { compareSessions } from '../../src/services/sessionComparisonService.js';
+import {
+  SESSION_STATUSES,
+  SCORING_METHODS,
+  FEEDBACK_TYPES,
+  FEEDBACK_SEVERITY,
+  POSE_STORAGE,
+} from '../../src/config/constants.js';
+
+const exerciseId = new mongoose.Types.ObjectId();
+
+/**
+ * Embedded session whose knee angle swings between 170° and minKnee
+ */
+const session = ({ minKnee, score, rulesVersion = 1, recordedAt, reps = [] }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  exerciseId,
+  status: SESSION_STATUSES.COMPLETED,
+  duration: 10,
+  recordedAt: new Date(recordedAt),
+  overallScore: score,
+  scoring: { method: SCORING_METHODS.SERVER, rulesVersion },
+  poseQuality: { usableFramePercent: 90, averageConfidence: 0.8, flagged: false },
+  repAnalysis: { metric: 'kneeAngle', count: reps.length, reps },
+  poseData: {
+    storage: POSE_STORAGE.EMBEDDED,
+    keypoints: [170, minKnee, 170].map((kneeAngle, frame) => ({
+      frame,
+      timestamp: frame,
+      keypoints: [],
+      angles: { kneeAngle },
+    })),
+  },
+});
+
+const feedback = (sessionId, ruleId, severity = FEEDBACK_SEVERITY.WARNING) => ({
+  sessionId,
+  type: FEEDBACK_TYPES.IMPROVEMENT,
+  severity,
+  message: `Check ${ruleId}`,
+  metadata: { ruleId },
+});
+
+/** Mock Feedback.find(...).select(...).lean() */
+const mockFeedback = (items) =>
+  mock.method(Feedback, 'find', () => ({ select: () => ({ lean: async () => items }) }));
+
+describe('compareSessions', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('reports b minus a for scores, joints and reps', async () => {
+    const a = session({
+      minKnee: 110,
+      score: 70,
+      recordedAt: '2026-01-01',
+      reps: [{ number: 1, score: 60, duration: 2, rangeOfMotion: 60 }],
+    });
+    const b = session({
+      minKnee: 90,
+      score: 85,
+      recordedAt: '2026-01-08',
+      reps: [
+        { number: 1, score: 80, duration: 2.5, rangeOfMotion: 80 },
+        { number: 2, score: 90, duration: 2.5, rangeOfMotion: 80 },
+      ],
+    });
+    mockFeedback([]);
+
+    const comparison = await compareSessions(a, b);
+
+    assert.equal(comparison.score.delta, 15);
+    assert.equal(comparison.daysApart, 7);
+    assert.equal(comparison.rulesVersionMismatch, false);
+
+    const knee = comparison.joints.find((joint) => joint.angle === 'kneeAngle');
+    assert.deepEqual(knee.min, { a: 110, b: 90, delta: -20 });
+    assert.equal(knee.max.delta, 0);
+
+    assert.deepEqual(comparison.reps.count, { a: 1, b: 2, delta: 1 });
+    assert.equal(comparison.reps.averageScore.delta, 25);
+    assert.equal(comparison.reps.averageRangeOfMotion.delta, 20);
+  });
+
+  it('sorts issues into resolved, new and persisting', async () => {
+    const a = session({ minKnee: 110, score: 70, recordedAt: '2026-01-01' });
+    const b = session({ minKnee: 90, score: 85, recordedAt: '2026-01-08' });
+    mockFeedback([
+      feedback(a._id, 'depth'),
+      feedback(a._id, 'depth'),
+      feedback(a._id, 'back', FEEDBACK_SEVERITY.CRITICAL),
+      feedback(b._id, 'depth'),
+      feedback(b._id, 'knees_in'),
+      feedback(b._id, 'good', FEEDBACK_SEVERITY.SUCCESS),
+    ]);
+
+    const { feedback: issues } = await compareSessions(a, b);
+
+    assert.deepEqual(
+      issues.resolved.map((issue) => issue.ruleId),
+      ['back']
+    );
+    assert.deepEqual(
+      issues.new.map((issue) => issue.ruleId),
+      ['knees_in']
+    );
+    assert.equal(issues.persisting.length, 1);
+    assert.equal(issues.persisting[0].ruleId, 'depth');
+    assert.equal(issues.persisting[0].countA, 2);
+    assert.equal(issues.persisting[0].countB, 1);
+  });
+
+  it('warns when the sessions were scored under different rules versions', async () => {
+    mockFeedback([]);
+
+    const comparison = await compareSessions(
+      session({ minKnee: 100, score: 70, recordedAt: '2026-01-01', rulesVersion: 1 }),
+      session({ minKnee: 100, score: 80, recordedAt: '2026-01-02', rulesVersion: 2 })
+    );
+
+    assert.equal(comparison.rulesVersionMismatch, true);
+    assert.equal(comparison.sessions.a.rulesVersion, 1);
+    assert.equal(comparison.sessions.b.rulesVersion, 2);
+  });
+
+  it('rejects the same session, other exercises and drafts', async () => {
+    const a = session({ minKnee: 100, score: 70, recordedAt: '2026-01-01' });
+    const b = session({ minKnee: 100, score: 70, recordedAt: '2026-01-02' });
+
+    await assert.rejects(compareSessions(a, a), { statusCode: 400 });
+    await assert.rejects(compareSessions(a, { ...b, exerciseId: new mongoose.Types.ObjectId() }), {
+      statusCode: 400,
+    });
+    await assert.rejects(compareSessions(a, { ...b, status: SESSION_STATUSES.DRAFT }), { statusCode: 409 });
+  });
+});
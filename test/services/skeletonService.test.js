@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSessionRules } from '../../src/services/skeletonService.js';
+
+const exercise = {
+  rulesVersion: 2,
+  formRules: { kneeAngle: { min: 80, max: 170 } },
+  ruleVersions: [
+    { version: 1, formRules: { kneeAngle: { min: 60, max: 170 } } },
+    { version: 2, formRules: { kneeAngle: { min: 80, max: 170 } } },
+  ],
+};
+
+const kneeRange = (rules) => {
+  const rule = rules.find((candidate) => candidate.metric === 'kneeAngle');
+  return [rule.min, rule.max];
+};
+
+describe('getSessionRules', () => {
+  it('uses the rules version the session was scored with', () => {
+    assert.deepEqual(kneeRange(getSessionRules({ scoring: { rulesVersion: 1 } }, exercise)), [60, 170]);
+  });
+
+  it('uses the current rules for sessions on the current version', () => {
+    assert.deepEqual(kneeRange(getSessionRules({ scoring: { rulesVersion: 2 } }, exercise)), [80, 170]);
+  });
+
+  it('falls back to the current rules without a recorded version or snapshot', () => {
+    assert.deepEqual(kneeRange(getSessionRules({}, exercise)), [80, 170]);
+    assert.deepEqual(
+      kneeRange(getSessionRules({ scoring: { rulesVersion: 1 } }, { ...exercise, ruleVersions: undefined })),
+      [80, 170]
+    );
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTempo, formatTempo, analyzeTempo, generateTempoFeedback } from '../../src/services/tempoService.js';
+import { TEMPO_PHASES } from '../../src/config/constants.js';
+
+describe('parseTempo', () => {
+  it('parses eccentric-pause-concentric strings', () => {
+    assert.deepEqual(parseTempo('3-1-2'), {
+      eccentric: 3,
+      pause: 1,
+      concentric: 2,
+      firstPhase: TEMPO_PHASES.ECCENTRIC,
+    });
+    assert.deepEqual(parseTempo(' 4 - 0 - 1 '), {
+      eccentric: 4,
+      pause: 0,
+      concentric: 1,
+      firstPhase: TEMPO_PHASES.ECCENTRIC,
+    });
+  });
+
+  it('reads an X concentric as explosive', () => {
+    const explosive = { eccentric: 3, pause: 1, explosive: true, firstPhase: TEMPO_PHASES.ECCENTRIC };
+
+    assert.deepEqual(parseTempo('3-1-X'), explosive);
+    assert.deepEqual(parseTempo('3-1-x'), explosive);
+    assert.deepEqual(parseTempo({ eccentric: 3, pause: 1, explosive: true }), explosive);
+    assert.deepEqual(parseTempo({ eccentric: 3, pause: 1, concentric: 0 }), explosive);
+  });
+
+  it('accepts a fourth number for the pause at the top', () => {
+    assert.deepEqual(parseTempo('2-0-X-1'), {
+      eccentric: 2,
+      pause: 0,
+      explosive: true,
+      firstPhase: TEMPO_PHASES.ECCENTRIC,
+    });
+  });
+
+  it('accepts partial prescriptions as objects', () => {
+    assert.deepEqual(parseTempo({ eccentric: 3, firstPhase: TEMPO_PHASES.CONCENTRIC }), {
+      eccentric: 3,
+      firstPhase: TEMPO_PHASES.CONCENTRIC,
+    });
+  });
+
+  it('returns null for an empty prescription', () => {
+    assert.equal(parseTempo(undefined), null);
+    assert.equal(parseTempo(null), null);
+    assert.equal(parseTempo(''), null);
+  });
+
+  it('rejects malformed prescriptions', () => {
+    assert.throws(() => parseTempo('3-1'), { statusCode: 400 });
+    assert.throws(() => parseTempo('fast'), { statusCode: 400 });
+    assert.throws(() => parseTempo('X-1-1'), { statusCode: 400 });
+    assert.throws(() => parseTempo('3--1'), { statusCode: 400 });
+    assert.throws(() => parseTempo('2-0-1-1-1'), { statusCode: 400 });
+    assert.throws(() => parseTempo({}), { statusCode: 400 });
+    assert.throws(() => parseTempo({ eccentric: -1 }), { statusCode: 400 });
+    assert.throws(() => parseTempo({ eccentric: 31 }), { statusCode: 400 });
+    assert.throws(() => parseTempo({ eccentric: 3, firstPhase: 'pause' }), { statusCode: 400 });
+    assert.throws(() => parseTempo({ concentric: 1, explosive: true }), { statusCode: 400 });
+  });
+});
+
+describe('formatTempo', () => {
+  it('formats set phases and leaves missing ones empty', () => {
+    assert.equal(formatTempo({ eccentric: 3, pause: 1, concentric: 2 }), '3-1-2');
+    assert.equal(formatTempo({ eccentric: 2.456 }), '2.46--');
+  });
+
+  it('marks an explosive concentric with X', () => {
+    assert.equal(formatTempo(parseTempo('3-1-X')), '3-1-X');
+  });
+});
+
+describe('analyzeTempo', () => {
+  /** Squat reps lowering for 3s, pausing 1s and standing up in concentricSeconds */
+  const reps = (concentricSeconds) =>
+    [0, 10, 20].map((start, index) => ({
+      number: index + 1,
+      startFrame: start * 30,
+      startTime: start,
+      pauseStartTime: start + 3,
+      pauseEndTime: start + 4,
+      endTime: start + 4 + concentricSeconds,
+    }));
+
+  it('does not flag the concentric of an explosive prescription', () => {
+    const measured = reps(1);
+    const summary = analyzeTempo(measured, '3-1-X');
+
+    assert.equal(summary.average.concentric, 1);
+    assert.equal(summary.onTempoReps, 3);
+    assert.ok(measured.every((rep) => rep.tempo.onTempo && rep.tempo.deviation.concentric === undefined));
+    assert.deepEqual(generateTempoFeedback(measured, summary), []);
+  });
+
+  it('flags a timed concentric that is off tempo', () => {
+    const measured = reps(3);
+    const summary = analyzeTempo(measured, '3-1-1');
+
+    assert.equal(summary.onTempoReps, 0);
+    assert.deepEqual(measured[0].tempo.deviation, { eccentric: 0, pause: 0, concentric: 2 });
+
+    const feedback = generateTempoFeedback(measured, summary);
+    assert.equal(feedback.length, 1);
+    assert.equal(feedback[0].metadata.ruleId, 'tempo_concentric');
+  });
+});
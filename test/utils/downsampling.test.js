@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { downsampleLTTB } from '../../src/utils/downsampling.js';
+
+const series = (length, valueAt) => Array.from({ length }, (_, x) => ({ x, y: valueAt(x) }));
+
+describe('downsampleLTTB', () => {
+  it('keeps the requested number of points, including the first and last', () => {
+    const points = series(1000, (x) => Math.sin(x / 20));
+    const sampled = downsampleLTTB(points, 50);
+
+    assert.equal(sampled.length, 50);
+    assert.equal(sampled[0], points[0]);
+    assert.equal(sampled[sampled.length - 1], points[points.length - 1]);
+  });
+
+  it('returns the points in their original order', () => {
+    const sampled = downsampleLTTB(series(500, (x) => (x * 7919) % 13), 40);
+    sampled.slice(1).forEach((point, index) => {
+      assert.ok(point.x > sampled[index].x);
+    });
+  });
+
+  it('keeps a single spike in an otherwise flat series', () => {
+    const points = series(300, (x) => (x === 137 ? 90 : 0));
+    const sampled = downsampleLTTB(points, 10);
+
+    assert.ok(sampled.some((point) => point.x === 137));
+  });
+
+  it('returns a copy when there is nothing to drop', () => {
+    const points = series(5, (x) => x);
+
+    const sampled = downsampleLTTB(points, 10);
+    assert.deepEqual(sampled, points);
+    assert.notEqual(sampled, points);
+    assert.deepEqual(downsampleLTTB(points, 2), points);
+    assert.deepEqual(downsampleLTTB(null, 10), []);
+  });
+
+  it('reads custom x and y properties', () => {
+    const points = Array.from({ length: 100 }, (_, index) => ({ timestamp: index / 30, angle: index % 10 }));
+    const sampled = downsampleLTTB(points, 20, { x: 'timestamp', y: 'angle' });
+
+    assert.equal(sampled.length, 20);
+    assert.ok(sampled.every((point) => typeof point.angle === 'number'));
+  });
+});
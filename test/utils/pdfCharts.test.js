@@ -0,0 +1,67 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import PDFDocument from 'pdfkit';
+import { drawLineChart } from '../../src/utils/pdfCharts.js';
+
+/** PDF document recording the texts and line segments drawn on it */
+const recordingDoc = () => {
+  const doc = new PDFDocument({ size: 'A4' });
+  const texts = mock.method(doc, 'text');
+  const lines = mock.method(doc, 'lineTo');
+  return { doc, texts, lines };
+};
+
+const labelsOf = (texts) => texts.mock.calls.map((call) => call.arguments[0]);
+
+describe('drawLineChart', () => {
+  it('draws nice y ticks, x labels and the series', () => {
+    const { doc, texts, lines } = recordingDoc();
+    const points = [0, 1, 2, 3, 4].map((x) => ({ x, y: 90 + x * 20 }));
+
+    const bottom = drawLineChart(doc, 50, 100, 400, 120, { title: 'Knee angle', series: [{ label: 'Knee', points }] });
+
+    assert.equal(bottom, 220);
+    const labels = labelsOf(texts);
+    assert.equal(labels[0], 'Knee angle');
+    // 90-170 widened to whole steps of 20
+    assert.deepEqual(labels.slice(1, 7), ['80', '100', '120', '140', '160', '180']);
+    assert.deepEqual(labels.slice(7), ['0', '1', '2', '3', '4']);
+    // Six grid lines and one segment per point after the first
+    assert.equal(lines.mock.callCount(), 6 + points.length - 1);
+  });
+
+  it('breaks the line at null values', () => {
+    const { doc, lines } = recordingDoc();
+    const points = [{ x: 0, y: 10 }, { x: 1, y: null }, { x: 2, y: 30 }, { x: 3, y: 40 }];
+
+    drawLineChart(doc, 50, 100, 400, 120, { series: [{ label: 'Gap', points }], yDomain: [0, 40] });
+
+    // Five grid lines (0-40 in steps of 10) and only the 30 -> 40 segment
+    assert.equal(lines.mock.callCount(), 5 + 1);
+  });
+
+  it('draws nothing without data', () => {
+    const { doc, texts } = recordingDoc();
+
+    const y = drawLineChart(doc, 50, 100, 400, 120, { series: [{ label: 'Empty', points: [{ x: 0, y: null }] }] });
+
+    assert.equal(y, 100);
+    assert.equal(texts.mock.callCount(), 0);
+  });
+
+  it('adds a legend below the chart for several series or labelled bands', () => {
+    const { doc, texts } = recordingDoc();
+
+    const bottom = drawLineChart(doc, 50, 100, 400, 120, {
+      series: [
+        { label: 'Left', points: [{ x: 0, y: 1 }, { x: 1, y: 2 }] },
+        { label: 'Right', points: [{ x: 0, y: 2 }, { x: 1, y: 3 }] },
+      ],
+      bands: [{ from: 1.5, to: 2.5, label: 'Target' }],
+      yDomain: [0, 4],
+    });
+
+    assert.ok(bottom > 220);
+    assert.ok(['Left', 'Right', 'Target'].every((label) => labelsOf(texts).includes(label)));
+  });
+});
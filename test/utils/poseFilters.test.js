@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterPoseFrames, resolveFilterOptions, resolvePoseDataFilter } from '../../src/utils/poseFilters.js';
+import { POSE_FILTERS, POSE_FILTER_DEFAULTS } from '../../src/config/constants.js';
+
+/**
+ * Frames with a single keypoint moving along x
+ */
+const trackFrames = (xs, confidences = []) =>
+  xs.map((x, index) => ({
+    frame: index,
+    timestamp: index / 30,
+    keypoints: [{ name: 'left_wrist', x, y: 0.5, confidence: confidences[index] ?? 0.9 }],
+  }));
+
+const wristOf = (frame) => frame.keypoints.find((keypoint) => keypoint.name === 'left_wrist');
+
+describe('resolveFilterOptions', () => {
+  it('fills in the defaults', () => {
+    const params = resolveFilterOptions(true);
+
+    assert.equal(params.method, POSE_FILTER_DEFAULTS.METHOD);
+    assert.equal(params.maxGap, POSE_FILTER_DEFAULTS.MAX_GAP);
+  });
+
+  it('rejects unknown methods and negative parameters', () => {
+    assert.throws(() => resolveFilterOptions({ method: 'kalman' }), { statusCode: 400 });
+    assert.throws(() => resolveFilterOptions({ window: -1 }), { statusCode: 400 });
+  });
+});
+
+describe('resolvePoseDataFilter', () => {
+  it('turns filtering off with false and uses the defaults when omitted', () => {
+    assert.equal(resolvePoseDataFilter(false), false);
+    assert.equal(resolvePoseDataFilter(undefined).method, POSE_FILTER_DEFAULTS.METHOD);
+    assert.equal(resolvePoseDataFilter(true).method, POSE_FILTER_DEFAULTS.METHOD);
+  });
+
+  it('validates filter parameters', () => {
+    assert.equal(resolvePoseDataFilter({ method: POSE_FILTERS.MEDIAN }).method, POSE_FILTERS.MEDIAN);
+    assert.throws(() => resolvePoseDataFilter('median'), { statusCode: 400 });
+    assert.throws(() => resolvePoseDataFilter({ method: 'kalman' }), { statusCode: 400 });
+  });
+});
+
+describe('filterPoseFrames', () => {
+  it('interpolates a short low-confidence gap', () => {
+    const frames = trackFrames([0.1, 0.11, 0.9, 0.9, 0.14, 0.15], [0.9, 0.9, 0.1, 0.1, 0.9, 0.9]);
+    const { frames: filtered, filter } = filterPoseFrames(frames, { method: POSE_FILTERS.NONE });
+
+    assert.equal(filter.interpolatedKeypoints, 2);
+    assert.ok(Math.abs(wristOf(filtered[2]).x - 0.12) < 1e-9);
+    assert.ok(Math.abs(wristOf(filtered[3]).x - 0.13) < 1e-9);
+    assert.equal(wristOf(filtered[2]).interpolated, true);
+    // Original confidence is kept for quality reports
+    assert.equal(wristOf(filtered[2]).confidence, 0.1);
+  });
+
+  it('rejects an implausible jump and interpolates over it', () => {
+    const frames = trackFrames([0.1, 0.11, 0.12, 0.95, 0.14, 0.15]);
+    const { frames: filtered, filter } = filterPoseFrames(frames, { method: POSE_FILTERS.NONE });
+
+    assert.equal(filter.rejectedKeypoints, 1);
+    assert.ok(Math.abs(wristOf(filtered[3]).x - 0.13) < 1e-9);
+  });
+
+  it('drops a rejected jump that cannot be interpolated', () => {
+    const frames = trackFrames([0.1, 0.11, 0.12, 0.13, 0.95]);
+    const { frames: filtered, filter } = filterPoseFrames(frames, true);
+
+    assert.equal(filter.rejectedKeypoints, 1);
+    assert.equal(wristOf(filtered[4]), undefined);
+    // The spike doesn't leak into the smoothed frames before it
+    assert.ok(filtered.slice(0, 4).every((frame) => wristOf(frame).x < 0.2));
+  });
+
+  it('smooths jitter', () => {
+    const xs = Array.from({ length: 60 }, (_, index) => 0.5 + (index % 2 === 0 ? 0.01 : -0.01));
+    const { frames: filtered } = filterPoseFrames(trackFrames(xs), { method: POSE_FILTERS.MOVING_AVERAGE, window: 5 });
+
+    filtered.slice(5, -5).forEach((frame) => {
+      assert.ok(Math.abs(wristOf(frame).x - 0.5) < 0.005);
+    });
+  });
+
+  it('leaves the input frames untouched', () => {
+    const frames = trackFrames([0.1, 0.11, 0.12, 0.95]);
+    filterPoseFrames(frames, true);
+
+    assert.equal(frames[3].keypoints[0].x, 0.95);
+  });
+
+  it('handles an empty session', () => {
+    const { frames, filter } = filterPoseFrames([], true);
+
+    assert.deepEqual(frames, []);
+    assert.equal(filter.rejectedKeypoints, 0);
+  });
+});
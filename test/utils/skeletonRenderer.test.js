@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { layoutSkeleton, renderSkeletonPng } from '../../src/utils/skeletonRenderer.js';
+
+const keypoints = [
+  { name: 'left_shoulder', x: 0.4, y: 0.3, confidence: 0.9 },
+  { name: 'right_shoulder', x: 0.6, y: 0.3, confidence: 0.9 },
+  { name: 'left_hip', x: 0.42, y: 0.6, confidence: 0.9 },
+  { name: 'right_hip', x: 0.58, y: 0.6, confidence: 0.9 },
+  { name: 'left_knee', x: 0.42, y: 0.75, confidence: 0.9 },
+  { name: 'left_ankle', x: 0.42, y: 0.9, confidence: 0.9 },
+  { name: 'nose', x: 0.5, y: 0.2, confidence: 0.1 },
+];
+
+/**
+ * Split a PNG file into its chunks
+ */
+const readChunks = (png) => {
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('ascii', offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    const crc = png.readUInt32BE(offset + 8 + length);
+    chunks.push({ type, data, crc, crcInput: png.subarray(offset + 4, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+};
+
+describe('layoutSkeleton', () => {
+  it('fits the tracked keypoints into the box', () => {
+    const layout = layoutSkeleton(keypoints, { width: 200, height: 100 });
+
+    assert.equal(layout.joints.length, 6, 'low confidence keypoints are left out');
+    layout.joints.forEach((joint) => {
+      assert.ok(joint.x >= 10 && joint.x <= 190, `x ${joint.x}`);
+      assert.ok(joint.y >= 10 && joint.y <= 90, `y ${joint.y}`);
+    });
+    assert.ok(layout.bones.length > 0);
+  });
+
+  it('highlights the joints and bones of a rule', () => {
+    const layout = layoutSkeleton(keypoints, {
+      highlights: [{ keypoints: ['left_hip', 'left_knee', 'left_ankle'], anchor: 'left_knee', text: '95°' }],
+    });
+
+    assert.deepEqual(
+      layout.joints.filter((joint) => joint.highlighted).map((joint) => joint.name),
+      ['left_hip', 'left_knee', 'left_ankle']
+    );
+    assert.equal(layout.bones.filter((bone) => bone.highlighted).length, 2);
+    assert.equal(layout.labels.length, 1);
+    assert.equal(layout.labels[0].align, 'right');
+  });
+
+  it('needs two tracked keypoints', () => {
+    assert.equal(layoutSkeleton(keypoints.slice(0, 1)), null);
+    assert.equal(layoutSkeleton(undefined), null);
+  });
+});
+
+describe('renderSkeletonPng', () => {
+  const layout = layoutSkeleton(keypoints, { width: 120, height: 80 });
+  const png = renderSkeletonPng(layout);
+  const chunks = readChunks(png);
+
+  it('writes a PNG signature and IHDR, IDAT and IEND chunks', () => {
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.deepEqual(
+      chunks.map((chunk) => chunk.type),
+      ['IHDR', 'IDAT', 'IEND']
+    );
+
+    const header = chunks[0].data;
+    assert.equal(header.length, 13);
+    assert.equal(header.readUInt32BE(0), 120);
+    assert.equal(header.readUInt32BE(4), 80);
+    assert.deepEqual([...header.subarray(8)], [8, 2, 0, 0, 0]);
+  });
+
+  it('checksums every chunk', () => {
+    chunks.forEach((chunk) => {
+      assert.equal(chunk.crc, zlib.crc32(chunk.crcInput), `${chunk.type} CRC`);
+    });
+  });
+
+  it('stores unfiltered RGB scanlines', () => {
+    const scanlines = zlib.inflateSync(chunks[1].data);
+    const rowLength = 120 * 3 + 1;
+
+    assert.equal(scanlines.length, rowLength * 80);
+    for (let row = 0; row < 80; row++) {
+      assert.equal(scanlines[row * rowLength], 0);
+    }
+    // Background in the corner, the figure somewhere in the middle
+    assert.deepEqual([...scanlines.subarray(1, 4)], [255, 255, 255]);
+    const pixels = [];
+    for (let row = 0; row < 80; row++) {
+      for (let offset = 1; offset < rowLength; offset += 3) {
+        pixels.push(scanlines.subarray(row * rowLength + offset, row * rowLength + offset + 3).toString('hex'));
+      }
+    }
+    assert.ok(pixels.includes('1f6feb'), 'bones are drawn');
+    assert.ok(pixels.includes('0a3069'), 'joints are drawn');
+  });
+});